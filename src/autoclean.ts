@@ -0,0 +1,381 @@
+/**
+ * NuTube Scheduled Auto-Clean
+ *
+ * Opt-in job run by the background worker on a chrome.alarms schedule. Each
+ * run fetches Watch Later, picks the videos that are fully watched (YouTube's
+ * progress, overridden by the dashboard's watched toggles) or arrived in
+ * Watch Later more than N days ago (as first seen by NuTube, the same time
+ * the purge dialog's "old" criterion uses), and queues their removal in the
+ * operation journal:
+ *
+ *   alarm ──► GET_WATCH_LATER ──► select ──► JOURNAL_ENQUEUE ──► job finishes
+ *                                                                    │
+ *          dashboard undo timeline (U) ◄── undoHistory entry ◄───────┘
+ *
+ * The run is remembered in chrome.storage until its job finishes, so a worker
+ * restart in between still records the removed videos. The dashboard saves
+ * its history through the worker too (HISTORY_SAVE), so both writers go
+ * through one queue and neither overwrites the other's entries. The history entry uses
+ * the dashboard's format, so the removal can be reviewed and undone (re-added
+ * to Watch Later at the original positions) like a manual delete. The removed
+ * videos also count toward their channels' statistics (see channelstats.ts).
+ */
+
+import type { MessageType } from './types';
+import type { RpcResponse } from './messaging';
+import type { Video } from './parsers';
+import type { JournalJob, JournalJobRequest } from './journal';
+import { CHANNEL_STATS_KEY, WATCH_LATER_ADDED_AT_KEY, recordWatchLaterRemovals } from './channelstats';
+
+/** Alarm that triggers a run */
+export const AUTO_CLEAN_ALARM = 'nutube-auto-clean';
+
+/** chrome.storage.local keys (must match dashboard.js / options.js) */
+export const SETTINGS_STORAGE_KEY = 'nutubeSettings';
+export const WATCHED_OVERRIDES_KEY = 'watchedOverrides';
+export const UNDO_HISTORY_KEY = 'undoHistory';
+/** When NuTube first saw each video: { [videoId]: { seenAt, publishedAt? } } */
+export const VIDEO_FIRST_SEEN_KEY = 'videoFirstSeen';
+/** Run waiting for its journal job to finish */
+export const AUTO_CLEAN_PENDING_KEY = 'autoCleanPending';
+/** Outcome of the last run, shown on the settings page */
+export const AUTO_CLEAN_STATUS_KEY = 'autoCleanStatus';
+
+/** History entries kept (must match MAX_UNDO in dashboard.js) */
+export const MAX_HISTORY_ENTRIES = 50;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/** A pending run older than this is assumed lost (e.g. its job was cleared) */
+const PENDING_TIMEOUT_MS = MS_PER_DAY;
+
+export interface AutoCleanSettings {
+  autoCleanEnabled: boolean;
+  autoCleanIntervalHours: number;
+  autoCleanWatched: boolean;
+  /** Days since a video arrived in Watch Later; 0 disables the age rule */
+  autoCleanOlderThanDays: number;
+  operationConcurrency?: number;
+  operationRetries?: number;
+}
+
+export const DEFAULT_AUTO_CLEAN_SETTINGS: AutoCleanSettings = {
+  autoCleanEnabled: false,
+  autoCleanIntervalHours: 24,
+  autoCleanWatched: true,
+  autoCleanOlderThanDays: 0,
+};
+
+export type AutoCleanReason = 'watched' | 'old';
+
+/** Dashboard watched toggles, keyed by video ID */
+export type WatchedOverrides = Record<string, { watched: boolean; timestamp: number }>;
+
+export interface AutoCleanCandidate {
+  video: Video;
+  reason: AutoCleanReason;
+  /** Watched progress with overrides applied (see getVideoProgress) */
+  progress?: number;
+}
+
+/** Compact video as stored in the dashboard's undo history */
+export interface HistoryVideo {
+  id: string;
+  setVideoId?: string;
+  title: string;
+  channel: string;
+  channelId?: string;
+  /** Video it sat before in Watch Later (null at the end) */
+  nextId: string | null;
+  reason?: AutoCleanReason;
+  progress?: number;
+}
+
+export interface PendingAutoClean {
+  jobId: string;
+  startedAt: number;
+  /** Same order as the job's items */
+  videos: HistoryVideo[];
+}
+
+export interface AutoCleanStatus {
+  at: number;
+  removed: number;
+  failed: number;
+  error?: string;
+}
+
+export interface AutoCleanerOptions {
+  storage: chrome.storage.StorageArea;
+  /** Relays a request to the content script */
+  send: (message: MessageType) => Promise<RpcResponse>;
+  /** Queues a job in the operation journal */
+  enqueue: (request: JournalJobRequest) => Promise<JournalJob>;
+  now?: () => number;
+}
+
+export interface AutoCleaner {
+  /** Create, update or clear the alarm to match the settings */
+  syncAlarm(): Promise<void>;
+  /** Fetch Watch Later and queue the removals; resolves with the number queued */
+  run(): Promise<number>;
+  /** Record the history entry when the run's job finishes */
+  handleJobFinished(job: JournalJob): Promise<void>;
+  /** Write the dashboard's history, keeping auto-clean entries it hasn't adopted yet */
+  saveHistory(entries: HistoryEntry[]): Promise<void>;
+}
+
+/** The fields of a dashboard history entry the merge relies on */
+export interface HistoryEntry {
+  id: string;
+  action: string;
+  timestamp: number;
+  [key: string]: unknown;
+}
+
+export function normalizeAutoCleanSettings(stored: Partial<AutoCleanSettings> | undefined): AutoCleanSettings {
+  const settings = { ...DEFAULT_AUTO_CLEAN_SETTINGS, ...(stored || {}) };
+  return {
+    ...settings,
+    autoCleanEnabled: settings.autoCleanEnabled === true,
+    autoCleanIntervalHours: Math.max(1, Math.min(24 * 7, Number(settings.autoCleanIntervalHours) || 24)),
+    autoCleanWatched: settings.autoCleanWatched !== false,
+    autoCleanOlderThanDays: Math.max(0, Math.floor(Number(settings.autoCleanOlderThanDays) || 0)),
+  };
+}
+
+/** Same rule as getWatchedProgress() in dashboard.js: a local override wins over YouTube's progress */
+export function getVideoProgress(video: Video, overrides: WatchedOverrides): number {
+  const override = overrides[video.id];
+  if (override) return override.watched ? 100 : 0;
+  return video.progressPercent || 0;
+}
+
+/** Same rule as isFullyWatched() in dashboard.js */
+export function isVideoFullyWatched(video: Video, overrides: WatchedOverrides): boolean {
+  return getVideoProgress(video, overrides) >= 100;
+}
+
+/**
+ * When each video arrived in Watch Later: the time it was first seen there,
+ * else first seen anywhere. Same rule as getWatchLaterAddedAt() in dashboard.js.
+ */
+export function getWatchLaterArrivals(
+  addedAt: Record<string, number>,
+  firstSeen: Record<string, { seenAt: number }>,
+): Record<string, number> {
+  const arrivals: Record<string, number> = {};
+  for (const [videoId, entry] of Object.entries(firstSeen)) arrivals[videoId] = entry.seenAt;
+  return { ...arrivals, ...addedAt };
+}
+
+/**
+ * Videos the settings remove, in Watch Later order; watched wins when both
+ * rules match. Videos with no known arrival time are never too old.
+ */
+export function selectAutoCleanVideos(
+  videos: Video[],
+  overrides: WatchedOverrides,
+  settings: AutoCleanSettings,
+  now = Date.now(),
+  arrivals: Record<string, number> = {},
+): AutoCleanCandidate[] {
+  const maxAgeMs = settings.autoCleanOlderThanDays * MS_PER_DAY;
+  const candidates: AutoCleanCandidate[] = [];
+  for (const video of videos) {
+    if (!video.setVideoId) continue;
+    const progress = getVideoProgress(video, overrides);
+    if (settings.autoCleanWatched && progress >= 100) {
+      candidates.push({ video, reason: 'watched', progress });
+      continue;
+    }
+    if (maxAgeMs > 0) {
+      const arrivedAt = arrivals[video.id];
+      if (arrivedAt !== undefined && now - arrivedAt > maxAgeMs) {
+        candidates.push({ video, reason: 'old', progress });
+      }
+    }
+  }
+  return candidates;
+}
+
+/** Compact the candidates with their neighbours, like toPositionedHistoryVideos() in dashboard.js */
+export function toPositionedHistoryVideos(list: Video[], candidates: AutoCleanCandidate[]): HistoryVideo[] {
+  const removedIds = new Set(candidates.map(candidate => candidate.video.id));
+  const nextIds = new Map<string, string | null>();
+  let nextId: string | null = null;
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (removedIds.has(list[i].id)) nextIds.set(list[i].id, nextId);
+    else nextId = list[i].id;
+  }
+  return candidates.map(({ video, reason, progress }) => ({
+    id: video.id,
+    setVideoId: video.setVideoId,
+    title: video.title,
+    channel: video.channel,
+    channelId: video.channelId,
+    nextId: nextIds.get(video.id) ?? null,
+    reason,
+    progress: progress ?? video.progressPercent ?? 0,
+  }));
+}
+
+/**
+ * Undo history entry in the dashboard's format (see saveUndoState() in
+ * dashboard.js). The finished job's successful items are kept as its replay,
+ * so redo sends the same removals again.
+ */
+export function createAutoCleanHistoryEntry(removed: HistoryVideo[], job: JournalJob, now = Date.now()) {
+  const items = job.items.filter(item => item.state === 'done').map(({ message, title }) => ({ message, title }));
+  const videoIds = Object.fromEntries(removed.filter(video => video.setVideoId).map(video => [video.setVideoId, video.id]));
+  return {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    action: 'auto_clean',
+    scope: 'videos',
+    list: 'watchlater',
+    label: `Auto-clean removed ${removed.length} video(s) from Watch Later`,
+    data: { videos: removed },
+    timestamp: now,
+    undo: null,
+    replay: { label: job.label, items, concurrency: job.concurrency, retries: job.retries, videoIds },
+  };
+}
+
+/**
+ * The dashboard's history plus the stored auto-clean entries it hasn't seen
+ * yet. A stored entry missing from a full history older than all of it was
+ * trimmed by the dashboard and stays dropped.
+ */
+export function mergeUndoHistory(stored: HistoryEntry[], incoming: HistoryEntry[]): HistoryEntry[] {
+  const incomingIds = new Set(incoming.map(entry => entry.id));
+  const oldest = Math.min(...incoming.map(entry => entry.timestamp));
+  const unseen = stored.filter(entry => entry?.action === 'auto_clean'
+    && !incomingIds.has(entry.id)
+    && (incoming.length < MAX_HISTORY_ENTRIES || entry.timestamp > oldest));
+  if (unseen.length === 0) return incoming;
+  return [...incoming, ...unseen]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-MAX_HISTORY_ENTRIES);
+}
+
+export function createAutoCleaner(options: AutoCleanerOptions): AutoCleaner {
+  const { storage, send, enqueue } = options;
+  const now = options.now ?? Date.now;
+  // History writes (auto-clean entries and the dashboard's saves) run one at a time
+  let historyWrites: Promise<unknown> = Promise.resolve();
+
+  function queueHistoryWrite(write: () => Promise<void>): Promise<void> {
+    const result = historyWrites.then(write);
+    historyWrites = result.catch(() => {});
+    return result;
+  }
+
+  async function loadSettings(): Promise<AutoCleanSettings> {
+    const result = await storage.get([SETTINGS_STORAGE_KEY]);
+    return normalizeAutoCleanSettings(result[SETTINGS_STORAGE_KEY]);
+  }
+
+  async function setStatus(status: AutoCleanStatus): Promise<void> {
+    await storage.set({ [AUTO_CLEAN_STATUS_KEY]: status });
+  }
+
+  async function syncAlarm(): Promise<void> {
+    const settings = await loadSettings();
+    if (!settings.autoCleanEnabled) {
+      await chrome.alarms.clear(AUTO_CLEAN_ALARM);
+      return;
+    }
+    const periodInMinutes = settings.autoCleanIntervalHours * 60;
+    const existing = await chrome.alarms.get(AUTO_CLEAN_ALARM);
+    if (existing?.periodInMinutes === periodInMinutes) return;
+    chrome.alarms.create(AUTO_CLEAN_ALARM, { delayInMinutes: periodInMinutes, periodInMinutes });
+  }
+
+  async function run(): Promise<number> {
+    const settings = await loadSettings();
+    if (!settings.autoCleanEnabled) return 0;
+    const stored = await storage.get([AUTO_CLEAN_PENDING_KEY, WATCHED_OVERRIDES_KEY, WATCH_LATER_ADDED_AT_KEY, VIDEO_FIRST_SEEN_KEY]);
+    // The previous run's removals haven't finished yet
+    const previous: PendingAutoClean | undefined = stored[AUTO_CLEAN_PENDING_KEY];
+    if (previous && now() - previous.startedAt < PENDING_TIMEOUT_MS) return 0;
+
+    const response = await send({ type: 'GET_WATCH_LATER' });
+    if (!response.success || !Array.isArray(response.data)) {
+      await setStatus({ at: now(), removed: 0, failed: 0, error: response.error || 'Could not load Watch Later' });
+      return 0;
+    }
+
+    const watchLater = response.data as Video[];
+    const arrivals = getWatchLaterArrivals(stored[WATCH_LATER_ADDED_AT_KEY] || {}, stored[VIDEO_FIRST_SEEN_KEY] || {});
+    const candidates = selectAutoCleanVideos(watchLater, stored[WATCHED_OVERRIDES_KEY] || {}, settings, now(), arrivals);
+    if (candidates.length === 0) {
+      await setStatus({ at: now(), removed: 0, failed: 0 });
+      return 0;
+    }
+
+    const job = await enqueue({
+      label: `Auto-clean: removing ${candidates.length} video(s) from Watch Later`,
+      items: candidates.map(({ video }) => ({
+        message: { type: 'REMOVE_FROM_WATCH_LATER', videoId: video.id, setVideoId: video.setVideoId! },
+        title: video.title,
+      })),
+      concurrency: settings.operationConcurrency,
+      retries: settings.operationRetries,
+    });
+    const pending: PendingAutoClean = {
+      jobId: job.id,
+      startedAt: now(),
+      videos: toPositionedHistoryVideos(watchLater, candidates),
+    };
+    await storage.set({ [AUTO_CLEAN_PENDING_KEY]: pending });
+    return candidates.length;
+  }
+
+  function handleJobFinished(job: JournalJob): Promise<void> {
+    return queueHistoryWrite(() => recordFinishedJob(job));
+  }
+
+  function saveHistory(entries: HistoryEntry[]): Promise<void> {
+    return queueHistoryWrite(async () => {
+      const stored = await storage.get([UNDO_HISTORY_KEY]);
+      const history = Array.isArray(stored[UNDO_HISTORY_KEY]) ? stored[UNDO_HISTORY_KEY] : [];
+      await storage.set({ [UNDO_HISTORY_KEY]: mergeUndoHistory(history, entries) });
+    });
+  }
+
+  async function recordFinishedJob(job: JournalJob): Promise<void> {
+    const stored = await storage.get([AUTO_CLEAN_PENDING_KEY, UNDO_HISTORY_KEY, CHANNEL_STATS_KEY, WATCH_LATER_ADDED_AT_KEY]);
+    const pending: PendingAutoClean | undefined = stored[AUTO_CLEAN_PENDING_KEY];
+    if (!pending || pending.jobId !== job.id) return;
+
+    const removed = pending.videos.filter((_, index) => job.items[index]?.state === 'done');
+    const updates: Record<string, unknown> = {};
+    if (removed.length > 0) {
+      const history = Array.isArray(stored[UNDO_HISTORY_KEY]) ? stored[UNDO_HISTORY_KEY] : [];
+      updates[UNDO_HISTORY_KEY] = [...history, createAutoCleanHistoryEntry(removed, job, now())].slice(-MAX_HISTORY_ENTRIES);
+      const recorded = recordWatchLaterRemovals(
+        stored[CHANNEL_STATS_KEY] || {},
+        stored[WATCH_LATER_ADDED_AT_KEY] || {},
+        removed.map(video => ({
+          videoId: video.id,
+          channelId: video.channelId || '',
+          channel: video.channel,
+          progress: video.progress ?? 0,
+          moved: false,
+        })),
+        now(),
+      );
+      updates[CHANNEL_STATS_KEY] = recorded.stats;
+      updates[WATCH_LATER_ADDED_AT_KEY] = recorded.addedAt;
+    }
+    updates[AUTO_CLEAN_STATUS_KEY] = {
+      at: now(),
+      removed: removed.length,
+      failed: job.items.filter(item => item.state === 'failed').length,
+    } satisfies AutoCleanStatus;
+    await storage.set(updates);
+    await storage.remove(AUTO_CLEAN_PENDING_KEY);
+  }
+
+  return { syncAlarm, run, handleJobFinished, saveHistory };
+}
@@ -5,18 +5,35 @@
  * content script running on YouTube pages.
  *
  * ARCHITECTURE OVERVIEW:
- * ┌─────────────┐     chrome.runtime     ┌──────────────────┐     chrome.tabs     ┌─────────────┐
+ * ┌─────────────┐    runtime Port        ┌──────────────────┐     tabs Port       ┌─────────────┐
  * │  Dashboard  │ ──────────────────────►│ Background Worker│ ───────────────────►│Content Script│
  * │ (dashboard) │ ◄────────────────────── │   (background)   │ ◄───────────────────│  (content)   │
- * └─────────────┘     sendResponse        └──────────────────┘    sendResponse     └─────────────┘
+ * └─────────────┘   progress/response     └──────────────────┘  progress/response  └─────────────┘
  *
  * MESSAGE FLOW:
- * 1. Dashboard sends message via chrome.runtime.sendMessage()
- * 2. Background worker receives message, validates source
- * 3. Background worker finds/creates YouTube tab
- * 4. Background worker relays message via chrome.tabs.sendMessage()
- * 5. Content script executes InnerTube API call
- * 6. Response flows back through the same chain
+ * 1. Dashboard posts a request envelope on its RPC_PORT_NAME port
+ * 2. Background worker receives it, validates source and message type
+ * 3. Background worker finds/creates YouTube tab and opens one shared port into it
+ * 4. Background worker relays the request over that port with a new request ID
+ * 5. Content script executes InnerTube API call, posting progress as it goes
+ * 6. Progress and the response flow back through the same chain; cancels and
+ *    disconnects flow forward and abort the work in the content script
+ *
+ * One-shot chrome.runtime.sendMessage() requests (popup, options) use the
+ * same shared tab port. See messaging.ts for the envelope format.
+ *
+ * OPERATION JOURNAL:
+ * Bulk operations arrive as JOURNAL_ENQUEUE and are executed here, item by
+ * item, from a journal persisted in chrome.storage (see journal.ts). Unfinished
+ * jobs resume whenever the worker starts, a periodic alarm wakes the worker
+ * while jobs remain, and finished jobs are reported with a notification.
+ *
+ * AUTO-CLEAN:
+ * When enabled on the settings page, another alarm periodically removes
+ * watched or old videos from Watch Later through the journal and records
+ * them in the dashboard's undo history (see autoclean.ts). The dashboard
+ * saves that history through here too (HISTORY_SAVE), so the two writers
+ * are queued instead of overwriting each other.
  *
  * WHY THIS ARCHITECTURE?
  * - Content scripts can only run on matching URL patterns (youtube.com)
@@ -31,6 +48,26 @@
  */
 
 import { MessageType } from './types';
+import {
+  RPC_PORT_NAME,
+  RpcChannel,
+  RpcRequestOptions,
+  RpcResponse,
+  createRpcChannel,
+  serveRpcPort,
+} from './messaging';
+import {
+  NOTIFY_MIN_ITEMS,
+  JournalJob,
+  createChromeJournalStorage,
+  createJournalExecutor,
+  describeJobOutcome,
+  summarizeJournalJob,
+} from './journal';
+import { AUTO_CLEAN_ALARM, SETTINGS_STORAGE_KEY, createAutoCleaner } from './autoclean';
+
+type JournalMessage = Extract<MessageType, { type: 'JOURNAL_ENQUEUE' | 'JOURNAL_CONTROL' | 'JOURNAL_CLEAR' }>;
+type HistoryMessage = Extract<MessageType, { type: 'HISTORY_SAVE' }>;
 
 type ControlMessage =
   | { type: 'OPEN_DASHBOARD' }
@@ -38,8 +75,13 @@ type ControlMessage =
 
 // Singleton promise to prevent race conditions when multiple messages arrive simultaneously
 let youTubeTabPromise: Promise<chrome.tabs.Tab> | null = null;
+// Shared port into the YouTube tab, opened on first request
+let tabChannelPromise: Promise<RpcChannel> | null = null;
 const sidePanelApi = (chrome as any).sidePanel;
 const SIDE_PANEL_PATH = 'dashboard.html?surface=sidepanel';
+// Wakes the worker to continue journal jobs if it was stopped mid-job
+const JOURNAL_ALARM = 'nutube-journal';
+const JOB_NOTIFICATION_PREFIX = 'nutube-job-';
 
 async function notifyDashboardFocusTarget(surface: 'sidepanel' | 'dashboard'): Promise<void> {
   try {
@@ -67,6 +109,7 @@ const relayableMessageTypes = new Set<string>([
   'SUBSCRIBE',
   'GET_CHANNEL_SUGGESTIONS',
   'GET_CHANNEL_VIDEOS',
+  'GET_VIDEO_DETAILS',
   'GET_PLAYLIST_VIDEOS',
   'REMOVE_FROM_PLAYLIST',
   'CREATE_PLAYLIST',
@@ -87,6 +130,17 @@ function isRelayableMessage(message: unknown): message is MessageType {
   return typeof type === 'string' && relayableMessageTypes.has(type);
 }
 
+function isJournalMessage(message: unknown): message is JournalMessage {
+  if (!message || typeof message !== 'object') return false;
+  const type = (message as { type?: unknown }).type;
+  return type === 'JOURNAL_ENQUEUE' || type === 'JOURNAL_CONTROL' || type === 'JOURNAL_CLEAR';
+}
+
+function isHistoryMessage(message: unknown): message is HistoryMessage {
+  if (!message || typeof message !== 'object') return false;
+  return (message as { type?: unknown }).type === 'HISTORY_SAVE';
+}
+
 function isTrustedExtensionPage(sender: chrome.runtime.MessageSender): boolean {
   if (sender.id !== chrome.runtime.id || !sender.url) return false;
 
@@ -146,17 +200,10 @@ async function getYouTubeTabImpl(): Promise<chrome.tabs.Tab> {
   return newTab;
 }
 
-// Send message to content script with retry
-async function sendToContentScript(message: MessageType, retryCount = 0): Promise<any> {
-  const tab = await getYouTubeTab();
-
-  if (!tab.id) {
-    throw new Error('Could not get YouTube tab ID');
-  }
-
+// Make sure the content script answers in the tab, injecting it if needed
+async function ensureContentScript(tabId: number, retryCount = 0): Promise<void> {
   try {
-    const response = await chrome.tabs.sendMessage(tab.id, message);
-    return response;
+    await chrome.tabs.sendMessage(tabId, { type: 'PING' } satisfies MessageType);
   } catch (error: any) {
     if (retryCount >= 2) {
       throw new Error(`Failed to communicate with YouTube tab after 3 attempts: ${error.message}`);
@@ -165,7 +212,7 @@ async function sendToContentScript(message: MessageType, retryCount = 0): Promis
     // Try injecting the content script
     try {
       await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
+        target: { tabId },
         files: ['content.js'],
       });
     } catch (injectError: any) {
@@ -174,7 +221,125 @@ async function sendToContentScript(message: MessageType, retryCount = 0): Promis
 
     // Wait and retry
     await new Promise(resolve => setTimeout(resolve, 500));
-    return sendToContentScript(message, retryCount + 1);
+    return ensureContentScript(tabId, retryCount + 1);
+  }
+}
+
+// Open (or reuse) the port into the YouTube tab. All requests share it.
+async function getTabChannel(): Promise<RpcChannel> {
+  if (tabChannelPromise) return tabChannelPromise;
+
+  tabChannelPromise = (async () => {
+    const tab = await getYouTubeTab();
+    if (!tab.id) {
+      throw new Error('Could not get YouTube tab ID');
+    }
+    await ensureContentScript(tab.id);
+
+    const port = chrome.tabs.connect(tab.id, { name: RPC_PORT_NAME });
+    return createRpcChannel(port, {
+      // Next request reconnects (e.g. after the YouTube tab was closed or reloaded)
+      onClose: () => { tabChannelPromise = null; },
+    });
+  })();
+
+  try {
+    return await tabChannelPromise;
+  } catch (error) {
+    tabChannelPromise = null;
+    throw error;
+  }
+}
+
+// Relay one request to the content script
+async function relayToContentScript(message: MessageType, options: RpcRequestOptions = {}): Promise<RpcResponse> {
+  try {
+    const channel = await getTabChannel();
+    return await channel.request(message, options);
+  } catch (error: any) {
+    return { success: false, error: error?.message || String(error) };
+  }
+}
+
+function notifyJobFinished(job: JournalJob): void {
+  const { failed } = summarizeJournalJob(job);
+  // Small jobs finish before anyone looks away; only report those that failed
+  if (job.items.length < NOTIFY_MIN_ITEMS && failed === 0) return;
+
+  chrome.notifications.create(`${JOB_NOTIFICATION_PREFIX}${job.id}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: job.status === 'cancelled' ? 'NuTube: operation cancelled' : 'NuTube: operation finished',
+    message: describeJobOutcome(job),
+  });
+}
+
+const journal = createJournalExecutor({
+  storage: createChromeJournalStorage(),
+  send: (message) => relayToContentScript(message),
+  onJobFinished: (job) => {
+    notifyJobFinished(job);
+    autoCleaner.handleJobFinished(job).catch(error => console.warn('[NuTube] Failed to record auto-clean:', error));
+  },
+  onActiveChange: (active) => {
+    if (active) {
+      chrome.alarms.create(JOURNAL_ALARM, { periodInMinutes: 1 });
+    } else {
+      chrome.alarms.clear(JOURNAL_ALARM);
+    }
+  },
+});
+
+const autoCleaner = createAutoCleaner({
+  storage: chrome.storage.local,
+  send: (message) => relayToContentScript(message),
+  enqueue: (request) => journal.enqueue(request),
+});
+
+function runAutoClean(): void {
+  autoCleaner.run().catch(error => console.warn('[NuTube] Auto-clean failed:', error));
+}
+
+function syncAutoCleanAlarm(): void {
+  autoCleaner.syncAlarm().catch(error => console.warn('[NuTube] Failed to schedule auto-clean:', error));
+}
+
+async function handleJournalMessage(message: JournalMessage): Promise<RpcResponse> {
+  switch (message.type) {
+    case 'JOURNAL_ENQUEUE': {
+      const items = message.job?.items;
+      if (!Array.isArray(items) || items.length === 0) {
+        return { success: false, error: 'Job has no items' };
+      }
+      // Journal items go straight to the content script, so hold them to the relay rules
+      if (!items.every(item => isRelayableMessage(item?.message))) {
+        return { success: false, error: 'Unsupported message type in job' };
+      }
+      const job = await journal.enqueue(message.job);
+      return { success: true, data: job.id };
+    }
+    case 'JOURNAL_CONTROL': {
+      const job = await journal.control(message.jobId, message.action);
+      return job
+        ? { success: true, data: job.id }
+        : { success: false, error: `Cannot ${message.action} this operation` };
+    }
+    case 'JOURNAL_CLEAR':
+      await journal.clearFinished();
+      return { success: true };
+  }
+}
+
+// The dashboard's history goes through the auto-cleaner so their writes don't overlap
+async function handleHistoryMessage(message: HistoryMessage): Promise<RpcResponse> {
+  if (!Array.isArray(message.entries)) {
+    return { success: false, error: 'History must be a list' };
+  }
+  try {
+    await autoCleaner.saveHistory(message.entries);
+    return { success: true };
+  } catch (error: any) {
+    return { success: false, error: error?.message || String(error) };
   }
 }
 
@@ -226,25 +391,75 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return false;
   }
 
+  if (isJournalMessage(message)) {
+    handleJournalMessage(message).then(sendResponse);
+    return true;
+  }
+
+  if (isHistoryMessage(message)) {
+    handleHistoryMessage(message).then(sendResponse);
+    return true;
+  }
+
   if (!isRelayableMessage(message)) {
     sendResponse({ success: false, error: 'Unsupported message type' });
     return false;
   }
 
   // Handle the async operation
-  (async () => {
-    try {
-      const response = await sendToContentScript(message);
-      sendResponse(response);
-    } catch (error: any) {
-      sendResponse({ success: false, error: error.message || String(error) });
-    }
-  })();
+  relayToContentScript(message).then(sendResponse);
 
   // Return true to indicate we will send response asynchronously
   return true;
 });
 
+// Port requests from extension pages: relayed to the content script with
+// progress and cancellation passed through in both directions.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== RPC_PORT_NAME) return;
+  if (!port.sender || !isTrustedExtensionPage(port.sender)) {
+    port.disconnect();
+    return;
+  }
+
+  serveRpcPort(port, async (message, context) => {
+    if (isJournalMessage(message)) {
+      return handleJournalMessage(message);
+    }
+    if (isHistoryMessage(message)) {
+      return handleHistoryMessage(message);
+    }
+    if (!isRelayableMessage(message)) {
+      return { success: false, error: 'Unsupported message type' };
+    }
+    return relayToContentScript(message, {
+      signal: context.signal,
+      onProgress: context.reportProgress,
+    });
+  });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === JOURNAL_ALARM) journal.resume();
+  if (alarm.name === AUTO_CLEAN_ALARM) runAutoClean();
+});
+
+// Reschedule auto-clean when it is switched on/off or its interval changes
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[SETTINGS_STORAGE_KEY]) syncAutoCleanAlarm();
+});
+
+// Registered so the worker starts with the browser and picks up unfinished jobs
+chrome.runtime.onStartup.addListener(() => {
+  journal.resume();
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(JOB_NOTIFICATION_PREFIX)) return;
+  chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+  chrome.notifications.clear(notificationId);
+});
+
 // Open dashboard when extension icon is clicked
 chrome.action.onClicked.addListener(() => {
   chrome.tabs.create({
@@ -280,4 +495,8 @@ chrome.commands.onCommand.addListener(async (command) => {
   }
 });
 
+// Continue any jobs left unfinished when the previous worker stopped
+journal.resume();
+syncAutoCleanAlarm();
+
 console.log('NuTube background service worker loaded');
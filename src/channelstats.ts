@@ -0,0 +1,88 @@
+/**
+ * NuTube Channel Statistics
+ *
+ * A local, per-channel record of what happened to the channel's videos when
+ * they left Watch Later: finished, deleted without being started, and how
+ * long they sat there first. Smart ranking turns it into a channel affinity
+ * term and the Channels tab shows it next to each subscription.
+ *
+ * Removals are recorded by the dashboard (mirrored in dashboard.js, which
+ * has no imports) and by the background auto-clean, both writing to the same
+ * chrome.storage.local keys.
+ */
+
+/** chrome.storage.local keys (must match dashboard.js) */
+export const CHANNEL_STATS_KEY = 'channelStats';
+/** When NuTube first saw each video in Watch Later, keyed by video ID */
+export const WATCH_LATER_ADDED_AT_KEY = 'watchLaterAddedAt';
+
+export interface ChannelStats {
+  /** Channel name when last recorded */
+  name: string;
+  /** Videos that were fully watched when they left Watch Later */
+  completed: number;
+  /** Videos deleted without any progress (moves to playlists don't count) */
+  deletedUnwatched: number;
+  /** Every video that left Watch Later */
+  removed: number;
+  /** Total time the timed removals spent in Watch Later */
+  dwellMs: number;
+  /** Removals whose arrival in Watch Later was known */
+  dwellCount: number;
+  updatedAt: number;
+}
+
+export type ChannelStatsMap = Record<string, ChannelStats>;
+
+export interface WatchLaterRemoval {
+  videoId: string;
+  channelId: string;
+  channel: string;
+  /** Watched progress (0-100) when it left, with the dashboard's overrides applied */
+  progress: number;
+  /** Moved to a playlist rather than deleted */
+  moved: boolean;
+}
+
+/**
+ * Add removals to the statistics. Returns updated copies; the removed videos'
+ * arrival times are dropped since they are no longer in Watch Later.
+ */
+export function recordWatchLaterRemovals(
+  stats: ChannelStatsMap,
+  addedAt: Record<string, number>,
+  removals: WatchLaterRemoval[],
+  now = Date.now(),
+): { stats: ChannelStatsMap; addedAt: Record<string, number> } {
+  const nextStats = { ...stats };
+  const nextAddedAt = { ...addedAt };
+  for (const removal of removals) {
+    if (!removal.channelId) continue;
+    const entry: ChannelStats = nextStats[removal.channelId]
+      ? { ...nextStats[removal.channelId] }
+      : { name: '', completed: 0, deletedUnwatched: 0, removed: 0, dwellMs: 0, dwellCount: 0, updatedAt: now };
+    entry.name = removal.channel || entry.name;
+    entry.removed += 1;
+    if (removal.progress >= 100) entry.completed += 1;
+    else if (removal.progress === 0 && !removal.moved) entry.deletedUnwatched += 1;
+    const arrivedAt = nextAddedAt[removal.videoId];
+    if (arrivedAt !== undefined && arrivedAt <= now) {
+      entry.dwellMs += now - arrivedAt;
+      entry.dwellCount += 1;
+    }
+    entry.updatedAt = now;
+    nextStats[removal.channelId] = entry;
+    delete nextAddedAt[removal.videoId];
+  }
+  return { stats: nextStats, addedAt: nextAddedAt };
+}
+
+/**
+ * How reliably you finish a channel's videos, 0-1: the completion rate
+ * against unwatched deletions, pulled toward 0.5 while there's little history.
+ */
+export function getChannelAffinity(stats: ChannelStats | undefined): number {
+  const completed = stats?.completed ?? 0;
+  const deletedUnwatched = stats?.deletedUnwatched ?? 0;
+  return (completed + 1) / (completed + deletedUnwatched + 2);
+}
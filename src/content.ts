@@ -40,11 +40,19 @@
  */
 
 import { MessageType } from './types';
+import { RPC_PORT_NAME, RpcHandlerContext, RpcResponse, serveRpcPort } from './messaging';
 import {
   parseVideoItem,
   parseSubscriptionVideoItem,
   parseLockupViewModel,
   parseRelativeTime,
+  parsePublishedTimestamp,
+  isRelativeTimeText,
+  isSubscriberCountText,
+  parseCountText,
+  parseVideoCountText,
+  parseVideoDetails,
+  VideoDetails,
 } from './parsers';
 
 // =============================================================================
@@ -69,6 +77,7 @@ interface Video {
   thumbnail: string;
   duration: string;
   publishedAt: string;
+  publishedTimestamp?: number;
   setVideoId?: string;
   watched?: boolean;
   progressPercent?: number;
@@ -108,6 +117,10 @@ const DEFAULT_CLIENT_VERSION = '2.20250109.00.00';
 const DEFAULT_CLIENT_NAME = 'WEB';
 const DEFAULT_RETRIES = 2;
 const RETRYABLE_STATUS_CODES = new Set([429, 500, 502, 503, 504]);
+/** Most videos a single GET_VIDEO_DETAILS request looks up */
+const MAX_DETAILS_BATCH = 50;
+/** Videos looked up at once (each costs a player and a next request) */
+const DETAILS_CONCURRENCY = 3;
 
 let cachedSettings: { value: NuTubeSettings; fetchedAt: number } | null = null;
 
@@ -253,18 +266,24 @@ async function innertubeRequest(endpoint: string, body: object): Promise<any> {
   }
 }
 
-// Shared helper: fetch videos from any playlist by browse ID
-async function fetchPlaylistVideos(browseId: string): Promise<Video[]> {
-  const videos: Video[] = [];
-  let continuation: string | null = null;
-
-  const initialData = await innertubeRequest('browse', {
-    browseId,
-  });
+/** Progress reported after each playlist page while streaming */
+interface PlaylistPageProgress {
+  pagesLoaded: number;
+  loadedCount: number;
+  estimatedTotal: number | null;
+}
 
-  const contents = initialData.contents?.twoColumnBrowseResultsRenderer?.tabs?.[0]?.tabRenderer?.content?.sectionListRenderer?.contents?.[0]?.itemSectionRenderer?.contents?.[0]?.playlistVideoListRenderer?.contents || [];
+interface FetchPlaylistOptions {
+  /** Called with each page of newly parsed videos as soon as it arrives */
+  onPage?: (videos: Video[], progress: PlaylistPageProgress) => void;
+  /** Stops following continuations once aborted (videos fetched so far are returned) */
+  signal?: AbortSignal;
+}
 
-  for (const item of contents) {
+// Parse one page of playlist items, returning the next continuation token if any
+function parsePlaylistPage(items: any[], videos: Video[]): string | null {
+  let continuation: string | null = null;
+  for (const item of items) {
     if (item.playlistVideoRenderer) {
       const video = parseVideoItem(item);
       if (video) videos.push(video);
@@ -273,37 +292,54 @@ async function fetchPlaylistVideos(browseId: string): Promise<Video[]> {
       continuation = item.continuationItemRenderer.continuationEndpoint?.continuationCommand?.token;
     }
   }
+  return continuation;
+}
 
-  while (continuation) {
+// Shared helper: fetch videos from any playlist by browse ID
+async function fetchPlaylistVideos(browseId: string, options: FetchPlaylistOptions = {}): Promise<Video[]> {
+  const { onPage, signal } = options;
+  const videos: Video[] = [];
+  let pagesLoaded = 0;
+
+  const initialData = await innertubeRequest('browse', {
+    browseId,
+  });
+
+  const contents = initialData.contents?.twoColumnBrowseResultsRenderer?.tabs?.[0]?.tabRenderer?.content?.sectionListRenderer?.contents?.[0]?.itemSectionRenderer?.contents?.[0]?.playlistVideoListRenderer?.contents || [];
+  const estimatedTotal = onPage ? extractVideoCountFromPlaylistDetails(initialData) || null : null;
+
+  const reportPage = (page: Video[]) => {
+    pagesLoaded++;
+    videos.push(...page);
+    onPage?.(page, { pagesLoaded, loadedCount: videos.length, estimatedTotal });
+  };
+
+  const firstPage: Video[] = [];
+  let continuation = parsePlaylistPage(contents, firstPage);
+  reportPage(firstPage);
+
+  while (continuation && !signal?.aborted) {
     const contData = await innertubeRequest('browse', {
       continuation,
     });
 
     const contContents = contData.onResponseReceivedActions?.[0]?.appendContinuationItemsAction?.continuationItems || [];
-    continuation = null;
-
-    for (const item of contContents) {
-      if (item.playlistVideoRenderer) {
-        const video = parseVideoItem(item);
-        if (video) videos.push(video);
-      }
-      if (item.continuationItemRenderer) {
-        continuation = item.continuationItemRenderer.continuationEndpoint?.continuationCommand?.token;
-      }
-    }
+    const page: Video[] = [];
+    continuation = parsePlaylistPage(contContents, page);
+    reportPage(page);
   }
 
   return videos;
 }
 
 // Fetch Watch Later playlist
-async function getWatchLater(): Promise<Video[]> {
-  return fetchPlaylistVideos('VLWL');
+async function getWatchLater(options: FetchPlaylistOptions = {}): Promise<Video[]> {
+  return fetchPlaylistVideos('VLWL', options);
 }
 
 // Fetch videos from a specific playlist
-async function getPlaylistVideos(playlistId: string): Promise<Video[]> {
-  return fetchPlaylistVideos('VL' + playlistId);
+async function getPlaylistVideos(playlistId: string, options: FetchPlaylistOptions = {}): Promise<Video[]> {
+  return fetchPlaylistVideos('VL' + playlistId, options);
 }
 
 // Extract video count from playlist lockupViewModel
@@ -319,20 +355,18 @@ function extractPlaylistVideoCount(lockup: any): number {
     // Check thumbnailOverlayBadgeViewModel
     const badges = overlay.thumbnailOverlayBadgeViewModel?.thumbnailBadges || [];
     for (const badge of badges) {
-      const text = badge.thumbnailBadgeViewModel?.text || '';
-      const match = text.match(/(\d+)\s*video/i);
-      if (match) {
-        return parseInt(match[1], 10);
+      const count = parseVideoCountText(badge.thumbnailBadgeViewModel?.text || '', getLocaleParts().hl);
+      if (count !== undefined) {
+        return count;
       }
     }
 
     // Check thumbnailBottomOverlayViewModel
     const bottomBadges = overlay.thumbnailBottomOverlayViewModel?.badges || [];
     for (const badge of bottomBadges) {
-      const text = badge.thumbnailBadgeViewModel?.text || '';
-      const match = text.match(/(\d+)\s*video/i);
-      if (match) {
-        return parseInt(match[1], 10);
+      const count = parseVideoCountText(badge.thumbnailBadgeViewModel?.text || '', getLocaleParts().hl);
+      if (count !== undefined) {
+        return count;
       }
     }
   }
@@ -342,13 +376,13 @@ function extractPlaylistVideoCount(lockup: any): number {
   if (collectionThumb) {
     // Sometimes video count is in accessibility text
     const accessibilityText = collectionThumb.accessibility?.accessibilityData?.label || '';
-    const match = accessibilityText.match(/(\d+)\s*video/i);
-    if (match) {
-      return parseInt(match[1], 10);
+    const count = parseVideoCountText(accessibilityText, getLocaleParts().hl);
+    if (count !== undefined) {
+      return count;
     }
   }
 
-  // Path 3: Deep search through entire lockup for any "X videos" text
+  // Path 3: Deep search through the lockup for a video count field
   const videoCountFromDeepSearch = findVideoCountInObject(lockup);
   if (videoCountFromDeepSearch > 0) {
     return videoCountFromDeepSearch;
@@ -357,21 +391,25 @@ function extractPlaylistVideoCount(lockup: any): number {
   return 0;
 }
 
-// Recursively search object for video count text
+// Renderer fields that hold a playlist's video count ("42 videos", or just "42")
+const VIDEO_COUNT_FIELDS = ['videoCountText', 'numVideosText', 'videoCountShortText'];
+
+// Recursively search object for a video count field; other text (titles,
+// descriptions) is left alone so numbers in it aren't taken for the count
 function findVideoCountInObject(obj: any, visited = new WeakSet()): number {
   if (!obj || typeof obj !== 'object') return 0;
   if (visited.has(obj)) return 0;
   visited.add(obj);
 
-  // Check if this object has a text/content property with video count
-  for (const key of ['text', 'content', 'simpleText', 'label']) {
-    const value = obj[key];
-    if (typeof value === 'string') {
-      const match = value.match(/(\d+)\s*video/i);
-      if (match) {
-        debugLog(`Found video count in ${key}:`, value);
-        return parseInt(match[1], 10);
-      }
+  for (const key of VIDEO_COUNT_FIELDS) {
+    const field = obj[key];
+    const value = typeof field === 'string'
+      ? field
+      : field?.runs?.map((r: any) => r.text).join('') || field?.simpleText || field?.content || '';
+    const count = parseCountText(value, getLocaleParts().hl);
+    if (count !== undefined) {
+      debugLog(`Found video count in ${key}:`, value);
+      return count;
     }
   }
 
@@ -568,10 +606,10 @@ function findPlaylistsInObject(obj: any, playlists: Playlist[], visited = new We
             const parts = row.metadataParts || [];
             for (const part of parts) {
               const text = part.text?.content || '';
-              // Match patterns like "42 videos", "1 video", "No videos"
-              const videoMatch = text.match(/(\d+)\s*video/i);
-              if (videoMatch) {
-                videoCount = parseInt(videoMatch[1], 10);
+              // Match patterns like "42 videos", "1 video", "42 Videos", "42 本の動画"
+              const count = parseVideoCountText(text, getLocaleParts().hl);
+              if (count !== undefined) {
+                videoCount = count;
                 debugLog('Found videoCount in metadata:', videoCount);
                 break;
               }
@@ -596,7 +634,7 @@ function findPlaylistsInObject(obj: any, playlists: Playlist[], visited = new We
       playlists.push({
         id: renderer.playlistId,
         title: renderer.title?.runs?.[0]?.text || renderer.title?.simpleText || 'Unknown',
-        videoCount: parseInt(renderer.videoCount || renderer.videoCountText?.runs?.[0]?.text || '0', 10),
+        videoCount: parseCountText(renderer.videoCount || renderer.videoCountText?.runs?.[0]?.text || '', getLocaleParts().hl) ?? 0,
         thumbnail: renderer.thumbnail?.thumbnails?.[0]?.url,
       });
     }
@@ -693,33 +731,24 @@ function extractVideoCountFromPlaylistDetails(data: any): number {
 
   // Pattern 1: playlistHeaderRenderer (common for playlists)
   const playlistHeader = header?.playlistHeaderRenderer;
+  const { hl } = getLocaleParts();
   if (playlistHeader) {
-    // Try stats array
+    // Try stats array; the number and "videos" are sometimes separate runs
     const stats = playlistHeader.stats || [];
     for (const stat of stats) {
-      const text = stat.runs?.[0]?.text || stat.simpleText || '';
-      const match = text.match(/(\d+)/);
-      if (match && text.toLowerCase().includes('video')) {
-        return parseInt(match[1], 10);
-      }
-      // Sometimes just the number is in runs, e.g., "42" followed by " videos"
-      if (match && stats.length > 0) {
-        const fullText = stats.map((s: any) =>
-          s.runs?.map((r: any) => r.text).join('') || s.simpleText || ''
-        ).join(' ');
-        const videoMatch = fullText.match(/(\d+)\s*video/i);
-        if (videoMatch) {
-          return parseInt(videoMatch[1], 10);
-        }
+      const text = stat.runs?.map((r: any) => r.text).join('') || stat.simpleText || '';
+      const count = parseVideoCountText(text, hl);
+      if (count !== undefined) {
+        return count;
       }
     }
 
     // Try numVideosText
     const numVideosText = playlistHeader.numVideosText?.runs?.[0]?.text ||
                           playlistHeader.numVideosText?.simpleText || '';
-    const numMatch = numVideosText.match(/(\d+)/);
-    if (numMatch) {
-      return parseInt(numMatch[1], 10);
+    const numVideos = parseCountText(numVideosText, hl);
+    if (numVideos !== undefined) {
+      return numVideos;
     }
   }
 
@@ -730,9 +759,9 @@ function extractVideoCountFromPlaylistDetails(data: any): number {
     if (primaryInfo?.stats) {
       for (const stat of primaryInfo.stats) {
         const text = stat.runs?.map((r: any) => r.text).join('') || stat.simpleText || '';
-        const match = text.match(/(\d+)\s*video/i);
-        if (match) {
-          return parseInt(match[1], 10);
+        const count = parseVideoCountText(text, hl);
+        if (count !== undefined) {
+          return count;
         }
       }
     }
@@ -835,11 +864,11 @@ async function renamePlaylist(playlistId: string, newTitle: string): Promise<{ s
   }
 }
 
-// Move video within a playlist (reorder)
+// Move video within a playlist (reorder); without a target it moves to the end
 async function movePlaylistVideo(
   playlistId: string,
   setVideoId: string,
-  targetSetVideoId: string
+  targetSetVideoId?: string | null
 ): Promise<{ success: boolean; error?: string }> {
   try {
     await innertubeRequest('browse/edit_playlist', {
@@ -847,7 +876,8 @@ async function movePlaylistVideo(
       actions: [{
         setVideoId,
         action: 'ACTION_MOVE_VIDEO_BEFORE',
-        movedSetVideoIdSuccessor: targetSetVideoId,
+        // A move with no successor puts the video last
+        ...(targetSetVideoId ? { movedSetVideoIdSuccessor: targetSetVideoId } : {}),
       }],
     });
     return { success: true };
@@ -966,9 +996,9 @@ function extractActivityInfo(obj: any): { lastUploadText?: string; lastUploadTim
   let lastUploadText: string | undefined;
   let lastUploadTimestamp: number | undefined;
 
-  // Helper to check if text contains time-ago pattern
+  // Helper to check if text is a relative time in any supported locale
   const checkForAgo = (text: string) => {
-    if (text && text.toLowerCase().includes('ago')) {
+    if (isRelativeTimeText(text)) {
       lastUploadText = text;
       lastUploadTimestamp = parseRelativeTime(text);
       return true;
@@ -1046,9 +1076,9 @@ function findChannelsInGuide(obj: any, channels: Channel[], continuation: { toke
         const parts = row.metadataParts || [];
         for (const part of parts) {
           const text = part.text?.content || '';
-          if (text.toLowerCase().includes('subscriber')) {
+          if (isSubscriberCountText(text)) {
             subscriberCount = text;
-          } else if (text.toLowerCase().includes('ago')) {
+          } else if (isRelativeTimeText(text)) {
             lastUploadText = text;
             lastUploadTimestamp = parseRelativeTime(text);
           }
@@ -1057,7 +1087,7 @@ function findChannelsInGuide(obj: any, channels: Channel[], continuation: { toke
 
       // Also check subtitle if available
       const subtitle = metadata?.subtitle?.content;
-      if (!lastUploadText && subtitle && subtitle.toLowerCase().includes('ago')) {
+      if (!lastUploadText && subtitle && isRelativeTimeText(subtitle)) {
         lastUploadText = subtitle;
         lastUploadTimestamp = parseRelativeTime(subtitle);
       }
@@ -1067,7 +1097,7 @@ function findChannelsInGuide(obj: any, channels: Channel[], continuation: { toke
       for (const overlay of overlays) {
         const badgeText = overlay.thumbnailBadgeViewModel?.text ||
                          overlay.thumbnailOverlayBadgeViewModel?.text || '';
-        if (!lastUploadText && badgeText.toLowerCase().includes('ago')) {
+        if (!lastUploadText && isRelativeTimeText(badgeText)) {
           lastUploadText = badgeText;
           lastUploadTimestamp = parseRelativeTime(badgeText);
         }
@@ -1253,6 +1283,41 @@ async function getChannelVideos(channelId: string): Promise<Video[]> {
   return videos;
 }
 
+// Fetch one video's details from the player and next endpoints
+async function getVideoDetailsFor(videoId: string): Promise<VideoDetails | null> {
+  const [player, next] = await Promise.all([
+    innertubeRequest('player', { videoId }),
+    // Likes and the members-only badge are only on the watch page; details are still useful without them
+    innertubeRequest('next', { videoId }).catch((error) => {
+      debugLog(`Could not fetch watch page data for ${videoId}:`, error);
+      return null;
+    }),
+  ]);
+  return parseVideoDetails(videoId, player, next);
+}
+
+// Fetch details for a batch of videos; videos that fail are left out of the result
+async function getVideoDetails(videoIds: string[], signal?: AbortSignal): Promise<Record<string, VideoDetails>> {
+  const queue = [...new Set(videoIds)].slice(0, MAX_DETAILS_BATCH);
+  const details: Record<string, VideoDetails> = {};
+
+  const worker = async () => {
+    while (queue.length > 0 && !signal?.aborted) {
+      const videoId = queue.shift()!;
+      try {
+        const result = await getVideoDetailsFor(videoId);
+        if (result) details[videoId] = result;
+      } catch (error) {
+        console.warn(`Could not fetch details for ${videoId}:`, error);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: DETAILS_CONCURRENCY }, worker));
+
+  debugLog(`Fetched details for ${Object.keys(details).length}/${videoIds.length} videos`);
+  return details;
+}
+
 // Helper to find videos in a channel's videos tab
 function findVideosInChannelTab(obj: any, videos: Video[], continuation: { token: string | null }, visited = new WeakSet()): void {
   if (!obj || typeof obj !== 'object') return;
@@ -1301,6 +1366,8 @@ function findVideosInChannelTab(obj: any, videos: Video[], continuation: { token
     const renderer = obj.gridVideoRenderer;
     const videoId = renderer.videoId;
     if (videoId && !videos.find(v => v.id === videoId)) {
+      const publishedAt = renderer.publishedTimeText?.simpleText || '';
+      const publishedTimestamp = parsePublishedTimestamp(renderer, publishedAt);
       videos.push({
         id: videoId,
         title: renderer.title?.runs?.[0]?.text || renderer.title?.simpleText || 'Unknown',
@@ -1308,7 +1375,8 @@ function findVideosInChannelTab(obj: any, videos: Video[], continuation: { token
         channelId: renderer.shortBylineText?.runs?.[0]?.navigationEndpoint?.browseEndpoint?.browseId || '',
         thumbnail: renderer.thumbnail?.thumbnails?.[0]?.url || `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg`,
         duration: renderer.thumbnailOverlays?.[0]?.thumbnailOverlayTimeStatusRenderer?.text?.simpleText || '',
-        publishedAt: renderer.publishedTimeText?.simpleText || '',
+        publishedAt,
+        ...(publishedTimestamp !== undefined ? { publishedTimestamp } : {}),
       });
     }
   }
@@ -1425,134 +1493,135 @@ window.addEventListener('yt-navigate-finish', ensureCompanionLauncher);
 window.addEventListener('popstate', ensureCompanionLauncher);
 setInterval(ensureCompanionLauncher, 5000);
 
-// Listen for messages from background script
-chrome.runtime.onMessage.addListener((message: MessageType, _sender, sendResponse) => {
-  (async () => {
-    try {
-      switch (message.type) {
-        case 'PING': {
-          sendResponse({ success: true, data: 'pong' });
-          break;
-        }
-        case 'GET_WATCH_LATER': {
-          const videos = await getWatchLater();
-          sendResponse({ success: true, data: videos });
-          break;
-        }
-        case 'GET_SUBSCRIPTIONS': {
-          const subVideos = await getSubscriptionFeed();
-          sendResponse({ success: true, data: subVideos });
-          break;
-        }
-        case 'GET_MORE_SUBSCRIPTIONS': {
-          const moreVideos = await getMoreSubscriptions();
-          sendResponse({ success: true, data: moreVideos });
-          break;
-        }
-        case 'GET_PLAYLISTS': {
-          const playlists = await getUserPlaylists();
-          sendResponse({ success: true, data: playlists });
-          break;
-        }
-        case 'REMOVE_FROM_WATCH_LATER': {
-          const result = await removeFromWatchLater(message.videoId, message.setVideoId);
-          sendResponse(result);
-          break;
-        }
-        case 'ADD_TO_PLAYLIST': {
-          const success = await addToPlaylist(message.videoId, message.playlistId);
-          sendResponse({ success });
-          break;
-        }
-        case 'ADD_TO_WATCH_LATER': {
-          const wlResult = await addToWatchLater(message.videoId);
-          sendResponse(wlResult);
-          break;
-        }
-        case 'MOVE_TO_TOP': {
-          const result = await moveToTop(message.setVideoId, message.firstSetVideoId);
-          sendResponse(result);
-          break;
-        }
-        case 'MOVE_TO_BOTTOM': {
-          const result = await moveToBottom(message.setVideoId, message.lastSetVideoId);
-          sendResponse(result);
-          break;
-        }
-        case 'MOVE_TO_PLAYLIST': {
-          const success = await moveToPlaylist(message.videoId, message.setVideoId, message.playlistId);
-          sendResponse({ success });
-          break;
-        }
-        case 'GET_CHANNELS': {
-          const channels = await getSubscribedChannels();
-          sendResponse({ success: true, data: channels });
-          break;
-        }
-        case 'GET_MORE_CHANNELS': {
-          const moreChannels = await getMoreChannels();
-          sendResponse({ success: true, data: moreChannels });
-          break;
-        }
-        case 'UNSUBSCRIBE': {
-          const result = await unsubscribeFromChannel(message.channelId);
-          sendResponse(result);
-          break;
-        }
-        case 'SUBSCRIBE': {
-          const result = await subscribeToChannel(message.channelId);
-          sendResponse(result);
-          break;
-        }
-        case 'GET_CHANNEL_SUGGESTIONS': {
-          const suggestions = await getChannelSuggestions(message.channelId);
-          sendResponse({ success: true, data: suggestions });
-          break;
-        }
-        case 'GET_CHANNEL_VIDEOS': {
-          const channelVideos = await getChannelVideos(message.channelId);
-          sendResponse({ success: true, data: channelVideos });
-          break;
-        }
-        case 'GET_PLAYLIST_VIDEOS': {
-          const plVideos = await getPlaylistVideos(message.playlistId);
-          sendResponse({ success: true, data: plVideos });
-          break;
-        }
-        case 'REMOVE_FROM_PLAYLIST': {
-          const rmResult = await removeFromPlaylist(message.videoId, message.setVideoId, message.playlistId);
-          sendResponse(rmResult);
-          break;
-        }
-        case 'CREATE_PLAYLIST': {
-          const cpResult = await createPlaylist(message.title);
-          sendResponse(cpResult);
-          break;
-        }
-        case 'DELETE_PLAYLIST': {
-          const dpResult = await deletePlaylist(message.playlistId);
-          sendResponse(dpResult);
-          break;
-        }
-        case 'RENAME_PLAYLIST': {
-          const rpResult = await renamePlaylist(message.playlistId, message.newTitle);
-          sendResponse(rpResult);
-          break;
-        }
-        case 'MOVE_PLAYLIST_VIDEO': {
-          const mpvResult = await movePlaylistVideo(message.playlistId, message.setVideoId, message.targetSetVideoId);
-          sendResponse(mpvResult);
-          break;
-        }
-        default:
-          sendResponse({ success: false, error: 'Unknown message type' });
+// Report each playlist page as a progress event and stop paging once cancelled
+function pageReporter(context: RpcHandlerContext): FetchPlaylistOptions {
+  return {
+    signal: context.signal,
+    onPage: (videos, progress) => context.reportProgress({ kind: 'page', videos, ...progress }),
+  };
+}
+
+// Execute one request from the dashboard (via the background worker)
+async function handleMessage(message: MessageType, context: RpcHandlerContext): Promise<RpcResponse> {
+  try {
+    switch (message.type) {
+      case 'PING': {
+        return { success: true, data: 'pong' };
+      }
+      case 'GET_WATCH_LATER': {
+        const videos = await getWatchLater(pageReporter(context));
+        return { success: true, data: videos };
+      }
+      case 'GET_SUBSCRIPTIONS': {
+        const subVideos = await getSubscriptionFeed();
+        return { success: true, data: subVideos };
+      }
+      case 'GET_MORE_SUBSCRIPTIONS': {
+        const moreVideos = await getMoreSubscriptions();
+        return { success: true, data: moreVideos };
+      }
+      case 'GET_PLAYLISTS': {
+        const playlists = await getUserPlaylists();
+        return { success: true, data: playlists };
+      }
+      case 'REMOVE_FROM_WATCH_LATER': {
+        const result = await removeFromWatchLater(message.videoId, message.setVideoId);
+        return result;
       }
-    } catch (error) {
-      console.warn('[NuTube] Content script error:', error);
-      sendResponse({ success: false, error: String(error) });
+      case 'ADD_TO_PLAYLIST': {
+        const success = await addToPlaylist(message.videoId, message.playlistId);
+        return { success };
+      }
+      case 'ADD_TO_WATCH_LATER': {
+        const wlResult = await addToWatchLater(message.videoId);
+        return wlResult;
+      }
+      case 'MOVE_TO_TOP': {
+        const result = await moveToTop(message.setVideoId, message.firstSetVideoId);
+        return result;
+      }
+      case 'MOVE_TO_BOTTOM': {
+        const result = await moveToBottom(message.setVideoId, message.lastSetVideoId);
+        return result;
+      }
+      case 'MOVE_TO_PLAYLIST': {
+        const success = await moveToPlaylist(message.videoId, message.setVideoId, message.playlistId);
+        return { success };
+      }
+      case 'GET_CHANNELS': {
+        const channels = await getSubscribedChannels();
+        return { success: true, data: channels };
+      }
+      case 'GET_MORE_CHANNELS': {
+        const moreChannels = await getMoreChannels();
+        return { success: true, data: moreChannels };
+      }
+      case 'UNSUBSCRIBE': {
+        const result = await unsubscribeFromChannel(message.channelId);
+        return result;
+      }
+      case 'SUBSCRIBE': {
+        const result = await subscribeToChannel(message.channelId);
+        return result;
+      }
+      case 'GET_CHANNEL_SUGGESTIONS': {
+        const suggestions = await getChannelSuggestions(message.channelId);
+        return { success: true, data: suggestions };
+      }
+      case 'GET_CHANNEL_VIDEOS': {
+        const channelVideos = await getChannelVideos(message.channelId);
+        return { success: true, data: channelVideos };
+      }
+      case 'GET_VIDEO_DETAILS': {
+        const details = await getVideoDetails(message.videoIds, context.signal);
+        return { success: true, data: details };
+      }
+      case 'GET_PLAYLIST_VIDEOS': {
+        const plVideos = await getPlaylistVideos(message.playlistId, pageReporter(context));
+        return { success: true, data: plVideos };
+      }
+      case 'REMOVE_FROM_PLAYLIST': {
+        const rmResult = await removeFromPlaylist(message.videoId, message.setVideoId, message.playlistId);
+        return rmResult;
+      }
+      case 'CREATE_PLAYLIST': {
+        const cpResult = await createPlaylist(message.title);
+        return cpResult;
+      }
+      case 'DELETE_PLAYLIST': {
+        const dpResult = await deletePlaylist(message.playlistId);
+        return dpResult;
+      }
+      case 'RENAME_PLAYLIST': {
+        const rpResult = await renamePlaylist(message.playlistId, message.newTitle);
+        return rpResult;
+      }
+      case 'MOVE_PLAYLIST_VIDEO': {
+        const mpvResult = await movePlaylistVideo(message.playlistId, message.setVideoId, message.targetSetVideoId);
+        return mpvResult;
+      }
+      default:
+        return { success: false, error: 'Unknown message type' };
     }
-  })();
+  } catch (error) {
+    console.warn('[NuTube] Content script error:', error);
+    return { success: false, error: String(error) };
+  }
+}
+
+// Port requests from the background worker (progress, cancellation, heartbeats)
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== RPC_PORT_NAME) return;
+  serveRpcPort(port, handleMessage);
+});
 
+// One-shot messages; the background worker uses PING here to check the script is injected
+chrome.runtime.onMessage.addListener((message: MessageType, _sender, sendResponse) => {
+  const context: RpcHandlerContext = {
+    signal: new AbortController().signal,
+    reportProgress: () => {},
+  };
+  handleMessage(message, context).then(sendResponse);
   return true; // Keep the message channel open for async response
 });
 
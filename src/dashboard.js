@@ -18,13 +18,19 @@
  * - filteredVideos[]: Search-filtered subset of videos
  * - selectedIndices: Set of selected video indices (supports multi-select)
  * - focusedIndex: Currently focused item (cursor position)
- * - undoStack[]: History for undo operations (per-video and per-channel)
+ * - undoHistory[]: Persisted history of every mutation, undoable from the timeline (U)
  *
  * COMMUNICATION:
  * Uses chrome.runtime.sendMessage() to communicate with the background worker,
  * which relays messages to the content script running on YouTube.
  * See types.ts for the message protocol.
  *
+ * LOCAL LIBRARY:
+ * Every list fetched from YouTube is cached in IndexedDB (see LIBRARY CACHE).
+ * On startup the dashboard renders from the cache, then reconciles with a fresh
+ * fetch and reports what was added, removed or reordered. If YouTube cannot be
+ * reached, cached lists stay visible in read-only offline mode.
+ *
  * RENDERING:
  * DOM is updated via innerHTML with template strings. The render functions
  * (renderVideos, renderChannels, renderPlaylists) rebuild the entire list.
@@ -35,11 +41,30 @@
 // CONSTANTS
 // =============================================================================
 
-/** Maximum items in the undo stack for video operations */
+/** Maximum entries kept in the undo history (videos, channels and playlists) */
 const MAX_UNDO = 50;
 
-/** Maximum items in the undo stack for channel operations */
-const MAX_CHANNEL_UNDO = 50;
+/** History actions that record each video's original successor so undo can put it back in place */
+const REPOSITIONED_ACTIONS = new Set([
+  'delete', 'delete_from_playlist', 'move_to_playlist',
+  'move_to_top', 'move_to_bottom', 'move_up', 'move_down',
+]);
+
+/** Message fields holding a setVideoId, which YouTube reissues when a video is re-added */
+const SET_VIDEO_ID_FIELDS = ['setVideoId', 'firstSetVideoId', 'lastSetVideoId', 'targetSetVideoId'];
+
+/** chrome.storage.local key of the operation journal (must match JOURNAL_STORAGE_KEY in journal.ts) */
+const JOURNAL_STORAGE_KEY = 'operationJournal';
+
+/** chrome.storage.local key of the first-seen record per video (see recordFirstSeen) */
+const VIDEO_FIRST_SEEN_KEY = 'videoFirstSeen';
+
+/** Age after which first-seen records of videos missing from the loaded lists are dropped (ms) */
+const FIRST_SEEN_TTL_MS = 180 * 24 * 60 * 60 * 1000;
+
+/** chrome.storage.local keys of the channel statistics (must match channelstats.ts) */
+const CHANNEL_STATS_KEY = 'channelStats';
+const WATCH_LATER_ADDED_AT_KEY = 'watchLaterAddedAt';
 
 /** Debounce delay for infinite scroll loading (ms) */
 const LOAD_DEBOUNCE_MS = 500;
@@ -68,6 +93,36 @@ const SCROLL_DEBOUNCE_MS = 100;
 /** Approximate height of a video item for page size calculation (px) */
 const VIDEO_ITEM_HEIGHT_PX = 80;
 
+/** IndexedDB database holding the local library cache */
+const LIBRARY_DB_NAME = 'nutube-library';
+
+/** Library schema version (bump when object stores change) */
+const LIBRARY_DB_VERSION = 2;
+
+/** Age after which cached video details are fetched again (ms) */
+const VIDEO_DETAILS_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Age after which a video YouTube returned no details for is asked about again (ms) */
+const MISSING_VIDEO_DETAILS_TTL_MS = 24 * 60 * 60 * 1000;
+
+/** Playlist the watch queue (Q) is written to, replacing the previous queue */
+const QUEUE_PLAYLIST_TITLE = 'NuTube Queue';
+
+/** Most videos YouTube's watch_videos link accepts */
+const MAX_YOUTUBE_QUEUE_LENGTH = 50;
+
+/** Videos per GET_VIDEO_DETAILS request (the content script caps this at 50) */
+const VIDEO_DETAILS_BATCH_SIZE = 25;
+
+/** Port name for requests to the background worker (must match RPC_PORT_NAME in messaging.ts) */
+const RPC_PORT_NAME = 'nutube-rpc';
+
+/** Heartbeat interval while requests are pending (ms, matches messaging.ts) */
+const RPC_HEARTBEAT_INTERVAL_MS = 15000;
+
+/** Silence after which the background port is considered dead (ms, matches messaging.ts) */
+const RPC_HEARTBEAT_TIMEOUT_MS = 45000;
+
 /** Enable debug logging (set to false in production) */
 const DEBUG = false;
 
@@ -109,6 +164,7 @@ let focusedIndex = 0;
 let visualModeStart = null;
 let visualBlockMode = false; // true = block mode (V), false = line mode (v)
 let searchQuery = '';
+let queryAutocomplete = null; // { input, start, end, prefix, options, index } while suggestions show
 let modalFocusedIndex = 0;
 let currentModalItems = [];
 let isModalOpen = false;
@@ -130,6 +186,14 @@ let channels = [];
 let filteredChannels = [];
 let isLoadingMore = false; // For infinite scroll
 let subscriptionsContinuationExhausted = false;
+let isWatchLaterStreaming = false; // Watch Later pages still arriving
+
+// Port to the background worker (see sendMessage); requests are matched by ID
+let rpcPort = null;
+const rpcPending = new Map();
+let rpcRequestCounter = 0;
+let rpcLastSeenAt = 0;
+let rpcHeartbeatTimer = null;
 let lastLoadTime = 0;
 
 // Channels state
@@ -150,9 +214,6 @@ let pendingUnsubscribe = null; // { channelId, index, timeoutId }
 // Keyboard navigation mode state
 let isKeyboardNavActive = false;
 
-// Channel undo stack (separate from videos)
-const channelUndoStack = [];
-
 // Quick move assignments: { 1: "playlistId", 2: "playlistId", ... }
 let quickMoveAssignments = {};
 
@@ -175,6 +236,24 @@ const DEFAULT_SETTINGS = {
     move: 'm',
     refresh: 'r',
   },
+  // One "<condition> -> <playlist>" per line, see parseAutoSortRules()
+  autoSortRules: '',
+  // Scheduled Watch Later cleanup run by the background worker (see autoclean.ts)
+  autoCleanEnabled: false,
+  autoCleanIntervalHours: 24,
+  autoCleanWatched: true,
+  autoCleanOlderThanDays: 0,
+  // Smart sort (I): weight of each term in explainVideoScore() and the preferred length
+  rankingWeights: {
+    recency: 0.55,
+    duration: 0.35,
+    progress: 0.7,
+    affinity: 0,
+    tags: 0,
+  },
+  rankingPreferredMinutes: 12,
+  // Comma-separated; empty means any tagged video gets the tags term
+  rankingBoostTags: '',
 };
 let nutubeSettings = { ...DEFAULT_SETTINGS };
 let smartSortEnabled = false;
@@ -188,8 +267,81 @@ let filteredPlaylists = [];
 let playlistSortMode = 'default'; // 'default', 'alpha', 'alpha-reverse', 'count-desc', 'count-asc'
 let themePref = 'auto'; // 'auto', 'light', 'dark'
 
-// Undo history
-const undoStack = [];
+// Undo history (persisted) and the in-memory list snapshots taken with each entry
+let undoHistory = [];
+const undoSnapshots = new Map();
+let isUndoInProgress = false;
+let isUndoTimelineOpen = false;
+let undoTimelineFocusedIndex = 0;
+
+// Export dialog (E): the list captured when it was opened
+let isExportOpen = false;
+let exportFocusedIndex = 0;
+let exportSource = null;
+
+// Import dialog (i): parsed file, resolved entries and the chosen target
+let isImportOpen = false;
+let importState = null;
+
+// Takeout importer: the dry-run plan shown before anything is written
+let isTakeoutOpen = false;
+let takeoutPlan = null;
+
+// Duplicates view (D): groups of copies found by the last scan
+let isDuplicatesOpen = false;
+let duplicateGroups = [];
+let duplicatesFocusedIndex = 0;
+let isScanningDuplicates = false;
+
+// Global search (F): every list indexed when the panel opens, and the hits for the query
+let isGlobalSearchOpen = false;
+let globalSearchLists = null;
+let globalSearchResults = [];
+let globalSearchFocusedIndex = 0;
+let isIndexingGlobalSearch = false;
+
+// Smart playlists: saved searches listed in the Playlists tab, evaluated locally
+let smartPlaylists = [];
+
+// Purge dialog (W): criteria, the data they need (subscriptions, playlists) and the preview
+let purgeState = null; // { criteria, context, matches, counts, loading }
+
+// Auto-sort (A): Watch Later matched against the rules from the settings page
+let isAutoSortOpen = false;
+let autoSortPlan = null; // { rules, errors, items: [{ video, rule, enabled }], focusedIndex }
+
+// Watch queue (Q): the best-ranked Watch Later videos that fit a time budget
+let isQueueOpen = false;
+let queuePlan = null; // { budgetSeconds, excludedIds, items: [{ video, remainingSeconds, score }], usedSeconds, focusedIndex }
+
+// Bulk operations: a mirror of the background worker's journal (see
+// runBulkOperation), plus callers waiting for their jobs to finish
+let operations = [];
+const operationWaiters = new Map();
+let isOperationsOpen = false;
+let operationsFocusedIndex = 0;
+
+// Local library cache (IndexedDB). Offline mode renders cached data read-only
+// when YouTube cannot be reached.
+let libraryDbPromise = null;
+let isOfflineMode = false;
+
+// Video details (publish date, views, likes, ...) by video ID, read from the
+// library and refreshed in batches after a list loads (see refreshVideoDetails).
+// Videos YouTube had no details for are kept as { id, missing: true, fetchedAt }.
+const videoDetails = new Map();
+const pendingVideoDetailIds = new Set();
+let isFetchingVideoDetails = false;
+let videoDetailsRenderFrame = null;
+
+// When NuTube first saw each video and the publish time it had then
+// (see recordFirstSeen): { [videoId]: { seenAt, publishedAt? } }
+let videoFirstSeen = {};
+
+// Channel statistics: what became of each channel's videos when they left
+// Watch Later, and when each video now in Watch Later was first seen there
+let channelStats = {};
+let watchLaterAddedAt = {};
 
 // Surface mode
 const isSidePanelSurface = new URLSearchParams(window.location.search).get('surface') === 'sidepanel';
@@ -230,6 +382,639 @@ function getPlaylistById(playlistId) {
   return playlistMap.get(playlistId);
 }
 
+// =============================================================================
+// LIBRARY CACHE
+// =============================================================================
+
+/**
+ * Open the IndexedDB library, creating its stores on first use.
+ *
+ * - videos / playlists / channels: entity records keyed by YouTube ID
+ * - lists: ordered membership per list key ('watchlater', 'subscriptions',
+ *   'playlists', 'channels' or 'playlist:<id>'), including per-list fields
+ *   such as setVideoId that differ between lists for the same video
+ * - details: per-video details from GET_VIDEO_DETAILS, keyed by video ID
+ * @returns {Promise<IDBDatabase>}
+ */
+function openLibraryDb() {
+  if (libraryDbPromise) return libraryDbPromise;
+
+  libraryDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const storeName of ['videos', 'playlists', 'channels', 'details']) {
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName, { keyPath: 'id' });
+        }
+      }
+      if (!db.objectStoreNames.contains('lists')) {
+        db.createObjectStore('lists', { keyPath: 'key' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  // Allow a later retry if opening failed (e.g. storage temporarily unavailable)
+  libraryDbPromise.catch(() => { libraryDbPromise = null; });
+  return libraryDbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve once a transaction commits
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Entity store holding the items of a list
+ * @param {string} listKey
+ * @returns {'videos'|'playlists'|'channels'}
+ */
+function getLibraryStoreName(listKey) {
+  if (listKey === 'playlists') return 'playlists';
+  if (listKey === 'channels') return 'channels';
+  return 'videos';
+}
+
+/**
+ * Replace a list in the library with freshly fetched items
+ * @param {string} listKey
+ * @param {Array<{id: string, setVideoId?: string}>} items
+ */
+async function saveLibraryList(listKey, items) {
+  const db = await openLibraryDb();
+  const storeName = getLibraryStoreName(listKey);
+  const tx = db.transaction([storeName, 'lists'], 'readwrite');
+  const store = tx.objectStore(storeName);
+  const now = Date.now();
+
+  const entries = [];
+  for (const item of items) {
+    if (!item?.id) continue;
+    const { setVideoId, ...record } = item;
+    store.put({ ...record, cachedAt: now });
+    entries.push(setVideoId ? { id: item.id, setVideoId } : { id: item.id });
+  }
+  tx.objectStore('lists').put({ key: listKey, entries, updatedAt: now });
+
+  await idbTransactionDone(tx);
+}
+
+/**
+ * Read a list back from the library in its cached order
+ * @param {string} listKey
+ * @returns {Promise<{items: object[], updatedAt: number}|null>} null when never cached
+ */
+async function loadLibraryList(listKey) {
+  const db = await openLibraryDb();
+  const storeName = getLibraryStoreName(listKey);
+  const tx = db.transaction([storeName, 'lists'], 'readonly');
+  const list = await idbRequest(tx.objectStore('lists').get(listKey));
+  if (!list) return null;
+
+  const store = tx.objectStore(storeName);
+  const records = await Promise.all(list.entries.map(entry => idbRequest(store.get(entry.id))));
+  const items = [];
+  list.entries.forEach((entry, index) => {
+    const record = records[index];
+    if (!record) return;
+    const item = { ...record };
+    delete item.cachedAt;
+    items.push(entry.setVideoId ? { ...item, setVideoId: entry.setVideoId } : item);
+  });
+  return { items, updatedAt: list.updatedAt };
+}
+
+/**
+ * Look up cached videos by ID, whichever list they were cached from
+ * @param {string[]} ids
+ * @returns {Promise<Map<string, object>>}
+ */
+async function loadLibraryVideos(ids) {
+  const db = await openLibraryDb();
+  const store = db.transaction('videos', 'readonly').objectStore('videos');
+  const records = await Promise.all(ids.map(id => idbRequest(store.get(id))));
+  return new Map(records.filter(Boolean).map(record => [record.id, record]));
+}
+
+/**
+ * Persist a freshly fetched list without blocking the UI
+ * @param {string} listKey
+ * @param {object[]} items
+ */
+function cacheLibraryList(listKey, items) {
+  saveLibraryList(listKey, items || []).catch(error => warnLog(`Failed to cache ${listKey}:`, error));
+}
+
+/**
+ * Length of the longest strictly increasing subsequence (patience sorting)
+ * @param {number[]} values
+ * @returns {number}
+ */
+function longestIncreasingSubsequenceLength(values) {
+  const tails = [];
+  for (const value of values) {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (tails[mid] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    tails[lo] = value;
+  }
+  return tails.length;
+}
+
+/**
+ * Compare a cached list with a fresh fetch.
+ * "reordered" counts the fewest items that must have moved to explain the new
+ * order, so moving one video to the top counts as 1 rather than shifting everything.
+ * @param {Array<{id: string}>} previous
+ * @param {Array<{id: string}>} next
+ * @returns {{added: object[], removed: object[], reordered: number}}
+ */
+function diffLibraryList(previous, next) {
+  const previousIds = new Set(previous.map(item => item.id));
+  const nextIds = new Set(next.map(item => item.id));
+  const added = next.filter(item => !previousIds.has(item.id));
+  const removed = previous.filter(item => !nextIds.has(item.id));
+
+  const previousIndex = new Map(
+    previous.filter(item => nextIds.has(item.id)).map((item, index) => [item.id, index])
+  );
+  const keptOrder = next.filter(item => previousIds.has(item.id)).map(item => previousIndex.get(item.id));
+  const reordered = keptOrder.length - longestIncreasingSubsequenceLength(keptOrder);
+
+  return { added, removed, reordered };
+}
+
+/**
+ * Summarize a library diff for toasts ('' when nothing changed)
+ * @param {{added: object[], removed: object[], reordered: number}} diff
+ * @returns {string}
+ */
+function formatLibraryDiff(diff) {
+  const parts = [];
+  if (diff.added.length > 0) parts.push(`${diff.added.length} added`);
+  if (diff.removed.length > 0) parts.push(`${diff.removed.length} removed`);
+  if (diff.reordered > 0) parts.push(`${diff.reordered} reordered`);
+  return parts.join(', ');
+}
+
+/**
+ * Diff fresh YouTube data against the cached copy, then replace the cache.
+ * @param {string} listKey
+ * @param {object[]} freshItems
+ * @returns {Promise<string>} Change summary ('' when unchanged or never cached)
+ */
+async function reconcileLibraryList(listKey, freshItems) {
+  let cached = null;
+  try {
+    cached = await loadLibraryList(listKey);
+  } catch (error) {
+    warnLog(`Failed to read cached ${listKey}:`, error);
+  }
+  cacheLibraryList(listKey, freshItems);
+  return cached ? formatLibraryDiff(diffLibraryList(cached.items, freshItems || [])) : '';
+}
+
+/**
+ * Populate in-memory lists from the library so the dashboard can render
+ * before any network round-trip.
+ * @returns {Promise<boolean>} Whether any cached list was restored
+ */
+async function hydrateFromLibrary() {
+  const keys = ['watchlater', 'subscriptions', 'playlists', 'channels'];
+  const [cachedWatchLater, cachedSubscriptions, cachedPlaylists, cachedChannels] = await Promise.all(
+    keys.map(key => loadLibraryList(key).catch(error => {
+      warnLog(`Failed to read cached ${key}:`, error);
+      return null;
+    }))
+  );
+
+  if (cachedWatchLater) {
+    watchLaterVideos = cachedWatchLater.items;
+    watchLaterCountEl.textContent = watchLaterVideos.length;
+  }
+  if (cachedSubscriptions) {
+    subscriptionVideos = cachedSubscriptions.items;
+    subscriptionsCountEl.textContent = subscriptionVideos.length;
+  }
+  if (cachedPlaylists) {
+    playlists = cachedPlaylists.items;
+    rebuildPlaylistMap();
+    playlistsCountEl.textContent = playlists.length;
+  }
+  if (cachedChannels) {
+    channels = cachedChannels.items;
+    rebuildChannelMap();
+    channelsCountEl.textContent = channels.length;
+  }
+
+  return Boolean(cachedWatchLater || cachedSubscriptions || cachedPlaylists || cachedChannels);
+}
+
+/**
+ * Whether the given tab already has data in memory (cached or fetched)
+ * @param {string} tab
+ * @returns {boolean}
+ */
+function hasLocalDataForTab(tab) {
+  if (tab === 'watchlater') return watchLaterVideos.length > 0;
+  if (tab === 'subscriptions') return subscriptionVideos.length > 0;
+  if (tab === 'channels') return channels.length > 0;
+  if (tab === 'playlists') return playlists.length > 0;
+  return false;
+}
+
+/**
+ * Enter or leave read-only offline mode
+ * @param {boolean} offline
+ * @param {string} [reason] - Error that caused the switch, shown in the status bar
+ */
+function setOfflineMode(offline, reason = '') {
+  isOfflineMode = offline;
+  offlineIndicatorEl?.classList.toggle('active', offline);
+  if (offline) {
+    setStatus(`Offline: showing cached library (read-only)${reason ? ` · ${reason}` : ''}`, 'error');
+  }
+}
+
+/**
+ * Guard for mutating actions while offline
+ * @returns {boolean} Whether the action may proceed
+ */
+function ensureWritable() {
+  if (!isOfflineMode) return true;
+  showToast('Offline: cached library is read-only. Press r to reconnect.', 'error');
+  return false;
+}
+
+/**
+ * Write in-memory lists back to the library so local edits (deletes, moves)
+ * are not reported as remote changes on the next start.
+ */
+function persistLibrarySnapshot() {
+  if (isOfflineMode) return;
+  // Edits reassign `videos`, so the visible list is the up-to-date one
+  const liveWatchLater = currentTab === 'watchlater' ? videos : watchLaterVideos;
+  if (!isWatchLaterStreaming && liveWatchLater.length > 0) cacheLibraryList('watchlater', liveWatchLater);
+  if (playlists.length > 0) cacheLibraryList('playlists', playlists);
+  if (channels.length > 0) cacheLibraryList('channels', channels);
+  if (activePlaylistId && playlistBrowserLevel === 'videos' && !isSmartPlaylistId(activePlaylistId)) {
+    cacheLibraryList(`playlist:${activePlaylistId}`, videos);
+  }
+}
+
+
+// =============================================================================
+// VIDEO DETAILS
+// =============================================================================
+
+/**
+ * Read cached details for the given videos
+ * @param {string[]} ids
+ * @returns {Promise<Map<string, object>>}
+ */
+async function loadCachedVideoDetails(ids) {
+  const db = await openLibraryDb();
+  const store = db.transaction('details', 'readonly').objectStore('details');
+  const records = await Promise.all(ids.map(id => idbRequest(store.get(id))));
+  return new Map(records.filter(Boolean).map(record => [record.id, record]));
+}
+
+/**
+ * Store freshly fetched details
+ * @param {object[]} records - Details with their fetchedAt time
+ */
+async function saveVideoDetails(records) {
+  const db = await openLibraryDb();
+  const tx = db.transaction('details', 'readwrite');
+  const store = tx.objectStore('details');
+  for (const record of records) store.put(record);
+  await idbTransactionDone(tx);
+}
+
+/**
+ * Details fetched for a video, if any
+ * @param {object} video
+ * @returns {object|null} See VideoDetails in parsers.ts
+ */
+function getVideoDetails(video) {
+  const record = videoDetails.get(video.id);
+  return record && !record.missing ? record : null;
+}
+
+/** Re-render once per frame however many detail batches arrive in it */
+function scheduleVideoDetailsRender() {
+  if (videoDetailsRenderFrame !== null) return;
+  videoDetailsRenderFrame = requestAnimationFrame(() => {
+    videoDetailsRenderFrame = null;
+    if (currentTab !== 'channels') renderCurrentView();
+  });
+}
+
+async function loadVideoFirstSeen() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([VIDEO_FIRST_SEEN_KEY], (result) => {
+      videoFirstSeen = result[VIDEO_FIRST_SEEN_KEY] || {};
+      resolve();
+    });
+  });
+}
+
+async function saveVideoFirstSeen() {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [VIDEO_FIRST_SEEN_KEY]: videoFirstSeen }, resolve);
+  });
+}
+
+/**
+ * Remember when each video of a freshly loaded list was first seen, with the
+ * publish time it had then. YouTube's relative text only gets coarser as a
+ * video ages ("5 hours ago", later "1 month ago"), so the first estimate is
+ * kept rather than re-derived on every load.
+ * @param {object[]} list
+ */
+function recordFirstSeen(list) {
+  const now = Date.now();
+  let changed = false;
+  for (const video of list) {
+    if (!video?.id || getUnavailableReason(video)) continue;
+    const entry = videoFirstSeen[video.id];
+    if (!entry) {
+      videoFirstSeen[video.id] = video.publishedTimestamp
+        ? { seenAt: now, publishedAt: video.publishedTimestamp }
+        : { seenAt: now };
+      changed = true;
+    } else if (entry.publishedAt === undefined && video.publishedTimestamp) {
+      entry.publishedAt = video.publishedTimestamp;
+      changed = true;
+    }
+  }
+  if (changed) saveVideoFirstSeen().catch(error => warnLog('Failed to save first-seen times:', error));
+}
+
+/** Drop first-seen records of videos that haven't been loaded for FIRST_SEEN_TTL_MS */
+async function pruneFirstSeen(loadedVideoIds) {
+  const now = Date.now();
+  const pruned = Object.fromEntries(
+    Object.entries(videoFirstSeen).filter(([videoId, entry]) =>
+      loadedVideoIds.has(videoId) || (now - entry.seenAt) <= FIRST_SEEN_TTL_MS
+    )
+  );
+  if (Object.keys(pruned).length !== Object.keys(videoFirstSeen).length) {
+    videoFirstSeen = pruned;
+    await saveVideoFirstSeen();
+  }
+}
+
+/**
+ * When a video was published: the exact date from its details, else the
+ * estimate recorded when NuTube first saw it, else the one from this load
+ * @param {object} video
+ * @returns {number|undefined}
+ */
+function getPublishedTimestamp(video) {
+  return getVideoDetails(video)?.publishedTimestamp
+    ?? videoFirstSeen[video.id]?.publishedAt
+    ?? video.publishedTimestamp;
+}
+
+/** Badges for VideoDetails.live (must match LiveStatus in parsers.ts); replays get none */
+const LIVE_STATUS_LABELS = {
+  live: 'Live',
+  upcoming: 'Upcoming',
+  premiere: 'Premiere',
+};
+
+const compactCountFormat = new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 });
+
+/**
+ * What a video's details add to its row: badges and a "1.2M views · 5 Mar 2024" line
+ * @param {object} video
+ * @returns {{ badges: string[], summary: string }}
+ */
+function describeVideoDetails(video) {
+  const details = getVideoDetails(video);
+  if (!details) return { badges: [], summary: '' };
+
+  const badges = [];
+  if (LIVE_STATUS_LABELS[details.live]) badges.push(LIVE_STATUS_LABELS[details.live]);
+  if (details.membersOnly) badges.push('Members');
+
+  const parts = [];
+  if (details.viewCount !== undefined) parts.push(`${compactCountFormat.format(details.viewCount)} views`);
+  const date = details.scheduledTimestamp ?? details.publishedTimestamp;
+  if (date !== undefined) parts.push(new Date(date).toLocaleDateString(undefined, { dateStyle: 'medium' }));
+  return { badges, summary: parts.join(' · ') };
+}
+
+/**
+ * Make details available for a list: cached ones right away, missing or
+ * stale ones fetched from YouTube in batches. Calls made while a fetch is
+ * running add their videos to it.
+ * @param {object[]} list
+ */
+async function refreshVideoDetails(list) {
+  const ids = [...new Set(list.filter(video => video?.id && !getUnavailableReason(video)).map(video => video.id))];
+  if (ids.length === 0) return;
+
+  try {
+    const cached = await loadCachedVideoDetails(ids.filter(id => !videoDetails.has(id)));
+    for (const [id, record] of cached) videoDetails.set(id, record);
+    if (cached.size > 0) scheduleVideoDetailsRender();
+  } catch (error) {
+    warnLog('Failed to read cached video details:', error);
+  }
+  if (isOfflineMode) return;
+
+  const now = Date.now();
+  for (const id of ids) {
+    const record = videoDetails.get(id);
+    const ttl = record?.missing ? MISSING_VIDEO_DETAILS_TTL_MS : VIDEO_DETAILS_TTL_MS;
+    if (!record || now - record.fetchedAt > ttl) pendingVideoDetailIds.add(id);
+  }
+  if (isFetchingVideoDetails) return;
+
+  isFetchingVideoDetails = true;
+  try {
+    while (pendingVideoDetailIds.size > 0 && !isOfflineMode) {
+      const batch = [...pendingVideoDetailIds].slice(0, VIDEO_DETAILS_BATCH_SIZE);
+      batch.forEach(id => pendingVideoDetailIds.delete(id));
+      const result = await sendMessage({ type: 'GET_VIDEO_DETAILS', videoIds: batch });
+      if (!result.success) {
+        // Try again on the next load rather than hammering a failing connection
+        warnLog('Failed to fetch video details:', result.error);
+        pendingVideoDetailIds.clear();
+        break;
+      }
+
+      // Remember the videos YouTube returned nothing for (private, deleted) so
+      // they aren't asked about on every load; details fetched before are kept
+      const fetchedAt = Date.now();
+      const found = result.data || {};
+      const records = batch.map(id => {
+        if (found[id]) return { ...found[id], fetchedAt };
+        const previous = videoDetails.get(id);
+        return previous && !previous.missing ? { ...previous, fetchedAt } : { id, missing: true, fetchedAt };
+      });
+      for (const record of records) videoDetails.set(record.id, record);
+      saveVideoDetails(records).catch(error => warnLog('Failed to cache video details:', error));
+      if (records.some(record => !record.missing)) scheduleVideoDetailsRender();
+    }
+  } catch (error) {
+    warnLog('Failed to fetch video details:', error);
+    pendingVideoDetailIds.clear();
+  } finally {
+    isFetchingVideoDetails = false;
+  }
+}
+
+// =============================================================================
+// CHANNEL STATISTICS
+// =============================================================================
+
+async function loadChannelStats() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([CHANNEL_STATS_KEY, WATCH_LATER_ADDED_AT_KEY], (result) => {
+      channelStats = result[CHANNEL_STATS_KEY] || {};
+      watchLaterAddedAt = result[WATCH_LATER_ADDED_AT_KEY] || {};
+      resolve();
+    });
+  });
+}
+
+async function saveChannelStats() {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [CHANNEL_STATS_KEY]: channelStats, [WATCH_LATER_ADDED_AT_KEY]: watchLaterAddedAt }, resolve);
+  });
+}
+
+// The background auto-clean records its removals too
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes[WATCH_LATER_ADDED_AT_KEY]) watchLaterAddedAt = changes[WATCH_LATER_ADDED_AT_KEY].newValue || {};
+  if (!changes[CHANNEL_STATS_KEY]) return;
+  channelStats = changes[CHANNEL_STATS_KEY].newValue || {};
+  if (currentTab === 'channels') renderChannels();
+});
+
+/**
+ * When a video arrived in Watch Later, as far as NuTube knows: first seen in
+ * a loaded Watch Later, else first seen anywhere. Undefined if never seen.
+ */
+function getWatchLaterAddedAt(video) {
+  return watchLaterAddedAt[video.id] ?? videoFirstSeen[video.id]?.seenAt;
+}
+
+/**
+ * Note when each video was first seen in a fully loaded Watch Later, and
+ * forget videos that left it some other way (e.g. removed on YouTube).
+ */
+function trackWatchLaterArrivals(list) {
+  const now = Date.now();
+  const next = {};
+  let changed = false;
+  for (const video of list) {
+    next[video.id] = watchLaterAddedAt[video.id] ?? now;
+    if (!(video.id in watchLaterAddedAt)) changed = true;
+  }
+  if (!changed && Object.keys(watchLaterAddedAt).length === list.length) return;
+  watchLaterAddedAt = next;
+  saveChannelStats().catch(error => warnLog('Failed to save Watch Later arrivals:', error));
+}
+
+/**
+ * Add videos that just left Watch Later to their channels' statistics.
+ * Must match recordWatchLaterRemovals() in channelstats.ts.
+ * @param {Array<{ video: object, moved: boolean }>} removals
+ */
+function recordWatchLaterRemovals(removals) {
+  const now = Date.now();
+  for (const { video, moved } of removals) {
+    if (!video.channelId) continue;
+    const entry = channelStats[video.channelId]
+      ? { ...channelStats[video.channelId] }
+      : { name: '', completed: 0, deletedUnwatched: 0, removed: 0, dwellMs: 0, dwellCount: 0, updatedAt: now };
+    const progress = getWatchedProgress(video);
+    entry.name = video.channel || entry.name;
+    entry.removed += 1;
+    if (progress >= 100) entry.completed += 1;
+    else if (progress === 0 && !moved) entry.deletedUnwatched += 1;
+    const arrivedAt = watchLaterAddedAt[video.id];
+    if (arrivedAt !== undefined && arrivedAt <= now) {
+      entry.dwellMs += now - arrivedAt;
+      entry.dwellCount += 1;
+    }
+    entry.updatedAt = now;
+    channelStats[video.channelId] = entry;
+    delete watchLaterAddedAt[video.id];
+  }
+  saveChannelStats().catch(error => warnLog('Failed to save channel statistics:', error));
+}
+
+/** What recordWatchLaterRemovals() reads from a video, for copies that stand in for it */
+function toStatsFields(video) {
+  return { channel: video.channel, channelId: video.channelId, progressPercent: video.progressPercent };
+}
+
+/** Record the Watch Later removals and moves that succeeded in a bulk operation */
+function recordBulkWatchLaterRemovals(job, items, results) {
+  const removals = [];
+  job.items.forEach(({ message }, index) => {
+    if (!results[index]?.success) return;
+    if (message.type === 'REMOVE_FROM_WATCH_LATER' || message.type === 'MOVE_TO_PLAYLIST') {
+      removals.push({ video: items[index], moved: message.type === 'MOVE_TO_PLAYLIST' });
+    }
+  });
+  if (removals.length > 0) recordWatchLaterRemovals(removals);
+}
+
+/**
+ * How reliably you finish a channel's videos, 0-1, pulled toward 0.5 while
+ * there's little history. Must match getChannelAffinity() in channelstats.ts.
+ */
+function getChannelAffinity(stats) {
+  const completed = stats?.completed ?? 0;
+  const deletedUnwatched = stats?.deletedUnwatched ?? 0;
+  return (completed + 1) / (completed + deletedUnwatched + 2);
+}
+
+/** "3 finished, 1 deleted unwatched" / "no history yet" */
+function describeChannelHistory(stats) {
+  if (!stats || stats.completed + stats.deletedUnwatched === 0) return 'no history yet';
+  return `${stats.completed} finished, ${stats.deletedUnwatched} deleted unwatched`;
+}
+
+/** "2.5d" / "5h" */
+function formatDwellTime(ms) {
+  const hours = ms / (60 * 60 * 1000);
+  if (hours < 24) return `${Math.max(1, Math.round(hours))}h`;
+  const days = hours / 24;
+  return `${days < 10 ? days.toFixed(1).replace(/\.0$/, '') : Math.round(days)}d`;
+}
 
 // =============================================================================
 // KEYBOARD NAVIGATION MODE
@@ -275,6 +1060,7 @@ const modalPlaylists = document.getElementById('modal-playlists');
 const toastContainer = document.getElementById('toast-container');
 const contextMenuEl = document.getElementById('context-menu');
 const contextMenuItemsEl = document.getElementById('context-menu-items');
+const scoreExplainEl = document.getElementById('score-explain');
 const helpModal = document.getElementById('help-modal');
 const tabStrip = document.getElementById('tab-strip');
 const tabShiftBefore = document.getElementById('tab-shift-before');
@@ -294,6 +1080,37 @@ const shortcutsList = document.getElementById('shortcuts-list');
 const subscriptionsLoadingEl = document.getElementById('subscriptions-loading');
 const loadMoreIndicatorEl = document.getElementById('load-more-indicator');
 const hideWatchedIndicatorEl = document.getElementById('hide-watched-indicator');
+const offlineIndicatorEl = document.getElementById('offline-indicator');
+const syncProgressEl = document.getElementById('sync-progress');
+const syncProgressTextEl = document.getElementById('sync-progress-text');
+const syncProgressFillEl = document.getElementById('sync-progress-fill');
+const operationsIndicatorEl = document.getElementById('operations-indicator');
+const operationsModal = document.getElementById('operations-modal');
+const operationsListEl = document.getElementById('operations-list');
+const historyModal = document.getElementById('history-modal');
+const historyListEl = document.getElementById('history-list');
+const exportModal = document.getElementById('export-modal');
+const exportSummaryEl = document.getElementById('export-summary');
+const exportFormatsEl = document.getElementById('export-formats');
+const importModal = document.getElementById('import-modal');
+const importSummaryEl = document.getElementById('import-summary');
+const importListEl = document.getElementById('import-list');
+const takeoutModal = document.getElementById('takeout-modal');
+const takeoutSummaryEl = document.getElementById('takeout-summary');
+const takeoutListEl = document.getElementById('takeout-list');
+const duplicatesModal = document.getElementById('duplicates-modal');
+const duplicatesSummaryEl = document.getElementById('duplicates-summary');
+const duplicatesListEl = document.getElementById('duplicates-list');
+const globalSearchModal = document.getElementById('global-search-modal');
+const globalSearchInput = document.getElementById('global-search-input');
+const globalSearchSummaryEl = document.getElementById('global-search-summary');
+const globalSearchListEl = document.getElementById('global-search-list');
+const autoSortModal = document.getElementById('autosort-modal');
+const autoSortSummaryEl = document.getElementById('autosort-summary');
+const autoSortListEl = document.getElementById('autosort-list');
+const queueModal = document.getElementById('queue-modal');
+const queueSummaryEl = document.getElementById('queue-summary');
+const queueListEl = document.getElementById('queue-list');
 const tabPlaylists = document.getElementById('tab-playlists');
 const playlistsCountEl = document.getElementById('playlists-count');
 const breadcrumbEl = document.getElementById('breadcrumb');
@@ -407,14 +1224,59 @@ function showContextMenu(clientX, clientY, items) {
   }
 }
 
-function runContextMenuAction(actionIndex) {
-  const actionItem = contextMenuActions[actionIndex];
-  hideContextMenu();
-  if (!actionItem || typeof actionItem.action !== 'function') return;
-  try {
-    const maybePromise = actionItem.action();
-    if (maybePromise && typeof maybePromise.catch === 'function') {
-      maybePromise.catch(error => errorLog('Context menu action failed:', error));
+function hideScoreExplain() {
+  scoreExplainEl?.classList.remove('visible');
+}
+
+/**
+ * Show how a video's smart sort score adds up, next to its row
+ * @param {object} video
+ * @param {DOMRect} anchorRect - Rect of the row or score chip to place it by
+ */
+function showScoreExplain(video, anchorRect) {
+  if (!scoreExplainEl || !video) return;
+  const { total, terms } = explainVideoScore(video);
+  const formatPoints = points => `${points >= 0 ? '+' : ''}${points.toFixed(2)}`;
+  scoreExplainEl.innerHTML = `
+    <div class="score-explain-title">${escapeHtml(video.title)}</div>
+    <table>
+      ${terms.map(term => `
+        <tr>
+          <td>${escapeHtml(term.label)}<div class="detail">${escapeHtml(term.detail)}${term.weight !== undefined ? ` · ${term.signal.toFixed(2)} × ${term.weight}` : ''}</div></td>
+          <td class="points">${formatPoints(term.points)}</td>
+        </tr>
+      `).join('')}
+      <tr class="total"><td>Score${smartSortEnabled ? '' : ' (smart sort is off, I)'}</td><td class="points">${total.toFixed(2)}</td></tr>
+    </table>
+  `;
+
+  scoreExplainEl.classList.add('visible');
+  const margin = 8;
+  const rect = scoreExplainEl.getBoundingClientRect();
+  const left = Math.max(margin, Math.min(anchorRect.right - rect.width, window.innerWidth - rect.width - margin));
+  // Below the anchor, or above it when there's no room
+  const below = anchorRect.bottom + 4;
+  const top = below + rect.height + margin <= window.innerHeight ? below : Math.max(margin, anchorRect.top - rect.height - 4);
+  scoreExplainEl.style.left = `${left}px`;
+  scoreExplainEl.style.top = `${top}px`;
+}
+
+/** Explain the focused video's score (Y) */
+function explainFocusedVideoScore() {
+  const video = filteredVideos[focusedIndex];
+  const row = videoList.querySelector(`.video-item[data-index="${focusedIndex}"]`);
+  if (!video || !row) return;
+  showScoreExplain(video, row.getBoundingClientRect());
+}
+
+function runContextMenuAction(actionIndex) {
+  const actionItem = contextMenuActions[actionIndex];
+  hideContextMenu();
+  if (!actionItem || typeof actionItem.action !== 'function') return;
+  try {
+    const maybePromise = actionItem.action();
+    if (maybePromise && typeof maybePromise.catch === 'function') {
+      maybePromise.catch(error => errorLog('Context menu action failed:', error));
     }
   } catch (error) {
     errorLog('Context menu action failed:', error);
@@ -436,7 +1298,10 @@ function renderShortcuts() {
           { keys: ['t', 'b'], desc: 'Move top/bottom' },
           { keys: ['w'], desc: 'Toggle watched' },
           { keys: ['H'], desc: 'Hide watched' },
-          { keys: ['W'], desc: 'Purge watched' },
+          { keys: ['W'], desc: 'Purge by criteria' },
+          { keys: ['A'], desc: 'Auto-sort rules' },
+          { keys: ['X'], desc: 'Remove unavailable' },
+          { keys: ['Q'], desc: 'Watch queue' },
           { keys: ['u'], desc: 'Undo' },
         ]
       },
@@ -465,10 +1330,19 @@ function renderShortcuts() {
           { keys: ['y'], desc: 'Copy URL' },
           { keys: ['e'], desc: 'Edit note/tags' },
           { keys: ['I'], desc: 'Smart sort' },
+          { keys: ['Y'], desc: 'Explain score' },
           { keys: ['B', 'L'], desc: 'Backup exp/import' },
+          { keys: ['E'], desc: 'Export list' },
+          { keys: ['i'], desc: 'Import videos' },
+          { keys: ['D'], desc: 'Duplicates' },
+          { keys: ['F'], desc: 'Search all lists' },
+          { keys: ['P'], desc: 'Save search' },
           { keys: ['r'], desc: 'Refresh' },
           { keys: ['Tab'], desc: 'Switch tab' },
           { keys: ['T'], desc: 'Cycle theme' },
+          { keys: ['O'], desc: 'Operations' },
+          { keys: ['U'], desc: 'Undo history' },
+          { keys: ['⌃r'], desc: 'Redo' },
           { keys: ['?'], desc: 'Help' },
         ]
       },
@@ -510,10 +1384,19 @@ function renderShortcuts() {
           { keys: ['y'], desc: 'Copy URL' },
           { keys: ['e'], desc: 'Edit note/tags' },
           { keys: ['I'], desc: 'Smart sort' },
+          { keys: ['Y'], desc: 'Explain score' },
           { keys: ['B', 'L'], desc: 'Backup exp/import' },
+          { keys: ['E'], desc: 'Export list' },
+          { keys: ['i'], desc: 'Import videos' },
+          { keys: ['D'], desc: 'Duplicates' },
+          { keys: ['F'], desc: 'Search all lists' },
+          { keys: ['P'], desc: 'Save search' },
           { keys: ['r'], desc: 'Refresh' },
           { keys: ['Tab'], desc: 'Switch tab' },
           { keys: ['T'], desc: 'Cycle theme' },
+          { keys: ['O'], desc: 'Operations' },
+          { keys: ['U'], desc: 'Undo history' },
+          { keys: ['⌃r'], desc: 'Redo' },
           { keys: ['?'], desc: 'Help' },
         ]
       },
@@ -551,9 +1434,17 @@ function renderShortcuts() {
           { keys: ['o', '↵'], desc: 'Open channel' },
           { keys: ['y'], desc: 'Copy URL' },
           { keys: ['B', 'L'], desc: 'Backup exp/import' },
+          { keys: ['E'], desc: 'Export list' },
+          { keys: ['i'], desc: 'Import videos' },
+          { keys: ['D'], desc: 'Duplicates' },
+          { keys: ['F'], desc: 'Search all lists' },
+          { keys: ['P'], desc: 'Save search' },
           { keys: ['r'], desc: 'Refresh' },
           { keys: ['Tab'], desc: 'Switch tab' },
           { keys: ['T'], desc: 'Cycle theme' },
+          { keys: ['O'], desc: 'Operations' },
+          { keys: ['U'], desc: 'Undo history' },
+          { keys: ['⌃r'], desc: 'Redo' },
           { keys: ['?'], desc: 'Help' },
         ]
       },
@@ -571,6 +1462,7 @@ function renderShortcuts() {
         title: 'Inside Playlist',
         shortcuts: [
           { keys: ['x', 'd'], desc: 'Remove from playlist' },
+          { keys: ['X'], desc: 'Remove unavailable' },
           { keys: ['w'], desc: 'Toggle watched' },
           { keys: ['H'], desc: 'Hide watched' },
           { keys: ['Esc'], desc: 'Back to list' },
@@ -591,9 +1483,18 @@ function renderShortcuts() {
           { keys: ['r'], desc: 'Refresh' },
           { keys: ['e'], desc: 'Edit note/tags' },
           { keys: ['I'], desc: 'Smart sort' },
+          { keys: ['Y'], desc: 'Explain score' },
           { keys: ['B', 'L'], desc: 'Backup exp/import' },
+          { keys: ['E'], desc: 'Export list' },
+          { keys: ['i'], desc: 'Import videos' },
+          { keys: ['D'], desc: 'Duplicates' },
+          { keys: ['F'], desc: 'Search all lists' },
+          { keys: ['P'], desc: 'Save search' },
           { keys: ['Tab'], desc: 'Switch tab' },
           { keys: ['T'], desc: 'Cycle theme' },
+          { keys: ['O'], desc: 'Operations' },
+          { keys: ['U'], desc: 'Undo history' },
+          { keys: ['⌃r'], desc: 'Redo' },
           { keys: ['?'], desc: 'Help' },
         ]
       },
@@ -616,17 +1517,129 @@ function renderShortcuts() {
   `).join('');
 }
 
-// Message passing to background
-function sendMessage(message) {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(message, (response) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve(response);
-      }
+/**
+ * Send a request to the content script over the background port.
+ * Resolves with the content script's response; transport failures resolve to
+ * { success: false, error } rather than rejecting.
+ * @param {object} message - A MessageType from types.ts
+ * @param {{onProgress?: (progress: object) => void, signal?: AbortSignal}} [options]
+ * @returns {Promise<{success: boolean, data?: any, error?: string, cancelled?: boolean}>}
+ */
+function sendMessage(message, options = {}) {
+  const { onProgress, signal } = options;
+  if (signal?.aborted) return Promise.resolve({ success: false, error: 'Cancelled', cancelled: true });
+
+  let port;
+  try {
+    port = getRpcPort();
+  } catch (error) {
+    return Promise.resolve({ success: false, error: error.message || String(error) });
+  }
+
+  rpcRequestCounter += 1;
+  const requestId = `dash-${Date.now().toString(36)}-${rpcRequestCounter}`;
+  // Idle ports send no heartbeats, so silence before this request doesn't count
+  if (rpcPending.size === 0) rpcLastSeenAt = Date.now();
+
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      postRpcEnvelope(port, { kind: 'cancel', requestId });
+      settleRpcRequest(requestId, { success: false, error: 'Cancelled', cancelled: true });
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    rpcPending.set(requestId, {
+      resolve,
+      onProgress,
+      cleanup: () => signal?.removeEventListener('abort', onAbort),
     });
+    postRpcEnvelope(port, { kind: 'request', requestId, message });
+  });
+}
+
+/**
+ * Load a playlist page by page via GET_WATCH_LATER / GET_PLAYLIST_VIDEOS progress events.
+ * @param {object} message
+ * @param {(page: object[], progress: {pagesLoaded: number, loadedCount: number, estimatedTotal: number|null}) => void} onPage
+ * @returns {Promise<object[]>} Every video, once the last page has arrived
+ */
+async function streamPlaylist(message, onPage) {
+  const result = await sendMessage(message, {
+    onProgress: (progress) => {
+      if (progress?.kind === 'page') onPage(progress.videos, progress);
+    },
+  });
+  if (!result?.success) {
+    throw new Error(result?.error || 'Failed to load playlist');
+  }
+  return result.data || [];
+}
+
+// Open (or reuse) the port to the background worker. Mirrors createRpcChannel()
+// in messaging.ts, which this unbundled script cannot import.
+function getRpcPort() {
+  if (rpcPort) return rpcPort;
+
+  const port = chrome.runtime.connect({ name: RPC_PORT_NAME });
+  port.onMessage.addListener((envelope) => {
+    if (!envelope || typeof envelope !== 'object') return;
+    rpcLastSeenAt = Date.now();
+    if (envelope.kind === 'progress') {
+      rpcPending.get(envelope.requestId)?.onProgress?.(envelope.progress);
+    } else if (envelope.kind === 'response') {
+      settleRpcRequest(envelope.requestId, envelope.response);
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    // The worker may have been restarted; the next request reconnects
+    if (rpcPort === port) {
+      closeRpcPort(chrome.runtime.lastError?.message || 'Connection to background worker closed');
+    }
   });
+
+  rpcHeartbeatTimer = setInterval(() => {
+    if (rpcPending.size === 0) return;
+    if (Date.now() - rpcLastSeenAt > RPC_HEARTBEAT_TIMEOUT_MS) {
+      warnLog('Background port timed out; reconnecting on next request');
+      closeRpcPort('Connection timed out (no heartbeat)');
+      return;
+    }
+    postRpcEnvelope(port, { kind: 'heartbeat', sentAt: Date.now() });
+  }, RPC_HEARTBEAT_INTERVAL_MS);
+
+  rpcPort = port;
+  return port;
+}
+
+function postRpcEnvelope(port, envelope) {
+  try {
+    port.postMessage(envelope);
+  } catch (error) {
+    if (rpcPort === port) closeRpcPort(`Connection closed: ${error.message || error}`);
+  }
+}
+
+function settleRpcRequest(requestId, response) {
+  const entry = rpcPending.get(requestId);
+  if (!entry) return;
+  rpcPending.delete(requestId);
+  entry.cleanup();
+  entry.resolve(response || { success: false, error: 'Empty response' });
+}
+
+// Drop the port and fail everything still waiting on it
+function closeRpcPort(reason) {
+  const port = rpcPort;
+  rpcPort = null;
+  clearInterval(rpcHeartbeatTimer);
+  rpcHeartbeatTimer = null;
+  try {
+    port?.disconnect();
+  } catch (_) {
+    // Already disconnected
+  }
+  for (const requestId of [...rpcPending.keys()]) {
+    settleRpcRequest(requestId, { success: false, error: reason });
+  }
 }
 
 chrome.runtime.onMessage.addListener((message) => {
@@ -781,6 +1794,10 @@ async function loadNuTubeSettings() {
           ...DEFAULT_SETTINGS.keymap,
           ...(loaded.keymap || {}),
         },
+        rankingWeights: {
+          ...DEFAULT_SETTINGS.rankingWeights,
+          ...(loaded.rankingWeights || {}),
+        },
       };
       resolve();
     });
@@ -893,11 +1910,14 @@ function fuzzyScore(query, text) {
 
 function buildSearchableText(video) {
   const annotation = getVideoAnnotation(video.id);
+  const details = getVideoDetails(video);
   return [
     video.title,
     video.channel,
     annotation.note,
     ...(annotation.tags || []),
+    details?.category,
+    details?.description,
   ].filter(Boolean).join(' ');
 }
 
@@ -920,1236 +1940,4064 @@ function parseDurationSeconds(duration) {
   return null;
 }
 
-function scoreVideo(video) {
-  // Higher score means "watch now". Bias toward unwatched, recent, and medium-length videos.
-  const progress = getWatchedProgress(video);
-  const watchedPenalty = progress >= 100 ? -1.8 : 0;
-  const halfWatchedBoost = progress > 0 && progress < 100 ? 0.7 : 0;
+/** Smart sort terms in the order the explain popover lists them (keys of settings.rankingWeights) */
+const RANKING_TERMS = [
+  { id: 'recency', label: 'Recency' },
+  { id: 'duration', label: 'Duration fit' },
+  { id: 'progress', label: 'Partly watched' },
+  { id: 'affinity', label: 'Channel affinity' },
+  { id: 'tags', label: 'Tags' },
+];
 
-  const durationSeconds = parseDurationSeconds(video.duration);
-  let durationScore = 0;
-  if (durationSeconds !== null) {
-    // Best around ~12 minutes, taper as videos get much shorter/longer.
-    const preferred = 12 * 60;
-    durationScore = 1 - Math.min(1, Math.abs(durationSeconds - preferred) / preferred);
-  }
+/** Days after which the recency signal has halved */
+const RECENCY_HALF_LIFE_DAYS = 5;
+
+/** Fixed score changes that no weight can outweigh */
+const FULLY_WATCHED_PENALTY = -1.8;
+const NOT_STARTED_PENALTY = -1;
+
+function parseBoostTags(text) {
+  return (text || '').split(',').map(tag => normalizeText(tag.trim())).filter(Boolean);
+}
+
+/**
+ * Each term's signal (0-1, how well the video fits it) and why
+ * @returns {Record<string, { signal: number, detail: string }>}
+ */
+function getRankingSignals(video) {
+  const signals = {};
 
-  const ts = parseRelativeTime(video.publishedAt);
-  let recencyScore = 0;
+  // Without a publish date, a video is at most as new as when it was first seen
+  const ts = getPublishedTimestamp(video) ?? videoFirstSeen[video.id]?.seenAt;
   if (ts) {
     const ageDays = Math.max(0, (Date.now() - ts) / (24 * 60 * 60 * 1000));
-    recencyScore = 1 / (1 + ageDays / 5);
+    signals.recency = {
+      signal: 1 / (1 + ageDays / RECENCY_HALF_LIFE_DAYS),
+      detail: getPublishedTimestamp(video) ? `${Math.round(ageDays)}d old` : `first seen ${Math.round(ageDays)}d ago`,
+    };
+  } else {
+    signals.recency = { signal: 0, detail: 'publish date unknown' };
   }
 
-  return (durationScore * 0.35) + (recencyScore * 0.55) + halfWatchedBoost + watchedPenalty;
-}
+  // Best at the preferred length, tapering to 0 at zero or double it
+  const preferredMinutes = Number(nutubeSettings.rankingPreferredMinutes) || DEFAULT_SETTINGS.rankingPreferredMinutes;
+  const preferred = preferredMinutes * 60;
+  const durationSeconds = parseDurationSeconds(video.duration);
+  signals.duration = durationSeconds === null
+    ? { signal: 0, detail: 'duration unknown' }
+    : {
+      signal: 1 - Math.min(1, Math.abs(durationSeconds - preferred) / preferred),
+      detail: `${video.duration} vs ${preferredMinutes}m preferred`,
+    };
 
-async function runWithConcurrency(items, worker, options = {}) {
-  const configuredConcurrency = options.concurrency ?? nutubeSettings.operationConcurrency ?? DEFAULT_SETTINGS.operationConcurrency;
-  const configuredRetries = options.retries ?? nutubeSettings.operationRetries ?? DEFAULT_SETTINGS.operationRetries;
-  const concurrency = Math.max(1, Math.min(8, configuredConcurrency));
-  const retries = Math.max(0, Math.min(5, configuredRetries));
-  const results = new Array(items.length);
+  const progress = getWatchedProgress(video);
+  signals.progress = progress > 0 && progress < 100
+    ? { signal: 1, detail: `${progress}% watched` }
+    : { signal: 0, detail: progress >= 100 ? 'finished' : 'not started' };
 
-  async function runOne(index) {
-    for (let attempt = 0; attempt <= retries; attempt += 1) {
-      try {
-        results[index] = await worker(items[index], index);
-        return;
-      } catch (error) {
-        if (attempt === retries) {
-          results[index] = { success: false, error: String(error) };
-          return;
-        }
-        const delayMs = 300 * (2 ** attempt) + Math.floor(Math.random() * 120);
-        await new Promise(resolve => setTimeout(resolve, delayMs));
-      }
-    }
-  }
+  const stats = channelStats[video.channelId];
+  signals.affinity = { signal: getChannelAffinity(stats), detail: describeChannelHistory(stats) };
 
-  let cursor = 0;
-  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
-    while (cursor < items.length) {
-      const idx = cursor++;
-      await runOne(idx);
-    }
-  });
+  const tags = getVideoAnnotation(video.id).tags || [];
+  const boostTags = parseBoostTags(nutubeSettings.rankingBoostTags);
+  const matchedTags = boostTags.length > 0 ? tags.filter(tag => boostTags.includes(normalizeText(tag))) : tags;
+  signals.tags = { signal: matchedTags.length > 0 ? 1 : 0, detail: matchedTags.length > 0 ? matchedTags.join(', ') : 'no boosted tags' };
 
-  await Promise.all(workers);
-  return results;
+  return signals;
 }
 
-function mappedKey(action, fallback) {
-  const value = nutubeSettings?.keymap?.[action];
-  if (!value || typeof value !== 'string' || value.length !== 1) {
-    return fallback;
+/**
+ * Break a video's smart sort score into weighted terms plus fixed penalties
+ * @returns {{ total: number, terms: Array<{ label: string, points: number, detail: string, signal?: number, weight?: number }> }}
+ */
+function explainVideoScore(video) {
+  const weights = { ...DEFAULT_SETTINGS.rankingWeights, ...(nutubeSettings.rankingWeights || {}) };
+  const signals = getRankingSignals(video);
+  const terms = RANKING_TERMS.map(({ id, label }) => {
+    const weight = Number(weights[id]) || 0;
+    return { label, signal: signals[id].signal, weight, points: signals[id].signal * weight, detail: signals[id].detail };
+  });
+
+  if (getWatchedProgress(video) >= 100) {
+    terms.push({ label: 'Fully watched', points: FULLY_WATCHED_PENALTY, detail: 'fixed penalty' });
   }
-  return value;
+  // Streams and premieres that haven't started can't be watched yet
+  const live = getVideoDetails(video)?.live;
+  if (live === 'upcoming' || live === 'premiere') {
+    terms.push({ label: 'Not started', points: NOT_STARTED_PENALTY, detail: `${live} hasn't started` });
+  }
+
+  return { total: terms.reduce((sum, term) => sum + term.points, 0), terms };
+}
+
+function scoreVideo(video) {
+  // Higher score means "watch now"
+  return explainVideoScore(video).total;
 }
 
+// =============================================================================
+// SEARCH QUERIES
+// =============================================================================
+
 /**
- * Get the effective watched progress for a video (0-100).
- * Local overrides take precedence over YouTube's data.
+ * Fields understood by search queries, e.g.
+ * `channel:veritasium dur:>20m tag:physics -watched added:<30d`.
+ * `added:` is how long ago the video arrived in Watch Later (as first seen
+ * by NuTube, see getWatchLaterAddedAt) and `published:` its age from
+ * YouTube's publish date (see getPublishedTimestamp); `watched` /
+ * `is:watched` match fully watched videos, and `is:unavailable` (or
+ * `is:deleted` / `is:private`) deleted and private ones. Fetched details add
+ * `views:>100k`, `likes:>1k`, `category:music` and `is:live` / `is:upcoming` /
+ * `is:premiere` / `is:replay` / `is:members`.
  */
-function getWatchedProgress(video) {
-  const override = watchedOverrides[video.id];
-  if (override) {
-    return override.watched ? 100 : 0;
-  }
-  return video.progressPercent || 0;
-}
+const QUERY_FIELDS = ['channel', 'tag', 'dur', 'added', 'published', 'is', 'views', 'likes', 'category'];
+
+/** `is:` values answered from a video's details (`members` is the members-only flag) */
+const QUERY_LIVE_VALUES = ['live', 'upcoming', 'premiere', 'replay', 'members'];
+
+/** Suggestions shown under a search box while typing `channel:` or `tag:` */
+const MAX_QUERY_SUGGESTIONS = 8;
+
+const QUERY_COMPARISON_PATTERN = /^(>=|<=|>|<|=)?(.+)$/;
 
 /**
- * Check if a video is fully watched (100% or override).
+ * Split a query into whitespace-separated tokens, keeping double-quoted
+ * values (`channel:"Tom Scott"`) together.
+ * @returns {Array<{ raw: string, start: number, end: number }>}
  */
-function isFullyWatched(video) {
-  return getWatchedProgress(video) >= 100;
+function tokenizeSearchQuery(query) {
+  const tokens = [];
+  const pattern = /(?:[^\s"]+|"[^"]*"?)+/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    tokens.push({ raw: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
 }
 
-async function pruneStaleOverrides(loadedVideoIds) {
-  const now = Date.now();
-  const pruned = Object.fromEntries(
-    Object.entries(watchedOverrides).filter(([videoId, entry]) =>
-      loadedVideoIds.has(videoId) || (now - entry.timestamp) <= STALE_OVERRIDE_TTL_MS
-    )
-  );
-  const changed = Object.keys(pruned).length !== Object.keys(watchedOverrides).length;
-  if (changed) {
-    watchedOverrides = pruned;
-    await saveWatchedOverrides();
-  }
+/** Parse "20m", "1h30m", "90s", "12:30" or a bare number of minutes into seconds */
+function parseQueryDuration(value) {
+  if (value.includes(':')) return parseDurationSeconds(value);
+  if (/^\d+(\.\d+)?$/.test(value)) return Number(value) * 60;
+  const match = value.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+)s)?$/);
+  if (!match || !match[0]) return null;
+  return (Number(match[1] || 0) * 3600) + (Number(match[2] || 0) * 60) + Number(match[3] || 0);
 }
 
-/**
- * Toggle the Watch Later filter in subscriptions view
- */
-function toggleHideWatchLater() {
-  hideWatchLaterInSubs = !hideWatchLaterInSubs;
-  saveHideWatchLaterPref();
-  renderVideos();
-  const state = hideWatchLaterInSubs ? 'Hidden' : 'Shown';
-  showToast(`Watch Later items: ${state}`, 'success');
+/** Parse an age like "30d", "2w", "6m" (months), "1y" or "12h" into an amount and unit */
+function parseQueryAge(value) {
+  const match = value.match(/^(\d+(?:\.\d+)?)(h|d|w|mo|m|y)?$/);
+  if (!match) return null;
+  const units = { h: 'hour', d: 'day', w: 'week', m: 'month', mo: 'month', y: 'year' };
+  return { amount: Number(match[1]), unit: units[match[2] || 'd'] };
 }
 
 /**
- * Toggle the global hide-watched filter
+ * The time an age reaches back to from now. Months and years step back
+ * calendar months like computeTimestamp() in parsers.ts; a fraction of a
+ * month counts as 30 days.
+ * @param {number} now
+ * @param {{ amount: number, unit: string }} age - From parseQueryAge
+ * @returns {number}
  */
-function toggleHideWatched() {
-  hideWatched = !hideWatched;
-  saveHideWatchedPref();
-  updateHideWatchedIndicator();
-  renderVideos();
-  const state = hideWatched ? 'Hiding' : 'Showing';
-  showToast(`${state} watched videos`, 'success');
+function subtractQueryAge(now, { amount, unit }) {
+  const msPerDay = 24 * 60 * 60 * 1000;
+  if (unit === 'month' || unit === 'year') {
+    const months = unit === 'year' ? amount * 12 : amount;
+    const wholeMonths = Math.floor(months);
+    const date = new Date(now);
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() - wholeMonths);
+    // Clamp to the target month's length (Mar 31 minus a month is Feb 28/29)
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, daysInMonth));
+    return date.getTime() - (months - wholeMonths) * 30 * msPerDay;
+  }
+  const msPerUnit = { hour: 60 * 60 * 1000, day: msPerDay, week: 7 * msPerDay };
+  return now - amount * msPerUnit[unit];
 }
 
-function toggleSmartSort() {
-  smartSortEnabled = !smartSortEnabled;
-  saveSmartSortPref();
-  renderCurrentView();
-  showToast(smartSortEnabled ? 'Smart queue ranking enabled' : 'Smart queue ranking disabled', 'success');
+/** Parse a count like "1500", "10k", "1.5m" or "2b" */
+function parseQueryCount(value) {
+  const match = value.toLowerCase().match(/^(\d+(?:\.\d+)?)(k|m|b)?$/);
+  if (!match) return null;
+  const multipliers = { k: 1e3, m: 1e6, b: 1e9 };
+  return Number(match[1]) * (multipliers[match[2]] || 1);
 }
 
-// Update mode indicator in footer
-function updateMode() {
-  if (modeIndicatorEl) {
-    if (visualModeStart !== null) {
-      // Show VISUAL LINE or VISUAL BLOCK with selection count
-      const selCount = selectedIndices.size;
-      const modeName = visualBlockMode ? 'VISUAL BLOCK' : 'VISUAL LINE';
-      modeIndicatorEl.textContent = selCount > 1 ? `${modeName} (${selCount})` : modeName;
-      modeIndicatorEl.classList.add('visual');
-    } else if (selectedIndices.size > 0) {
-      // Show selection count even when not in visual mode (e.g., after Ctrl+Click)
-      modeIndicatorEl.textContent = `SELECT (${selectedIndices.size})`;
-      modeIndicatorEl.classList.add('visual');
+function unquoteQueryValue(value) {
+  return value.replace(/^"|"$/g, '');
+}
+
+/**
+ * Parse a search query into field filters and the free text left for fuzzy
+ * matching. Tokens that don't parse as a filter stay in the text.
+ * @returns {{ text: string, filters: Array<{ field: string, negate: boolean, op?: string, value: string|number }> }}
+ */
+function parseSearchQuery(query) {
+  const textParts = [];
+  const filters = [];
+
+  for (const { raw } of tokenizeSearchQuery(query)) {
+    const negate = raw.length > 1 && raw.startsWith('-');
+    const body = negate ? raw.slice(1) : raw;
+    const separator = body.indexOf(':');
+    const field = separator > 0 ? body.slice(0, separator).toLowerCase() : '';
+    const rawValue = unquoteQueryValue(body.slice(separator + 1));
+
+    if (body.toLowerCase() === 'watched' || (field === 'is' && rawValue.toLowerCase() === 'watched')) {
+      filters.push({ field: 'watched', negate, value: true });
+      continue;
+    }
+
+    if (field === 'is' && ['unavailable', 'deleted', 'private'].includes(rawValue.toLowerCase())) {
+      filters.push({ field: 'unavailable', negate, value: rawValue.toLowerCase() });
+      continue;
+    }
+
+    if (field === 'is' && QUERY_LIVE_VALUES.includes(rawValue.toLowerCase())) {
+      filters.push({ field: 'live', negate, value: rawValue.toLowerCase() });
+      continue;
+    }
+
+    if (QUERY_FIELDS.includes(field) && rawValue) {
+      if (field === 'channel' || field === 'tag' || field === 'category') {
+        filters.push({ field, negate, value: normalizeText(rawValue) });
+        continue;
+      }
+      const [, op = '=', amount] = rawValue.match(QUERY_COMPARISON_PATTERN) || [];
+      const parsers = { dur: parseQueryDuration, added: parseQueryAge, published: parseQueryAge, views: parseQueryCount, likes: parseQueryCount };
+      const value = parsers[field] ? parsers[field](amount) : null;
+      if (value !== null) {
+        filters.push({ field, negate, op, value });
+        continue;
+      }
+    }
+
+    if (negate) {
+      filters.push({ field: 'text', negate: true, value: normalizeText(unquoteQueryValue(body)) });
     } else {
-      modeIndicatorEl.textContent = 'NORMAL';
-      modeIndicatorEl.classList.remove('visual');
+      textParts.push(unquoteQueryValue(raw));
     }
   }
+
+  return { text: textParts.join(' '), filters };
 }
 
-function assignQuickMove(number, playlistId) {
-  // Remove any existing assignment for this number
-  // Also remove this playlist from any other number
-  for (const key of Object.keys(quickMoveAssignments)) {
-    if (quickMoveAssignments[key] === playlistId) {
-      delete quickMoveAssignments[key];
-    }
+function compareQueryValue(actual, op, expected) {
+  switch (op) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    // "dur:20m" means roughly 20 minutes: within a minute either way
+    default: return Math.abs(actual - expected) < 60;
   }
-  if (playlistId) {
-    quickMoveAssignments[number] = playlistId;
-  }
-  saveQuickMoveAssignments();
 }
 
-function getQuickMoveNumber(playlistId) {
-  for (const [num, id] of Object.entries(quickMoveAssignments)) {
-    if (id === playlistId) return num;
+function matchesQueryFilter(video, filter) {
+  switch (filter.field) {
+    case 'channel':
+      return normalizeText(video.channel).includes(filter.value);
+    case 'tag':
+      return (getVideoAnnotation(video.id).tags || []).some(tag => normalizeText(tag) === filter.value);
+    case 'watched':
+      return isFullyWatched(video);
+    case 'unavailable': {
+      const reason = getUnavailableReason(video);
+      return filter.value === 'unavailable' ? !!reason : reason === filter.value;
+    }
+    case 'dur': {
+      const seconds = parseDurationSeconds(video.duration);
+      return seconds !== null && compareQueryValue(seconds, filter.op, filter.value);
+    }
+    case 'category':
+      return normalizeText(getVideoDetails(video)?.category || '').includes(filter.value);
+    case 'live': {
+      const details = getVideoDetails(video);
+      return filter.value === 'members' ? details?.membersOnly === true : details?.live === filter.value;
+    }
+    case 'views':
+    case 'likes': {
+      const count = getVideoDetails(video)?.[filter.field === 'views' ? 'viewCount' : 'likeCount'];
+      // "views:10k" reads as "at least 10k views"
+      return count !== undefined && compareQueryValue(count, filter.op === '=' ? '>=' : filter.op, filter.value);
+    }
+    case 'added':
+    case 'published': {
+      const timestamp = filter.field === 'added' ? getWatchLaterAddedAt(video) : getPublishedTimestamp(video);
+      if (!timestamp) return false;
+      const now = Date.now();
+      // "added:30d" reads as "added within the last 30 days"
+      return compareQueryValue(now - timestamp, filter.op === '=' ? '<=' : filter.op, now - subtractQueryAge(now, filter.value));
+    }
+    case 'text':
+      return normalizeText(buildSearchableText(video)).includes(filter.value);
+    default:
+      return true;
   }
-  return null;
 }
 
-function getPlaylistByQuickMove(number) {
-  const playlistId = quickMoveAssignments[number];
-  if (playlistId) {
-    return getPlaylistById(playlistId);
+/**
+ * Score a video against a parsed query: 0 when any filter rules it out,
+ * otherwise the fuzzy score of the free text (1 when there is none).
+ */
+function matchVideoQuery(parsedQuery, video) {
+  for (const filter of parsedQuery.filters) {
+    if (matchesQueryFilter(video, filter) === filter.negate) return 0;
   }
-  return null;
+  return parsedQuery.text ? fuzzyMatchVideo(parsedQuery.text, video) : 1;
 }
 
-// Toast notifications
-function showToast(message, type = 'info') {
-  const toast = document.createElement('div');
-  toast.className = `toast ${type}`;
-  toast.textContent = message;
-  toastContainer.appendChild(toast);
-  setTimeout(() => toast.remove(), TOAST_DURATION_MS);
+/** Channel names and tags known to the dashboard, for autocomplete */
+function getQueryCompletionValues(field) {
+  const values = new Set();
+  if (field === 'tag') {
+    for (const annotation of Object.values(videoAnnotations)) {
+      for (const tag of annotation.tags || []) values.add(tag);
+    }
+  } else {
+    for (const channel of channels) values.add(channel.name);
+    for (const video of [...watchLaterVideos, ...subscriptionVideos, ...playlistVideos]) {
+      if (video.channel) values.add(video.channel);
+    }
+  }
+  return [...values].filter(Boolean).sort((a, b) => a.localeCompare(b));
 }
 
-// Tab switching
-function updateTabStateUI(tab, behavior = 'smooth') {
-  tabWatchLater.classList.toggle('active', tab === 'watchlater');
-  tabSubscriptions.classList.toggle('active', tab === 'subscriptions');
-  tabChannels.classList.toggle('active', tab === 'channels');
-  tabPlaylists.classList.toggle('active', tab === 'playlists');
+/**
+ * Suggestions for the `channel:` / `tag:` token under the caret.
+ * @returns {{ start: number, end: number, prefix: string, options: string[] } | null}
+ */
+function getQueryCompletions(value, caret) {
+  const token = tokenizeSearchQuery(value).find(t => t.start <= caret && caret <= t.end);
+  if (!token) return null;
+  const match = token.raw.match(/^(-?(channel|tag):)"?([^"]*)"?$/i);
+  if (!match) return null;
+
+  const typed = normalizeText(match[3]);
+  const options = getQueryCompletionValues(match[2].toLowerCase())
+    .filter(option => normalizeText(option).includes(typed) && normalizeText(option) !== typed);
+  // Names starting with what was typed come first (the sort is stable, so still alphabetical)
+  options.sort((a, b) => Number(normalizeText(b).startsWith(typed)) - Number(normalizeText(a).startsWith(typed)));
+  return options.length > 0
+    ? { start: token.start, end: token.end, prefix: match[1], options: options.slice(0, MAX_QUERY_SUGGESTIONS) }
+    : null;
+}
+
+/** Re-render the suggestion list under a search input (data-suggestions names it) */
+function updateQueryAutocomplete(input) {
+  const listEl = document.getElementById(input.dataset.suggestions);
+  if (!listEl) return;
+  const completions = document.activeElement === input
+    ? getQueryCompletions(input.value, input.selectionStart ?? input.value.length)
+    : null;
+  if (!completions) {
+    queryAutocomplete = null;
+    listEl.classList.remove('visible');
+    listEl.innerHTML = '';
+    return;
+  }
 
-  updateTabRolodexClasses();
-  centerActiveTab(behavior);
+  const previous = queryAutocomplete?.input === input ? queryAutocomplete.index : 0;
+  queryAutocomplete = { input, ...completions, index: Math.min(previous, completions.options.length - 1) };
+  listEl.innerHTML = completions.options.map((option, index) => `
+    <div class="query-suggestion ${index === queryAutocomplete.index ? 'focused' : ''}" data-index="${index}">
+      ${escapeHtml(completions.prefix + option)}
+    </div>
+  `).join('');
+  listEl.classList.add('visible');
 }
 
-function getTabButtons() {
-  return [tabPlaylists, tabWatchLater, tabSubscriptions, tabChannels].filter(Boolean);
+/** Replace the token under the caret with the chosen suggestion */
+function acceptQueryCompletion(index = queryAutocomplete?.index ?? 0) {
+  if (!queryAutocomplete) return;
+  const { input, start, end, prefix, options } = queryAutocomplete;
+  const option = options[index];
+  if (!option) return;
+  const completed = `${prefix}${/\s/.test(option) ? `"${option}"` : option} `;
+  input.value = input.value.slice(0, start) + completed + input.value.slice(end).replace(/^\s+/, '');
+  const caret = start + completed.length;
+  input.setSelectionRange(caret, caret);
+  input.dispatchEvent(new Event('input', { bubbles: true }));
 }
 
-function updateTabRolodexClasses() {
-  const tabs = getTabButtons();
-  if (tabs.length === 0) return;
-
-  const activeIndex = tabs.findIndex(tab => tab.classList.contains('active'));
-  tabs.forEach((tab, index) => {
-    tab.classList.remove('rolodex-active', 'rolodex-before', 'rolodex-after', 'rolodex-far');
-    if (index === activeIndex) {
-      tab.classList.add('rolodex-active');
-      return;
+/**
+ * Keys for an open suggestion list: ↑/↓ choose, Tab accepts, Esc dismisses.
+ * @returns {boolean} Whether the key was used
+ */
+function handleQueryAutocompleteKey(e) {
+  if (!queryAutocomplete || queryAutocomplete.input !== e.target) return false;
+  const count = queryAutocomplete.options.length;
+  switch (e.key) {
+    case 'ArrowDown':
+      queryAutocomplete.index = (queryAutocomplete.index + 1) % count;
+      break;
+    case 'ArrowUp':
+      queryAutocomplete.index = (queryAutocomplete.index + count - 1) % count;
+      break;
+    case 'Tab':
+      acceptQueryCompletion();
+      return true;
+    case 'Escape': {
+      const { input } = queryAutocomplete;
+      queryAutocomplete = null;
+      document.getElementById(input.dataset.suggestions)?.classList.remove('visible');
+      return true;
     }
+    default:
+      return false;
+  }
+  updateQueryAutocomplete(queryAutocomplete.input);
+  return true;
+}
 
-    if (index < activeIndex) {
-      tab.classList.add('rolodex-before');
-      if (activeIndex - index > 1) {
-        tab.classList.add('rolodex-far');
+// =============================================================================
+// BULK OPERATIONS
+// =============================================================================
+
+/**
+ * Queue a bulk job in the operation journal. The background worker persists
+ * and runs it (see journal.ts), so it keeps going if this tab is closed. Jobs
+ * run one at a time and are listed in the operations panel (O) with per-item
+ * progress, pause/resume/cancel and a report of failed items that can be retried.
+ *
+ * @param {string} label - Shown in the panel, e.g. "Moving 240 video(s) to Music"
+ * @param {object[]} items - Videos (or anything with a title/id) to process
+ * @param {(item: object) => object} buildMessage - Content script message for one item
+ * @param {{ concurrency?: number, retries?: number, resyncOnCancel?: boolean, historyEntry?: object }} [options]
+ *   resyncOnCancel reloads the current list after a cancel, for callers that
+ *   updated the UI optimistically; historyEntry (from saveUndoState) keeps the
+ *   job so redo can replay it
+ * @returns {Promise<object[]>} Per-item results; items skipped by a cancel get { cancelled: true }
+ */
+async function runBulkOperation(label, items, buildMessage, options = {}) {
+  const job = buildOperationJob(label, items, buildMessage, options);
+  if (options.historyEntry) recordHistoryReplay(options.historyEntry, job, items);
+
+  const response = await sendMessage({ type: 'JOURNAL_ENQUEUE', job });
+  if (!response.success) {
+    errorLog('Failed to queue operation:', response.error);
+    return items.map(() => ({ success: false, error: response.error || 'Could not queue operation' }));
+  }
+  const results = await waitForOperation(response.data, options);
+  recordBulkWatchLaterRemovals(job, items, results);
+  return results;
+}
+
+function buildOperationJob(label, items, buildMessage, options = {}) {
+  return {
+    label,
+    items: items.map(item => ({ message: buildMessage(item), title: describeOperationItem(item) })),
+    concurrency: options.concurrency ?? nutubeSettings.operationConcurrency ?? DEFAULT_SETTINGS.operationConcurrency,
+    retries: options.retries ?? nutubeSettings.operationRetries ?? DEFAULT_SETTINGS.operationRetries,
+  };
+}
+
+/** Resolves with per-item results once the journal reports the job finished or drops it */
+function waitForOperation(jobId, options = {}) {
+  return new Promise(resolve => {
+    operationWaiters.set(jobId, { resolve, options });
+    settleFinishedOperations();
+  });
+}
+
+/** True when a runBulkOperation() result set was cut short by a cancel */
+function isOperationCancelled(results) {
+  return results.some(r => r?.cancelled);
+}
+
+function isOperationActive(operation) {
+  return operation.status === 'queued' || operation.status === 'running' || operation.status === 'paused';
+}
+
+function getOperationItemResult(item) {
+  if (item.state === 'done') return { success: true };
+  if (item.state === 'failed') return { success: false, error: item.error || 'Unknown error' };
+  return { success: false, cancelled: true, error: 'Cancelled' };
+}
+
+function settleFinishedOperations() {
+  for (const [jobId, waiter] of operationWaiters) {
+    const operation = findOperation(jobId);
+    if (!operation) {
+      // Not in the journal yet, or cleared from the panel / pruned since it was
+      // last seen: the items that hadn't finished then count as cancelled
+      if (!waiter.lastSeenItems) continue;
+      operationWaiters.delete(jobId);
+      if (waiter.options.resyncOnCancel) {
+        syncCurrentListFromYouTube().catch(error => warnLog('Resync after a cleared job failed:', error));
       }
-      return;
+      waiter.resolve(waiter.lastSeenItems.map(getOperationItemResult));
+      continue;
     }
-
-    tab.classList.add('rolodex-after');
-    if (index - activeIndex > 1) {
-      tab.classList.add('rolodex-far');
+    waiter.lastSeenItems = operation.items;
+    if (isOperationActive(operation)) continue;
+    operationWaiters.delete(jobId);
+
+    const results = operation.items.map(getOperationItemResult);
+    if (operation.status === 'cancelled' && isOperationCancelled(results)) {
+      const skipped = results.filter(r => r.cancelled).length;
+      showToast(`Cancelled: ${operation.label} (${skipped} skipped)`, 'info');
+      setStatus('Ready');
+      if (waiter.options.resyncOnCancel) {
+        syncCurrentListFromYouTube().catch(error => warnLog('Resync after cancel failed:', error));
+      }
     }
+    waiter.resolve(results);
+  }
+}
+
+/** Load the journal written by the background worker (includes jobs from earlier sessions) */
+async function loadOperations() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([JOURNAL_STORAGE_KEY], (result) => {
+      operations = Array.isArray(result[JOURNAL_STORAGE_KEY]) ? result[JOURNAL_STORAGE_KEY] : [];
+      renderOperations();
+      resolve();
+    });
   });
 }
 
-function updateTabOverflowIndicators() {
-  if (!tabStrip) return;
-  const epsilon = 2;
-  const hasBefore = tabStrip.scrollLeft > epsilon;
-  const hasAfter = (tabStrip.scrollLeft + tabStrip.clientWidth) < (tabStrip.scrollWidth - epsilon);
-  tabShiftBefore?.classList.toggle('visible', hasBefore);
-  tabShiftAfter?.classList.toggle('visible', hasAfter);
+// The background worker saves the journal after every item
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes[JOURNAL_STORAGE_KEY]) return;
+  const jobs = changes[JOURNAL_STORAGE_KEY].newValue;
+  operations = Array.isArray(jobs) ? jobs : [];
+  renderOperations();
+  settleFinishedOperations();
+});
+
+function getFocusedOperation() {
+  return operations[operationsFocusedIndex] || null;
 }
 
-function centerActiveTab(behavior = 'auto') {
-  if (!tabStrip) return;
-  const activeTab = tabStrip.querySelector('.nav-tab.active');
-  if (!activeTab) return;
-  activeTab.scrollIntoView({ block: 'nearest', inline: 'center', behavior });
-  updateTabOverflowIndicators();
+function findOperation(id) {
+  return operations.find(op => op.id === id) || null;
 }
 
-function switchTab(tab) {
-  if (tab === currentTab) return;
+async function controlOperation(operation, action) {
+  if (!operation) return null;
+  const response = await sendMessage({ type: 'JOURNAL_CONTROL', jobId: operation.id, action });
+  if (!response.success) {
+    showToast(response.error || `Could not ${action} operation`, 'error');
+    return null;
+  }
+  return response.data;
+}
 
-  hideContextMenu();
-  currentTab = tab;
-  saveLastTabPref();
-  selectedIndices.clear();
-  focusedIndex = 0;
-  visualModeStart = null;
-  visualBlockMode = false;
-  searchQuery = '';
-  searchInput.value = '';
-  searchContainer?.classList.remove('active');
+function togglePauseOperation(operation) {
+  if (operation?.status === 'running') {
+    controlOperation(operation, 'pause');
+  } else if (operation?.status === 'paused') {
+    controlOperation(operation, 'resume');
+  }
+}
 
-  // Update tab UI
-  updateTabStateUI(tab, 'smooth');
-  renderShortcuts();
+function cancelOperation(operation) {
+  if (!operation || !isOperationActive(operation) || operation.cancelRequested) return;
+  // Items in flight finish first; the journal then marks the rest cancelled
+  controlOperation(operation, 'cancel');
+}
 
-  // Hide breadcrumb when leaving playlists tab
-  if (tab !== 'playlists') {
-    breadcrumbEl.style.display = 'none';
-    playlistBrowserLevel = 'list';
-    activePlaylistId = null;
-  }
+async function retryFailedOperation(operation) {
+  if (!operation || isOperationActive(operation) || operation.retried) return;
+  if (!operation.items.some(item => item.state === 'failed')) return;
+  if (!ensureWritable()) return;
 
-  // Switch data and render
-  if (tab === 'channels') {
-    renderChannels();
-  } else if (tab === 'playlists') {
-    renderPlaylistBrowser();
+  const retryJobId = await controlOperation(operation, 'retry');
+  if (!retryJobId) return;
+  const results = await waitForOperation(retryJobId);
+  if (isOperationCancelled(results)) return;
+  const failed = results.filter(r => !r.success).length;
+  if (failed > 0) {
+    showToast(`Retry finished with ${failed} failure(s)`, 'warning');
   } else {
-    if (tab === 'watchlater') {
-      videos = watchLaterVideos;
-    } else {
-      videos = subscriptionVideos;
-    }
-    renderVideos();
+    showToast(`Retried ${results.length} item(s)`, 'success');
   }
+}
 
-  const needsLoad =
-    (tab === 'watchlater' && watchLaterVideos.length === 0) ||
-    (tab === 'subscriptions' && subscriptionVideos.length === 0) ||
-    (tab === 'channels' && channels.length === 0) ||
-    (tab === 'playlists' && playlists.length === 0);
-  if (needsLoad) {
-    loadData();
+async function clearFinishedOperations() {
+  if (!operations.some(op => !isOperationActive(op))) return;
+  const response = await sendMessage({ type: 'JOURNAL_CLEAR' });
+  if (!response.success) {
+    showToast(response.error || 'Could not clear operations', 'error');
   }
-  setStatus('Ready');
 }
 
-// Playlist browser rendering (Level 1)
-function renderPlaylistBrowser() {
-  // Apply search filter to playlists
-  const query = searchQuery.trim();
-  if (query) {
-    const scored = playlists
-      .map(playlist => ({ playlist, score: fuzzyScore(query, playlist.title) }))
-      .filter(item => item.score >= (nutubeSettings.fuzzyThreshold || DEFAULT_SETTINGS.fuzzyThreshold))
-      .sort((a, b) => b.score - a.score);
-    filteredPlaylists = scored.map(item => item.playlist);
-  } else {
-    filteredPlaylists = [...playlists];
+function describeOperationItem(item) {
+  return item?.title || item?.name || item?.id || 'Unknown item';
+}
+
+function renderOperationsIndicator() {
+  const current = operations.find(op => op.status === 'running' || op.status === 'paused');
+  const queued = operations.filter(op => op.status === 'queued').length;
+  if (!current && queued === 0) {
+    operationsIndicatorEl.classList.remove('active');
+    operationsIndicatorEl.textContent = '';
+    return;
   }
+  let text = 'Queued';
+  if (current) {
+    const processed = current.items.filter(item => item.state !== 'pending').length;
+    text = `${current.status === 'paused' ? 'Paused' : 'Running'} ${processed}/${current.items.length}`;
+  }
+  if (queued > 0) text += ` · ${queued} queued`;
+  operationsIndicatorEl.textContent = text;
+  operationsIndicatorEl.classList.add('active');
+}
 
-  // Apply sorting
-  filteredPlaylists = applySortToPlaylists(filteredPlaylists);
+function renderOperations() {
+  renderOperationsIndicator();
+  if (!isOperationsOpen) return;
 
-  // Clamp focusedIndex
-  if (filteredPlaylists.length === 0) {
-    focusedIndex = 0;
-  } else {
-    focusedIndex = Math.min(focusedIndex, filteredPlaylists.length - 1);
+  if (operations.length === 0) {
+    operationsListEl.innerHTML = '<div class="operations-empty">No bulk operations yet</div>';
+    return;
   }
 
-  videoList.innerHTML = filteredPlaylists.map((playlist, index) => {
-    const focused = index === focusedIndex ? 'focused' : '';
-    const thumbnailHtml = playlist.thumbnail
-      ? `<img src="${escapeHtml(playlist.thumbnail)}" alt="">`
-      : `<span class="playlist-thumbnail-placeholder">&#9654;</span>`;
-    return `<div class="playlist-browser-item ${focused}" data-index="${index}">
-      <div class="playlist-thumbnail">${thumbnailHtml}</div>
-      <div class="playlist-info">
-        <div class="playlist-title">${escapeHtml(playlist.title)}</div>
-        <div class="playlist-count">${Number(playlist.videoCount) || 0} videos</div>
+  operationsFocusedIndex = Math.min(operationsFocusedIndex, operations.length - 1);
+  operationsListEl.innerHTML = operations.map((operation, index) => {
+    const total = operation.items.length;
+    const processed = operation.items.filter(item => item.state !== 'pending').length;
+    const failures = operation.items.filter(item => item.state === 'failed');
+    const percent = total > 0 ? Math.round((processed / total) * 100) : 100;
+    const active = isOperationActive(operation);
+    const cancelling = active && operation.cancelRequested;
+    const statusText = cancelling ? 'cancelling' : operation.status;
+
+    const actions = [];
+    if ((operation.status === 'running' || operation.status === 'paused') && !cancelling) {
+      actions.push(`<button class="btn btn-secondary" data-action="pause">${operation.status === 'paused' ? 'Resume' : 'Pause'}</button>`);
+    }
+    if (active && !cancelling) {
+      actions.push('<button class="btn btn-secondary" data-action="cancel">Cancel</button>');
+    }
+    if (!active && failures.length > 0 && !operation.retried) {
+      actions.push('<button class="btn btn-danger" data-action="retry">Retry failed</button>');
+    }
+
+    const failureReport = !active && failures.length > 0
+      ? `<div class="operation-failures">${failures.map(item => `
+          <div class="operation-failure">
+            <span class="purge-item-title">${escapeHtml(item.title)}</span>
+            <span class="operation-failure-error">${escapeHtml(item.error || 'Unknown error')}</span>
+          </div>`).join('')}</div>`
+      : '';
+
+    return `
+      <div class="operation-item ${index === operationsFocusedIndex ? 'focused' : ''}" data-operation-id="${escapeHtml(operation.id)}">
+        <div class="operation-header">
+          <span class="operation-label">${escapeHtml(operation.label)}</span>
+          <span class="operation-status ${operation.status}">${statusText}</span>
+        </div>
+        <div class="operation-progress"><div class="operation-progress-fill" style="width: ${percent}%"></div></div>
+        <div class="operation-meta">${processed}/${total} processed${failures.length > 0 ? ` · ${failures.length} failed` : ''}</div>
+        ${actions.length > 0 ? `<div class="operation-actions">${actions.join('')}</div>` : ''}
+        ${failureReport}
       </div>
-    </div>`;
+    `;
   }).join('');
 
-  videoCountEl.textContent = filteredPlaylists.length;
-  videoCountLabelEl.textContent = 'Playlists:';
-  selectedCountEl.textContent = '0';
-
-  // Scroll focused into view
-  const focusedEl = videoList.querySelector('.playlist-browser-item.focused');
-  if (focusedEl) {
-    focusedEl.scrollIntoView({ block: 'nearest' });
-  }
+  operationsListEl.querySelector('.operation-item.focused')?.scrollIntoView({ block: 'nearest' });
 }
 
-async function drillIntoPlaylist(playlist) {
-  if (!playlist) return;
-
-  activePlaylistId = playlist.id;
-  playlistBrowserLevel = 'videos';
+function openOperationsPanel() {
+  isOperationsOpen = true;
+  // Focus the running job, or the most recent one
+  const runningIndex = operations.findIndex(op => op.status === 'running' || op.status === 'paused');
+  operationsFocusedIndex = runningIndex >= 0 ? runningIndex : Math.max(0, operations.length - 1);
+  operationsModal.classList.add('visible');
+  renderOperations();
+}
 
-  // Show breadcrumb
-  breadcrumbEl.style.display = 'flex';
-  breadcrumbNameEl.textContent = playlist.title;
+function closeOperationsPanel() {
+  isOperationsOpen = false;
+  operationsModal.classList.remove('visible');
+}
 
-  // Show loading state
-  setStatus(`Loading ${playlist.title}...`, 'loading');
-  videoList.innerHTML = '<div class="loading"><div class="spinner"></div><span>Loading playlist...</span></div>';
+function handleOperationsPanelKey(e) {
+  switch (e.key) {
+    case 'Escape':
+    case 'O':
+      closeOperationsPanel();
+      break;
+    case 'j':
+    case 'ArrowDown':
+      operationsFocusedIndex = Math.min(operationsFocusedIndex + 1, Math.max(0, operations.length - 1));
+      renderOperations();
+      break;
+    case 'k':
+    case 'ArrowUp':
+      operationsFocusedIndex = Math.max(operationsFocusedIndex - 1, 0);
+      renderOperations();
+      break;
+    case 'p':
+    case ' ':
+      togglePauseOperation(getFocusedOperation());
+      break;
+    case 'c':
+      cancelOperation(getFocusedOperation());
+      break;
+    case 'r':
+      retryFailedOperation(getFocusedOperation());
+      break;
+    case 'x':
+      clearFinishedOperations();
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
+}
 
-  try {
-    const result = await sendMessage({
-      type: 'GET_PLAYLIST_VIDEOS',
-      playlistId: playlist.id,
-    });
+function mappedKey(action, fallback) {
+  const value = nutubeSettings?.keymap?.[action];
+  if (!value || typeof value !== 'string' || value.length !== 1) {
+    return fallback;
+  }
+  return value;
+}
 
-    if (result.success) {
-      playlistVideos = result.data || [];
-      videos = playlistVideos;
-      focusedIndex = 0;
-      selectedIndices.clear();
-      searchQuery = '';
-      searchInput.value = '';
-      renderVideos();
-      videoCountLabelEl.textContent = 'Videos:';
-      setStatus('Ready');
-    } else {
-      showToast('Failed to load playlist', 'error');
-      setStatus('Error loading playlist', 'error');
-      drillOutOfPlaylist();
-    }
-  } catch (error) {
-    errorLog('Failed to load playlist:', error);
-    showToast('Failed to load playlist', 'error');
-    setStatus('Error', 'error');
-    drillOutOfPlaylist();
+/**
+ * Get the effective watched progress for a video (0-100).
+ * Local overrides take precedence over YouTube's data.
+ */
+function getWatchedProgress(video) {
+  const override = watchedOverrides[video.id];
+  if (override) {
+    return override.watched ? 100 : 0;
   }
+  return video.progressPercent || 0;
 }
 
-function drillOutOfPlaylist() {
-  playlistBrowserLevel = 'list';
-  activePlaylistId = null;
-  breadcrumbEl.style.display = 'none';
-  focusedIndex = 0;
-  selectedIndices.clear();
-  searchQuery = '';
-  searchInput.value = '';
-  renderPlaylistBrowser();
+/**
+ * Check if a video is fully watched (100% or override).
+ */
+function isFullyWatched(video) {
+  return getWatchedProgress(video) >= 100;
 }
 
+/** Labels for Video.unavailable (must match UnavailableReason in parsers.ts) */
+const UNAVAILABLE_LABELS = {
+  deleted: 'Deleted',
+  private: 'Private',
+  unplayable: 'Unavailable',
+};
+
 /**
- * Render the appropriate view based on current tab and playlist level.
- * Used by keyboard navigation handlers to dispatch to the correct render function.
+ * Why a video can't be watched any more, or null. Lists cached before
+ * parsers.ts set `unavailable` are recognized by their placeholder title.
  */
-function renderCurrentView() {
-  if (currentTab === 'channels') {
-    renderChannels();
-  } else if (currentTab === 'playlists' && playlistBrowserLevel === 'list') {
-    renderPlaylistBrowser();
-  } else {
-    renderVideos();
-  }
+function getUnavailableReason(video) {
+  if (video.unavailable) return video.unavailable;
+  const match = (video.title || '').trim().match(/^\[(deleted|private) video\]$/i);
+  return match ? match[1].toLowerCase() : null;
 }
 
-function buildVideoContextMenuItems(video) {
-  const items = [
-    {
-      label: 'Open in YouTube',
-      action: () => {
-        const url = getFocusedVideoUrl(video);
-        if (url) window.open(url, '_blank');
-      },
-    },
-    {
-      label: 'Copy URL',
-      action: async () => {
-        const url = getFocusedVideoUrl(video);
-        if (!url) return;
-        try {
-          await navigator.clipboard.writeText(url);
-          showToast('URL copied to clipboard', 'success');
-        } catch (_) {
-          showToast('Failed to copy URL', 'error');
-        }
-      },
-    },
-    {
-      label: 'Edit note/tags',
-      action: () => editFocusedVideoAnnotation(),
-    },
-    {
-      label: isFullyWatched(video) ? 'Mark as Unwatched' : 'Mark as Watched',
-      action: () => toggleWatched(),
-    },
+async function pruneStaleOverrides(loadedVideoIds) {
+  const now = Date.now();
+  const pruned = Object.fromEntries(
+    Object.entries(watchedOverrides).filter(([videoId, entry]) =>
+      loadedVideoIds.has(videoId) || (now - entry.timestamp) <= STALE_OVERRIDE_TTL_MS
+    )
+  );
+  const changed = Object.keys(pruned).length !== Object.keys(watchedOverrides).length;
+  if (changed) {
+    watchedOverrides = pruned;
+    await saveWatchedOverrides();
+  }
+}
+
+/**
+ * Toggle the Watch Later filter in subscriptions view
+ */
+function toggleHideWatchLater() {
+  hideWatchLaterInSubs = !hideWatchLaterInSubs;
+  saveHideWatchLaterPref();
+  renderVideos();
+  const state = hideWatchLaterInSubs ? 'Hidden' : 'Shown';
+  showToast(`Watch Later items: ${state}`, 'success');
+}
+
+/**
+ * Toggle the global hide-watched filter
+ */
+function toggleHideWatched() {
+  hideWatched = !hideWatched;
+  saveHideWatchedPref();
+  updateHideWatchedIndicator();
+  renderVideos();
+  const state = hideWatched ? 'Hiding' : 'Showing';
+  showToast(`${state} watched videos`, 'success');
+}
+
+function toggleSmartSort() {
+  smartSortEnabled = !smartSortEnabled;
+  saveSmartSortPref();
+  renderCurrentView();
+  showToast(smartSortEnabled ? 'Smart queue ranking enabled' : 'Smart queue ranking disabled', 'success');
+}
+
+// Ranking weights edited on the settings page re-rank the open list right away
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes.nutubeSettings) return;
+  loadNuTubeSettings().then(() => {
+    if (smartSortEnabled && currentTab !== 'channels') renderCurrentView();
+  });
+});
+
+// Update mode indicator in footer
+function updateMode() {
+  if (modeIndicatorEl) {
+    if (visualModeStart !== null) {
+      // Show VISUAL LINE or VISUAL BLOCK with selection count
+      const selCount = selectedIndices.size;
+      const modeName = visualBlockMode ? 'VISUAL BLOCK' : 'VISUAL LINE';
+      modeIndicatorEl.textContent = selCount > 1 ? `${modeName} (${selCount})` : modeName;
+      modeIndicatorEl.classList.add('visual');
+    } else if (selectedIndices.size > 0) {
+      // Show selection count even when not in visual mode (e.g., after Ctrl+Click)
+      modeIndicatorEl.textContent = `SELECT (${selectedIndices.size})`;
+      modeIndicatorEl.classList.add('visual');
+    } else {
+      modeIndicatorEl.textContent = 'NORMAL';
+      modeIndicatorEl.classList.remove('visual');
+    }
+  }
+}
+
+function assignQuickMove(number, playlistId) {
+  // Remove any existing assignment for this number
+  // Also remove this playlist from any other number
+  for (const key of Object.keys(quickMoveAssignments)) {
+    if (quickMoveAssignments[key] === playlistId) {
+      delete quickMoveAssignments[key];
+    }
+  }
+  if (playlistId) {
+    quickMoveAssignments[number] = playlistId;
+  }
+  saveQuickMoveAssignments();
+}
+
+function getQuickMoveNumber(playlistId) {
+  for (const [num, id] of Object.entries(quickMoveAssignments)) {
+    if (id === playlistId) return num;
+  }
+  return null;
+}
+
+function getPlaylistByQuickMove(number) {
+  const playlistId = quickMoveAssignments[number];
+  if (playlistId) {
+    return getPlaylistById(playlistId);
+  }
+  return null;
+}
+
+// Toast notifications
+function showToast(message, type = 'info') {
+  const toast = document.createElement('div');
+  toast.className = `toast ${type}`;
+  toast.textContent = message;
+  toastContainer.appendChild(toast);
+  setTimeout(() => toast.remove(), TOAST_DURATION_MS);
+}
+
+// Tab switching
+function updateTabStateUI(tab, behavior = 'smooth') {
+  tabWatchLater.classList.toggle('active', tab === 'watchlater');
+  tabSubscriptions.classList.toggle('active', tab === 'subscriptions');
+  tabChannels.classList.toggle('active', tab === 'channels');
+  tabPlaylists.classList.toggle('active', tab === 'playlists');
+
+  updateTabRolodexClasses();
+  centerActiveTab(behavior);
+}
+
+function getTabButtons() {
+  return [tabPlaylists, tabWatchLater, tabSubscriptions, tabChannels].filter(Boolean);
+}
+
+function updateTabRolodexClasses() {
+  const tabs = getTabButtons();
+  if (tabs.length === 0) return;
+
+  const activeIndex = tabs.findIndex(tab => tab.classList.contains('active'));
+  tabs.forEach((tab, index) => {
+    tab.classList.remove('rolodex-active', 'rolodex-before', 'rolodex-after', 'rolodex-far');
+    if (index === activeIndex) {
+      tab.classList.add('rolodex-active');
+      return;
+    }
+
+    if (index < activeIndex) {
+      tab.classList.add('rolodex-before');
+      if (activeIndex - index > 1) {
+        tab.classList.add('rolodex-far');
+      }
+      return;
+    }
+
+    tab.classList.add('rolodex-after');
+    if (index - activeIndex > 1) {
+      tab.classList.add('rolodex-far');
+    }
+  });
+}
+
+function updateTabOverflowIndicators() {
+  if (!tabStrip) return;
+  const epsilon = 2;
+  const hasBefore = tabStrip.scrollLeft > epsilon;
+  const hasAfter = (tabStrip.scrollLeft + tabStrip.clientWidth) < (tabStrip.scrollWidth - epsilon);
+  tabShiftBefore?.classList.toggle('visible', hasBefore);
+  tabShiftAfter?.classList.toggle('visible', hasAfter);
+}
+
+function centerActiveTab(behavior = 'auto') {
+  if (!tabStrip) return;
+  const activeTab = tabStrip.querySelector('.nav-tab.active');
+  if (!activeTab) return;
+  activeTab.scrollIntoView({ block: 'nearest', inline: 'center', behavior });
+  updateTabOverflowIndicators();
+}
+
+function switchTab(tab) {
+  if (tab === currentTab) return;
+
+  hideContextMenu();
+  currentTab = tab;
+  saveLastTabPref();
+  selectedIndices.clear();
+  focusedIndex = 0;
+  visualModeStart = null;
+  visualBlockMode = false;
+  searchQuery = '';
+  searchInput.value = '';
+  searchContainer?.classList.remove('active');
+
+  // Update tab UI
+  updateTabStateUI(tab, 'smooth');
+  renderShortcuts();
+
+  // Hide breadcrumb when leaving playlists tab
+  if (tab !== 'playlists') {
+    breadcrumbEl.style.display = 'none';
+    playlistBrowserLevel = 'list';
+    activePlaylistId = null;
+  }
+
+  // Switch data and render
+  if (tab === 'channels') {
+    renderChannels();
+  } else if (tab === 'playlists') {
+    renderPlaylistBrowser();
+  } else {
+    if (tab === 'watchlater') {
+      videos = watchLaterVideos;
+    } else {
+      videos = subscriptionVideos;
+    }
+    renderVideos();
+  }
+
+  const needsLoad =
+    (tab === 'watchlater' && watchLaterVideos.length === 0) ||
+    (tab === 'subscriptions' && subscriptionVideos.length === 0) ||
+    (tab === 'channels' && channels.length === 0) ||
+    (tab === 'playlists' && playlists.length === 0);
+  if (needsLoad) {
+    loadData();
+  }
+  setStatus('Ready');
+}
+
+// Playlist browser rendering (Level 1)
+function renderPlaylistBrowser() {
+  // Apply search filter to playlists
+  const query = searchQuery.trim();
+  const allPlaylists = [...smartPlaylists, ...playlists];
+  if (query) {
+    const scored = allPlaylists
+      .map(playlist => ({ playlist, score: fuzzyScore(query, playlist.title) }))
+      .filter(item => item.score >= (nutubeSettings.fuzzyThreshold || DEFAULT_SETTINGS.fuzzyThreshold))
+      .sort((a, b) => b.score - a.score);
+    filteredPlaylists = scored.map(item => item.playlist);
+  } else {
+    filteredPlaylists = allPlaylists;
+  }
+
+  // Apply sorting (smart playlists stay on top)
+  filteredPlaylists = [
+    ...filteredPlaylists.filter(playlist => isSmartPlaylistId(playlist.id)),
+    ...applySortToPlaylists(filteredPlaylists.filter(playlist => !isSmartPlaylistId(playlist.id))),
   ];
 
-  if (currentTab === 'watchlater') {
-    items.push(
-      { label: 'Move to Playlist...', action: () => openModal() },
-      { label: 'Move to Top', action: () => moveToTop() },
-      { label: 'Move to Bottom', action: () => moveToBottom() },
-      { label: 'Delete from Watch Later', action: () => deleteVideos(), danger: true },
-    );
-  } else if (currentTab === 'subscriptions') {
-    items.push(
-      { label: isInWatchLater(video.id) ? 'Remove from Watch Later' : 'Toggle Watch Later', action: () => toggleWatchLater() },
-      { label: 'Add to Playlist...', action: () => openModal() },
-      { label: 'Hide Video', action: () => toggleHideVideo(), danger: true },
-    );
-  } else if (currentTab === 'playlists' && playlistBrowserLevel === 'videos') {
-    items.push(
-      { label: 'Move to Another Playlist...', action: () => openModal() },
-      { label: 'Remove from Playlist', action: () => deleteFromPlaylist(), danger: true },
-    );
+  // Clamp focusedIndex
+  if (filteredPlaylists.length === 0) {
+    focusedIndex = 0;
+  } else {
+    focusedIndex = Math.min(focusedIndex, filteredPlaylists.length - 1);
+  }
+
+  videoList.innerHTML = filteredPlaylists.map((playlist, index) => {
+    const focused = index === focusedIndex ? 'focused' : '';
+    const smart = isSmartPlaylistId(playlist.id);
+    const thumbnailHtml = playlist.thumbnail
+      ? `<img src="${escapeHtml(playlist.thumbnail)}" alt="">`
+      : `<span class="playlist-thumbnail-placeholder">${smart ? '&#9733;' : '&#9654;'}</span>`;
+    return `<div class="playlist-browser-item ${focused}" data-index="${index}">
+      <div class="playlist-thumbnail">${thumbnailHtml}</div>
+      <div class="playlist-info">
+        <div class="playlist-title">${escapeHtml(playlist.title)}</div>
+        <div class="playlist-count">${smart ? `Smart &middot; ${escapeHtml(playlist.query)}` : `${Number(playlist.videoCount) || 0} videos`}</div>
+      </div>
+    </div>`;
+  }).join('');
+
+  videoCountEl.textContent = filteredPlaylists.length;
+  videoCountLabelEl.textContent = 'Playlists:';
+  selectedCountEl.textContent = '0';
+
+  // Scroll focused into view
+  const focusedEl = videoList.querySelector('.playlist-browser-item.focused');
+  if (focusedEl) {
+    focusedEl.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+async function drillIntoPlaylist(playlist) {
+  if (!playlist) return;
+  if (isSmartPlaylistId(playlist.id)) return drillIntoSmartPlaylist(playlist);
+
+  activePlaylistId = playlist.id;
+  playlistBrowserLevel = 'videos';
+
+  // Show breadcrumb
+  breadcrumbEl.style.display = 'flex';
+  breadcrumbNameEl.textContent = playlist.title;
+
+  const listKey = `playlist:${playlist.id}`;
+  let cached = null;
+  try {
+    cached = await loadLibraryList(listKey);
+  } catch (error) {
+    warnLog('Failed to read cached playlist:', error);
+  }
+  if (activePlaylistId !== playlist.id) return;
+
+  focusedIndex = 0;
+  selectedIndices.clear();
+  searchQuery = '';
+  searchInput.value = '';
+  videoCountLabelEl.textContent = 'Videos:';
+
+  if (cached) {
+    // Render the cached copy immediately, then reconcile with YouTube
+    playlistVideos = cached.items;
+    videos = playlistVideos;
+    renderVideos();
+    setStatus(`Syncing ${playlist.title}...`, 'loading');
+  } else {
+    playlistVideos = [];
+    videos = playlistVideos;
+    setStatus(`Loading ${playlist.title}...`, 'loading');
+    videoList.innerHTML = '<div class="loading"><div class="spinner"></div><span>Loading playlist...</span></div>';
+  }
+
+  try {
+    const allVideos = await streamPlaylist({
+      type: 'GET_PLAYLIST_VIDEOS',
+      playlistId: playlist.id,
+    }, (page, progress) => {
+      if (activePlaylistId !== playlist.id) return;
+      showSyncProgress(playlist.title, progress);
+      if (cached) return;
+      // Append to the live list so deletes made while pages are loading stick
+      playlistVideos = [...videos, ...page];
+      videos = playlistVideos;
+      renderVideos();
+    }).finally(hideSyncProgress);
+    if (activePlaylistId !== playlist.id) return;
+
+    playlistVideos = cached ? allVideos : videos;
+    videos = playlistVideos;
+    focusedIndex = Math.min(focusedIndex, Math.max(0, playlistVideos.length - 1));
+    renderVideos();
+    setOfflineMode(false);
+    setStatus('Ready');
+    recordFirstSeen(playlistVideos);
+    refreshVideoDetails(playlistVideos);
+    const changes = await reconcileLibraryList(listKey, playlistVideos);
+    if (changes) showToast(`${playlist.title} synced: ${changes}`, 'info');
+  } catch (error) {
+    errorLog('Failed to load playlist:', error);
+    if (activePlaylistId !== playlist.id) return;
+    if (cached) {
+      setOfflineMode(true, error.message);
+      return;
+    }
+    showToast('Failed to load playlist', 'error');
+    setStatus('Error', 'error');
+    drillOutOfPlaylist();
+  }
+}
+
+function drillOutOfPlaylist() {
+  playlistBrowserLevel = 'list';
+  activePlaylistId = null;
+  breadcrumbEl.style.display = 'none';
+  focusedIndex = 0;
+  selectedIndices.clear();
+  searchQuery = '';
+  searchInput.value = '';
+  renderPlaylistBrowser();
+}
+
+/**
+ * Render the appropriate view based on current tab and playlist level.
+ * Used by keyboard navigation handlers to dispatch to the correct render function.
+ */
+function renderCurrentView() {
+  if (currentTab === 'channels') {
+    renderChannels();
+  } else if (currentTab === 'playlists' && playlistBrowserLevel === 'list') {
+    renderPlaylistBrowser();
+  } else {
+    renderVideos();
+  }
+}
+
+function buildVideoContextMenuItems(video) {
+  const items = [
+    {
+      label: 'Open in YouTube',
+      action: () => {
+        const url = getFocusedVideoUrl(video);
+        if (url) window.open(url, '_blank');
+      },
+    },
+    {
+      label: 'Copy URL',
+      action: async () => {
+        const url = getFocusedVideoUrl(video);
+        if (!url) return;
+        try {
+          await navigator.clipboard.writeText(url);
+          showToast('URL copied to clipboard', 'success');
+        } catch (_) {
+          showToast('Failed to copy URL', 'error');
+        }
+      },
+    },
+    {
+      label: 'Edit note/tags',
+      action: () => editFocusedVideoAnnotation(),
+    },
+    {
+      label: isFullyWatched(video) ? 'Mark as Unwatched' : 'Mark as Watched',
+      action: () => toggleWatched(),
+    },
+    {
+      label: 'Explain Smart Score',
+      action: () => explainFocusedVideoScore(),
+    },
+  ];
+
+  if (currentTab === 'watchlater') {
+    items.push(
+      { label: 'Move to Playlist...', action: () => openModal() },
+      { label: 'Move to Top', action: () => moveToTop() },
+      { label: 'Move to Bottom', action: () => moveToBottom() },
+      { label: 'Delete from Watch Later', action: () => deleteVideos(), danger: true },
+    );
+  } else if (currentTab === 'subscriptions') {
+    items.push(
+      { label: isInWatchLater(video.id) ? 'Remove from Watch Later' : 'Toggle Watch Later', action: () => toggleWatchLater() },
+      { label: 'Add to Playlist...', action: () => openModal() },
+      { label: 'Hide Video', action: () => toggleHideVideo(), danger: true },
+    );
+  } else if (currentTab === 'playlists' && playlistBrowserLevel === 'videos') {
+    items.push(
+      { label: 'Move to Another Playlist...', action: () => openModal() },
+      { label: 'Remove from Playlist', action: () => deleteFromPlaylist(), danger: true },
+    );
+  }
+
+  return items;
+}
+
+function buildChannelContextMenuItems(channel) {
+  return [
+    {
+      label: 'Open Channel',
+      action: () => {
+        const url = getFocusedChannelUrl(channel);
+        if (url) window.open(url, '_blank');
+      },
+    },
+    {
+      label: 'Copy Channel URL',
+      action: async () => {
+        const url = getFocusedChannelUrl(channel);
+        if (!url) return;
+        try {
+          await navigator.clipboard.writeText(url);
+          showToast('URL copied to clipboard', 'success');
+        } catch (_) {
+          showToast('Failed to copy URL', 'error');
+        }
+      },
+    },
+    {
+      label: 'Preview Channel',
+      action: () => openChannelPreview(channel),
+    },
+    {
+      label: 'Unsubscribe',
+      action: () => confirmUnsubscribe(channel),
+      danger: true,
+    },
+  ];
+}
+
+function buildPlaylistContextMenuItems(playlist) {
+  return [
+    {
+      label: 'Open Playlist',
+      action: () => drillIntoPlaylist(playlist),
+    },
+    {
+      label: 'Rename Playlist',
+      action: () => renameSelectedPlaylist(),
+    },
+    {
+      label: 'Delete Playlist',
+      action: () => deleteSelectedPlaylist(),
+      danger: true,
+    },
+  ];
+}
+
+/**
+ * Get the maximum valid index for the current view.
+ */
+function getMaxIndex() {
+  if (currentTab === 'channels') return filteredChannels.length - 1;
+  if (currentTab === 'playlists' && playlistBrowserLevel === 'list') return filteredPlaylists.length - 1;
+  return filteredVideos.length - 1;
+}
+
+// Get next tab in cycle
+function getNextTab() {
+  if (currentTab === 'playlists') return 'watchlater';
+  if (currentTab === 'watchlater') return 'subscriptions';
+  if (currentTab === 'subscriptions') return 'channels';
+  return 'playlists';
+}
+
+// Get previous tab in cycle (for SHIFT+TAB)
+function getPrevTab() {
+  if (currentTab === 'playlists') return 'channels';
+  if (currentTab === 'watchlater') return 'playlists';
+  if (currentTab === 'subscriptions') return 'watchlater';
+  return 'subscriptions';
+}
+
+// Add to Watch Later (for subscriptions tab)
+async function addToWatchLater() {
+  if (!ensureWritable()) return;
+  const targets = getTargetVideos();
+  if (targets.length === 0) return;
+
+  setStatus(`Adding ${targets.length} video(s) to Watch Later...`, 'loading');
+
+  const results = await runBulkOperation(
+    `Adding ${targets.length} video(s) to Watch Later`,
+    targets,
+    video => ({ type: 'ADD_TO_WATCH_LATER', videoId: video.id })
+  );
+  targets.forEach((video, index) => {
+    if (results[index]?.success && !watchLaterVideos.find(v => v.id === video.id)) {
+      watchLaterVideos.unshift(video);
+    }
+  });
+  watchLaterCountEl.textContent = watchLaterVideos.length;
+
+  const added = results.filter(r => r?.success).length;
+  const failed = results.filter(r => !r?.success).length;
+
+  // Exit visual mode after adding
+  visualModeStart = null;
+  visualBlockMode = false;
+  selectedIndices.clear();
+  updateMode();
+
+  renderVideos();
+  if (failed > 0) {
+    showToast(`Added ${added}/${targets.length} video(s)`, added > 0 ? 'warning' : 'error');
+  } else {
+    showToast(`Added ${added} video(s) to Watch Later`, 'success');
+  }
+  setStatus('Ready');
+}
+
+/**
+ * Toggle watched status on focused/selected videos
+ */
+function toggleWatched() {
+  const targets = getTargetVideos();
+  if (targets.length === 0) return;
+
+  let markedCount = 0;
+  let unmarkedCount = 0;
+  const updated = { ...watchedOverrides };
+
+  for (const video of targets) {
+    const currentlyWatched = isFullyWatched(video);
+    if (currentlyWatched) {
+      updated[video.id] = { watched: false, timestamp: Date.now() };
+      unmarkedCount++;
+    } else {
+      updated[video.id] = { watched: true, timestamp: Date.now() };
+      markedCount++;
+    }
+  }
+
+  watchedOverrides = updated;
+  saveWatchedOverrides();
+  renderVideos();
+
+  if (markedCount > 0 && unmarkedCount > 0) {
+    showToast(`${markedCount} marked watched, ${unmarkedCount} unmarked`, 'success');
+  } else if (markedCount > 0) {
+    showToast(`${markedCount} video(s) marked as watched`, 'success');
+  } else {
+    showToast(`${unmarkedCount} video(s) unmarked`, 'success');
+  }
+}
+
+/**
+ * Remove a video from Watch Later (used in subscriptions tab)
+ * Finds the video in the local Watch Later cache to get setVideoId,
+ * then sends remove request to YouTube.
+ * @param {object} video - The video object to remove
+ * @returns {Promise<boolean>} Whether removal was successful
+ */
+async function removeFromWatchLaterSub(video) {
+  // Find the video in watchLaterVideos to get setVideoId
+  const wlVideo = watchLaterVideos.find(v => v.id === video.id);
+  if (!wlVideo) return false;
+
+  try {
+    const result = await sendMessage({
+      type: 'REMOVE_FROM_WATCH_LATER',
+      videoId: wlVideo.id,
+      setVideoId: wlVideo.setVideoId,
+    });
+    if (result.success || result.error?.includes('409')) {
+      recordWatchLaterRemovals([{ video: wlVideo, moved: false }]);
+      // Remove from local cache
+      watchLaterVideos = watchLaterVideos.filter(v => v.id !== video.id);
+      watchLaterCountEl.textContent = watchLaterVideos.length;
+      return true;
+    }
+  } catch (e) {
+    errorLog('Remove from WL failed:', e);
+  }
+  return false;
+}
+
+/**
+ * Toggle Watch Later status for the focused video in subscriptions tab.
+ * If video is in WL, removes it. If not, adds it.
+ */
+async function toggleWatchLater() {
+  if (!ensureWritable()) return;
+  if (currentTab !== 'subscriptions') return;
+
+  const video = filteredVideos[focusedIndex];
+  if (!video) return;
+
+  const inWL = isInWatchLater(video.id);
+
+  if (inWL) {
+    setStatus('Removing from Watch Later...', 'loading');
+    const success = await removeFromWatchLaterSub(video);
+    renderVideos();
+    showToast(success ? 'Removed from Watch Later' : 'Failed to remove', success ? 'success' : 'error');
+  } else {
+    setStatus('Adding to Watch Later...', 'loading');
+    try {
+      const result = await sendMessage({
+        type: 'ADD_TO_WATCH_LATER',
+        videoId: video.id,
+      });
+      if (result.success) {
+        if (!watchLaterVideos.find(v => v.id === video.id)) {
+          watchLaterVideos.unshift(video);
+          watchLaterCountEl.textContent = watchLaterVideos.length;
+        }
+        renderVideos();
+        showToast('Added to Watch Later', 'success');
+      } else {
+        showToast('Failed to add', 'error');
+      }
+    } catch (e) {
+      errorLog('Add to WL failed:', e);
+      showToast('Failed to add', 'error');
+    }
+  }
+  setStatus('Ready');
+}
+
+/**
+ * Toggle hide status for selected/focused videos in subscriptions tab.
+ * Hidden videos are stored locally and filtered from view.
+ */
+async function toggleHideVideo() {
+  if (currentTab !== 'subscriptions') return;
+
+  const targets = getTargetVideos();
+  if (targets.length === 0) return;
+
+  let hiddenCount = 0;
+  let unhiddenCount = 0;
+
+  for (const video of targets) {
+    if (hiddenVideoIds.has(video.id)) {
+      hiddenVideoIds.delete(video.id);
+      unhiddenCount++;
+    } else {
+      hiddenVideoIds.add(video.id);
+      hiddenCount++;
+    }
+  }
+
+  await saveHiddenVideos();
+
+  // Exit visual mode after hiding
+  visualModeStart = null;
+  visualBlockMode = false;
+  selectedIndices.clear();
+  updateMode();
+
+  // Adjust focus to stay within bounds
+  focusedIndex = Math.min(focusedIndex, Math.max(0, filteredVideos.length - targets.length - 1));
+  renderVideos();
+
+  if (hiddenCount > 0 && unhiddenCount > 0) {
+    showToast(`Hidden ${hiddenCount}, unhidden ${unhiddenCount}`, 'success');
+  } else if (hiddenCount > 0) {
+    showToast(`Hidden ${hiddenCount} video(s)`, 'success');
+  } else {
+    showToast(`Unhidden ${unhiddenCount} video(s)`, 'success');
+  }
+}
+
+/**
+ * Load more subscription videos for infinite scroll.
+ * Uses continuation tokens from YouTube's InnerTube API.
+ * Debounced to prevent excessive API calls.
+ */
+async function loadMoreSubscriptions() {
+  // Debounce and prevent concurrent loads
+  const now = Date.now();
+  if (isLoadingMore || currentTab !== 'subscriptions' || subscriptionsContinuationExhausted) return;
+  if (now - lastLoadTime < LOAD_DEBOUNCE_MS) return;
+
+  isLoadingMore = true;
+  lastLoadTime = now;
+  showSubscriptionsLoading();
+  setLoadMoreState('loading');
+
+  try {
+    debugLog('loadMoreSubscriptions called, current count:', subscriptionVideos.length);
+    const result = await sendMessage({ type: 'GET_MORE_SUBSCRIPTIONS' });
+    debugLog('loadMoreSubscriptions result:', result.success, 'videos:', result.data?.length || 0);
+
+    if (result.success && result.data && result.data.length > 0) {
+      // Add new videos, avoiding duplicates
+      const prevCount = subscriptionVideos.length;
+      for (const video of result.data) {
+        if (!subscriptionVideos.find(v => v.id === video.id)) {
+          subscriptionVideos.push(video);
+        }
+      }
+      const newCount = subscriptionVideos.length - prevCount;
+      debugLog('Added', newCount, 'new videos, total:', subscriptionVideos.length);
+
+      videos = subscriptionVideos;
+      subscriptionsCountEl.textContent = subscriptionVideos.length;
+      renderVideos();
+      cacheLibraryList('subscriptions', subscriptionVideos);
+
+      // Recalculate channel activity with new videos
+      recalculateChannelActivity();
+
+      setLoadMoreState('hidden');
+    } else if (result.success && (!result.data || result.data.length === 0)) {
+      debugLog('No more videos to load (continuation exhausted)');
+      subscriptionsContinuationExhausted = true;
+      setLoadMoreState('exhausted');
+    } else if (!result.success) {
+      warnLog('Load more failed:', result.error);
+      setLoadMoreState('error');
+    }
+  } catch (e) {
+    warnLog('Load more exception:', e);
+    setLoadMoreState('error');
+  } finally {
+    isLoadingMore = false;
+    hideSubscriptionsLoading();
+  }
+}
+
+// Update status
+function setStatus(message, type = '') {
+  statusMessage.textContent = message;
+  statusMessage.className = `status-message ${type}`;
+}
+
+/**
+ * Show streaming progress in the stats bar, e.g. "Watch Later: 3 pages · 300/~1,240"
+ * @param {string} label
+ * @param {{pagesLoaded: number, loadedCount: number, estimatedTotal: number|null}} progress
+ */
+function showSyncProgress(label, progress) {
+  const { pagesLoaded, loadedCount, estimatedTotal } = progress;
+  const total = estimatedTotal && estimatedTotal >= loadedCount ? estimatedTotal : null;
+  const pageLabel = `${pagesLoaded} page${pagesLoaded === 1 ? '' : 's'}`;
+  const countLabel = total
+    ? `${loadedCount.toLocaleString()}/~${total.toLocaleString()}`
+    : loadedCount.toLocaleString();
+
+  syncProgressTextEl.textContent = `${label}: ${pageLabel} · ${countLabel}`;
+  syncProgressFillEl.style.width = total ? `${Math.round((loadedCount / total) * 100)}%` : '100%';
+  syncProgressEl.classList.add('active');
+}
+
+function hideSyncProgress() {
+  syncProgressEl.classList.remove('active');
+}
+
+// Check if a video is in Watch Later
+function isInWatchLater(videoId) {
+  return watchLaterVideos.some(v => v.id === videoId);
+}
+
+// Render video list
+function renderVideos() {
+  const query = searchQuery.trim();
+
+  // Base filter: exclude hidden videos
+  let baseFilter = v => !hiddenVideoIds.has(v.id);
+
+  // Hide fully-watched videos when toggle is active
+  if (hideWatched) {
+    const origFilter = baseFilter;
+    baseFilter = v => origFilter(v) && !isFullyWatched(v);
+  }
+
+  // In subscriptions tab, optionally hide videos already in Watch Later
+  if (currentTab === 'subscriptions' && hideWatchLaterInSubs) {
+    const origFilter = baseFilter;
+    baseFilter = v => origFilter(v) && !isInWatchLater(v.id);
+  }
+
+  const baseVideos = videos.filter(baseFilter);
+
+  if (query) {
+    const parsedQuery = parseSearchQuery(query);
+    const scored = [];
+    for (const video of baseVideos) {
+      const score = matchVideoQuery(parsedQuery, video);
+      if (score > 0) {
+        scored.push({ video, score });
+      }
+    }
+    scored.sort((a, b) => b.score - a.score);
+    filteredVideos = scored.map(item => item.video);
+  } else {
+    filteredVideos = [...baseVideos];
+  }
+
+  const smartScores = smartSortEnabled ? new Map(filteredVideos.map(video => [video, scoreVideo(video)])) : null;
+  if (smartScores) {
+    filteredVideos.sort((a, b) => smartScores.get(b) - smartScores.get(a));
+  }
+
+  videoList.innerHTML = filteredVideos.map((video, index) => {
+    const inWL = currentTab === 'subscriptions' && isInWatchLater(video.id);
+    const progress = getWatchedProgress(video);
+    const fullyWatched = progress >= 100;
+    const annotation = getVideoAnnotation(video.id);
+    const hasAnnotation = annotation.note || (annotation.tags && annotation.tags.length > 0);
+    const unavailable = getUnavailableReason(video);
+    const details = describeVideoDetails(video);
+    return `
+    <div class="video-item ${selectedIndices.has(index) ? 'selected' : ''} ${focusedIndex === index ? 'focused' : ''} ${fullyWatched ? 'fully-watched' : ''} ${unavailable ? 'unavailable' : ''}"
+         data-index="${index}"
+         data-video-id="${video.id}">
+      <span class="video-index">${index + 1}</span>
+      <div class="thumbnail-wrapper">
+        <img class="video-thumbnail" src="${fixUrl(video.thumbnail)}" alt="" loading="lazy">
+        ${progress > 0 ? `<div class="video-progress" style="width: ${progress}%"></div>` : ''}
+      </div>
+      <div class="video-info">
+        <div class="video-title" title="${escapeHtml(video.title)}">${escapeHtml(video.title)}</div>
+        <div class="video-channel">${unavailable ? `<span class="video-unavailable">${UNAVAILABLE_LABELS[unavailable]}</span> ` : ''}${details.badges.map(badge => `<span class="video-badge">${badge}</span> `).join('')}${escapeHtml(video.channel)}${details.summary ? `<span class="video-details"> · ${escapeHtml(details.summary)}</span>` : ''}</div>
+      </div>
+      <div class="video-meta">
+        ${inWL ? '<span class="wl-check" title="In Watch Later">&#10003;</span>' : ''}
+        ${hasAnnotation ? '<span class="wl-check" title="Annotated">&#128221;</span>' : ''}
+        ${video.sourceListTitle ? `<span class="video-source">${escapeHtml(video.sourceListTitle)}</span>` : ''}
+        ${smartScores ? `<button class="video-score" title="Why this rank? (Y)">${smartScores.get(video).toFixed(2)}</button>` : ''}
+        <span class="video-duration">${video.duration || '--:--'}</span>
+      </div>
+    </div>
+  `;
+  }).join('');
+
+  videoCountLabelEl.textContent = 'Videos:';
+  videoCountEl.textContent = videos.length;
+  selectedCountEl.textContent = selectedIndices.size;
+
+  scrollFocusedIntoView();
+}
+
+// Escape HTML to prevent XSS
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Fix protocol-relative URLs (//domain.com) for extension context
+function fixUrl(url) {
+  if (url && url.startsWith('//')) {
+    return 'https:' + url;
+  }
+  return url;
+}
+
+// Render playlists (sidebar - only shows assigned quick moves)
+function renderPlaylists() {
+  // Show playlists that have quick move assignments, sorted by number
+  const assignedPlaylists = [];
+  for (let i = 1; i <= 9; i++) {
+    const playlist = getPlaylistByQuickMove(i);
+    if (playlist) {
+      assignedPlaylists.push({ num: i, playlist });
+    }
+  }
+
+  if (assignedPlaylists.length === 0) {
+    playlistList.innerHTML = `
+      <div class="playlist-item" style="color: var(--text-muted); cursor: default; font-size: 11px;">
+        Press m to assign quick moves
+      </div>
+    `;
+    return;
+  }
+
+  playlistList.innerHTML = assignedPlaylists.map(({ num, playlist }) => `
+    <div class="playlist-item" data-playlist-id="${playlist.id}">
+      <span class="playlist-key">${num}</span>
+      <span class="playlist-name" title="${escapeHtml(playlist.title)}">${escapeHtml(playlist.title)}</span>
+    </div>
+  `).join('');
+
+  if (playlists.length > assignedPlaylists.length) {
+    playlistList.innerHTML += `
+      <div class="playlist-item" style="color: var(--text-muted); cursor: default; font-size: 11px;">
+        +${playlists.length - assignedPlaylists.length} more (press m)
+      </div>
+    `;
+  }
+
+}
+
+// Get sorted playlists for modal display
+function getSortedPlaylists() {
+  return [...playlists].sort((a, b) => {
+    const aNum = getQuickMoveNumber(a.id);
+    const bNum = getQuickMoveNumber(b.id);
+
+    // Assigned playlists come first, sorted by number
+    if (aNum && bNum) return parseInt(aNum) - parseInt(bNum);
+    if (aNum) return -1;
+    if (bNum) return 1;
+
+    // Then alphabetically
+    return a.title.localeCompare(b.title);
+  });
+}
+
+// Render modal playlists
+function renderModalPlaylists() {
+  const sortedPlaylists = getSortedPlaylists();
+  // In subscriptions tab, prepend Watch Later as first option
+  const watchLaterEntry = { id: 'WL', title: 'Watch Later', videoCount: watchLaterVideos.length };
+  const modalItems = currentTab === 'subscriptions'
+    ? [watchLaterEntry, ...sortedPlaylists]
+    : sortedPlaylists;
+  currentModalItems = modalItems;
+
+  modalPlaylists.innerHTML = modalItems.map((playlist, index) => {
+    const quickMoveNum = getQuickMoveNumber(playlist.id);
+    return `
+    <div class="modal-playlist ${modalFocusedIndex === index ? 'focused' : ''}"
+         data-index="${index}"
+         data-playlist-id="${playlist.id}">
+      <span class="playlist-key ${quickMoveNum ? 'assigned' : ''}">${quickMoveNum || ''}</span>
+      <span class="playlist-name">${escapeHtml(playlist.title)}</span>
+      <span class="playlist-count">${playlist.videoCount} videos</span>
+    </div>
+  `;
+  }).join('');
+
+  // Add hint at the bottom
+  modalPlaylists.innerHTML += `
+    <div class="modal-hint">
+      Press 1-9 to assign quick move to focused playlist
+    </div>
+  `;
+
+  // Scroll focused item into view
+  const focused = modalPlaylists.querySelector('.modal-playlist.focused');
+  if (focused) {
+    focused.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+// Scroll focused item into view - center when single selection, nearest otherwise
+function scrollFocusedIntoView() {
+  const focused = videoList.querySelector('.focused') || videoList.querySelector('.channel-item.focused');
+  if (focused) {
+    // Use 'center' for single item navigation, 'nearest' for visual mode
+    const block = (visualModeStart === null && selectedIndices.size === 0) ? 'center' : 'nearest';
+    // Use 'auto' for instant scroll response when holding keys
+    focused.scrollIntoView({ block, behavior: 'auto' });
+  }
+}
+
+// Derive channel activity from subscription videos
+// Returns a Map of channelId -> { lastUploadText, lastUploadTimestamp }
+function deriveChannelActivity(subscriptionVideos) {
+  const activity = new Map();
+
+  for (const video of subscriptionVideos) {
+    if (!video.channelId) continue;
+
+    const timestamp = getPublishedTimestamp(video);
+    if (!timestamp) continue;
+
+    const existing = activity.get(video.channelId);
+    // Keep the most recent upload for each channel
+    if (!existing || timestamp > existing.lastUploadTimestamp) {
+      activity.set(video.channelId, {
+        lastUploadText: video.publishedAt,
+        lastUploadTimestamp: timestamp,
+      });
+    }
+  }
+
+  return activity;
+}
+
+// Apply derived activity data to channels
+function applyChannelActivity(channels, activityMap) {
+  for (const channel of channels) {
+    const activity = activityMap.get(channel.id);
+    if (activity) {
+      channel.lastUploadText = activity.lastUploadText;
+      channel.lastUploadTimestamp = activity.lastUploadTimestamp;
+    }
+  }
+}
+
+// Recalculate and apply channel activity from current subscription videos
+function recalculateChannelActivity() {
+  if (subscriptionVideos.length === 0 || channels.length === 0) return;
+
+  const activityMap = deriveChannelActivity(subscriptionVideos);
+  applyChannelActivity(channels, activityMap);
+
+  // Re-render channels if we're on that tab
+  if (currentTab === 'channels') {
+    renderChannels();
+  }
+}
+
+// Channel Preview Modal Management
+// Note: Video preview opens directly on YouTube (no modal needed due to CSP restrictions)
+
+let isChannelPreviewOpen = false;
+
+function openChannelPreview(channel) {
+  isChannelPreviewOpen = true;
+  showChannelPreview(channel);
+}
+
+function closeChannelPreview() {
+  if (!isChannelPreviewOpen) return false;
+  isChannelPreviewOpen = false;
+  document.getElementById('channel-preview-modal').classList.remove('visible');
+  currentChannelVideos = [];
+  return true;
+}
+
+// Build URL for Watch Later video with playlist context
+function getWatchLaterVideoUrl(video) {
+  const index = watchLaterVideos.findIndex(v => v.id === video.id) + 1;
+  return `https://www.youtube.com/watch?v=${video.id}&list=WL&index=${index}`;
+}
+
+// Video Preview - opens directly on YouTube since embeds don't work from chrome-extension:// origin
+function showVideoPreview(video) {
+  window.open(getWatchLaterVideoUrl(video), '_blank');
+}
+
+async function editFocusedVideoAnnotation() {
+  const video = filteredVideos[focusedIndex];
+  if (!video) return;
+
+  const current = getVideoAnnotation(video.id);
+  const note = await openInputDialog({
+    title: 'Edit Video Note',
+    message: video.title,
+    defaultValue: current.note || '',
+    placeholder: 'Optional note',
+    confirmText: 'Next',
+  });
+  if (note === null) return;
+
+  const tagsRaw = await openInputDialog({
+    title: 'Edit Video Tags',
+    message: 'Comma-separated tags (for search and smart filtering).',
+    defaultValue: (current.tags || []).join(', '),
+    placeholder: 'tutorial, longform, music',
+    confirmText: 'Save',
+  });
+  if (tagsRaw === null) return;
+
+  const tags = tagsRaw
+    .split(',')
+    .map(t => t.trim().toLowerCase())
+    .filter(Boolean)
+    .slice(0, 20);
+
+  videoAnnotations[video.id] = {
+    note: note.trim(),
+    tags,
+    updatedAt: Date.now(),
+  };
+  await saveVideoAnnotations();
+  renderVideos();
+  showToast('Annotation saved', 'success');
+}
+
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function exportBackup() {
+  const payload = {
+    exportedAt: new Date().toISOString(),
+    settings: nutubeSettings,
+    quickMoveAssignments,
+    hiddenVideoIds: Array.from(hiddenVideoIds),
+    watchedOverrides,
+    hideWatchLaterInSubs,
+    hideWatched,
+    playlistSortMode,
+    themePref,
+    lastActiveTab: currentTab,
+    videoAnnotations,
+  };
+  downloadFile(
+    `nutube-backup-${new Date().toISOString().slice(0, 10)}.json`,
+    JSON.stringify(payload, null, 2),
+    'application/json'
+  );
+  showToast('Backup exported', 'success');
+}
+
+function importBackup() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'application/json';
+  input.addEventListener('change', async () => {
+    const file = input.files?.[0];
+    if (!file) return;
+    try {
+      const content = await file.text();
+      const data = JSON.parse(content);
+      await chrome.storage.local.set({
+        nutubeSettings: data.settings || nutubeSettings,
+        quickMoveAssignments: data.quickMoveAssignments || quickMoveAssignments,
+        hiddenVideoIds: data.hiddenVideoIds || Array.from(hiddenVideoIds),
+        watchedOverrides: data.watchedOverrides || watchedOverrides,
+        hideWatchLaterInSubs: data.hideWatchLaterInSubs ?? hideWatchLaterInSubs,
+        hideWatched: data.hideWatched ?? hideWatched,
+        playlistSortMode: data.playlistSortMode || playlistSortMode,
+        themePref: data.themePref || themePref,
+        lastActiveTab: data.lastActiveTab || currentTab,
+        videoAnnotations: data.videoAnnotations || videoAnnotations,
+      });
+      showToast('Backup imported. Reloading view...', 'success');
+      loadAllData();
+    } catch (error) {
+      showToast('Invalid backup file', 'error');
+    }
+  });
+  input.click();
+}
+
+// =============================================================================
+// LIST EXPORT
+// =============================================================================
+
+/** Export formats in the order they are listed (number keys pick by position) */
+const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { id: 'markdown', label: 'Markdown checklist', extension: 'md', mimeType: 'text/markdown' },
+  { id: 'urls', label: 'URL list', extension: 'txt', mimeType: 'text/plain' },
+  { id: 'opml', label: 'OPML', extension: 'opml', mimeType: 'text/x-opml' },
+];
+
+/**
+ * What E exports: the selection if there is one, otherwise the list as shown
+ * (search and filters applied).
+ * @returns {{ name: string, kind: 'videos' | 'channels', items: object[] } | null}
+ */
+function getExportSource() {
+  if (currentTab === 'channels') {
+    return { name: 'Channels', kind: 'channels', items: [...filteredChannels] };
   }
+  if (currentTab === 'playlists' && playlistBrowserLevel !== 'videos') return null;
 
-  return items;
+  const names = {
+    watchlater: 'Watch Later',
+    subscriptions: 'Subscriptions',
+    playlists: (getPlaylistById(activePlaylistId) || getSmartPlaylist(activePlaylistId))?.title || 'Playlist',
+  };
+  const selected = [...selectedIndices].sort((a, b) => a - b).map(i => filteredVideos[i]).filter(Boolean);
+  let name = names[currentTab] || currentTab;
+  if (selected.length > 0) name += ' (selection)';
+  else if (searchQuery) name += ` (search: ${searchQuery})`;
+  return { name, kind: 'videos', items: selected.length > 0 ? selected : [...filteredVideos] };
 }
 
-function buildChannelContextMenuItems(channel) {
-  return [
-    {
-      label: 'Open Channel',
-      action: () => {
-        const url = getFocusedChannelUrl(channel);
-        if (url) window.open(url, '_blank');
-      },
-    },
-    {
-      label: 'Copy Channel URL',
-      action: async () => {
-        const url = getFocusedChannelUrl(channel);
-        if (!url) return;
-        try {
-          await navigator.clipboard.writeText(url);
-          showToast('URL copied to clipboard', 'success');
-        } catch (_) {
-          showToast('Failed to copy URL', 'error');
-        }
-      },
-    },
-    {
-      label: 'Preview Channel',
-      action: () => openChannelPreview(channel),
-    },
-    {
-      label: 'Unsubscribe',
-      action: () => confirmUnsubscribe(channel),
-      danger: true,
-    },
-  ];
+function toExportVideo(video) {
+  const annotation = getVideoAnnotation(video.id);
+  return {
+    id: video.id,
+    title: video.title,
+    channel: video.channel,
+    channelId: video.channelId || '',
+    url: `https://www.youtube.com/watch?v=${video.id}`,
+    duration: video.duration || '',
+    published: video.publishedAt || '',
+    progress: getWatchedProgress(video),
+    watched: isFullyWatched(video),
+    tags: annotation.tags || [],
+    note: annotation.note || '',
+  };
 }
 
-function buildPlaylistContextMenuItems(playlist) {
-  return [
-    {
-      label: 'Open Playlist',
-      action: () => drillIntoPlaylist(playlist),
-    },
-    {
-      label: 'Rename Playlist',
-      action: () => renameSelectedPlaylist(),
-    },
-    {
-      label: 'Delete Playlist',
-      action: () => deleteSelectedPlaylist(),
-      danger: true,
-    },
-  ];
+function toExportChannel(channel) {
+  return {
+    id: channel.id,
+    name: channel.name,
+    url: `https://www.youtube.com/channel/${channel.id}`,
+    feedUrl: `https://www.youtube.com/feeds/videos.xml?channel_id=${channel.id}`,
+    subscribers: channel.subscriberCount || '',
+    videos: channel.videoCount || '',
+  };
+}
+
+function escapeCsvField(value) {
+  const text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeMarkdown(text) {
+  return String(text ?? '').replace(/([\\[\]*_`])/g, '\\$1');
+}
+
+function formatExportCsv(records) {
+  if (records.length === 0) return '';
+  const columns = Object.keys(records[0]);
+  const lines = [columns.join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => escapeCsvField(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function formatExportMarkdown(source, records) {
+  const lines = [`# ${escapeMarkdown(source.name)}`, ''];
+  for (const record of records) {
+    if (source.kind === 'channels') {
+      lines.push(`- [ ] [${escapeMarkdown(record.name)}](${record.url})${record.subscribers ? ` · ${escapeMarkdown(record.subscribers)}` : ''}`);
+      continue;
+    }
+    const details = [escapeMarkdown(record.channel)];
+    if (record.duration) details.push(record.duration);
+    if (record.progress > 0 && !record.watched) details.push(`${record.progress}% watched`);
+    if (record.tags.length > 0) details.push(record.tags.map(tag => `#${escapeMarkdown(tag)}`).join(' '));
+    lines.push(`- [${record.watched ? 'x' : ' '}] [${escapeMarkdown(record.title)}](${record.url}) — ${details.join(' · ')}`);
+    if (record.note) lines.push(`  - ${escapeMarkdown(record.note)}`);
+  }
+  return lines.join('\n') + '\n';
 }
 
 /**
- * Get the maximum valid index for the current view.
+ * OPML outline: channels become RSS feed subscriptions (importable into feed
+ * readers); videos are link outlines grouped by channel.
  */
-function getMaxIndex() {
-  if (currentTab === 'channels') return filteredChannels.length - 1;
-  if (currentTab === 'playlists' && playlistBrowserLevel === 'list') return filteredPlaylists.length - 1;
-  return filteredVideos.length - 1;
+function formatExportOpml(source, records) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>NuTube: ${escapeXml(source.name)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+  ];
+  if (source.kind === 'channels') {
+    for (const record of records) {
+      lines.push(`    <outline type="rss" text="${escapeXml(record.name)}" title="${escapeXml(record.name)}" xmlUrl="${escapeXml(record.feedUrl)}" htmlUrl="${escapeXml(record.url)}"/>`);
+    }
+  } else {
+    const byChannel = new Map();
+    for (const record of records) {
+      if (!byChannel.has(record.channel)) byChannel.set(record.channel, []);
+      byChannel.get(record.channel).push(record);
+    }
+    for (const [channel, channelRecords] of byChannel) {
+      lines.push(`    <outline text="${escapeXml(channel)}">`);
+      for (const record of channelRecords) {
+        const tags = record.tags.length > 0 ? ` category="${escapeXml(record.tags.join(','))}"` : '';
+        lines.push(`      <outline type="link" text="${escapeXml(record.title)}" url="${escapeXml(record.url)}"${tags}/>`);
+      }
+      lines.push('    </outline>');
+    }
+  }
+  lines.push('  </body>', '</opml>');
+  return lines.join('\n') + '\n';
+}
+
+function formatExport(format, source) {
+  const records = source.items.map(source.kind === 'channels' ? toExportChannel : toExportVideo);
+  switch (format) {
+    case 'csv':
+      return formatExportCsv(records);
+    case 'json':
+      return JSON.stringify({ list: source.name, exportedAt: new Date().toISOString(), [source.kind]: records }, null, 2);
+    case 'markdown':
+      return formatExportMarkdown(source, records);
+    case 'urls':
+      return records.map(record => record.url).join('\n') + '\n';
+    case 'opml':
+      return formatExportOpml(source, records);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
 }
 
-// Get next tab in cycle
-function getNextTab() {
-  if (currentTab === 'playlists') return 'watchlater';
-  if (currentTab === 'watchlater') return 'subscriptions';
-  if (currentTab === 'subscriptions') return 'channels';
-  return 'playlists';
+function exportList(format, source) {
+  const spec = EXPORT_FORMATS.find(f => f.id === format);
+  const slug = source.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'list';
+  downloadFile(
+    `nutube-${slug}-${new Date().toISOString().slice(0, 10)}.${spec.extension}`,
+    formatExport(format, source),
+    spec.mimeType
+  );
+  showToast(`Exported ${source.items.length} ${source.kind === 'channels' ? 'channel(s)' : 'video(s)'} as ${spec.label}`, 'success');
 }
 
-// Get previous tab in cycle (for SHIFT+TAB)
-function getPrevTab() {
-  if (currentTab === 'playlists') return 'channels';
-  if (currentTab === 'watchlater') return 'playlists';
-  if (currentTab === 'subscriptions') return 'watchlater';
-  return 'subscriptions';
+function renderExportDialog() {
+  if (!isExportOpen) return;
+  exportSummaryEl.textContent = `${exportSource.name} · ${exportSource.items.length} ${exportSource.kind === 'channels' ? 'channel(s)' : 'video(s)'}`;
+  exportFormatsEl.innerHTML = EXPORT_FORMATS.map((format, index) => `
+    <div class="operation-item ${index === exportFocusedIndex ? 'focused' : ''}" data-export-format="${format.id}">
+      <div class="operation-header">
+        <span class="operation-label"><span class="key">${index + 1}</span> ${escapeHtml(format.label)}</span>
+        <span class="operation-status">.${format.extension}</span>
+      </div>
+    </div>
+  `).join('');
 }
 
-// Add to Watch Later (for subscriptions tab)
-async function addToWatchLater() {
-  const targets = getTargetVideos();
-  if (targets.length === 0) return;
+function openExportDialog() {
+  const source = getExportSource();
+  if (!source) {
+    showToast('Open a playlist to export its videos', 'info');
+    return;
+  }
+  if (source.items.length === 0) {
+    showToast('Nothing to export', 'info');
+    return;
+  }
+  exportSource = source;
+  exportFocusedIndex = 0;
+  isExportOpen = true;
+  exportModal.classList.add('visible');
+  renderExportDialog();
+}
 
-  setStatus(`Adding ${targets.length} video(s) to Watch Later...`, 'loading');
+function closeExportDialog() {
+  isExportOpen = false;
+  exportSource = null;
+  exportModal.classList.remove('visible');
+}
 
-  const results = await runWithConcurrency(targets, async (video) => {
-    const result = await sendMessage({
-      type: 'ADD_TO_WATCH_LATER',
-      videoId: video.id,
-    });
-    if (result.success && !watchLaterVideos.find(v => v.id === video.id)) {
-      watchLaterVideos.unshift(video);
-    }
-    return result;
-  });
-  watchLaterCountEl.textContent = watchLaterVideos.length;
+function chooseExportFormat(format) {
+  const source = exportSource;
+  closeExportDialog();
+  exportList(format, source);
+}
 
-  const added = results.filter(r => r?.success).length;
-  const failed = results.filter(r => !r?.success).length;
+function handleExportDialogKey(e) {
+  const numbered = EXPORT_FORMATS[Number(e.key) - 1];
+  if (numbered) {
+    e.preventDefault();
+    chooseExportFormat(numbered.id);
+    return;
+  }
+  switch (e.key) {
+    case 'Escape':
+    case 'E':
+      closeExportDialog();
+      break;
+    case 'j':
+    case 'ArrowDown':
+      exportFocusedIndex = Math.min(exportFocusedIndex + 1, EXPORT_FORMATS.length - 1);
+      renderExportDialog();
+      break;
+    case 'k':
+    case 'ArrowUp':
+      exportFocusedIndex = Math.max(exportFocusedIndex - 1, 0);
+      renderExportDialog();
+      break;
+    case 'Enter':
+      chooseExportFormat(EXPORT_FORMATS[exportFocusedIndex].id);
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
+}
 
-  // Exit visual mode after adding
-  visualModeStart = null;
-  visualBlockMode = false;
-  selectedIndices.clear();
-  updateMode();
+// =============================================================================
+// LIST IMPORT
+// =============================================================================
 
-  renderVideos();
-  if (failed > 0) {
-    showToast(`Added ${added}/${targets.length} video(s)`, added > 0 ? 'warning' : 'error');
+/** YouTube video IDs: 11 characters of [A-Za-z0-9_-] */
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+/** Watch, short, embed and youtu.be URLs */
+const VIDEO_URL_PATTERN = /(?:[?&]v=|youtu\.be\/|\/shorts\/|\/embed\/|\/live\/)([A-Za-z0-9_-]{11})(?![A-Za-z0-9_-])/;
+
+/** Titles resolved through YouTube's oEmbed endpoint at a time */
+const IMPORT_RESOLVE_CONCURRENCY = 4;
+
+/**
+ * Video ID from a URL, or from a bare ID when allowBareId is set (bare IDs
+ * are only trusted where a cell or line is expected to hold one)
+ */
+function extractVideoId(value, allowBareId = true) {
+  const text = String(value || '').trim();
+  if (allowBareId && VIDEO_ID_PATTERN.test(text)) return text;
+  return text.match(VIDEO_URL_PATTERN)?.[1] || null;
+}
+
+/** Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF) */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.map(cells => cells.map(cell => cell.trim()));
+}
+
+/**
+ * Pull video IDs out of an imported file: a Google Takeout playlist CSV, any
+ * CSV with an ID or URL column (NuTube's own export included), or text with
+ * URLs/IDs separated by whitespace or commas. Repeated IDs are collapsed.
+ * @returns {{ format: 'takeout' | 'csv' | 'text', title: string | null, entries: Array<{ id: string, title?: string, channel?: string, occurrences: number }> }}
+ */
+function parseImportFile(text, fileName = '') {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const found = [];
+  let format = 'text';
+  let title = null;
+
+  const rows = /\.csv$/i.test(fileName) || content.includes(',') ? parseCsvRows(content) : [];
+  const normalizeHeader = cell => cell.toLowerCase().replace(/[^a-z]/g, '');
+  // Takeout: "Video Id,Time Added" (older, after a playlist metadata block) or
+  // "Video ID,Playlist Video Creation Timestamp"
+  const takeoutHeader = rows.findIndex(row => normalizeHeader(row[0] || '') === 'videoid'
+    && /^(timeadded|playlistvideocreationtimestamp)$/.test(normalizeHeader(row[1] || '')));
+  const header = rows[0]?.map(normalizeHeader) || [];
+  const idColumn = header.findIndex(cell => cell === 'id' || cell === 'videoid' || cell === 'video');
+  const urlColumn = header.findIndex(cell => cell === 'url' || cell === 'link' || cell === 'videourl');
+
+  if (takeoutHeader >= 0) {
+    format = 'takeout';
+    const titleColumn = header.indexOf('title');
+    if (takeoutHeader > 0 && header[0] === 'playlistid' && titleColumn >= 0) {
+      title = rows[1]?.[titleColumn] || null;
+    } else {
+      // Newer exports name the file after the playlist ("Music-videos.csv")
+      title = fileName.replace(/\.csv$/i, '').replace(/-videos$/i, '') || null;
+    }
+    for (const row of rows.slice(takeoutHeader + 1)) {
+      const id = extractVideoId(row[0]);
+      if (id) found.push({ id });
+    }
+  } else if (idColumn >= 0 || urlColumn >= 0) {
+    format = 'csv';
+    const titleColumn = header.indexOf('title');
+    const channelColumn = header.indexOf('channel');
+    for (const row of rows.slice(1)) {
+      const id = extractVideoId(row[idColumn]) || extractVideoId(row[urlColumn]);
+      if (!id) continue;
+      found.push({ id, title: row[titleColumn] || undefined, channel: row[channelColumn] || undefined });
+    }
   } else {
-    showToast(`Added ${added} video(s) to Watch Later`, 'success');
+    // A bare ID only counts when it is the whole line; otherwise every URL in
+    // the line is taken and words around them (notes, titles) are ignored
+    for (const line of content.split(/\r?\n/)) {
+      const bareId = line.trim().replace(/^["'<(]+|["'>),;]+$/g, '');
+      if (VIDEO_ID_PATTERN.test(bareId)) {
+        found.push({ id: bareId });
+        continue;
+      }
+      for (const match of line.matchAll(new RegExp(VIDEO_URL_PATTERN.source, 'g'))) {
+        found.push({ id: match[1] });
+      }
+    }
   }
-  setStatus('Ready');
+
+  const entries = new Map();
+  for (const item of found) {
+    const existing = entries.get(item.id);
+    if (existing) {
+      existing.occurrences += 1;
+    } else {
+      entries.set(item.id, { ...item, occurrences: 1 });
+    }
+  }
+  return { format, title, entries: [...entries.values()] };
 }
 
-async function addVideoToPlaylist(video, playlistId) {
+/** Title and channel from YouTube's oEmbed endpoint; unavailable videos answer 4xx */
+async function fetchVideoOembed(videoId) {
+  const url = `https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(`https://www.youtube.com/watch?v=${videoId}`)}`;
   try {
-    return await sendMessage({
-      type: 'ADD_TO_PLAYLIST',
-      videoId: video.id,
-      playlistId,
-    });
+    const response = await fetch(url, { credentials: 'omit' });
+    if (response.status >= 400 && response.status < 500) return { unavailable: true };
+    if (!response.ok) return null;
+    const data = await response.json();
+    return { title: data.title, channel: data.author_name };
   } catch (error) {
-    return { success: false, error: String(error) };
+    warnLog('oEmbed lookup failed:', videoId, error);
+    return null;
   }
 }
 
-async function removeVideoFromPlaylist(video, playlistId) {
+/**
+ * Fill in titles and channels: loaded lists first, then the library cache,
+ * then oEmbed for the rest (which also tells unavailable videos apart).
+ */
+async function resolveImportEntries(state) {
+  const known = new Map();
+  for (const video of [...watchLaterVideos, ...subscriptionVideos, ...playlistVideos]) {
+    known.set(video.id, video);
+  }
   try {
-    return await sendMessage({
-      type: 'REMOVE_FROM_PLAYLIST',
-      videoId: video.id,
-      setVideoId: video.setVideoId,
-      playlistId,
-    });
+    const missing = state.entries.filter(entry => !known.has(entry.id)).map(entry => entry.id);
+    for (const [id, video] of await loadLibraryVideos(missing)) known.set(id, video);
   } catch (error) {
-    return { success: false, error: String(error) };
+    warnLog('Library lookup failed during import:', error);
+  }
+
+  const unresolved = [];
+  for (const entry of state.entries) {
+    const video = known.get(entry.id);
+    if (video) {
+      entry.title = video.title;
+      entry.channel = video.channel;
+      entry.duration = video.duration;
+    } else if (!entry.title) {
+      unresolved.push(entry);
+    }
+  }
+  state.resolveTotal = unresolved.length;
+  renderImportDialog();
+
+  let cursor = 0;
+  const workers = Array.from({ length: Math.min(IMPORT_RESOLVE_CONCURRENCY, unresolved.length) }, async () => {
+    while (cursor < unresolved.length && importState === state) {
+      const entry = unresolved[cursor++];
+      const details = await fetchVideoOembed(entry.id);
+      if (details?.unavailable) {
+        entry.unavailable = true;
+      } else if (details) {
+        entry.title = details.title;
+        entry.channel = details.channel;
+      }
+      state.resolvedCount += 1;
+      renderImportDialog();
+    }
+  });
+  await Promise.all(workers);
+}
+
+function getImportTargets() {
+  return [{ id: 'WL', title: 'Watch Later' }, ...playlists.map(p => ({ id: p.id, title: p.title }))];
+}
+
+/** IDs already in the chosen target, fetched once per target (null while loading) */
+async function loadImportTargetIds(state, target) {
+  if (state.targetIds.has(target.id)) return;
+  state.targetIds.set(target.id, null);
+  renderImportDialog();
+
+  let targetVideos = target.id === 'WL' && watchLaterVideos.length > 0 ? watchLaterVideos : null;
+  if (!targetVideos) {
+    const listKey = target.id === 'WL' ? 'watchlater' : `playlist:${target.id}`;
+    targetVideos = await fetchListVideos(listKey);
+    if (!targetVideos) targetVideos = (await loadLibraryList(listKey).catch(() => null))?.items || [];
   }
+  state.targetIds.set(target.id, new Set(targetVideos.map(v => v.id)));
+  renderImportDialog();
+}
+
+function getImportTarget(state) {
+  return state.targets[state.targetIndex];
+}
+
+/** Why an entry won't be imported, or null when it will */
+function getImportSkipReason(state, entry) {
+  if (entry.unavailable) return 'unavailable';
+  if (state.excluded.has(entry.id)) return 'excluded';
+  if (state.skipDuplicates && state.targetIds.get(getImportTarget(state).id)?.has(entry.id)) return 'duplicate';
+  return null;
+}
+
+function renderImportDialog() {
+  if (!isImportOpen || !importState) return;
+  const state = importState;
+  const target = getImportTarget(state);
+  const targetIds = state.targetIds.get(target.id);
+  const importable = state.entries.filter(entry => !getImportSkipReason(state, entry)).length;
+  const duplicates = targetIds ? state.entries.filter(entry => targetIds.has(entry.id)).length : 0;
+  const repeated = state.entries.filter(entry => entry.occurrences > 1).length;
+
+  const parts = [`${state.fileName}: ${state.entries.length} video(s)`];
+  if (repeated > 0) parts.push(`${repeated} listed more than once`);
+  parts.push(targetIds ? `${duplicates} already in ${target.title}` : `checking ${target.title}...`);
+  if (state.resolvedCount < state.resolveTotal) parts.push(`resolving ${state.resolvedCount}/${state.resolveTotal}`);
+  importSummaryEl.innerHTML = `
+    ${escapeHtml(parts.join(' · '))}<br>
+    Add <strong>${importable}</strong> to <strong>${escapeHtml(target.title)}</strong>
+    · duplicates ${state.skipDuplicates ? 'skipped' : 'included'}
+  `;
+
+  const flagText = { unavailable: 'unavailable', excluded: 'skipped', duplicate: `in ${target.title}` };
+  importListEl.innerHTML = state.entries.map((entry, index) => {
+    const skip = getImportSkipReason(state, entry);
+    const inTarget = targetIds?.has(entry.id);
+    const flags = [];
+    if (skip) flags.push(flagText[skip]);
+    else if (inTarget) flags.push(`in ${target.title}`);
+    if (entry.occurrences > 1) flags.push(`×${entry.occurrences} in file`);
+    return `
+      <div class="purge-item import-item ${index === state.focusedIndex ? 'focused' : ''} ${skip ? 'skipped' : ''}" data-index="${index}">
+        <div>
+          <div class="purge-item-title">${escapeHtml(entry.title || entry.id)}</div>
+          <div class="purge-item-channel">${escapeHtml(entry.channel || (entry.title ? '' : 'Resolving...'))}</div>
+        </div>
+        <div class="purge-item-progress">${escapeHtml(flags.join(' · '))}</div>
+      </div>
+    `;
+  }).join('');
+
+  importListEl.querySelector('.import-item.focused')?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Pick a file (URL/ID list, CSV or Takeout CSV) and open the import preview.
+ * A Takeout watch-history.json or several files at once open the Takeout
+ * importer instead.
+ */
+function importVideosFromFile() {
+  if (!ensureWritable()) return;
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.multiple = true;
+  input.accept = '.txt,.csv,.json,text/plain,text/csv,application/json';
+  input.addEventListener('change', async () => {
+    const files = [...(input.files || [])];
+    if (files.length === 0) return;
+    try {
+      if (files.length > 1 || /\.json$/i.test(files[0].name)) {
+        await openTakeoutDialog(files);
+        return;
+      }
+      openImportDialog(files[0].name, parseImportFile(await files[0].text(), files[0].name));
+    } catch (error) {
+      errorLog('Import parse error:', error);
+      showToast('Could not read that file', 'error');
+    }
+  });
+  input.click();
 }
 
-async function removeVideoFromWatchLater(video) {
-  try {
-    return await sendMessage({
-      type: 'REMOVE_FROM_WATCH_LATER',
-      videoId: video.id,
-      setVideoId: video.setVideoId,
-    });
-  } catch (error) {
-    return { success: false, error: String(error) };
+function openImportDialog(fileName, parsed) {
+  if (parsed.entries.length === 0) {
+    showToast('No YouTube videos found in that file', 'warning');
+    return;
   }
+
+  const targets = getImportTargets();
+  // Default to the list on screen, or a playlist named like the Takeout playlist
+  const preferredId = (currentTab === 'playlists' && playlistBrowserLevel === 'videos' && activePlaylistId)
+    || (parsed.format === 'takeout' && playlists.find(p => p.title === parsed.title)?.id)
+    || 'WL';
+  const state = {
+    fileName,
+    format: parsed.format,
+    entries: parsed.entries,
+    targets,
+    targetIndex: Math.max(0, targets.findIndex(t => t.id === preferredId)),
+    targetIds: new Map(),
+    excluded: new Set(),
+    skipDuplicates: true,
+    focusedIndex: 0,
+    resolvedCount: 0,
+    resolveTotal: parsed.entries.filter(entry => !entry.title).length,
+  };
+  importState = state;
+  isImportOpen = true;
+  importModal.classList.add('visible');
+  renderImportDialog();
+
+  loadImportTargetIds(state, getImportTarget(state));
+  resolveImportEntries(state).then(() => {
+    state.resolvedCount = state.resolveTotal;
+    renderImportDialog();
+  });
 }
 
-/**
- * Toggle watched status on focused/selected videos
- */
-function toggleWatched() {
-  const targets = getTargetVideos();
-  if (targets.length === 0) return;
+function closeImportDialog() {
+  isImportOpen = false;
+  importState = null;
+  importModal.classList.remove('visible');
+}
 
-  let markedCount = 0;
-  let unmarkedCount = 0;
-  const updated = { ...watchedOverrides };
+async function confirmImport() {
+  const state = importState;
+  const target = getImportTarget(state);
+  if (state.targetIds.get(target.id) === null) {
+    showToast(`Still checking ${target.title} for duplicates...`, 'info');
+    return;
+  }
+  const entries = state.entries.filter(entry => !getImportSkipReason(state, entry));
+  if (entries.length === 0) {
+    showToast('Nothing to import', 'info');
+    return;
+  }
+  closeImportDialog();
 
-  for (const video of targets) {
-    const currentlyWatched = isFullyWatched(video);
-    if (currentlyWatched) {
-      updated[video.id] = { watched: false, timestamp: Date.now() };
-      unmarkedCount++;
-    } else {
-      updated[video.id] = { watched: true, timestamp: Date.now() };
-      markedCount++;
-    }
+  setStatus(`Importing ${entries.length} video(s) to ${target.title}...`, 'loading');
+  const results = await runBulkOperation(
+    `Importing ${entries.length} video(s) to ${target.title}`,
+    entries.map(entry => ({ id: entry.id, title: entry.title || entry.id })),
+    video => ({ type: 'ADD_TO_PLAYLIST', videoId: video.id, playlistId: target.id })
+  );
+  const added = results.filter(r => r?.success).length;
+  if (isOperationCancelled(results)) {
+    showToast(`Import cancelled after ${added} video(s)`, 'warning');
+  } else if (added < entries.length) {
+    showToast(`Imported ${added}/${entries.length} video(s); see the operations panel (O) for failures`, 'warning');
+  } else {
+    showToast(`Imported ${added} video(s) to ${target.title}`, 'success');
   }
 
-  watchedOverrides = updated;
-  saveWatchedOverrides();
-  renderVideos();
+  const playlist = getPlaylistById(target.id);
+  if (playlist && typeof playlist.videoCount === 'number') playlist.videoCount += added;
+  const listKey = target.id === 'WL' ? 'watchlater' : `playlist:${target.id}`;
+  if (added > 0 && getCurrentHistoryList() === listKey) await syncCurrentListFromYouTube();
+  setStatus('Ready');
+}
 
-  if (markedCount > 0 && unmarkedCount > 0) {
-    showToast(`${markedCount} marked watched, ${unmarkedCount} unmarked`, 'success');
-  } else if (markedCount > 0) {
-    showToast(`${markedCount} video(s) marked as watched`, 'success');
-  } else {
-    showToast(`${unmarkedCount} video(s) unmarked`, 'success');
+function handleImportDialogKey(e) {
+  const state = importState;
+  const entry = state.entries[state.focusedIndex];
+  switch (e.key) {
+    case 'Escape':
+      closeImportDialog();
+      break;
+    case 'j':
+    case 'ArrowDown':
+      state.focusedIndex = Math.min(state.focusedIndex + 1, state.entries.length - 1);
+      renderImportDialog();
+      break;
+    case 'k':
+    case 'ArrowUp':
+      state.focusedIndex = Math.max(state.focusedIndex - 1, 0);
+      renderImportDialog();
+      break;
+    case ' ':
+      // Space: skip or include the focused video
+      if (entry && !state.excluded.delete(entry.id)) state.excluded.add(entry.id);
+      renderImportDialog();
+      break;
+    case 'd':
+      state.skipDuplicates = !state.skipDuplicates;
+      renderImportDialog();
+      break;
+    case 't':
+    case 'T': {
+      const step = e.key === 't' ? 1 : state.targets.length - 1;
+      state.targetIndex = (state.targetIndex + step) % state.targets.length;
+      loadImportTargetIds(state, getImportTarget(state));
+      renderImportDialog();
+      break;
+    }
+    case 'Enter':
+      confirmImport();
+      break;
+    default:
+      return;
   }
+  e.preventDefault();
 }
 
+// =============================================================================
+// GOOGLE TAKEOUT IMPORT
+// =============================================================================
+
 /**
- * Remove a video from Watch Later (used in subscriptions tab)
- * Finds the video in the local Watch Later cache to get setVideoId,
- * then sends remove request to YouTube.
- * @param {object} video - The video object to remove
- * @returns {Promise<boolean>} Whether removal was successful
+ * Video IDs from Takeout's watch-history.json, most recent first. Entries for
+ * removed videos, posts and ads have no watch URL and are skipped.
+ * @returns {Array<{ id: string, title: string, channel: string, watchedAt: number }>}
  */
-async function removeFromWatchLaterSub(video) {
-  // Find the video in watchLaterVideos to get setVideoId
-  const wlVideo = watchLaterVideos.find(v => v.id === video.id);
-  if (!wlVideo) return false;
-
-  try {
-    const result = await sendMessage({
-      type: 'REMOVE_FROM_WATCH_LATER',
-      videoId: wlVideo.id,
-      setVideoId: wlVideo.setVideoId,
+function parseWatchHistory(json) {
+  if (!Array.isArray(json)) throw new Error('Not a watch-history.json file');
+  const seen = new Map();
+  for (const item of json) {
+    const id = extractVideoId(item?.titleUrl, false);
+    if (!id || seen.has(id)) continue;
+    if (item.details?.some(detail => /ads/i.test(detail?.name || ''))) continue;
+    seen.set(id, {
+      id,
+      title: String(item.title || '').replace(/^Watched /, ''),
+      channel: item.subtitles?.[0]?.name || '',
+      watchedAt: Date.parse(item.time) || 0,
     });
-    if (result.success || result.error?.includes('409')) {
-      // Remove from local cache
-      watchLaterVideos = watchLaterVideos.filter(v => v.id !== video.id);
-      watchLaterCountEl.textContent = watchLaterVideos.length;
-      return true;
-    }
-  } catch (e) {
-    errorLog('Remove from WL failed:', e);
   }
-  return false;
+  return [...seen.values()];
 }
 
 /**
- * Toggle Watch Later status for the focused video in subscriptions tab.
- * If video is in WL, removes it. If not, adds it.
+ * Read the picked Takeout files into a dry-run plan: which library videos get
+ * marked watched and which playlists get created or topped up.
  */
-async function toggleWatchLater() {
-  if (currentTab !== 'subscriptions') return;
-
-  const video = filteredVideos[focusedIndex];
-  if (!video) return;
-
-  const inWL = isInWatchLater(video.id);
+async function buildTakeoutPlan(files) {
+  const plan = { history: null, playlists: [], focusedIndex: 0, skippedFiles: [] };
+
+  for (const file of files) {
+    const text = await file.text();
+    if (/\.json$/i.test(file.name)) {
+      const watched = parseWatchHistory(JSON.parse(text));
+      plan.history = { fileName: file.name, watched, toMark: [], alreadySet: 0, enabled: true };
+      continue;
+    }
+    const parsed = parseImportFile(text, file.name);
+    if (parsed.format !== 'takeout' || parsed.entries.length === 0) {
+      plan.skippedFiles.push(file.name);
+      continue;
+    }
+    const title = parsed.title || file.name.replace(/\.csv$/i, '');
+    const isWatchLater = /^watch later$/i.test(title);
+    const existing = isWatchLater ? { id: 'WL', title: 'Watch Later' } : playlists.find(p => p.title === title);
+    plan.playlists.push({
+      title: existing?.title || title,
+      playlistId: existing?.id || null,
+      videoIds: parsed.entries.map(entry => entry.id),
+      existingIds: existing ? null : new Set(), // null until the playlist is fetched
+      enabled: true,
+    });
+  }
 
-  if (inWL) {
-    setStatus('Removing from Watch Later...', 'loading');
-    const success = await removeFromWatchLaterSub(video);
-    renderVideos();
-    showToast(success ? 'Removed from Watch Later' : 'Failed to remove', success ? 'success' : 'error');
-  } else {
-    setStatus('Adding to Watch Later...', 'loading');
+  if (plan.history) {
+    // Only videos the library knows about are marked; the rest would just be pruned
+    const known = new Set([...watchLaterVideos, ...subscriptionVideos, ...playlistVideos].map(v => v.id));
     try {
-      const result = await sendMessage({
-        type: 'ADD_TO_WATCH_LATER',
-        videoId: video.id,
-      });
-      if (result.success) {
-        if (!watchLaterVideos.find(v => v.id === video.id)) {
-          watchLaterVideos.unshift(video);
-          watchLaterCountEl.textContent = watchLaterVideos.length;
-        }
-        renderVideos();
-        showToast('Added to Watch Later', 'success');
+      const cached = await loadLibraryVideos(plan.history.watched.map(v => v.id).filter(id => !known.has(id)));
+      cached.forEach((_, id) => known.add(id));
+    } catch (error) {
+      warnLog('Library lookup failed during Takeout import:', error);
+    }
+    for (const video of plan.history.watched) {
+      if (!known.has(video.id)) continue;
+      if (watchedOverrides[video.id]) {
+        plan.history.alreadySet += 1;
       } else {
-        showToast('Failed to add', 'error');
+        plan.history.toMark.push(video);
       }
-    } catch (e) {
-      errorLog('Add to WL failed:', e);
-      showToast('Failed to add', 'error');
     }
   }
-  setStatus('Ready');
+  return plan;
 }
 
-/**
- * Toggle hide status for selected/focused videos in subscriptions tab.
- * Hidden videos are stored locally and filtered from view.
- */
-async function toggleHideVideo() {
-  if (currentTab !== 'subscriptions') return;
-
-  const targets = getTargetVideos();
-  if (targets.length === 0) return;
+/** Rows of the dry-run list: the watch history first, then one per playlist */
+function getTakeoutRows(plan) {
+  return [...(plan.history ? [plan.history] : []), ...plan.playlists];
+}
 
-  let hiddenCount = 0;
-  let unhiddenCount = 0;
+function getTakeoutNewVideoIds(item) {
+  return item.existingIds ? item.videoIds.filter(id => !item.existingIds.has(id)) : [];
+}
 
-  for (const video of targets) {
-    if (hiddenVideoIds.has(video.id)) {
-      hiddenVideoIds.delete(video.id);
-      unhiddenCount++;
+function renderTakeoutDialog() {
+  if (!isTakeoutOpen || !takeoutPlan) return;
+  const plan = takeoutPlan;
+  const parts = [];
+  if (plan.history) parts.push(`${plan.history.watched.length} watched video(s) in history`);
+  if (plan.playlists.length > 0) parts.push(`${plan.playlists.length} playlist(s)`);
+  if (plan.skippedFiles.length > 0) parts.push(`skipped ${plan.skippedFiles.join(', ')}`);
+  takeoutSummaryEl.textContent = `Dry run, nothing written yet · ${parts.join(' · ')}`;
+
+  takeoutListEl.innerHTML = getTakeoutRows(plan).map((row, index) => {
+    let title;
+    let detail;
+    if (row === plan.history) {
+      title = `Mark ${row.toMark.length} video(s) as watched`;
+      detail = `${row.watched.length - row.toMark.length - row.alreadySet} not in your library · ${row.alreadySet} already marked by you`;
+    } else if (!row.existingIds) {
+      title = `${row.title}: checking existing videos...`;
+      detail = `${row.videoIds.length} video(s) in the export`;
     } else {
-      hiddenVideoIds.add(video.id);
-      hiddenCount++;
+      const added = getTakeoutNewVideoIds(row).length;
+      title = row.playlistId
+        ? `Add ${added} video(s) to "${row.title}"`
+        : `Create "${row.title}" with ${added} video(s)`;
+      detail = row.playlistId ? `${row.videoIds.length - added} already there` : 'New playlist';
     }
+    return `
+      <div class="purge-item import-item ${index === plan.focusedIndex ? 'focused' : ''} ${row.enabled ? '' : 'skipped'}" data-index="${index}">
+        <div>
+          <div class="purge-item-title">${escapeHtml(title)}</div>
+          <div class="purge-item-channel">${escapeHtml(detail)}</div>
+        </div>
+        <div class="purge-item-progress">${row.enabled ? '' : 'skipped'}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function openTakeoutDialog(files) {
+  setStatus('Reading Takeout files...', 'loading');
+  const plan = await buildTakeoutPlan(files);
+  setStatus('Ready');
+  if (getTakeoutRows(plan).length === 0) {
+    showToast('No watch history or Takeout playlists found in those files', 'warning');
+    return;
   }
 
-  await saveHiddenVideos();
+  takeoutPlan = plan;
+  isTakeoutOpen = true;
+  takeoutModal.classList.add('visible');
+  renderTakeoutDialog();
 
-  // Exit visual mode after hiding
-  visualModeStart = null;
-  visualBlockMode = false;
-  selectedIndices.clear();
-  updateMode();
+  // Existing playlists are fetched so only missing videos are added
+  for (const item of plan.playlists) {
+    if (item.existingIds || takeoutPlan !== plan) continue;
+    const existingVideos = await fetchListVideos(item.playlistId === 'WL' ? 'watchlater' : `playlist:${item.playlistId}`);
+    item.existingIds = new Set((existingVideos || []).map(v => v.id));
+    renderTakeoutDialog();
+  }
+}
 
-  // Adjust focus to stay within bounds
-  focusedIndex = Math.min(focusedIndex, Math.max(0, filteredVideos.length - targets.length - 1));
-  renderVideos();
+function closeTakeoutDialog() {
+  isTakeoutOpen = false;
+  takeoutPlan = null;
+  takeoutModal.classList.remove('visible');
+}
 
-  if (hiddenCount > 0 && unhiddenCount > 0) {
-    showToast(`Hidden ${hiddenCount}, unhidden ${unhiddenCount}`, 'success');
-  } else if (hiddenCount > 0) {
-    showToast(`Hidden ${hiddenCount} video(s)`, 'success');
-  } else {
-    showToast(`Unhidden ${unhiddenCount} video(s)`, 'success');
+/** Write the plan: watched overrides first, then playlists through the journal */
+async function applyTakeoutPlan() {
+  const plan = takeoutPlan;
+  if (plan.playlists.some(item => item.enabled && !item.existingIds)) {
+    showToast('Still checking existing playlists...', 'info');
+    return;
+  }
+  closeTakeoutDialog();
+
+  const history = plan.history?.enabled ? plan.history : null;
+  if (history && history.toMark.length > 0) {
+    const now = Date.now();
+    const updated = { ...watchedOverrides };
+    for (const video of history.toMark) {
+      updated[video.id] = { watched: true, timestamp: now };
+    }
+    watchedOverrides = updated;
+    await saveWatchedOverrides();
+    renderCurrentView();
+    showToast(`Marked ${history.toMark.length} video(s) as watched from your history`, 'success');
+  }
+
+  const jobs = [];
+  for (const item of plan.playlists.filter(p => p.enabled)) {
+    const videoIds = getTakeoutNewVideoIds(item);
+    let playlistId = item.playlistId;
+    if (!playlistId) {
+      setStatus(`Creating "${item.title}"...`, 'loading');
+      const result = await sendMessage({ type: 'CREATE_PLAYLIST', title: item.title });
+      if (!result.success || !result.playlistId) {
+        showToast(`Failed to create "${item.title}"`, 'error');
+        continue;
+      }
+      playlistId = result.playlistId;
+      playlists = [...playlists, { id: playlistId, title: item.title, videoCount: 0 }];
+      rebuildPlaylistMap();
+      playlistsCountEl.textContent = playlists.length;
+      saveUndoState('create_playlist', { playlistId, title: item.title });
+    }
+    if (videoIds.length === 0) continue;
+    jobs.push(runBulkOperation(
+      `Takeout: adding ${videoIds.length} video(s) to ${item.title}`,
+      videoIds.map(id => ({ id })),
+      video => ({ type: 'ADD_TO_PLAYLIST', videoId: video.id, playlistId })
+    ).then(results => {
+      const playlist = getPlaylistById(playlistId);
+      if (playlist && typeof playlist.videoCount === 'number') {
+        playlist.videoCount += results.filter(r => r?.success).length;
+      }
+    }));
+  }
+
+  if (currentTab === 'playlists' && playlistBrowserLevel === 'list') renderPlaylistBrowser();
+  setStatus('Ready');
+  if (jobs.length > 0) {
+    showToast(`Queued ${jobs.length} playlist import(s); follow them in the operations panel (O)`, 'info');
+    await Promise.all(jobs);
+    if (currentTab === 'playlists' && playlistBrowserLevel === 'list') renderPlaylistBrowser();
   }
 }
 
-/**
- * Load more subscription videos for infinite scroll.
- * Uses continuation tokens from YouTube's InnerTube API.
- * Debounced to prevent excessive API calls.
- */
-async function loadMoreSubscriptions() {
-  // Debounce and prevent concurrent loads
-  const now = Date.now();
-  if (isLoadingMore || currentTab !== 'subscriptions' || subscriptionsContinuationExhausted) return;
-  if (now - lastLoadTime < LOAD_DEBOUNCE_MS) return;
+function handleTakeoutDialogKey(e) {
+  const plan = takeoutPlan;
+  const rows = getTakeoutRows(plan);
+  switch (e.key) {
+    case 'Escape':
+      closeTakeoutDialog();
+      break;
+    case 'j':
+    case 'ArrowDown':
+      plan.focusedIndex = Math.min(plan.focusedIndex + 1, rows.length - 1);
+      renderTakeoutDialog();
+      break;
+    case 'k':
+    case 'ArrowUp':
+      plan.focusedIndex = Math.max(plan.focusedIndex - 1, 0);
+      renderTakeoutDialog();
+      break;
+    case ' ':
+      if (rows[plan.focusedIndex]) rows[plan.focusedIndex].enabled = !rows[plan.focusedIndex].enabled;
+      renderTakeoutDialog();
+      break;
+    case 'Enter':
+      applyTakeoutPlan();
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
+}
 
-  isLoadingMore = true;
-  lastLoadTime = now;
-  showSubscriptionsLoading();
-  setLoadMoreState('loading');
+// =============================================================================
+// DUPLICATES
+// =============================================================================
 
-  try {
-    debugLog('loadMoreSubscriptions called, current count:', subscriptionVideos.length);
-    const result = await sendMessage({ type: 'GET_MORE_SUBSCRIPTIONS' });
-    debugLog('loadMoreSubscriptions result:', result.success, 'videos:', result.data?.length || 0);
+/**
+ * Group copies of the same video across lists (and repeats within a list).
+ * @param {Array<{ id: string, title: string, videos: object[] }>} lists - Watch Later ('WL') first, then playlists
+ * @returns {Array<{ video: object, copies: Array<{ listId, listTitle, setVideoId, position }>, keepIndex: number }>}
+ */
+function findDuplicateVideos(lists) {
+  const copiesById = new Map();
+  for (const list of lists) {
+    list.videos.forEach((video, position) => {
+      if (!copiesById.has(video.id)) copiesById.set(video.id, { video, copies: [] });
+      copiesById.get(video.id).copies.push({
+        listId: list.id,
+        listTitle: list.title,
+        setVideoId: video.setVideoId,
+        position,
+      });
+    });
+  }
 
-    if (result.success && result.data && result.data.length > 0) {
-      // Add new videos, avoiding duplicates
-      const prevCount = subscriptionVideos.length;
-      for (const video of result.data) {
-        if (!subscriptionVideos.find(v => v.id === video.id)) {
-          subscriptionVideos.push(video);
-        }
-      }
-      const newCount = subscriptionVideos.length - prevCount;
-      debugLog('Added', newCount, 'new videos, total:', subscriptionVideos.length);
+  return [...copiesById.values()]
+    .filter(group => group.copies.length > 1)
+    .map(group => ({
+      ...group,
+      // Keep the playlist copy by default: it's the one that was filed away
+      keepIndex: Math.max(0, group.copies.findIndex(copy => copy.listId !== 'WL')),
+    }))
+    .sort((a, b) => b.copies.length - a.copies.length || a.video.title.localeCompare(b.video.title));
+}
 
-      videos = subscriptionVideos;
-      subscriptionsCountEl.textContent = subscriptionVideos.length;
-      renderVideos();
+function renderDuplicatesView() {
+  if (!isDuplicatesOpen) return;
+  if (isScanningDuplicates) {
+    duplicatesListEl.innerHTML = '<div class="loading"><div class="spinner"></div><span>Scanning lists...</span></div>';
+    return;
+  }
 
-      // Recalculate channel activity with new videos
-      recalculateChannelActivity();
+  const extraCopies = duplicateGroups.reduce((sum, group) => sum + group.copies.length - 1, 0);
+  duplicatesSummaryEl.textContent = duplicateGroups.length > 0
+    ? `${duplicateGroups.length} video(s) saved more than once · ${extraCopies} extra cop${extraCopies === 1 ? 'y' : 'ies'}`
+    : 'No duplicates found';
+  if (duplicateGroups.length === 0) {
+    duplicatesListEl.innerHTML = '<div class="operations-empty">Every video is saved only once</div>';
+    return;
+  }
 
-      setLoadMoreState('hidden');
-    } else if (result.success && (!result.data || result.data.length === 0)) {
-      debugLog('No more videos to load (continuation exhausted)');
-      subscriptionsContinuationExhausted = true;
-      setLoadMoreState('exhausted');
-    } else if (!result.success) {
-      warnLog('Load more failed:', result.error);
-      setLoadMoreState('error');
-    }
-  } catch (e) {
-    warnLog('Load more exception:', e);
-    setLoadMoreState('error');
+  duplicatesFocusedIndex = Math.min(duplicatesFocusedIndex, duplicateGroups.length - 1);
+  duplicatesListEl.innerHTML = duplicateGroups.map((group, index) => `
+    <div class="operation-item ${index === duplicatesFocusedIndex ? 'focused' : ''}" data-index="${index}">
+      <div class="operation-header">
+        <span class="operation-label">${escapeHtml(group.video.title)}</span>
+        <span class="operation-status">${group.copies.length} copies</span>
+      </div>
+      <div class="operation-meta">${escapeHtml(group.video.channel || '')}</div>
+      <div class="duplicate-copies">
+        ${group.copies.map((copy, copyIndex) => `
+          <span class="duplicate-copy ${copyIndex === group.keepIndex ? 'keep' : ''}" data-copy="${copyIndex}">
+            ${copyIndex + 1}. ${escapeHtml(copy.listTitle)} #${copy.position + 1}
+          </span>
+        `).join('')}
+      </div>
+    </div>
+  `).join('');
+
+  duplicatesListEl.querySelector('.operation-item.focused')?.scrollIntoView({ block: 'nearest' });
+}
+
+async function openDuplicatesView() {
+  isDuplicatesOpen = true;
+  duplicatesFocusedIndex = 0;
+  duplicatesModal.classList.add('visible');
+  if (isScanningDuplicates) return;
+
+  isScanningDuplicates = true;
+  renderDuplicatesView();
+  try {
+    duplicateGroups = findDuplicateVideos(await collectSavedLists({
+      preferCache: false,
+      onProgress: (title, index, total) => {
+        duplicatesSummaryEl.textContent = `Scanning ${title} (${index + 1}/${total})...`;
+      },
+    }));
+  } catch (error) {
+    errorLog('Duplicate scan failed:', error);
+    showToast('Could not scan for duplicates', 'error');
+    duplicateGroups = [];
   } finally {
-    isLoadingMore = false;
-    hideSubscriptionsLoading();
+    isScanningDuplicates = false;
   }
+  renderDuplicatesView();
 }
 
-// Update status
-function setStatus(message, type = '') {
-  statusMessage.textContent = message;
-  statusMessage.className = `status-message ${type}`;
+function closeDuplicatesView() {
+  isDuplicatesOpen = false;
+  duplicatesModal.classList.remove('visible');
 }
 
-// Check if a video is in Watch Later
-function isInWatchLater(videoId) {
-  return watchLaterVideos.some(v => v.id === videoId);
+/**
+ * Drop copies removed on YouTube from the lists in memory and the library
+ * cache, and adjust playlist counts.
+ * @param {Array<{ listId: string, setVideoId: string }>} copies
+ */
+function forgetRemovedCopies(copies) {
+  const removedSetVideoIds = new Set(copies.map(copy => copy.setVideoId));
+  for (const copy of copies) {
+    const playlist = getPlaylistById(copy.listId);
+    if (playlist && typeof playlist.videoCount === 'number') playlist.videoCount = Math.max(0, playlist.videoCount - 1);
+  }
+  watchLaterVideos = watchLaterVideos.filter(v => !removedSetVideoIds.has(v.setVideoId));
+  playlistVideos = playlistVideos.filter(v => !removedSetVideoIds.has(v.setVideoId));
+  if (currentTab === 'watchlater') videos = watchLaterVideos;
+  if (currentTab === 'playlists' && playlistBrowserLevel === 'videos') videos = playlistVideos;
+
+  // Playlists that aren't open are read from the cache by search and smart playlists
+  for (const listId of new Set(copies.map(copy => copy.listId))) {
+    const listKey = listId === 'WL' ? 'watchlater' : `playlist:${listId}`;
+    loadLibraryList(listKey)
+      .then(cached => {
+        if (cached) cacheLibraryList(listKey, cached.items.filter(v => !removedSetVideoIds.has(v.setVideoId)));
+      })
+      .catch(error => warnLog(`Failed to update cached ${listKey}:`, error));
+  }
 }
 
-// Render video list
-function renderVideos() {
-  const query = searchQuery.trim();
+/**
+ * Remove every copy except the kept one from the given groups, through the
+ * operation journal. Recorded in the undo history as one entry.
+ */
+async function keepOneCopy(groups) {
+  if (!ensureWritable()) return;
+  const removals = groups.flatMap(group => group.copies
+    .filter((_, copyIndex) => copyIndex !== group.keepIndex)
+    .map(copy => ({ ...copy, ...toStatsFields(group.video), id: group.video.id, title: group.video.title })));
+  if (removals.length === 0) return;
+
+  const resolved = new Set(groups);
+  duplicateGroups = duplicateGroups.filter(group => !resolved.has(group));
+  renderDuplicatesView();
+
+  saveUndoState('remove_duplicates', {
+    copies: removals.map(copy => ({ id: copy.id, title: copy.title, listId: copy.listId, listTitle: copy.listTitle })),
+  });
+  const results = await runBulkOperation(
+    `Removing ${removals.length} duplicate cop${removals.length === 1 ? 'y' : 'ies'}`,
+    removals,
+    copy => (copy.listId === 'WL'
+      ? { type: 'REMOVE_FROM_WATCH_LATER', videoId: copy.id, setVideoId: copy.setVideoId }
+      : { type: 'REMOVE_FROM_PLAYLIST', videoId: copy.id, setVideoId: copy.setVideoId, playlistId: copy.listId })
+  );
 
-  // Base filter: exclude hidden videos
-  let baseFilter = v => !hiddenVideoIds.has(v.id);
+  const removed = removals.filter((_, i) => results[i]?.success);
+  forgetRemovedCopies(removed);
+  renderCurrentView();
 
-  // Hide fully-watched videos when toggle is active
-  if (hideWatched) {
-    const origFilter = baseFilter;
-    baseFilter = v => origFilter(v) && !isFullyWatched(v);
+  const failed = removals.length - removed.length;
+  if (failed > 0) {
+    showToast(`${failed} duplicate cop${failed === 1 ? 'y' : 'ies'} could not be removed; see the operations panel (O)`, 'warning');
+  } else {
+    showToast(`Removed ${removals.length} duplicate cop${removals.length === 1 ? 'y' : 'ies'}`, 'success');
   }
+}
 
-  // In subscriptions tab, optionally hide videos already in Watch Later
-  if (currentTab === 'subscriptions' && hideWatchLaterInSubs) {
-    const origFilter = baseFilter;
-    baseFilter = v => origFilter(v) && !isInWatchLater(v.id);
+function handleDuplicatesKey(e) {
+  const group = duplicateGroups[duplicatesFocusedIndex];
+  const copyNumber = Number(e.key);
+  if (group && copyNumber >= 1 && copyNumber <= group.copies.length) {
+    // 1-9: keep that copy of the focused video
+    e.preventDefault();
+    group.keepIndex = copyNumber - 1;
+    keepOneCopy([group]);
+    return;
   }
 
-  const baseVideos = videos.filter(baseFilter);
-
-  if (query) {
-    const scored = [];
-    for (const video of baseVideos) {
-      const score = fuzzyMatchVideo(query, video);
-      if (score > 0) {
-        scored.push({ video, score });
+  switch (e.key) {
+    case 'Escape':
+    case 'D':
+      closeDuplicatesView();
+      break;
+    case 'j':
+    case 'ArrowDown':
+      duplicatesFocusedIndex = Math.min(duplicatesFocusedIndex + 1, Math.max(0, duplicateGroups.length - 1));
+      renderDuplicatesView();
+      break;
+    case 'k':
+    case 'ArrowUp':
+      duplicatesFocusedIndex = Math.max(duplicatesFocusedIndex - 1, 0);
+      renderDuplicatesView();
+      break;
+    case 'h':
+    case 'l':
+      // Choose which copy to keep
+      if (group) {
+        const step = e.key === 'l' ? 1 : group.copies.length - 1;
+        group.keepIndex = (group.keepIndex + step) % group.copies.length;
+        renderDuplicatesView();
       }
+      break;
+    case 'Enter':
+      if (group) keepOneCopy([group]);
+      break;
+    case 'A':
+      if (duplicateGroups.length === 0) break;
+      openConfirmDialog({
+        title: 'Keep One Copy of Everything',
+        message: `Remove the extra copies of ${duplicateGroups.length} video(s), keeping the highlighted copy of each? This can be undone from the history (U).`,
+        confirmText: 'Remove copies',
+      }).then(confirmed => {
+        if (confirmed) keepOneCopy([...duplicateGroups]);
+      });
+      break;
+    case 'r':
+      openDuplicatesView();
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
+}
+
+// =============================================================================
+// GLOBAL SEARCH
+// =============================================================================
+
+/** Hits shown in the global search panel */
+const GLOBAL_SEARCH_LIMIT = 200;
+
+/**
+ * Collect Watch Later and every playlist. With preferCache (the default),
+ * lists already in memory are used as-is and the rest come from the library
+ * cache, fetched from YouTube only when nothing is cached; without it every
+ * list is fetched fresh, falling back to the cache when offline.
+ * @param {{ preferCache?: boolean, onProgress?: (title: string, index: number, total: number) => void }} [options]
+ * @returns {Promise<Array<{ id: string, title: string, videos: object[] }>>}
+ */
+async function collectSavedLists({ preferCache = true, onProgress } = {}) {
+  const sources = [{ id: 'WL', title: 'Watch Later', listKey: 'watchlater' }, ...playlists.map(p => ({
+    id: p.id,
+    title: p.title,
+    listKey: `playlist:${p.id}`,
+  }))];
+  const loadCached = async (listKey) => (await loadLibraryList(listKey).catch(() => null))?.items;
+
+  const lists = [];
+  for (const [index, source] of sources.entries()) {
+    onProgress?.(source.title, index, sources.length);
+    let listVideos = null;
+    if (!preferCache) {
+      listVideos = await fetchListVideos(source.listKey) || await loadCached(source.listKey) || [];
+    } else if (source.id === 'WL' && watchLaterVideos.length > 0) {
+      listVideos = watchLaterVideos;
+    } else if (source.id === activePlaylistId && playlistBrowserLevel === 'videos') {
+      listVideos = playlistVideos;
+    } else {
+      listVideos = await loadCached(source.listKey) || await fetchListVideos(source.listKey) || [];
+    }
+    lists.push({ id: source.id, title: source.title, videos: listVideos });
+  }
+  return lists;
+}
+
+/**
+ * Score every video of every list against the query (titles, channels, notes,
+ * tags and field filters, like `/`). A video saved in several lists gets one
+ * hit per list.
+ * @returns {Array<{ video: object, listId: string, listTitle: string, score: number }>}
+ */
+function searchAllLists(query, lists) {
+  if (!query.trim()) return [];
+  const parsedQuery = parseSearchQuery(query);
+  const hits = [];
+  for (const list of lists) {
+    for (const video of list.videos) {
+      if (hiddenVideoIds.has(video.id)) continue;
+      const score = matchVideoQuery(parsedQuery, video);
+      if (score > 0) hits.push({ video, listId: list.id, listTitle: list.title, score });
     }
-    scored.sort((a, b) => b.score - a.score);
-    filteredVideos = scored.map(item => item.video);
-  } else {
-    filteredVideos = [...baseVideos];
   }
+  return hits.sort((a, b) => b.score - a.score).slice(0, GLOBAL_SEARCH_LIMIT);
+}
 
-  if (smartSortEnabled) {
-    filteredVideos.sort((a, b) => scoreVideo(b) - scoreVideo(a));
+function renderGlobalSearch() {
+  if (!isGlobalSearchOpen) return;
+  if (isIndexingGlobalSearch) {
+    globalSearchListEl.innerHTML = '<div class="loading"><div class="spinner"></div><span>Indexing lists...</span></div>';
+    return;
   }
 
-  videoList.innerHTML = filteredVideos.map((video, index) => {
-    const inWL = currentTab === 'subscriptions' && isInWatchLater(video.id);
-    const progress = getWatchedProgress(video);
-    const fullyWatched = progress >= 100;
-    const annotation = getVideoAnnotation(video.id);
-    const hasAnnotation = annotation.note || (annotation.tags && annotation.tags.length > 0);
+  const query = globalSearchInput.value;
+  globalSearchResults = searchAllLists(query, globalSearchLists || []);
+  const videoCount = (globalSearchLists || []).reduce((sum, list) => sum + list.videos.length, 0);
+  globalSearchSummaryEl.textContent = query.trim()
+    ? `${globalSearchResults.length}${globalSearchResults.length === GLOBAL_SEARCH_LIMIT ? '+' : ''} hit(s) across ${globalSearchLists.length} lists`
+    : `${videoCount} videos in ${(globalSearchLists || []).length} lists`;
+  if (globalSearchResults.length === 0) {
+    globalSearchListEl.innerHTML = query.trim() ? '<div class="operations-empty">No matches in any list</div>' : '';
+    return;
+  }
+
+  globalSearchFocusedIndex = Math.min(globalSearchFocusedIndex, globalSearchResults.length - 1);
+  globalSearchListEl.innerHTML = globalSearchResults.map((hit, index) => {
+    const annotation = getVideoAnnotation(hit.video.id);
+    const tags = (annotation.tags || []).map(tag => `#${tag}`).join(' ');
     return `
-    <div class="video-item ${selectedIndices.has(index) ? 'selected' : ''} ${focusedIndex === index ? 'focused' : ''} ${fullyWatched ? 'fully-watched' : ''}"
-         data-index="${index}"
-         data-video-id="${video.id}">
-      <span class="video-index">${index + 1}</span>
-      <div class="thumbnail-wrapper">
-        <img class="video-thumbnail" src="${fixUrl(video.thumbnail)}" alt="" loading="lazy">
-        ${progress > 0 ? `<div class="video-progress" style="width: ${progress}%"></div>` : ''}
-      </div>
-      <div class="video-info">
-        <div class="video-title" title="${escapeHtml(video.title)}">${escapeHtml(video.title)}</div>
-        <div class="video-channel">${escapeHtml(video.channel)}</div>
-      </div>
-      <div class="video-meta">
-        ${inWL ? '<span class="wl-check" title="In Watch Later">&#10003;</span>' : ''}
-        ${hasAnnotation ? '<span class="wl-check" title="Annotated">&#128221;</span>' : ''}
-        <span class="video-duration">${video.duration || '--:--'}</span>
+    <div class="operation-item ${index === globalSearchFocusedIndex ? 'focused' : ''}" data-index="${index}">
+      <div class="operation-header">
+        <span class="operation-label">${escapeHtml(hit.video.title)}</span>
+        <span class="operation-status">${escapeHtml(hit.listTitle)}</span>
       </div>
+      <div class="operation-meta">${escapeHtml([hit.video.channel, annotation.note, tags].filter(Boolean).join(' · '))}</div>
     </div>
   `;
   }).join('');
 
-  videoCountLabelEl.textContent = 'Videos:';
-  videoCountEl.textContent = videos.length;
-  selectedCountEl.textContent = selectedIndices.size;
+  globalSearchListEl.querySelector('.operation-item.focused')?.scrollIntoView({ block: 'nearest' });
+}
 
-  scrollFocusedIntoView();
+async function openGlobalSearch() {
+  isGlobalSearchOpen = true;
+  globalSearchFocusedIndex = 0;
+  globalSearchModal.classList.add('visible');
+  globalSearchInput.value = searchQuery;
+  globalSearchInput.focus();
+  globalSearchInput.select();
+  if (isIndexingGlobalSearch) return;
+
+  isIndexingGlobalSearch = true;
+  renderGlobalSearch();
+  try {
+    const savedLists = await collectSavedLists({
+      onProgress: (title, index, total) => {
+        globalSearchSummaryEl.textContent = `Indexing ${title} (${index + 1}/${total})...`;
+      },
+    });
+    globalSearchLists = [...savedLists, { id: 'subscriptions', title: 'Subscriptions', videos: subscriptionVideos }];
+  } catch (error) {
+    errorLog('Global search indexing failed:', error);
+    showToast('Could not load every list for search', 'error');
+    globalSearchLists = [];
+  } finally {
+    isIndexingGlobalSearch = false;
+  }
+  renderGlobalSearch();
 }
 
-// Escape HTML to prevent XSS
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+function closeGlobalSearch() {
+  isGlobalSearchOpen = false;
+  globalSearchModal.classList.remove('visible');
+  globalSearchInput.blur();
 }
 
-// Fix protocol-relative URLs (//domain.com) for extension context
-function fixUrl(url) {
-  if (url && url.startsWith('//')) {
-    return 'https:' + url;
+/**
+ * Close the panel and show the hit in its own list with the video focused, so
+ * the regular actions (and their undo history) apply to it.
+ * @returns {Promise<boolean>} false when the video isn't visible there
+ */
+async function jumpToGlobalSearchHit(hit) {
+  closeGlobalSearch();
+  if (hit.listId === 'WL' || hit.listId === 'subscriptions') {
+    switchTab(hit.listId === 'WL' ? 'watchlater' : 'subscriptions');
+  } else {
+    const playlist = getPlaylistById(hit.listId);
+    if (!playlist) {
+      showToast('That playlist no longer exists', 'error');
+      return false;
+    }
+    switchTab('playlists');
+    if (activePlaylistId !== playlist.id || playlistBrowserLevel !== 'videos') {
+      await drillIntoPlaylist(playlist);
+    }
   }
-  return url;
+
+  searchQuery = '';
+  searchInput.value = '';
+  searchContainer?.classList.remove('active');
+  selectedIndices.clear();
+  renderVideos();
+  const index = filteredVideos.findIndex(video => video.id === hit.video.id);
+  if (index === -1) {
+    showToast(`"${hit.video.title}" is hidden by the current filters`, 'info');
+    return false;
+  }
+  focusedIndex = index;
+  renderVideos();
+  return true;
 }
 
-// Render playlists (sidebar - only shows assigned quick moves)
-function renderPlaylists() {
-  // Show playlists that have quick move assignments, sorted by number
-  const assignedPlaylists = [];
-  for (let i = 1; i <= 9; i++) {
-    const playlist = getPlaylistByQuickMove(i);
-    if (playlist) {
-      assignedPlaylists.push({ num: i, playlist });
-    }
+async function actOnGlobalSearchHit(hit, action) {
+  if (action === 'delete' && hit.listId === 'subscriptions') {
+    showToast('Cannot delete from subscriptions feed', 'info');
+    return;
   }
+  if (!await jumpToGlobalSearchHit(hit)) return;
+  if (action === 'move') {
+    openModal();
+  } else if (action === 'delete') {
+    if (hit.listId === 'WL') deleteVideos();
+    else deleteFromPlaylist();
+  }
+}
 
-  if (assignedPlaylists.length === 0) {
-    playlistList.innerHTML = `
-      <div class="playlist-item" style="color: var(--text-muted); cursor: default; font-size: 11px;">
-        Press m to assign quick moves
-      </div>
-    `;
+function openGlobalSearchHit(hit) {
+  const url = hit.listId === 'WL'
+    ? getWatchLaterVideoUrl(hit.video)
+    : `https://www.youtube.com/watch?v=${hit.video.id}`;
+  window.open(url, '_blank');
+}
+
+function handleGlobalSearchKey(e) {
+  const hit = globalSearchResults[globalSearchFocusedIndex];
+  const typing = document.activeElement === globalSearchInput;
+  if (typing && handleQueryAutocompleteKey(e)) {
+    e.preventDefault();
     return;
   }
 
-  playlistList.innerHTML = assignedPlaylists.map(({ num, playlist }) => `
-    <div class="playlist-item" data-playlist-id="${playlist.id}">
-      <span class="playlist-key">${num}</span>
-      <span class="playlist-name" title="${escapeHtml(playlist.title)}">${escapeHtml(playlist.title)}</span>
-    </div>
-  `).join('');
+  switch (e.key) {
+    case 'Escape':
+      closeGlobalSearch();
+      break;
+    case 'ArrowDown':
+      globalSearchFocusedIndex = Math.min(globalSearchFocusedIndex + 1, Math.max(0, globalSearchResults.length - 1));
+      renderGlobalSearch();
+      break;
+    case 'ArrowUp':
+      globalSearchFocusedIndex = Math.max(globalSearchFocusedIndex - 1, 0);
+      renderGlobalSearch();
+      break;
+    case 'Enter':
+      if (hit) jumpToGlobalSearchHit(hit);
+      break;
+    case 'Tab':
+      // Switch between typing and acting on the results
+      if (typing) globalSearchInput.blur();
+      else globalSearchInput.focus();
+      break;
+    default:
+      if (typing) return;
+      switch (e.key) {
+        case 'j':
+          globalSearchFocusedIndex = Math.min(globalSearchFocusedIndex + 1, Math.max(0, globalSearchResults.length - 1));
+          renderGlobalSearch();
+          break;
+        case 'k':
+          globalSearchFocusedIndex = Math.max(globalSearchFocusedIndex - 1, 0);
+          renderGlobalSearch();
+          break;
+        case 'o':
+          if (hit) openGlobalSearchHit(hit);
+          break;
+        case 'm':
+          if (hit) actOnGlobalSearchHit(hit, 'move');
+          break;
+        case 'x':
+        case 'd':
+          if (hit) actOnGlobalSearchHit(hit, 'delete');
+          break;
+        case '/':
+          globalSearchInput.focus();
+          break;
+        case 'F':
+          closeGlobalSearch();
+          break;
+        default:
+          return;
+      }
+  }
+  e.preventDefault();
+}
 
-  if (playlists.length > assignedPlaylists.length) {
-    playlistList.innerHTML += `
-      <div class="playlist-item" style="color: var(--text-muted); cursor: default; font-size: 11px;">
-        +${playlists.length - assignedPlaylists.length} more (press m)
-      </div>
-    `;
+// =============================================================================
+// SMART PLAYLISTS
+// =============================================================================
+
+/** ID prefix that tells smart playlists apart from YouTube playlist IDs */
+const SMART_PLAYLIST_PREFIX = 'smart:';
+
+async function loadSmartPlaylists() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['smartPlaylists'], (result) => {
+      smartPlaylists = Array.isArray(result.smartPlaylists) ? result.smartPlaylists : [];
+      resolve();
+    });
+  });
+}
+
+async function saveSmartPlaylists() {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ smartPlaylists }, resolve);
+  });
+}
+
+function isSmartPlaylistId(id) {
+  return typeof id === 'string' && id.startsWith(SMART_PLAYLIST_PREFIX);
+}
+
+function getSmartPlaylist(id) {
+  return smartPlaylists.find(smart => smart.id === id) || null;
+}
+
+/** Save the current `/` search as a smart playlist (same name replaces its query) */
+async function saveSearchAsSmartPlaylist() {
+  const query = searchQuery.trim();
+  if (!query || currentTab === 'channels' || (currentTab === 'playlists' && playlistBrowserLevel === 'list')) {
+    showToast('Search a video list with / first, then press P to save it', 'info');
+    return;
+  }
+
+  const title = await openInputDialog({
+    title: 'Save as Smart Playlist',
+    message: `Videos in Watch Later and your playlists matching: ${query}`,
+    placeholder: 'Smart playlist name',
+    confirmText: 'Save',
+  });
+  if (!title || !title.trim()) return;
+
+  const trimmedTitle = title.trim();
+  const existing = smartPlaylists.find(smart => smart.title.toLowerCase() === trimmedTitle.toLowerCase());
+  if (existing) {
+    existing.query = query;
+  } else {
+    smartPlaylists = [...smartPlaylists, {
+      id: `${SMART_PLAYLIST_PREFIX}${Date.now().toString(36)}`,
+      title: trimmedTitle,
+      query,
+      createdAt: Date.now(),
+    }];
+  }
+  await saveSmartPlaylists();
+  showToast(existing ? `Updated "${trimmedTitle}"` : `Saved "${trimmedTitle}" to the Playlists tab`, 'success');
+}
+
+/**
+ * Videos of the given lists matching the smart playlist's query, best match
+ * first. Each keeps the list it came from (`sourceListId`/`sourceListTitle`)
+ * so deletes and moves go to the right place; a video saved in several lists
+ * appears once, from the first list that has it (Watch Later first).
+ */
+function evaluateSmartPlaylist(smart, lists) {
+  const parsedQuery = parseSearchQuery(smart.query);
+  const seen = new Set();
+  const scored = [];
+  for (const list of lists) {
+    for (const video of list.videos) {
+      if (seen.has(video.id) || hiddenVideoIds.has(video.id)) continue;
+      const score = matchVideoQuery(parsedQuery, video);
+      if (score === 0) continue;
+      seen.add(video.id);
+      scored.push({ video: { ...video, sourceListId: list.id, sourceListTitle: list.title }, score });
+    }
   }
+  return scored.sort((a, b) => b.score - a.score).map(item => item.video);
+}
+
+/** Level 2 view of a smart playlist, like drillIntoPlaylist() for real ones */
+async function drillIntoSmartPlaylist(smart) {
+  activePlaylistId = smart.id;
+  playlistBrowserLevel = 'videos';
+  breadcrumbEl.style.display = 'flex';
+  breadcrumbNameEl.textContent = `${smart.title} (${smart.query})`;
+
+  focusedIndex = 0;
+  selectedIndices.clear();
+  searchQuery = '';
+  searchInput.value = '';
+  videoCountLabelEl.textContent = 'Videos:';
+  playlistVideos = [];
+  videos = playlistVideos;
+  videoList.innerHTML = '<div class="loading"><div class="spinner"></div><span>Evaluating smart playlist...</span></div>';
+
+  const lists = await collectSavedLists({
+    onProgress: (title, index, total) => {
+      setStatus(`Evaluating ${smart.title}: ${title} (${index + 1}/${total})...`, 'loading');
+    },
+  });
+  if (activePlaylistId !== smart.id) return;
+
+  playlistVideos = evaluateSmartPlaylist(smart, lists);
+  videos = playlistVideos;
+  renderVideos();
+  setStatus('Ready');
+}
+
+async function deleteSmartPlaylist(smart) {
+  const confirmed = await openConfirmDialog({
+    title: 'Delete Smart Playlist',
+    message: `Delete the saved search "${smart.title}"? The videos it shows are not touched.`,
+    confirmText: 'Delete',
+  });
+  if (!confirmed) return;
+
+  smartPlaylists = smartPlaylists.filter(candidate => candidate.id !== smart.id);
+  await saveSmartPlaylists();
+  focusedIndex = Math.max(0, focusedIndex - 1);
+  renderPlaylistBrowser();
+  showToast(`Deleted "${smart.title}"`, 'success');
+}
+
+async function renameSmartPlaylist(smart) {
+  const newTitle = await openInputDialog({
+    title: 'Rename Smart Playlist',
+    message: `Query: ${smart.query}`,
+    defaultValue: smart.title,
+    confirmText: 'Rename',
+  });
+  if (!newTitle || !newTitle.trim() || newTitle.trim() === smart.title) return;
+
+  smart.title = newTitle.trim();
+  await saveSmartPlaylists();
+  renderPlaylistBrowser();
+  showToast(`Renamed to "${smart.title}"`, 'success');
+}
 
+/** Copies (video + the list it lives in) to remove or move */
+function toSourceCopies(targets) {
+  return targets.map(video => ({
+    ...toStatsFields(video),
+    id: video.id,
+    title: video.title,
+    setVideoId: video.setVideoId,
+    listId: video.sourceListId,
+    listTitle: video.sourceListTitle,
+  }));
 }
 
-// Get sorted playlists for modal display
-function getSortedPlaylists() {
-  return [...playlists].sort((a, b) => {
-    const aNum = getQuickMoveNumber(a.id);
-    const bNum = getQuickMoveNumber(b.id);
+/** setVideoIds change when a video is re-added, so history keeps only where it was */
+function toHistoryCopy(copy) {
+  return { id: copy.id, title: copy.title, listId: copy.listId, listTitle: copy.listTitle };
+}
 
-    // Assigned playlists come first, sorted by number
-    if (aNum && bNum) return parseInt(aNum) - parseInt(bNum);
-    if (aNum) return -1;
-    if (bNum) return 1;
+function removeFromSourceListMessage(copy) {
+  return copy.listId === 'WL'
+    ? { type: 'REMOVE_FROM_WATCH_LATER', videoId: copy.id, setVideoId: copy.setVideoId }
+    : { type: 'REMOVE_FROM_PLAYLIST', videoId: copy.id, setVideoId: copy.setVideoId, playlistId: copy.listId };
+}
 
-    // Then alphabetically
-    return a.title.localeCompare(b.title);
-  });
+/** Take the targets out of the smart view right away, before YouTube confirms */
+function dropTargetsFromSmartView(targets) {
+  const targetIds = new Set(targets.map(v => v.id));
+  playlistVideos = playlistVideos.filter(v => !targetIds.has(v.id));
+  videos = playlistVideos;
+  visualModeStart = null;
+  visualBlockMode = false;
+  selectedIndices.clear();
+  updateMode();
+  focusedIndex = Math.min(focusedIndex, Math.max(0, videos.length - 1));
+  renderVideos();
 }
 
-// Render modal playlists
-function renderModalPlaylists() {
-  const sortedPlaylists = getSortedPlaylists();
-  // In subscriptions tab, prepend Watch Later as first option
-  const watchLaterEntry = { id: 'WL', title: 'Watch Later', videoCount: watchLaterVideos.length };
-  const modalItems = currentTab === 'subscriptions'
-    ? [watchLaterEntry, ...sortedPlaylists]
-    : sortedPlaylists;
-  currentModalItems = modalItems;
+/** x/d in a smart playlist: remove each video from the list it lives in */
+async function deleteFromSmartPlaylist(targets = getTargetVideos()) {
+  if (!ensureWritable()) return;
+  if (targets.length === 0) return;
 
-  modalPlaylists.innerHTML = modalItems.map((playlist, index) => {
-    const quickMoveNum = getQuickMoveNumber(playlist.id);
-    return `
-    <div class="modal-playlist ${modalFocusedIndex === index ? 'focused' : ''}"
-         data-index="${index}"
-         data-playlist-id="${playlist.id}">
-      <span class="playlist-key ${quickMoveNum ? 'assigned' : ''}">${quickMoveNum || ''}</span>
-      <span class="playlist-name">${escapeHtml(playlist.title)}</span>
-      <span class="playlist-count">${playlist.videoCount} videos</span>
-    </div>
-  `;
-  }).join('');
+  const copies = toSourceCopies(targets);
+  const smart = getSmartPlaylist(activePlaylistId);
+  saveUndoState('remove_from_lists', {
+    copies: copies.map(toHistoryCopy),
+    smartTitle: smart?.title,
+  });
+  dropTargetsFromSmartView(targets);
+  setStatus(`Removing ${targets.length} video(s)...`, 'loading');
 
-  // Add hint at the bottom
-  modalPlaylists.innerHTML += `
-    <div class="modal-hint">
-      Press 1-9 to assign quick move to focused playlist
-    </div>
-  `;
+  const results = await runBulkOperation(
+    `Removing ${targets.length} video(s) from their lists`,
+    copies,
+    removeFromSourceListMessage,
+    { resyncOnCancel: true }
+  );
+  if (isOperationCancelled(results)) return;
+  const removed = copies.filter((_, i) => results[i]?.success);
+  forgetRemovedCopies(removed);
 
-  // Scroll focused item into view
-  const focused = modalPlaylists.querySelector('.modal-playlist.focused');
-  if (focused) {
-    focused.scrollIntoView({ block: 'nearest' });
+  const failed = copies.length - removed.length;
+  if (failed > 0) {
+    showToast(`${failed} video(s) could not be removed; see the operations panel (O)`, 'warning');
+  } else {
+    showToast(`Removed ${removed.length} video(s)`, 'success');
   }
+  setStatus('Ready');
 }
 
-// Scroll focused item into view - center when single selection, nearest otherwise
-function scrollFocusedIntoView() {
-  const focused = videoList.querySelector('.focused') || videoList.querySelector('.channel-item.focused');
-  if (focused) {
-    // Use 'center' for single item navigation, 'nearest' for visual mode
-    const block = (visualModeStart === null && selectedIndices.size === 0) ? 'center' : 'nearest';
-    // Use 'auto' for instant scroll response when holding keys
-    focused.scrollIntoView({ block, behavior: 'auto' });
+/**
+ * m/1-9 in a smart playlist: add each video to the target and take it out of
+ * the list it came from (Watch Later uses MOVE_TO_PLAYLIST, which does both).
+ */
+async function moveFromSmartPlaylist(playlistId) {
+  if (!ensureWritable()) return;
+  const targets = getTargetVideos().filter(video => video.sourceListId !== playlistId);
+  if (targets.length === 0) {
+    showToast('Already in that playlist', 'info');
+    return;
   }
-}
 
-// Parse relative time text (e.g., "3 days ago") to timestamp
-function parseRelativeTime(text) {
-  if (!text) return undefined;
-  const lowerText = text.toLowerCase();
-  const match = lowerText.match(/(\d+)\s*(second|minute|hour|day|week|month|year)s?\s*ago/);
-  if (!match) return undefined;
+  const playlistTitle = playlistId === 'WL' ? 'Watch Later' : getPlaylistById(playlistId)?.title || 'playlist';
+  const copies = toSourceCopies(targets);
+  saveUndoState('move_from_lists', {
+    copies: copies.map(toHistoryCopy),
+    playlistId,
+    playlistTitle,
+  });
+  dropTargetsFromSmartView(targets);
+  setStatus(`Moving ${targets.length} video(s) to ${playlistTitle}...`, 'loading');
+
+  const movesOutOfWatchLater = (copy) => copy.listId === 'WL';
+  const added = await runBulkOperation(
+    `Moving ${targets.length} video(s) to ${playlistTitle}`,
+    copies,
+    copy => (movesOutOfWatchLater(copy)
+      ? { type: 'MOVE_TO_PLAYLIST', videoId: copy.id, setVideoId: copy.setVideoId, playlistId }
+      : { type: 'ADD_TO_PLAYLIST', videoId: copy.id, playlistId }),
+    { resyncOnCancel: true }
+  );
+  if (isOperationCancelled(added)) return;
+
+  // Only take videos out of their playlist once the target has them
+  const moved = copies.filter((copy, i) => added[i]?.success && movesOutOfWatchLater(copy));
+  const toRemove = copies.filter((copy, i) => added[i]?.success && !movesOutOfWatchLater(copy));
+  if (toRemove.length > 0) {
+    const removedResults = await runBulkOperation(
+      `Removing ${toRemove.length} moved video(s) from their playlists`,
+      toRemove,
+      removeFromSourceListMessage
+    );
+    moved.push(...toRemove.filter((_, i) => removedResults[i]?.success));
+  }
+  forgetRemovedCopies(moved);
+  const target = getPlaylistById(playlistId);
+  if (target && typeof target.videoCount === 'number') {
+    target.videoCount += added.filter(r => r?.success).length;
+  }
 
-  const num = parseInt(match[1], 10);
-  const unit = match[2];
-  const now = Date.now();
-  const msPerUnit = {
-    second: 1000,
-    minute: 60 * 1000,
-    hour: 60 * 60 * 1000,
-    day: 24 * 60 * 60 * 1000,
-    week: 7 * 24 * 60 * 60 * 1000,
-    month: 30 * 24 * 60 * 60 * 1000,
-    year: 365 * 24 * 60 * 60 * 1000,
-  };
-  return now - num * (msPerUnit[unit] || 0);
+  const failed = copies.length - moved.length;
+  if (failed > 0) {
+    showToast(`${failed} video(s) were not moved; see the operations panel (O)`, 'warning');
+  } else {
+    showToast(`Moved ${moved.length} to ${playlistTitle}`, 'success');
+  }
+  setStatus('Ready');
 }
 
-// Derive channel activity from subscription videos
-// Returns a Map of channelId -> { lastUploadText, lastUploadTimestamp }
-function deriveChannelActivity(subscriptionVideos) {
-  const activity = new Map();
+/** Reordering only makes sense in real playlists */
+function ensureReorderable() {
+  if (!isSmartPlaylistId(activePlaylistId)) return true;
+  showToast('Smart playlists are ordered by how well videos match', 'info');
+  return false;
+}
 
-  for (const video of subscriptionVideos) {
-    if (!video.channelId) continue;
+// =============================================================================
+// AUTO-SORT RULES
+// =============================================================================
 
-    const timestamp = parseRelativeTime(video.publishedAt);
-    if (!timestamp) continue;
+/** Separates a rule's condition from its target playlist */
+const AUTO_SORT_ARROW_PATTERN = /\s*(?:->|→)\s*/;
 
-    const existing = activity.get(video.channelId);
-    // Keep the most recent upload for each channel
-    if (!existing || timestamp > existing.lastUploadTimestamp) {
-      activity.set(video.channelId, {
-        lastUploadText: video.publishedAt,
-        lastUploadTimestamp: timestamp,
-      });
+/**
+ * Build the test for one rule condition:
+ *   channel: A, B, C      channel is one of the names
+ *   title: /tutorial/i    title matches a regex (or contains plain text)
+ *   duration: > 1h        duration compared with >, >=, < or <=
+ *   anything else         a search query, e.g. `tag:physics dur:>20m`
+ * @returns {(video: object) => boolean} Throws with a readable message when invalid
+ */
+function buildAutoSortCondition(condition) {
+  const channelMatch = condition.match(/^channel\s*(?::|\bin\b)\s*(.+)$/i);
+  if (channelMatch) {
+    const names = new Set(channelMatch[1]
+      .replace(/^\[|\]$/g, '')
+      .split(/[,|]/)
+      .map(name => normalizeText(unquoteQueryValue(name.trim())))
+      .filter(Boolean));
+    if (names.size === 0) throw new Error('No channel names');
+    return video => names.has(normalizeText(video.channel));
+  }
+
+  const titleMatch = condition.match(/^title\s*(?::|\bmatches\b)\s*(.+)$/i);
+  if (titleMatch) {
+    const regexMatch = titleMatch[1].match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+      let pattern;
+      try {
+        pattern = new RegExp(regexMatch[1], regexMatch[2] || 'i');
+      } catch (error) {
+        throw new Error(`Invalid regex: ${error.message}`);
+      }
+      return video => pattern.test(video.title || '');
     }
+    const text = normalizeText(unquoteQueryValue(titleMatch[1].trim()));
+    return video => normalizeText(video.title).includes(text);
   }
 
-  return activity;
+  const durationMatch = condition.match(/^(?:duration|dur)\s*:?\s*(>=|<=|>|<)\s*(\S+)$/i);
+  if (durationMatch) {
+    const seconds = parseQueryDuration(durationMatch[2]);
+    if (seconds === null) throw new Error(`Invalid duration "${durationMatch[2]}"`);
+    return (video) => {
+      const actual = parseDurationSeconds(video.duration);
+      return actual !== null && compareQueryValue(actual, durationMatch[1], seconds);
+    };
+  }
+
+  const parsedQuery = parseSearchQuery(condition);
+  if (!parsedQuery.text && parsedQuery.filters.length === 0) throw new Error('Empty condition');
+  return video => matchVideoQuery(parsedQuery, video) > 0;
 }
 
-// Apply derived activity data to channels
-function applyChannelActivity(channels, activityMap) {
-  for (const channel of channels) {
-    const activity = activityMap.get(channel.id);
-    if (activity) {
-      channel.lastUploadText = activity.lastUploadText;
-      channel.lastUploadTimestamp = activity.lastUploadTimestamp;
+/**
+ * Parse the rules from the options page, one `<condition> -> <playlist>` per
+ * line (`#` starts a comment). Rules are tried in order; the first match wins.
+ * @returns {{ rules: object[], errors: Array<{ lineNumber: number, message: string }> }}
+ */
+function parseAutoSortRules(text) {
+  const rules = [];
+  const errors = [];
+  String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+    const lineNumber = index + 1;
+    const parts = line.split(AUTO_SORT_ARROW_PATTERN);
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+      errors.push({ lineNumber, message: 'Expected "<condition> -> <playlist>"' });
+      return;
+    }
+
+    const [condition, playlistTitle] = parts;
+    const playlist = playlists.find(p => p.title.toLowerCase() === playlistTitle.toLowerCase());
+    if (!playlist) {
+      errors.push({ lineNumber, message: `No playlist named "${playlistTitle}"` });
+      return;
+    }
+    try {
+      rules.push({ lineNumber, condition, playlistId: playlist.id, playlistTitle: playlist.title, test: buildAutoSortCondition(condition) });
+    } catch (error) {
+      errors.push({ lineNumber, message: error.message });
     }
+  });
+  return { rules, errors };
+}
+
+/** Pair each Watch Later video with the first rule it matches */
+function planAutoSort(rules, watchLater) {
+  const items = [];
+  for (const video of watchLater) {
+    if (hiddenVideoIds.has(video.id)) continue;
+    const rule = rules.find(candidate => candidate.test(video));
+    if (rule) items.push({ video, rule, enabled: true });
   }
+  return items;
 }
 
-// Recalculate and apply channel activity from current subscription videos
-function recalculateChannelActivity() {
-  if (subscriptionVideos.length === 0 || channels.length === 0) return;
+function renderAutoSortPreview() {
+  if (!isAutoSortOpen || !autoSortPlan) return;
+  const plan = autoSortPlan;
+  const enabled = plan.items.filter(item => item.enabled);
+  const targetCount = new Set(enabled.map(item => item.rule.playlistId)).size;
+  const parts = [`Preview, nothing moved yet · ${enabled.length} of ${watchLaterVideos.length} video(s) → ${targetCount} playlist(s)`];
+  if (plan.errors.length > 0) parts.push(`${plan.errors.length} rule(s) ignored`);
+  autoSortSummaryEl.textContent = parts.join(' · ');
+
+  const errorRows = plan.errors.map(error => `
+    <div class="purge-item import-item skipped">
+      <div>
+        <div class="purge-item-title">Line ${error.lineNumber}: ${escapeHtml(error.message)}</div>
+        <div class="purge-item-channel">Fix it in the settings page</div>
+      </div>
+    </div>
+  `).join('');
+  if (plan.items.length === 0) {
+    autoSortListEl.innerHTML = errorRows + `<div class="operations-empty">${plan.rules.length > 0
+      ? 'No Watch Later videos match your rules'
+      : 'No auto-sort rules yet. Add them in the settings page, e.g. <code>title: /tutorial/ -&gt; Learning</code>'}</div>`;
+    return;
+  }
 
-  const activityMap = deriveChannelActivity(subscriptionVideos);
-  applyChannelActivity(channels, activityMap);
+  autoSortListEl.innerHTML = errorRows + plan.items.map((item, index) => `
+    <div class="purge-item import-item ${index === plan.focusedIndex ? 'focused' : ''} ${item.enabled ? '' : 'skipped'}" data-index="${index}">
+      <div>
+        <div class="purge-item-title">${escapeHtml(item.video.title)}</div>
+        <div class="purge-item-channel">${escapeHtml(item.video.channel)} · ${escapeHtml(item.rule.condition)}</div>
+      </div>
+      <div class="purge-item-progress">${item.enabled ? `→ ${escapeHtml(item.rule.playlistTitle)}` : 'skipped'}</div>
+    </div>
+  `).join('');
+  autoSortListEl.querySelector('.import-item.focused')?.scrollIntoView({ block: 'nearest' });
+}
 
-  // Re-render channels if we're on that tab
-  if (currentTab === 'channels') {
-    renderChannels();
+async function openAutoSort() {
+  if (currentTab !== 'watchlater') {
+    showToast('Auto-sort works on Watch Later; switch to it first', 'info');
+    return;
   }
+  // Pick up rules edited on the settings page since the dashboard opened
+  await loadNuTubeSettings();
+  const { rules, errors } = parseAutoSortRules(nutubeSettings.autoSortRules);
+  autoSortPlan = { rules, errors, items: planAutoSort(rules, videos), focusedIndex: 0 };
+  isAutoSortOpen = true;
+  autoSortModal.classList.add('visible');
+  renderAutoSortPreview();
 }
 
-// Channel Preview Modal Management
-// Note: Video preview opens directly on YouTube (no modal needed due to CSP restrictions)
+function closeAutoSort() {
+  isAutoSortOpen = false;
+  autoSortPlan = null;
+  autoSortModal.classList.remove('visible');
+}
 
-let isChannelPreviewOpen = false;
+/**
+ * Move the enabled videos with MOVE_TO_PLAYLIST, one job and one undo history
+ * entry per target playlist.
+ */
+async function applyAutoSort() {
+  if (!ensureWritable() || !autoSortPlan) return;
+  const groups = new Map();
+  for (const item of autoSortPlan.items.filter(candidate => candidate.enabled)) {
+    if (!groups.has(item.rule.playlistId)) groups.set(item.rule.playlistId, { rule: item.rule, videos: [] });
+    groups.get(item.rule.playlistId).videos.push(item.video);
+  }
+  closeAutoSort();
+  if (groups.size === 0) return;
+
+  // History entries are recorded against the unchanged list so undo knows the positions
+  const jobs = [...groups.values()].map(group => ({
+    ...group,
+    historyEntry: saveUndoState('move_to_playlist', {
+      videos: group.videos,
+      playlistId: group.rule.playlistId,
+      playlistTitle: group.rule.playlistTitle,
+    }),
+  }));
 
-function openChannelPreview(channel) {
-  isChannelPreviewOpen = true;
-  showChannelPreview(channel);
+  const movedIds = new Set(jobs.flatMap(job => job.videos.map(v => v.id)));
+  videos = videos.filter(v => !movedIds.has(v.id));
+  watchLaterVideos = videos;
+  visualModeStart = null;
+  visualBlockMode = false;
+  selectedIndices.clear();
+  updateMode();
+  focusedIndex = Math.min(focusedIndex, Math.max(0, videos.length - 1));
+  renderVideos();
+  showToast(`Sorting ${movedIds.size} video(s) into ${jobs.length} playlist(s)...`);
+
+  const outcomes = await Promise.all(jobs.map(job => runBulkOperation(
+    `Auto-sort: ${job.videos.length} video(s) to ${job.rule.playlistTitle}`,
+    job.videos,
+    video => ({ type: 'MOVE_TO_PLAYLIST', videoId: video.id, setVideoId: video.setVideoId, playlistId: job.rule.playlistId }),
+    { resyncOnCancel: true, historyEntry: job.historyEntry }
+  )));
+  const failed = outcomes.flat().filter(r => r && !r.success).length;
+  if (failed > 0) {
+    showToast(`Auto-sort: ${failed} video(s) not moved; see the operations panel (O)`, 'warning');
+  } else {
+    showToast(`Sorted ${movedIds.size} video(s); undo from the history (U)`, 'success');
+  }
 }
 
-function closeChannelPreview() {
-  if (!isChannelPreviewOpen) return false;
-  isChannelPreviewOpen = false;
-  document.getElementById('channel-preview-modal').classList.remove('visible');
-  currentChannelVideos = [];
-  return true;
+function handleAutoSortKey(e) {
+  const plan = autoSortPlan;
+  switch (e.key) {
+    case 'Escape':
+    case 'A':
+      closeAutoSort();
+      break;
+    case 'j':
+    case 'ArrowDown':
+      plan.focusedIndex = Math.min(plan.focusedIndex + 1, Math.max(0, plan.items.length - 1));
+      renderAutoSortPreview();
+      break;
+    case 'k':
+    case 'ArrowUp':
+      plan.focusedIndex = Math.max(plan.focusedIndex - 1, 0);
+      renderAutoSortPreview();
+      break;
+    case ' ':
+      if (plan.items[plan.focusedIndex]) plan.items[plan.focusedIndex].enabled = !plan.items[plan.focusedIndex].enabled;
+      renderAutoSortPreview();
+      break;
+    case 'Enter':
+      applyAutoSort();
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
 }
 
-// Build URL for Watch Later video with playlist context
-function getWatchLaterVideoUrl(video) {
-  const index = watchLaterVideos.findIndex(v => v.id === video.id) + 1;
-  return `https://www.youtube.com/watch?v=${video.id}&list=WL&index=${index}`;
+// =============================================================================
+// WATCH QUEUE
+// =============================================================================
+
+/** Parse a time budget like "90" (minutes), "45m", "1h30m", "1h 30m" or "1:30" (h:mm) into seconds */
+function parseTimeBudget(text) {
+  const value = (text || '').trim().toLowerCase().replace(/\s+/g, '');
+  const clock = value.match(/^(\d+):(\d{1,2})$/);
+  if (clock) return Number(clock[1]) * 3600 + Number(clock[2]) * 60;
+  const seconds = value ? parseQueryDuration(value) : null;
+  return seconds && seconds > 0 ? seconds : null;
 }
 
-// Video Preview - opens directly on YouTube since embeds don't work from chrome-extension:// origin
-function showVideoPreview(video) {
-  window.open(getWatchLaterVideoUrl(video), '_blank');
+/** "1h 27m" / "45m" */
+function formatWatchTime(seconds) {
+  const minutes = Math.round(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
 }
 
-async function editFocusedVideoAnnotation() {
-  const video = filteredVideos[focusedIndex];
-  if (!video) return;
+/**
+ * Time left to watch a video, counting YouTube's progress. null when the
+ * duration is unknown (e.g. live streams).
+ */
+function getRemainingSeconds(video) {
+  const durationSeconds = parseDurationSeconds(video.duration);
+  if (durationSeconds === null) return null;
+  return Math.round(durationSeconds * (1 - Math.min(100, getWatchedProgress(video)) / 100));
+}
 
-  const current = getVideoAnnotation(video.id);
-  const note = await openInputDialog({
-    title: 'Edit Video Note',
-    message: video.title,
-    defaultValue: current.note || '',
-    placeholder: 'Optional note',
-    confirmText: 'Next',
-  });
-  if (note === null) return;
+/**
+ * Fill the budget greedily in smart sort order: each video is taken if what
+ * is left of the budget still fits it, so a long top pick doesn't block the
+ * shorter ones after it.
+ * @returns {{ items: Array<{ video: object, remainingSeconds: number, score: number }>, usedSeconds: number }}
+ */
+function buildWatchQueue(list, budgetSeconds, excludedIds = new Set()) {
+  const candidates = [];
+  for (const video of list) {
+    if (hiddenVideoIds.has(video.id) || excludedIds.has(video.id) || getUnavailableReason(video)) continue;
+    const live = getVideoDetails(video)?.live;
+    if (live === 'upcoming' || live === 'premiere') continue;
+    const remainingSeconds = getRemainingSeconds(video);
+    if (!remainingSeconds) continue;
+    candidates.push({ video, remainingSeconds, score: scoreVideo(video) });
+  }
+  candidates.sort((a, b) => b.score - a.score);
+
+  const items = [];
+  let usedSeconds = 0;
+  for (const candidate of candidates) {
+    if (usedSeconds + candidate.remainingSeconds > budgetSeconds) continue;
+    items.push(candidate);
+    usedSeconds += candidate.remainingSeconds;
+  }
+  return { items, usedSeconds };
+}
+
+function refreshQueuePlan() {
+  const { items, usedSeconds } = buildWatchQueue(watchLaterVideos, queuePlan.budgetSeconds, queuePlan.excludedIds);
+  queuePlan.items = items;
+  queuePlan.usedSeconds = usedSeconds;
+  queuePlan.focusedIndex = Math.min(queuePlan.focusedIndex, Math.max(0, items.length - 1));
+}
+
+function renderQueuePreview() {
+  if (!isQueueOpen || !queuePlan) return;
+  const plan = queuePlan;
+  const parts = [`${plan.items.length} video(s) · ${formatWatchTime(plan.usedSeconds)} of ${formatWatchTime(plan.budgetSeconds)}`];
+  if (plan.excludedIds.size > 0) parts.push(`${plan.excludedIds.size} dropped`);
+  queueSummaryEl.textContent = parts.join(' · ');
+
+  if (plan.items.length === 0) {
+    queueListEl.innerHTML = '<div class="operations-empty">Nothing in Watch Later fits this budget</div>';
+    return;
+  }
 
-  const tagsRaw = await openInputDialog({
-    title: 'Edit Video Tags',
-    message: 'Comma-separated tags (for search and smart filtering).',
-    defaultValue: (current.tags || []).join(', '),
-    placeholder: 'tutorial, longform, music',
-    confirmText: 'Save',
+  queueListEl.innerHTML = plan.items.map((item, index) => `
+    <div class="purge-item import-item ${index === plan.focusedIndex ? 'focused' : ''}" data-index="${index}">
+      <div>
+        <div class="purge-item-title">${index + 1}. ${escapeHtml(item.video.title)}</div>
+        <div class="purge-item-channel">${escapeHtml(item.video.channel)} · score ${item.score.toFixed(2)}</div>
+      </div>
+      <div class="purge-item-progress">${formatWatchTime(item.remainingSeconds)}${getWatchedProgress(item.video) > 0 ? ' left' : ''}</div>
+    </div>
+  `).join('');
+  queueListEl.querySelector('.import-item.focused')?.scrollIntoView({ block: 'nearest' });
+}
+
+async function openWatchQueue() {
+  if (currentTab !== 'watchlater') {
+    showToast('The watch queue is built from Watch Later; switch to it first', 'info');
+    return;
+  }
+  const answer = await openInputDialog({
+    title: 'Build Watch Queue',
+    message: 'How much time do you have? e.g. 45m, 1h30m or 1:30',
+    placeholder: '1h',
+    confirmText: 'Build',
   });
-  if (tagsRaw === null) return;
+  if (answer === null) return;
+  const budgetSeconds = parseTimeBudget(answer);
+  if (!budgetSeconds) {
+    showToast(`Could not read "${answer}" as a time budget`, 'error');
+    return;
+  }
 
-  const tags = tagsRaw
-    .split(',')
-    .map(t => t.trim().toLowerCase())
-    .filter(Boolean)
-    .slice(0, 20);
+  queuePlan = { budgetSeconds, excludedIds: new Set(), items: [], usedSeconds: 0, focusedIndex: 0 };
+  refreshQueuePlan();
+  isQueueOpen = true;
+  queueModal.classList.add('visible');
+  renderQueuePreview();
+}
 
-  videoAnnotations[video.id] = {
-    note: note.trim(),
-    tags,
-    updatedAt: Date.now(),
-  };
-  await saveVideoAnnotations();
-  renderVideos();
-  showToast('Annotation saved', 'success');
+function closeWatchQueue() {
+  isQueueOpen = false;
+  queuePlan = null;
+  queueModal.classList.remove('visible');
 }
 
-function downloadFile(filename, content, mimeType) {
-  const blob = new Blob([content], { type: mimeType });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = filename;
-  document.body.appendChild(link);
-  link.click();
-  link.remove();
-  URL.revokeObjectURL(url);
+/** Drop the focused video; the freed time goes to the next videos that fit */
+function dropQueueItem() {
+  const item = queuePlan.items[queuePlan.focusedIndex];
+  if (!item) return;
+  queuePlan.excludedIds.add(item.video.id);
+  refreshQueuePlan();
+  renderQueuePreview();
 }
 
-function exportBackup() {
-  const payload = {
-    exportedAt: new Date().toISOString(),
-    settings: nutubeSettings,
-    quickMoveAssignments,
-    hiddenVideoIds: Array.from(hiddenVideoIds),
-    watchedOverrides,
-    hideWatchLaterInSubs,
-    hideWatched,
-    playlistSortMode,
-    themePref,
-    lastActiveTab: currentTab,
-    videoAnnotations,
-  };
-  downloadFile(
-    `nutube-backup-${new Date().toISOString().slice(0, 10)}.json`,
-    JSON.stringify(payload, null, 2),
-    'application/json'
-  );
-  showToast('Backup exported', 'success');
+/** Open the queue on YouTube as an unsaved playlist */
+function openQueueOnYouTube() {
+  const ids = queuePlan.items.map(item => item.video.id);
+  if (ids.length === 0) return;
+  closeWatchQueue();
+  window.open(`https://www.youtube.com/watch_videos?video_ids=${ids.slice(0, MAX_YOUTUBE_QUEUE_LENGTH).join(',')}`, '_blank');
+  if (ids.length > MAX_YOUTUBE_QUEUE_LENGTH) {
+    showToast(`YouTube opens at most ${MAX_YOUTUBE_QUEUE_LENGTH} videos this way; save the queue (Enter) for all ${ids.length}`, 'warning');
+  }
 }
 
-function importBackup() {
-  const input = document.createElement('input');
-  input.type = 'file';
-  input.accept = 'application/json';
-  input.addEventListener('change', async () => {
-    const file = input.files?.[0];
-    if (!file) return;
-    try {
-      const content = await file.text();
-      const data = JSON.parse(content);
-      await chrome.storage.local.set({
-        nutubeSettings: data.settings || nutubeSettings,
-        quickMoveAssignments: data.quickMoveAssignments || quickMoveAssignments,
-        hiddenVideoIds: data.hiddenVideoIds || Array.from(hiddenVideoIds),
-        watchedOverrides: data.watchedOverrides || watchedOverrides,
-        hideWatchLaterInSubs: data.hideWatchLaterInSubs ?? hideWatchLaterInSubs,
-        hideWatched: data.hideWatched ?? hideWatched,
-        playlistSortMode: data.playlistSortMode || playlistSortMode,
-        themePref: data.themePref || themePref,
-        lastActiveTab: data.lastActiveTab || currentTab,
-        videoAnnotations: data.videoAnnotations || videoAnnotations,
-      });
-      showToast('Backup imported. Reloading view...', 'success');
-      loadAllData();
-    } catch (error) {
-      showToast('Invalid backup file', 'error');
+/**
+ * Write the queue to the "NuTube Queue" playlist in order, creating it on
+ * first use and clearing the previous queue out of it.
+ */
+async function pushQueueToPlaylist() {
+  if (!ensureWritable()) return;
+  const queue = queuePlan.items.map(item => item.video);
+  if (queue.length === 0) return;
+  closeWatchQueue();
+
+  let playlist = playlists.find(p => p.title === QUEUE_PLAYLIST_TITLE);
+  if (playlist) {
+    setStatus(`Clearing ${QUEUE_PLAYLIST_TITLE}...`, 'loading');
+    const existing = await sendMessage({ type: 'GET_PLAYLIST_VIDEOS', playlistId: playlist.id });
+    if (!existing.success) {
+      showToast(`Could not read ${QUEUE_PLAYLIST_TITLE}: ${existing.error || 'unknown error'}`, 'error');
+      setStatus('Ready');
+      return;
     }
-  });
-  input.click();
+    if (existing.data.length > 0) {
+      const cleared = await runBulkOperation(
+        `Queue: clearing ${QUEUE_PLAYLIST_TITLE}`,
+        existing.data,
+        video => ({ type: 'REMOVE_FROM_PLAYLIST', videoId: video.id, setVideoId: video.setVideoId, playlistId: playlist.id })
+      );
+      if (cleared.some(r => !r?.success)) {
+        showToast(`Could not clear ${QUEUE_PLAYLIST_TITLE}; see the operations panel (O)`, 'error');
+        setStatus('Ready');
+        return;
+      }
+    }
+  } else {
+    setStatus(`Creating ${QUEUE_PLAYLIST_TITLE}...`, 'loading');
+    const result = await sendMessage({ type: 'CREATE_PLAYLIST', title: QUEUE_PLAYLIST_TITLE });
+    if (!result.success || !result.playlistId) {
+      showToast(`Failed to create ${QUEUE_PLAYLIST_TITLE}`, 'error');
+      setStatus('Ready');
+      return;
+    }
+    playlist = { id: result.playlistId, title: QUEUE_PLAYLIST_TITLE, videoCount: 0 };
+    playlists = [...playlists, playlist];
+    rebuildPlaylistMap();
+    playlistsCountEl.textContent = playlists.length;
+    saveUndoState('create_playlist', { playlistId: playlist.id, title: QUEUE_PLAYLIST_TITLE });
+  }
+
+  setStatus('Ready');
+  // One at a time so the playlist keeps the queue's order
+  const results = await runBulkOperation(
+    `Queue: adding ${queue.length} video(s) to ${QUEUE_PLAYLIST_TITLE}`,
+    queue,
+    video => ({ type: 'ADD_TO_PLAYLIST', videoId: video.id, playlistId: playlist.id }),
+    { concurrency: 1 }
+  );
+  const added = results.filter(r => r?.success).length;
+  playlist.videoCount = added;
+  if (currentTab === 'playlists' && playlistBrowserLevel === 'list') renderPlaylistBrowser();
+  if (added < queue.length) {
+    showToast(`Queue: ${queue.length - added} video(s) not added; see the operations panel (O)`, 'warning');
+  } else {
+    showToast(`${QUEUE_PLAYLIST_TITLE} now holds ${added} video(s) in watch order`, 'success');
+  }
+}
+
+function handleWatchQueueKey(e) {
+  const plan = queuePlan;
+  switch (e.key) {
+    case 'Escape':
+    case 'Q':
+      closeWatchQueue();
+      break;
+    case 'j':
+    case 'ArrowDown':
+      plan.focusedIndex = Math.min(plan.focusedIndex + 1, Math.max(0, plan.items.length - 1));
+      renderQueuePreview();
+      break;
+    case 'k':
+    case 'ArrowUp':
+      plan.focusedIndex = Math.max(plan.focusedIndex - 1, 0);
+      renderQueuePreview();
+      break;
+    case ' ':
+    case 'x':
+      dropQueueItem();
+      break;
+    case 'o':
+      openQueueOnYouTube();
+      break;
+    case 'Enter':
+      pushQueueToPlaylist();
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
 }
 
 // Channel Preview - fetches videos from the channel's profile
@@ -2367,6 +6215,12 @@ function formatChannelStats(channel, isConfirming) {
     parts.push(channel.videoCount);
   }
 
+  const stats = channelStats[channel.id];
+  if (stats?.removed > 0) {
+    parts.push(describeChannelHistory(stats));
+    if (stats.dwellCount > 0) parts.push(`~${formatDwellTime(stats.dwellMs / stats.dwellCount)} in Watch Later`);
+  }
+
   return parts.join(' · ');
 }
 
@@ -2420,6 +6274,7 @@ function renderChannels() {
 
 // Start inline unsubscribe confirmation (first press of x/d)
 function startUnsubscribeConfirm(channel, index) {
+  if (!ensureWritable()) return;
   // If already confirming this channel, execute the unsubscribe
   if (pendingUnsubscribe && pendingUnsubscribe.channelId === channel.id) {
     executeUnsubscribe(channel);
@@ -2470,16 +6325,7 @@ async function executeUnsubscribe(channel) {
       channelsCountEl.textContent = channels.length;
       focusedIndex = Math.min(focusedIndex, Math.max(0, channels.length - 1));
 
-      // Add to undo stack
-      channelUndoStack.push({
-        action: 'unsubscribe',
-        channel: channelCopy,
-        originalIndex,
-        timestamp: Date.now(),
-      });
-      if (channelUndoStack.length > MAX_CHANNEL_UNDO) {
-        channelUndoStack.shift();
-      }
+      saveUndoState('unsubscribe', { channel: channelCopy, originalIndex });
 
       renderChannels();
 
@@ -2506,43 +6352,6 @@ function showChannelUndoToast(channel) {
   setTimeout(() => toast.remove(), UNDO_TOAST_DURATION_MS);
 }
 
-// Undo last channel unsubscribe
-async function undoChannelUnsubscribe() {
-  if (channelUndoStack.length === 0) {
-    showToast('Nothing to undo', 'info');
-    return;
-  }
-
-  const lastAction = channelUndoStack.pop();
-  if (lastAction.action !== 'unsubscribe') {
-    showToast('Cannot undo this action', 'error');
-    return;
-  }
-
-  setStatus(`Resubscribing to ${lastAction.channel.name}...`, 'loading');
-  try {
-    const result = await sendMessage({ type: 'SUBSCRIBE', channelId: lastAction.channel.id });
-    if (result.success) {
-      // Re-insert channel at original position (or end if position no longer valid)
-      const insertIndex = Math.min(lastAction.originalIndex, channels.length);
-      channels.splice(insertIndex, 0, lastAction.channel);
-      channelsCountEl.textContent = channels.length;
-      focusedIndex = insertIndex;
-      renderChannels();
-      showToast(`Resubscribed to ${lastAction.channel.name}`, 'success');
-    } else {
-      // Put it back on the stack if failed
-      channelUndoStack.push(lastAction);
-      showToast('Failed to resubscribe', 'error');
-    }
-  } catch (e) {
-    errorLog('Resubscribe failed:', e);
-    channelUndoStack.push(lastAction);
-    showToast('Failed to resubscribe', 'error');
-  }
-  setStatus('Ready');
-}
-
 // Legacy confirm modal functions (kept for other potential uses)
 function confirmUnsubscribe(channel) {
   // Now uses inline confirmation instead
@@ -2601,6 +6410,9 @@ function openInputDialog({ title, message = '', defaultValue = '', placeholder =
     const onCancel = () => { cleanup(); resolve(null); };
     const onConfirm = () => { const value = input.value; cleanup(); resolve(value); };
     const onKey = (e) => {
+      // Neither typed text nor the confirming Enter may trigger list shortcuts
+      // (or a dialog the caller opens as soon as this one resolves)
+      e.stopPropagation();
       if (e.key === 'Escape') {
         e.preventDefault();
         onCancel();
@@ -2632,219 +6444,849 @@ function renderSuggestions() {
     </div>
   `).join('');
 
-  // Scroll focused into view
-  const focused = suggestionsList.querySelector('.focused');
-  if (focused) {
-    focused.scrollIntoView({ block: 'nearest' });
+  // Scroll focused into view
+  const focused = suggestionsList.querySelector('.focused');
+  if (focused) {
+    focused.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+// Close suggestions modal
+function closeSuggestions() {
+  isSuggestionsOpen = false;
+  suggestionsModal.classList.remove('visible');
+  channelSuggestions = [];
+}
+
+// Load more channels (for infinite scroll)
+async function loadMoreChannels() {
+  if (isLoadingMore || currentTab !== 'channels') return;
+
+  isLoadingMore = true;
+
+  try {
+    const result = await sendMessage({ type: 'GET_MORE_CHANNELS' });
+    if (result.success && result.data.length > 0) {
+      for (const channel of result.data) {
+        if (!getChannelById(channel.id)) {
+          channels.push(channel);
+        }
+      }
+      rebuildChannelMap();
+      channelsCountEl.textContent = channels.length;
+      renderChannels();
+      cacheLibraryList('channels', channels);
+    }
+  } catch (e) {
+    warnLog('Load more channels failed:', e);
+  } finally {
+    isLoadingMore = false;
+  }
+}
+
+// Toggle selection
+function toggleSelection(index) {
+  if (selectedIndices.has(index)) {
+    selectedIndices.delete(index);
+  } else {
+    selectedIndices.add(index);
+  }
+}
+
+// Get videos to operate on (selected or focused)
+function getTargetVideos() {
+  if (selectedIndices.size > 0) {
+    return Array.from(selectedIndices).map(i => filteredVideos[i]).filter(Boolean);
+  }
+  return filteredVideos[focusedIndex] ? [filteredVideos[focusedIndex]] : [];
+}
+
+async function syncCurrentListFromYouTube() {
+  if (currentTab === 'watchlater') {
+    const response = await sendMessage({ type: 'GET_WATCH_LATER' });
+    if (response.success) {
+      watchLaterVideos = response.data || [];
+      videos = watchLaterVideos;
+      watchLaterCountEl.textContent = watchLaterVideos.length;
+      trackWatchLaterArrivals(watchLaterVideos);
+      renderVideos();
+      cacheLibraryList('watchlater', watchLaterVideos);
+    }
+    return;
+  }
+
+  if (currentTab === 'playlists' && playlistBrowserLevel === 'videos' && isSmartPlaylistId(activePlaylistId)) {
+    const smart = getSmartPlaylist(activePlaylistId);
+    if (smart) await drillIntoSmartPlaylist(smart);
+    return;
+  }
+
+  if (currentTab === 'playlists' && playlistBrowserLevel === 'videos' && activePlaylistId) {
+    const response = await sendMessage({ type: 'GET_PLAYLIST_VIDEOS', playlistId: activePlaylistId });
+    if (response.success) {
+      playlistVideos = response.data || [];
+      videos = playlistVideos;
+      renderVideos();
+      cacheLibraryList(`playlist:${activePlaylistId}`, playlistVideos);
+    }
+  }
+}
+
+// =============================================================================
+// UNDO HISTORY
+// =============================================================================
+
+function getHistoryScope(action) {
+  if (action === 'unsubscribe') return 'channels';
+  if (action === 'create_playlist' || action === 'delete_playlist' || action === 'rename_playlist') return 'playlists';
+  return 'videos';
+}
+
+/** Scope that z/u undo in the current view (null where nothing is undoable) */
+function getCurrentHistoryScope() {
+  if (currentTab === 'channels') return 'channels';
+  if (currentTab === 'playlists') return playlistBrowserLevel === 'videos' ? 'videos' : 'playlists';
+  if (currentTab === 'watchlater') return 'videos';
+  return null;
+}
+
+/** List the current view shows, using the library cache keys */
+function getCurrentHistoryList() {
+  if (currentTab === 'playlists' && playlistBrowserLevel === 'videos' && activePlaylistId) {
+    return `playlist:${activePlaylistId}`;
+  }
+  return currentTab;
+}
+
+function toHistoryVideo(video) {
+  return { id: video.id, setVideoId: video.setVideoId, title: video.title, channel: video.channel };
+}
+
+/**
+ * Compact videos in list order, each with the ID of the video it sat before
+ * (`nextId`, null at the end) so undo can put them back where they were.
+ */
+function toPositionedHistoryVideos(entryVideos) {
+  const removedIds = new Set(entryVideos.map(v => v.id));
+  const positions = new Map(videos.map((video, index) => [video.id, index]));
+  const nextIds = new Map();
+  let nextId = null;
+  for (let i = videos.length - 1; i >= 0; i--) {
+    if (removedIds.has(videos[i].id)) nextIds.set(videos[i].id, nextId);
+    else nextId = videos[i].id;
+  }
+  return [...entryVideos]
+    .sort((a, b) => (positions.get(a.id) ?? Infinity) - (positions.get(b.id) ?? Infinity))
+    .map(video => ({ ...toHistoryVideo(video), nextId: nextIds.get(video.id) ?? null }));
+}
+
+function describeHistoryAction(action, data) {
+  const count = (data.videos || data.targets || []).length;
+  switch (action) {
+    case 'delete':
+      return `Deleted ${count} video(s) from Watch Later`;
+    case 'delete_from_playlist':
+      return `Removed ${count} video(s) from ${data.playlistTitle || 'playlist'}`;
+    case 'move_to_playlist':
+      return `Moved ${count} video(s) to ${data.playlistTitle || 'playlist'}`;
+    case 'move_to_top':
+      return `Moved ${count} video(s) to top`;
+    case 'move_to_bottom':
+      return `Moved ${count} video(s) to bottom`;
+    case 'move_up':
+      return `Moved ${count} video(s) up`;
+    case 'move_down':
+      return `Moved ${count} video(s) down`;
+    case 'unsubscribe':
+      return `Unsubscribed from ${data.channel?.name || 'channel'}`;
+    case 'create_playlist':
+      return `Created playlist "${data.title}"`;
+    case 'delete_playlist':
+      return `Deleted playlist "${data.title}"`;
+    case 'rename_playlist':
+      return `Renamed "${data.oldTitle}" to "${data.newTitle}"`;
+    case 'remove_duplicates': {
+      const copies = data.copies?.length || 0;
+      return `Removed ${copies} duplicate cop${copies === 1 ? 'y' : 'ies'}`;
+    }
+    case 'remove_from_lists':
+      return `Removed ${data.copies?.length || 0} video(s) found by ${data.smartTitle || 'a smart playlist'}`;
+    case 'move_from_lists':
+      return `Moved ${data.copies?.length || 0} video(s) to ${data.playlistTitle || 'playlist'}`;
+    case 'auto_clean':
+      return `Auto-clean removed ${count} video(s) from Watch Later`;
+    default:
+      return action;
+  }
+}
+
+async function loadUndoHistory() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['undoHistory'], (result) => {
+      undoHistory = Array.isArray(result.undoHistory) ? result.undoHistory : [];
+      resolve();
+    });
+  });
+}
+
+/**
+ * Saved through the background worker, which also appends auto-clean entries,
+ * so neither write drops the other's (see mergeUndoHistory in autoclean.ts)
+ */
+async function saveUndoHistory() {
+  const response = await sendMessage({ type: 'HISTORY_SAVE', entries: undoHistory });
+  if (response.success) return;
+  warnLog('Failed to save history through the background worker:', response.error);
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ undoHistory }, resolve);
+  });
+}
+
+/**
+ * Record a mutation in the persisted history.
+ * @param {string} action - e.g. 'delete', 'move_to_playlist', 'unsubscribe', 'rename_playlist'
+ * @param {object} data - Action details; `videos` (or `targets`) are stored in compact form
+ */
+function saveUndoState(action, data) {
+  const { targets, ...rest } = data;
+  const entryVideos = data.videos || targets;
+  const compactVideos = entryVideos && (REPOSITIONED_ACTIONS.has(action)
+    ? toPositionedHistoryVideos(entryVideos)
+    : entryVideos.map(toHistoryVideo));
+  const entry = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    action,
+    scope: getHistoryScope(action),
+    list: getCurrentHistoryList(),
+    label: describeHistoryAction(action, data),
+    data: compactVideos ? { ...rest, videos: compactVideos } : rest,
+    timestamp: Date.now(),
+    undo: null, // { status: 'done' | 'partial' | 'failed', message, at }
+  };
+  undoHistory.push(entry);
+
+  // The full list is kept (in memory only) to put the view back exactly on undo
+  if (entry.scope === 'videos') {
+    undoSnapshots.set(entry.id, {
+      videos: [...videos],
+      focusedIndex,
+      selectedIndices: new Set(selectedIndices),
+    });
+  }
+
+  while (undoHistory.length > MAX_UNDO) {
+    undoSnapshots.delete(undoHistory.shift().id);
+  }
+  saveUndoHistory();
+  renderUndoTimeline();
+  return entry;
+}
+
+/**
+ * Keep the journal job an entry ran so redo can send it again. setVideoIds
+ * change when a video is re-added by undo, so the owning video ID of each is
+ * remembered to map them to the current ones at redo time.
+ */
+function recordHistoryReplay(entry, job, items) {
+  const referenced = new Set(job.items.flatMap(item => SET_VIDEO_ID_FIELDS.map(field => item.message[field]).filter(Boolean)));
+  const videoIds = {};
+  for (const video of [...(undoSnapshots.get(entry.id)?.videos || []), ...items]) {
+    if (video?.setVideoId && referenced.has(video.setVideoId)) videoIds[video.setVideoId] = video.id;
+  }
+  entry.replay = { label: job.label, items: job.items, concurrency: job.concurrency, retries: job.retries, videoIds };
+  saveUndoHistory();
+}
+
+/** Undo the most recent entry of the current view's scope (z / u) */
+async function undo() {
+  const scope = getCurrentHistoryScope();
+  const entry = [...undoHistory].reverse().find(e => e.scope === scope && e.undo?.status !== 'done');
+  if (!entry) {
+    showToast('Nothing to undo', 'info');
+    return;
+  }
+  await undoHistoryEntry(entry);
+}
+
+/** Redo the most recently undone entry of the current view's scope (Ctrl+R) */
+async function redo() {
+  const scope = getCurrentHistoryScope();
+  const entry = undoHistory
+    .filter(e => e.scope === scope && e.undo?.status === 'done')
+    .sort((a, b) => b.undo.at - a.undo.at)[0];
+  if (!entry) {
+    showToast('Nothing to redo', 'info');
+    return;
+  }
+  await redoHistoryEntry(entry);
+}
+
+function summarizeUndo(succeeded, total, message) {
+  let status = 'failed';
+  if (succeeded === total) status = 'done';
+  else if (succeeded > 0) status = 'partial';
+  return { status, message };
+}
+
+/**
+ * Undo any history entry and record whether YouTube accepted it.
+ * Failed and partial undos stay in the history and can be tried again.
+ */
+async function undoHistoryEntry(entry) {
+  if (!ensureWritable()) return;
+  if (entry.undo?.status === 'done') {
+    showToast('Already undone', 'info');
+    return;
+  }
+  if (isUndoInProgress) {
+    showToast('An undo is already running', 'info');
+    return;
+  }
+
+  isUndoInProgress = true;
+  setStatus(`Undoing: ${entry.label}...`, 'loading');
+  let outcome;
+  try {
+    outcome = await runUndo(entry);
+  } catch (error) {
+    errorLog('Undo error:', error);
+    outcome = { status: 'failed', message: `Undo failed: ${String(error)}` };
+  } finally {
+    isUndoInProgress = false;
+  }
+
+  if (outcome) {
+    entry.undo = { ...outcome, at: Date.now() };
+    saveUndoHistory();
+    renderUndoTimeline();
+    const toastType = { done: 'success', partial: 'warning', failed: 'error' }[outcome.status];
+    showToast(outcome.message, toastType);
   }
+  setStatus('Ready');
 }
 
-// Close suggestions modal
-function closeSuggestions() {
-  isSuggestionsOpen = false;
-  suggestionsModal.classList.remove('visible');
-  channelSuggestions = [];
+/**
+ * Apply an undone entry again. Once redone the entry can be undone again;
+ * a failed redo leaves it undone so it can be retried.
+ */
+async function redoHistoryEntry(entry) {
+  if (!ensureWritable()) return;
+  if (entry.undo?.status !== 'done') {
+    showToast('Only undone changes can be redone', 'info');
+    return;
+  }
+  if (isUndoInProgress) {
+    showToast('An undo is already running', 'info');
+    return;
+  }
+
+  isUndoInProgress = true;
+  setStatus(`Redoing: ${entry.label}...`, 'loading');
+  let outcome;
+  try {
+    outcome = await runRedo(entry);
+  } catch (error) {
+    errorLog('Redo error:', error);
+    outcome = { status: 'failed', message: `Redo failed: ${String(error)}` };
+  } finally {
+    isUndoInProgress = false;
+  }
+
+  if (outcome.status !== 'failed') {
+    entry.undo = null;
+    entry.redoneAt = Date.now();
+    saveUndoHistory();
+    renderUndoTimeline();
+  }
+  const toastType = { done: 'success', partial: 'warning', failed: 'error' }[outcome.status];
+  showToast(outcome.message, toastType);
+  setStatus('Ready');
 }
 
-// Load more channels (for infinite scroll)
-async function loadMoreChannels() {
-  if (isLoadingMore || currentTab !== 'channels') return;
+/** @returns {Promise<{ status: string, message: string }>} */
+async function runRedo(entry) {
+  const { data } = entry;
+  if (entry.replay) return replayHistoryEntry(entry);
 
-  isLoadingMore = true;
+  switch (entry.action) {
+    case 'unsubscribe': {
+      const result = await sendMessage({ type: 'UNSUBSCRIBE', channelId: data.channel.id });
+      if (!result.success) {
+        return { status: 'failed', message: `Failed to unsubscribe from ${data.channel.name}` };
+      }
+      channels = channels.filter(c => c.id !== data.channel.id);
+      channelsCountEl.textContent = channels.length;
+      if (currentTab === 'channels') {
+        focusedIndex = Math.min(focusedIndex, Math.max(0, channels.length - 1));
+        renderChannels();
+      }
+      return { status: 'done', message: `Unsubscribed from ${data.channel.name}` };
+    }
+    case 'create_playlist': {
+      const result = await sendMessage({ type: 'CREATE_PLAYLIST', title: data.title });
+      if (!result.success || !result.playlistId) {
+        return { status: 'failed', message: `Failed to recreate "${data.title}"` };
+      }
+      // Undoing again must delete the new playlist, not the old ID
+      data.playlistId = result.playlistId;
+      playlists = [...playlists, { id: result.playlistId, title: data.title, videoCount: 0 }];
+      rebuildPlaylistMap();
+      playlistsCountEl.textContent = playlists.length;
+      if (currentTab === 'playlists' && playlistBrowserLevel === 'list') renderPlaylistBrowser();
+      return { status: 'done', message: `Created playlist "${data.title}"` };
+    }
+    case 'delete_playlist': {
+      // The undo recreated the playlist under a new ID
+      const playlistId = entry.undo.playlistId || data.playlistId;
+      const result = await sendMessage({ type: 'DELETE_PLAYLIST', playlistId });
+      if (!result.success) {
+        return { status: 'failed', message: `Failed to delete "${data.title}"` };
+      }
+      data.playlistId = playlistId;
+      removeLocalPlaylist(playlistId);
+      return { status: 'done', message: `Deleted playlist "${data.title}"` };
+    }
+    case 'rename_playlist': {
+      const result = await sendMessage({ type: 'RENAME_PLAYLIST', playlistId: data.playlistId, newTitle: data.newTitle });
+      if (!result.success) {
+        return { status: 'failed', message: `Failed to rename to "${data.newTitle}"` };
+      }
+      const playlist = getPlaylistById(data.playlistId);
+      if (playlist) playlist.title = data.newTitle;
+      if (currentTab === 'playlists' && playlistBrowserLevel === 'list') renderPlaylistBrowser();
+      return { status: 'done', message: `Renamed to "${data.newTitle}"` };
+    }
+    default:
+      return { status: 'failed', message: 'Cannot redo this action' };
+  }
+}
 
-  try {
-    const result = await sendMessage({ type: 'GET_MORE_CHANNELS' });
-    if (result.success && result.data.length > 0) {
-      for (const channel of result.data) {
-        if (!getChannelById(channel.id)) {
-          channels.push(channel);
+/**
+ * Send the entry's recorded job again through the journal, with the same
+ * concurrency and retries, after mapping setVideoIds to the current ones.
+ */
+async function replayHistoryEntry(entry) {
+  const { replay } = entry;
+  const currentVideos = await fetchListVideos(entry.list) || [];
+  const currentSetVideoIds = new Map(currentVideos.filter(v => v.setVideoId).map(v => [v.id, v.setVideoId]));
+  const remap = (setVideoId) => {
+    const videoId = replay.videoIds[setVideoId];
+    return (videoId && currentSetVideoIds.get(videoId)) || setVideoId;
+  };
+  const items = replay.items.map(item => {
+    const message = { ...item.message };
+    for (const field of SET_VIDEO_ID_FIELDS) {
+      if (message[field]) message[field] = remap(message[field]);
+    }
+    return { title: item.title, message };
+  });
+
+  const results = await runBulkOperation(`Redo: ${replay.label}`, items, item => item.message, {
+    concurrency: replay.concurrency,
+    retries: replay.retries,
+  });
+  const succeeded = results.filter(r => r?.success).length;
+  if (entry.list === getCurrentHistoryList()) await syncCurrentListFromYouTube();
+  return summarizeUndo(succeeded, items.length, `Redid ${succeeded}/${items.length}: ${entry.label}`);
+}
+
+/** Current videos of a history list key, fetched fresh from YouTube (null on failure) */
+async function fetchListVideos(listKey) {
+  let response = null;
+  if (listKey === 'watchlater') {
+    response = await sendMessage({ type: 'GET_WATCH_LATER' });
+  } else if (listKey?.startsWith('playlist:')) {
+    response = await sendMessage({ type: 'GET_PLAYLIST_VIDEOS', playlistId: listKey.slice('playlist:'.length) });
+  }
+  return response?.success ? response.data || [] : null;
+}
+
+/** @returns {Promise<{ status: string, message: string } | null>} null when the user backed out */
+async function runUndo(entry) {
+  const { data } = entry;
+  switch (entry.action) {
+    case 'delete':
+    case 'auto_clean':
+    case 'move_to_playlist':
+      // Moved videos stay in the target playlist; they are only re-added to Watch Later
+      return restoreHistoryVideos(entry, 'WL', 'Watch Later');
+    case 'delete_from_playlist':
+      return restoreHistoryVideos(entry, data.playlistId, data.playlistTitle || 'playlist');
+    case 'remove_duplicates':
+    case 'remove_from_lists':
+    case 'move_from_lists': {
+      // Each copy goes back to the list it was removed from (moved videos stay in the target too)
+      const copies = data.copies || [];
+      const results = await runBulkOperation(
+        `Undo: ${entry.label}`,
+        copies,
+        copy => ({ type: 'ADD_TO_PLAYLIST', videoId: copy.id, playlistId: copy.listId })
+      );
+      const restored = results.filter(r => r?.success).length;
+      if (restored > 0 && currentTab !== 'channels') await syncCurrentListFromYouTube();
+      return summarizeUndo(restored, copies.length, `Restored ${restored}/${copies.length}: ${entry.label}`);
+    }
+    case 'move_to_top':
+    case 'move_to_bottom':
+    case 'move_up':
+    case 'move_down':
+      return restoreHistoryOrder(entry);
+    case 'unsubscribe': {
+      const result = await sendMessage({ type: 'SUBSCRIBE', channelId: data.channel.id });
+      if (!result.success) {
+        return { status: 'failed', message: `Failed to resubscribe to ${data.channel.name}` };
+      }
+      if (!channels.some(c => c.id === data.channel.id)) {
+        // Re-insert channel at original position (or end if position no longer valid)
+        const insertIndex = Math.min(data.originalIndex ?? channels.length, channels.length);
+        channels.splice(insertIndex, 0, data.channel);
+        channelsCountEl.textContent = channels.length;
+        if (currentTab === 'channels') {
+          focusedIndex = insertIndex;
+          renderChannels();
         }
       }
-      rebuildChannelMap();
-      channelsCountEl.textContent = channels.length;
-      renderChannels();
+      return { status: 'done', message: `Resubscribed to ${data.channel.name}` };
     }
-  } catch (e) {
-    warnLog('Load more channels failed:', e);
-  } finally {
-    isLoadingMore = false;
+    case 'create_playlist': {
+      const confirmed = await openConfirmDialog({
+        title: 'Undo Create Playlist',
+        message: `Delete "${data.title}"? Videos added to it since will be lost.`,
+        confirmText: 'Delete',
+      });
+      if (!confirmed) return null;
+      const result = await sendMessage({ type: 'DELETE_PLAYLIST', playlistId: data.playlistId });
+      if (!result.success) {
+        return { status: 'failed', message: `Failed to delete "${data.title}"` };
+      }
+      removeLocalPlaylist(data.playlistId);
+      return { status: 'done', message: `Deleted "${data.title}"` };
+    }
+    case 'delete_playlist': {
+      const result = await sendMessage({ type: 'CREATE_PLAYLIST', title: data.title });
+      if (!result.success || !result.playlistId) {
+        return { status: 'failed', message: `Failed to recreate "${data.title}"` };
+      }
+      playlists = [...playlists, { id: result.playlistId, title: data.title, videoCount: 0 }];
+      rebuildPlaylistMap();
+      playlistsCountEl.textContent = playlists.length;
+      if (currentTab === 'playlists' && playlistBrowserLevel === 'list') renderPlaylistBrowser();
+
+      const entryVideos = data.videos || [];
+      if (entryVideos.length === 0) {
+        return { status: 'done', message: `Recreated "${data.title}"`, playlistId: result.playlistId };
+      }
+      const results = await runBulkOperation(
+        `Undo: ${entry.label}`,
+        entryVideos,
+        video => ({ type: 'ADD_TO_PLAYLIST', videoId: video.id, playlistId: result.playlistId })
+      );
+      const restored = results.filter(r => r?.success).length;
+      const outcome = summarizeUndo(restored, entryVideos.length, `Recreated "${data.title}" with ${restored}/${entryVideos.length} video(s)`);
+      return { ...outcome, playlistId: result.playlistId };
+    }
+    case 'rename_playlist': {
+      const result = await sendMessage({ type: 'RENAME_PLAYLIST', playlistId: data.playlistId, newTitle: data.oldTitle });
+      if (!result.success) {
+        return { status: 'failed', message: `Failed to rename back to "${data.oldTitle}"` };
+      }
+      const playlist = getPlaylistById(data.playlistId);
+      if (playlist) playlist.title = data.oldTitle;
+      if (currentTab === 'playlists' && playlistBrowserLevel === 'list') renderPlaylistBrowser();
+      return { status: 'done', message: `Renamed back to "${data.oldTitle}"` };
+    }
+    default:
+      return { status: 'failed', message: 'Cannot undo this action' };
   }
 }
 
-// Toggle selection
-function toggleSelection(index) {
-  if (selectedIndices.has(index)) {
-    selectedIndices.delete(index);
-  } else {
-    selectedIndices.add(index);
+async function restoreHistoryVideos(entry, playlistId, playlistTitle) {
+  const entryVideos = entry.data.videos || [];
+  const results = await runBulkOperation(
+    `Undo: ${entry.label}`,
+    entryVideos,
+    video => ({ type: 'ADD_TO_PLAYLIST', videoId: video.id, playlistId })
+  );
+  const restored = results.filter(r => r?.success).length;
+  let positionsRestored = true;
+  if (restored > 0) {
+    positionsRestored = await restoreHistoryPositions(entry, playlistId, entryVideos.filter((_, i) => results[i]?.success));
+    await refreshViewAfterUndo(entry);
+  }
+
+  const outcome = summarizeUndo(restored, entryVideos.length, `Restored ${restored}/${entryVideos.length} video(s) to ${playlistTitle}`);
+  if (outcome.status === 'done' && !positionsRestored) {
+    return { status: 'partial', message: `${outcome.message}, but some are not back in their original position` };
   }
+  return outcome;
 }
 
-// Get videos to operate on (selected or focused)
-function getTargetVideos() {
-  if (selectedIndices.size > 0) {
-    return Array.from(selectedIndices).map(i => filteredVideos[i]).filter(Boolean);
+/**
+ * Re-added videos land at the end of the list; move each back before the
+ * video it originally preceded so YouTube's order matches the dashboard.
+ * @returns {Promise<boolean>} false when the list couldn't be read or a move failed
+ */
+async function restoreHistoryPositions(entry, playlistId, restoredVideos) {
+  const listKey = playlistId === 'WL' ? 'watchlater' : `playlist:${playlistId}`;
+  // Only entries recorded in the list being restored know their neighbours
+  if (entry.list !== listKey || !restoredVideos.some(video => 'nextId' in video)) return true;
+
+  const currentVideos = await fetchListVideos(listKey);
+  if (!currentVideos) return false;
+  const moves = planPositionRestore(currentVideos.map(v => v.id), restoredVideos);
+  if (moves.length === 0) return true;
+
+  const setVideoIds = new Map(currentVideos.map(v => [v.id, v.setVideoId]));
+  const results = await runBulkOperation(
+    `Restoring order: ${entry.label}`,
+    moves,
+    move => ({
+      type: 'MOVE_PLAYLIST_VIDEO',
+      playlistId,
+      setVideoId: setVideoIds.get(move.id),
+      ...(move.beforeId ? { targetSetVideoId: setVideoIds.get(move.beforeId) } : {}),
+    }),
+    { concurrency: 1 }
+  );
+  return results.every(r => r?.success);
+}
+
+/**
+ * Undo a reorder by moving each video back before the video it originally
+ * preceded. Entries recorded before neighbours were kept can't be undone.
+ */
+async function restoreHistoryOrder(entry) {
+  const entryVideos = entry.data.videos || [];
+  if (!entryVideos.some(video => 'nextId' in video)) {
+    return { status: 'failed', message: 'Undo is not supported for this entry' };
+  }
+  const playlistId = entry.list === 'watchlater' ? 'WL' : entry.list?.slice('playlist:'.length);
+  const currentVideos = await fetchListVideos(entry.list);
+  if (!currentVideos) {
+    return { status: 'failed', message: 'Could not load the list from YouTube' };
+  }
+  const moves = planPositionRestore(currentVideos.map(v => v.id), entryVideos);
+  if (moves.length === 0) {
+    await refreshViewAfterUndo(entry);
+    return { status: 'done', message: 'Order already matches' };
+  }
+
+  const setVideoIds = new Map(currentVideos.map(v => [v.id, v.setVideoId]));
+  const results = await runBulkOperation(
+    `Undo: ${entry.label}`,
+    moves,
+    move => ({
+      type: 'MOVE_PLAYLIST_VIDEO',
+      playlistId,
+      setVideoId: setVideoIds.get(move.id),
+      ...(move.beforeId ? { targetSetVideoId: setVideoIds.get(move.beforeId) } : {}),
+    }),
+    { concurrency: 1 }
+  );
+  const moved = results.filter(r => r?.success).length;
+  if (moved === moves.length) await refreshViewAfterUndo(entry);
+  else if (entry.list === getCurrentHistoryList()) await syncCurrentListFromYouTube();
+  return summarizeUndo(moved, moves.length, `Moved ${moved}/${moves.length} video(s) back: ${entry.label}`);
+}
+
+/**
+ * Plan the "move before" calls that put restored videos back in place,
+ * applying each to a copy of the current order so no-op moves are skipped.
+ * Videos whose original successor is gone stay together, in order, at the end.
+ * @param {string[]} currentIds - Video IDs in the list's current order
+ * @param {object[]} restoredVideos - History videos in original order, with nextId
+ * @returns {object[]} The videos to move, each with the `beforeId` to move before
+ */
+function planPositionRestore(currentIds, restoredVideos) {
+  const order = [...currentIds];
+  const present = new Set(order);
+  const moves = [];
+  // A null beforeId moves the video to the end
+  const moveBefore = (video, beforeId) => {
+    const from = order.indexOf(video.id);
+    if ((order[from + 1] ?? null) === beforeId) return;
+    order.splice(from, 1);
+    order.splice(beforeId ? order.indexOf(beforeId) : order.length, 0, video.id);
+    moves.push({ ...video, beforeId });
+  };
+
+  const inList = restoredVideos.filter(video => present.has(video.id));
+  const anchored = inList.filter(video => video.nextId && present.has(video.nextId));
+  anchored.forEach(video => moveBefore(video, video.nextId));
+
+  const trailing = inList.filter(video => !anchored.includes(video));
+  for (let i = trailing.length - 1; i >= 0; i--) {
+    moveBefore(trailing[i], trailing[i + 1]?.id ?? null);
   }
-  return filteredVideos[focusedIndex] ? [filteredVideos[focusedIndex]] : [];
+  return moves;
 }
 
-async function syncCurrentListFromYouTube() {
-  if (currentTab === 'watchlater') {
-    const response = await sendMessage({ type: 'GET_WATCH_LATER' });
-    if (response.success) {
-      watchLaterVideos = response.data || [];
-      videos = watchLaterVideos;
-      watchLaterCountEl.textContent = watchLaterVideos.length;
-      renderVideos();
-    }
+/**
+ * Put the list back as it was when the entry was recorded if nothing newer
+ * touched it; otherwise reload it from YouTube when it's on screen.
+ */
+async function refreshViewAfterUndo(entry) {
+  if (entry.list !== getCurrentHistoryList()) return;
+  const snapshot = undoSnapshots.get(entry.id);
+  const latestForList = [...undoHistory].reverse().find(e => e.list === entry.list && e.undo?.status !== 'done');
+  if (!snapshot || latestForList !== entry) {
+    await syncCurrentListFromYouTube();
     return;
   }
 
-  if (currentTab === 'playlists' && playlistBrowserLevel === 'videos' && activePlaylistId) {
-    const response = await sendMessage({ type: 'GET_PLAYLIST_VIDEOS', playlistId: activePlaylistId });
-    if (response.success) {
-      playlistVideos = response.data || [];
-      videos = playlistVideos;
-      renderVideos();
-    }
+  videos = snapshot.videos;
+  if (entry.list === 'watchlater') watchLaterVideos = videos;
+  if (entry.list.startsWith('playlist:')) playlistVideos = videos;
+  focusedIndex = snapshot.focusedIndex;
+  selectedIndices = snapshot.selectedIndices;
+  renderVideos();
+}
+
+function removeLocalPlaylist(playlistId) {
+  playlists = playlists.filter(p => p.id !== playlistId);
+  rebuildPlaylistMap();
+  playlistsCountEl.textContent = playlists.length;
+  if (currentTab === 'playlists' && playlistBrowserLevel === 'list') {
+    focusedIndex = Math.min(focusedIndex, Math.max(0, playlists.length - 1));
+    renderPlaylistBrowser();
   }
 }
 
-// Save state for undo
-function saveUndoState(action, data) {
-  // Always save full state for proper restoration
-  undoStack.push({
-    action,
-    data,
-    originalVideos: [...videos],
-    originalFocusedIndex: focusedIndex,
-    originalSelectedIndices: new Set(selectedIndices),
-    timestamp: Date.now()
+function formatHistoryTime(timestamp) {
+  return new Date(timestamp).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
   });
-  if (undoStack.length > MAX_UNDO) {
-    undoStack.shift();
-  }
 }
 
-// Undo last action
-async function undo() {
-  if (undoStack.length === 0) {
-    showToast('Nothing to undo', 'info');
+/** Timeline entries, newest first */
+function getUndoTimelineEntries() {
+  return [...undoHistory].reverse();
+}
+
+function renderUndoTimeline() {
+  if (!isUndoTimelineOpen) return;
+  const entries = getUndoTimelineEntries();
+  if (entries.length === 0) {
+    historyListEl.innerHTML = '<div class="operations-empty">No changes recorded yet</div>';
     return;
   }
 
-  const lastAction = undoStack.pop();
-  setStatus(`Undoing ${lastAction.action}...`, 'loading');
+  undoTimelineFocusedIndex = Math.min(undoTimelineFocusedIndex, entries.length - 1);
+  const statusText = { done: 'undone', partial: 'partly undone', failed: 'undo failed' };
+  historyListEl.innerHTML = entries.map((entry, index) => {
+    const status = entry.undo?.status;
+    const canUndo = status !== 'done';
+    const action = canUndo
+      ? `<button class="btn btn-secondary" data-action="undo">${status ? 'Try again' : 'Undo'}</button>`
+      : '<button class="btn btn-secondary" data-action="redo">Redo</button>';
+    return `
+      <div class="operation-item ${index === undoTimelineFocusedIndex ? 'focused' : ''}" data-history-id="${escapeHtml(entry.id)}">
+        <div class="operation-header">
+          <span class="operation-label">${escapeHtml(entry.label)}</span>
+          <span class="history-status ${status || ''}">${status ? statusText[status] : formatHistoryTime(entry.timestamp)}</span>
+        </div>
+        ${entry.action === 'auto_clean' ? `<div class="operation-meta">${escapeHtml(describeAutoCleanVideos(entry))}</div>` : ''}
+        ${entry.undo ? `<div class="operation-meta">${escapeHtml(entry.undo.message)} · ${formatHistoryTime(entry.undo.at)}</div>` : ''}
+        <div class="operation-actions">${action}</div>
+      </div>
+    `;
+  }).join('');
 
-  try {
-    switch (lastAction.action) {
-      case 'delete': {
-        // Re-add deleted videos to Watch Later and restore position
-        let restored = 0;
-        for (const video of lastAction.data.videos) {
-          try {
-            const result = await sendMessage({
-              type: 'ADD_TO_PLAYLIST',
-              videoId: video.id,
-              playlistId: 'WL',
-            });
-            if (result.success) {
-              restored++;
-            }
-          } catch (e) {
-            errorLog('Restore failed:', e);
-          }
-        }
-        // Restore local state
-        videos = lastAction.originalVideos;
-        focusedIndex = lastAction.originalFocusedIndex;
-        selectedIndices = lastAction.originalSelectedIndices;
-        renderVideos();
-        showToast(`Restored ${restored}/${lastAction.data.videos.length} videos`, restored > 0 ? 'success' : 'error');
-        break;
-      }
-      case 'move_to_playlist': {
-        // Move videos back to Watch Later from target playlist
-        let restored = 0;
-        for (const video of lastAction.data.videos) {
-          try {
-            const addResult = await sendMessage({
-              type: 'ADD_TO_PLAYLIST',
-              videoId: video.id,
-              playlistId: 'WL',
-            });
-            if (addResult.success) {
-              restored++;
-            }
-          } catch (e) {
-            errorLog('Restore failed:', e);
-          }
-        }
-        // Restore local state
-        videos = lastAction.originalVideos;
-        focusedIndex = lastAction.originalFocusedIndex;
-        selectedIndices = lastAction.originalSelectedIndices;
-        renderVideos();
-        showToast(`Restored ${restored}/${lastAction.data.videos.length} videos`, restored > 0 ? 'success' : 'error');
-        break;
-      }
-      case 'move_to_top':
-      case 'move_to_bottom':
-      case 'move_up':
-      case 'move_down': {
-        // Restore local state
-        videos = lastAction.originalVideos;
-        focusedIndex = lastAction.originalFocusedIndex;
-        selectedIndices = lastAction.originalSelectedIndices;
-        renderVideos();
-        await syncCurrentListFromYouTube();
-        showToast('Position restored and synced with YouTube', 'success');
-        break;
-      }
-      case 'delete_from_playlist': {
-        // Re-add deleted videos to the playlist
-        let restored = 0;
-        for (const video of lastAction.data.videos) {
-          try {
-            const result = await sendMessage({
-              type: 'ADD_TO_PLAYLIST',
-              videoId: video.id,
-              playlistId: lastAction.data.playlistId,
-            });
-            if (result.success) {
-              restored++;
-            }
-          } catch (e) {
-            errorLog('Restore to playlist failed:', e);
-          }
-        }
-        // Restore local state
-        videos = lastAction.originalVideos;
-        playlistVideos = lastAction.originalVideos;
-        focusedIndex = lastAction.originalFocusedIndex;
-        selectedIndices = lastAction.originalSelectedIndices;
-        renderVideos();
-        showToast(`Restored ${restored}/${lastAction.data.videos.length} video(s) to playlist`, restored > 0 ? 'success' : 'error');
-        break;
-      }
-      default:
-        showToast('Cannot undo this action', 'error');
-    }
-  } catch (error) {
-    errorLog('Undo error:', error);
-    showToast('Undo failed', 'error');
+  historyListEl.querySelector('.operation-item.focused')?.scrollIntoView({ block: 'nearest' });
+}
+
+/** What a background auto-clean removed, e.g. "Talk (watched), Demo (old) and 3 more" */
+function describeAutoCleanVideos(entry) {
+  const removed = entry.data.videos || [];
+  const shown = removed.slice(0, 3).map(video => `${video.title} (${video.reason === 'old' ? 'old' : 'watched'})`);
+  const more = removed.length - shown.length;
+  return more > 0 ? `${shown.join(', ')} and ${more} more` : shown.join(', ');
+}
+
+/**
+ * Adopt auto-clean entries the background worker appended to the stored
+ * history, and drop their videos from the loaded Watch Later.
+ */
+function mergeAutoCleanHistory(storedHistory) {
+  const knownIds = new Set(undoHistory.map(entry => entry.id));
+  const added = storedHistory.filter(entry => entry?.action === 'auto_clean' && !knownIds.has(entry.id));
+  if (added.length === 0) return;
+
+  undoHistory.push(...added);
+  while (undoHistory.length > MAX_UNDO) {
+    undoSnapshots.delete(undoHistory.shift().id);
   }
+  renderUndoTimeline();
 
-  setStatus('Ready');
+  const removedIds = new Set(added.flatMap(entry => (entry.data.videos || []).map(video => video.id)));
+  watchLaterVideos = watchLaterVideos.filter(video => !removedIds.has(video.id));
+  watchLaterCountEl.textContent = watchLaterVideos.length;
+  if (currentTab === 'watchlater') {
+    videos = watchLaterVideos;
+    selectedIndices.clear();
+    focusedIndex = Math.min(focusedIndex, Math.max(0, videos.length - 1));
+    renderVideos();
+  }
+  showToast(`Auto-clean removed ${removedIds.size} video(s) from Watch Later (U to review)`, 'info');
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !Array.isArray(changes.undoHistory?.newValue)) return;
+  mergeAutoCleanHistory(changes.undoHistory.newValue);
+});
+
+function openUndoTimeline() {
+  isUndoTimelineOpen = true;
+  undoTimelineFocusedIndex = 0;
+  historyModal.classList.add('visible');
+  renderUndoTimeline();
+}
+
+function closeUndoTimeline() {
+  isUndoTimelineOpen = false;
+  historyModal.classList.remove('visible');
+}
+
+function handleUndoTimelineKey(e) {
+  const entries = getUndoTimelineEntries();
+  switch (e.key) {
+    case 'Escape':
+    case 'U':
+      closeUndoTimeline();
+      break;
+    case 'j':
+    case 'ArrowDown':
+      undoTimelineFocusedIndex = Math.min(undoTimelineFocusedIndex + 1, Math.max(0, entries.length - 1));
+      renderUndoTimeline();
+      break;
+    case 'k':
+    case 'ArrowUp':
+      undoTimelineFocusedIndex = Math.max(undoTimelineFocusedIndex - 1, 0);
+      renderUndoTimeline();
+      break;
+    case 'Enter':
+    case 'u':
+      if (entries[undoTimelineFocusedIndex]) undoHistoryEntry(entries[undoTimelineFocusedIndex]);
+      break;
+    case 'r':
+      if (entries[undoTimelineFocusedIndex]) redoHistoryEntry(entries[undoTimelineFocusedIndex]);
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
 }
 
 // Operations
-async function deleteVideos() {
-  const targets = getTargetVideos();
+async function deleteVideos(targets = getTargetVideos()) {
+  if (!ensureWritable()) return;
   if (targets.length === 0) return;
 
   // Save for undo
-  saveUndoState('delete', { videos: [...targets] });
+  const historyEntry = saveUndoState('delete', { videos: [...targets] });
 
   // Optimistically update UI immediately
   const targetIds = new Set(targets.map(v => v.id));
@@ -2865,7 +7307,13 @@ async function deleteVideos() {
 
   // Process API calls in background
   (async () => {
-    const results = await runWithConcurrency(targets, async video => removeVideoFromWatchLater(video));
+    const results = await runBulkOperation(
+      `Deleting ${targets.length} video(s) from Watch Later`,
+      targets,
+      video => ({ type: 'REMOVE_FROM_WATCH_LATER', videoId: video.id, setVideoId: video.setVideoId }),
+      { resyncOnCancel: true, historyEntry }
+    );
+    if (isOperationCancelled(results)) return;
     const errors = results
       .filter(r => r && !r.success && r.error)
       .map(r => r.error);
@@ -2884,16 +7332,20 @@ async function deleteVideos() {
  * Delete videos from the currently active playlist (Level 2 view).
  * Optimistically updates UI then processes API calls in background.
  */
-async function deleteFromPlaylist() {
+async function deleteFromPlaylist(targets = getTargetVideos()) {
+  if (isSmartPlaylistId(activePlaylistId)) return deleteFromSmartPlaylist(targets);
+  if (!ensureWritable()) return;
   if (!activePlaylistId) return;
-
-  const targets = getTargetVideos();
   if (targets.length === 0) return;
 
+  const playlistId = activePlaylistId;
+  const playlistTitle = getPlaylistById(playlistId)?.title || 'playlist';
+
   // Save undo state
-  saveUndoState('delete_from_playlist', {
+  const historyEntry = saveUndoState('delete_from_playlist', {
     videos: targets,
-    playlistId: activePlaylistId,
+    playlistId,
+    playlistTitle,
   });
 
   // Optimistically update UI
@@ -2915,10 +7367,13 @@ async function deleteFromPlaylist() {
 
   // Process API calls in background
   (async () => {
-    const results = await runWithConcurrency(
+    const results = await runBulkOperation(
+      `Removing ${targets.length} video(s) from ${playlistTitle}`,
       targets,
-      async video => removeVideoFromPlaylist(video, activePlaylistId)
+      video => ({ type: 'REMOVE_FROM_PLAYLIST', videoId: video.id, setVideoId: video.setVideoId, playlistId }),
+      { resyncOnCancel: true, historyEntry }
     );
+    if (isOperationCancelled(results)) return;
     const errors = results
       .filter(r => r && !r.success && r.error)
       .map(r => r.error);
@@ -2932,7 +7387,40 @@ async function deleteFromPlaylist() {
   })();
 }
 
+/**
+ * Remove every deleted, private or otherwise unplayable video from the open
+ * list (Watch Later or a playlist) in one undoable operation.
+ */
+async function removeUnavailableVideos() {
+  const inPlaylist = currentTab === 'playlists' && playlistBrowserLevel === 'videos';
+  if (currentTab !== 'watchlater' && !inPlaylist) {
+    showToast('Open Watch Later or a playlist to clean up unavailable videos', 'info');
+    return;
+  }
+  if (!ensureWritable()) return;
+
+  const targets = videos.filter(v => !hiddenVideoIds.has(v.id) && getUnavailableReason(v));
+  if (targets.length === 0) {
+    showToast('No deleted or private videos here', 'info');
+    return;
+  }
+  const listTitle = inPlaylist ? getPlaylistById(activePlaylistId)?.title || getSmartPlaylist(activePlaylistId)?.title || 'this playlist' : 'Watch Later';
+  const confirmed = await openConfirmDialog({
+    title: 'Remove Unavailable Videos',
+    message: `Remove ${targets.length} deleted, private or unavailable video(s) from ${listTitle}?`,
+    confirmText: 'Remove',
+  });
+  if (!confirmed) return;
+
+  if (inPlaylist) {
+    await deleteFromPlaylist(targets);
+  } else {
+    await deleteVideos(targets);
+  }
+}
+
 async function createNewPlaylist() {
+  if (!ensureWritable()) return;
   const title = await openInputDialog({
     title: 'Create Playlist',
     message: 'Enter a name for the new playlist.',
@@ -2959,10 +7447,11 @@ async function createNewPlaylist() {
       playlists = [...playlists, newPlaylist];
       rebuildPlaylistMap();
       playlistsCountEl.textContent = playlists.length;
+      saveUndoState('create_playlist', { playlistId: result.playlistId, title: trimmedTitle });
       // Clear search so the new playlist is visible
       searchQuery = '';
       searchInput.value = '';
-      focusedIndex = playlists.length - 1;
+      focusedIndex = smartPlaylists.length + playlists.length - 1;
       renderPlaylistBrowser();
       showToast(`Created "${trimmedTitle}"`, 'success');
     } else {
@@ -2977,11 +7466,13 @@ async function createNewPlaylist() {
 
 async function deleteSelectedPlaylist() {
   const playlist = filteredPlaylists[focusedIndex];
+  if (playlist && isSmartPlaylistId(playlist.id)) return deleteSmartPlaylist(playlist);
+  if (!ensureWritable()) return;
   if (!playlist) return;
 
   const confirmed = await openConfirmDialog({
     title: 'Delete Playlist',
-    message: `Delete "${playlist.title}"? This action cannot be undone.`,
+    message: `Delete "${playlist.title}"? You can recreate it with its videos from the undo history (U).`,
     confirmText: 'Delete',
   });
   if (!confirmed) return;
@@ -2989,17 +7480,20 @@ async function deleteSelectedPlaylist() {
   setStatus('Deleting playlist...', 'loading');
 
   try {
+    // Remember the contents so undo can recreate the playlist
+    const contents = await sendMessage({ type: 'GET_PLAYLIST_VIDEOS', playlistId: playlist.id });
+    const playlistContents = contents.success
+      ? contents.data || []
+      : await loadLibraryList(`playlist:${playlist.id}`).catch(() => null) || [];
+
     const result = await sendMessage({
       type: 'DELETE_PLAYLIST',
       playlistId: playlist.id,
     });
 
     if (result.success) {
-      playlists = playlists.filter(p => p.id !== playlist.id);
-      rebuildPlaylistMap();
-      playlistsCountEl.textContent = playlists.length;
-      focusedIndex = Math.min(focusedIndex, Math.max(0, playlists.length - 1));
-      renderPlaylistBrowser();
+      saveUndoState('delete_playlist', { playlistId: playlist.id, title: playlist.title, videos: playlistContents });
+      removeLocalPlaylist(playlist.id);
       showToast(`Deleted "${playlist.title}"`, 'success');
     } else {
       showToast('Failed to delete playlist', 'error');
@@ -3013,6 +7507,8 @@ async function deleteSelectedPlaylist() {
 
 async function renameSelectedPlaylist() {
   const playlist = filteredPlaylists[focusedIndex];
+  if (playlist && isSmartPlaylistId(playlist.id)) return renameSmartPlaylist(playlist);
+  if (!ensureWritable()) return;
   if (!playlist) return;
 
   const newTitle = await openInputDialog({
@@ -3034,6 +7530,7 @@ async function renameSelectedPlaylist() {
     });
 
     if (result.success) {
+      saveUndoState('rename_playlist', { playlistId: playlist.id, oldTitle: playlist.title, newTitle: trimmedTitle });
       // Update local state
       const playlistInMain = playlists.find(p => p.id === playlist.id);
       if (playlistInMain) {
@@ -3052,8 +7549,9 @@ async function renameSelectedPlaylist() {
 }
 
 async function movePlaylistVideoUp() {
+  if (!ensureWritable()) return;
   if (currentTab !== 'playlists' || playlistBrowserLevel !== 'videos') return;
-  if (!activePlaylistId) return;
+  if (!activePlaylistId || !ensureReorderable()) return;
 
   const targets = getTargetVideos();
   if (targets.length === 0) return;
@@ -3069,6 +7567,9 @@ async function movePlaylistVideoUp() {
   const targetSuccessor = filteredVideos[firstTargetIndex - 1];
   if (!targetSuccessor) return;
 
+  const playlistId = activePlaylistId;
+  const historyEntry = saveUndoState('move_up', { videos: targets });
+
   // Optimistic UI update
   const targetIds = new Set(targets.map(v => v.id));
   const nonTargets = playlistVideos.filter(v => !targetIds.has(v.id));
@@ -3088,29 +7589,30 @@ async function movePlaylistVideoUp() {
   // API call in background (move in reverse order to maintain relative order)
   showToast(`Moving ${targets.length} video(s) up...`);
 
-  Promise.all(
-    [...targets].reverse().map(video =>
-      sendMessage({
+  (async () => {
+    const results = await runBulkOperation(
+      `Moving ${targets.length} video(s) up`,
+      [...targets].reverse(),
+      video => ({
         type: 'MOVE_PLAYLIST_VIDEO',
-        playlistId: activePlaylistId,
+        playlistId,
         setVideoId: video.setVideoId,
         targetSetVideoId: targetSuccessor.setVideoId,
-      }).catch(e => {
-        errorLog('Move playlist video error:', e);
-        return { success: false, error: String(e) };
-      })
-    )
-  ).then(results => {
+      }),
+      { concurrency: 1, resyncOnCancel: true, historyEntry }
+    );
+    if (isOperationCancelled(results)) return;
     const errors = results.filter(r => r && !r.success && r.error);
     if (errors.length > 0) {
       showToast(`Some moves failed`, 'error');
     }
-  });
+  })();
 }
 
 async function movePlaylistVideoDown() {
+  if (!ensureWritable()) return;
   if (currentTab !== 'playlists' || playlistBrowserLevel !== 'videos') return;
-  if (!activePlaylistId) return;
+  if (!activePlaylistId || !ensureReorderable()) return;
 
   const targets = getTargetVideos();
   if (targets.length === 0) return;
@@ -3130,6 +7632,9 @@ async function movePlaylistVideoDown() {
     return;
   }
 
+  const playlistId = activePlaylistId;
+  const historyEntry = saveUndoState('move_down', { videos: targets });
+
   // Optimistic UI update
   const targetIds = new Set(targets.map(v => v.id));
   const remaining = playlistVideos.filter(v => !targetIds.has(v.id));
@@ -3147,29 +7652,30 @@ async function movePlaylistVideoDown() {
   // API call in background (move in reverse order to maintain relative order)
   showToast(`Moving ${targets.length} video(s) down...`);
 
-  Promise.all(
-    [...targets].reverse().map(video =>
-      sendMessage({
+  (async () => {
+    const results = await runBulkOperation(
+      `Moving ${targets.length} video(s) down`,
+      [...targets].reverse(),
+      video => ({
         type: 'MOVE_PLAYLIST_VIDEO',
-        playlistId: activePlaylistId,
+        playlistId,
         setVideoId: video.setVideoId,
         targetSetVideoId: targetSuccessor.setVideoId,
-      }).catch(e => {
-        errorLog('Move playlist video error:', e);
-        return { success: false, error: String(e) };
-      })
-    )
-  ).then(results => {
+      }),
+      { concurrency: 1, resyncOnCancel: true, historyEntry }
+    );
+    if (isOperationCancelled(results)) return;
     const errors = results.filter(r => r && !r.success && r.error);
     if (errors.length > 0) {
       showToast(`Some moves failed`, 'error');
     }
-  });
+  })();
 }
 
 async function movePlaylistVideoToTop() {
+  if (!ensureWritable()) return;
   if (currentTab !== 'playlists' || playlistBrowserLevel !== 'videos') return;
-  if (!activePlaylistId) return;
+  if (!activePlaylistId || !ensureReorderable()) return;
 
   const targets = getTargetVideos();
   if (targets.length === 0) return;
@@ -3187,7 +7693,8 @@ async function movePlaylistVideoToTop() {
   if (!firstNonTargetVideo) return;
 
   // Save for undo
-  saveUndoState('move_to_top', { videos: targets });
+  const playlistId = activePlaylistId;
+  const historyEntry = saveUndoState('move_to_top', { videos: targets });
 
   // Optimistic UI update - move targets to top
   playlistVideos = playlistVideos.filter(v => !targetIds.has(v.id));
@@ -3204,32 +7711,33 @@ async function movePlaylistVideoToTop() {
 
   showToast(`Moving ${targets.length} video(s) to top...`);
 
-  // API call in background
-  Promise.all(
-    [...targets].reverse().map(video =>
-      sendMessage({
+  // API call in background (move in reverse order to maintain relative order)
+  (async () => {
+    const results = await runBulkOperation(
+      `Moving ${targets.length} video(s) to top`,
+      [...targets].reverse(),
+      video => ({
         type: 'MOVE_PLAYLIST_VIDEO',
-        playlistId: activePlaylistId,
+        playlistId,
         setVideoId: video.setVideoId,
         targetSetVideoId: firstNonTargetVideo.setVideoId,
-      }).catch(e => {
-        errorLog('Move to top error:', e);
-        return { success: false, error: String(e) };
-      })
-    )
-  ).then(results => {
+      }),
+      { concurrency: 1, resyncOnCancel: true, historyEntry }
+    );
+    if (isOperationCancelled(results)) return;
     const errors = results.filter(r => r && !r.success && r.error);
     if (errors.length > 0) {
       showToast(`Move to top had errors`, 'error');
     } else {
       showToast('Moved to top', 'success');
     }
-  });
+  })();
 }
 
 async function movePlaylistVideoToBottom() {
+  if (!ensureWritable()) return;
   if (currentTab !== 'playlists' || playlistBrowserLevel !== 'videos') return;
-  if (!activePlaylistId) return;
+  if (!activePlaylistId || !ensureReorderable()) return;
 
   const targets = getTargetVideos();
   if (targets.length === 0) return;
@@ -3242,7 +7750,8 @@ async function movePlaylistVideoToBottom() {
   }
 
   // Save for undo
-  saveUndoState('move_to_bottom', { videos: targets });
+  const playlistId = activePlaylistId;
+  const historyEntry = saveUndoState('move_to_bottom', { videos: targets });
 
   // Optimistic UI update - move targets to bottom
   const targetIds = new Set(targets.map(v => v.id));
@@ -3261,33 +7770,28 @@ async function movePlaylistVideoToBottom() {
   showToast(`Moving ${targets.length} video(s) to bottom...`);
 
   // API call - move to after the last video
-  // Since we're moving to the very end, we need to use a different approach
-  // We'll move each video to be after the current last video
-  const moves = [];
-  for (let i = 0; i < targets.length; i++) {
-    // For moving to bottom, we don't have a successor, so we'll need to move them one by one
-    // This is a limitation of the YouTube API - we can only move before a video
-    moves.push(
-      sendMessage({
+  // For moving to bottom we don't have a successor, so each video is moved to
+  // the end in turn (YouTube can only move before a video otherwise)
+  (async () => {
+    const results = await runBulkOperation(
+      `Moving ${targets.length} video(s) to bottom`,
+      targets,
+      video => ({
         type: 'MOVE_PLAYLIST_VIDEO',
-        playlistId: activePlaylistId,
-        setVideoId: targets[i].setVideoId,
+        playlistId,
+        setVideoId: video.setVideoId,
         targetSetVideoId: null, // Will be interpreted as move to end
-      }).catch(e => {
-        errorLog('Move to bottom error:', e);
-        return { success: false, error: String(e) };
-      })
+      }),
+      { concurrency: 1, resyncOnCancel: true, historyEntry }
     );
-  }
-
-  Promise.all(moves).then(results => {
+    if (isOperationCancelled(results)) return;
     const errors = results.filter(r => r && !r.success && r.error);
     if (errors.length > 0) {
       showToast(`Move to bottom had errors`, 'error');
     } else {
       showToast('Moved to bottom', 'success');
     }
-  });
+  })();
 }
 
 function cycleSortMode() {
@@ -3340,106 +7844,331 @@ function applySortToPlaylists(playlistsToSort) {
   return sorted;
 }
 
+/** chrome.storage.local key for the last purge criteria */
+const PURGE_CRITERIA_STORAGE_KEY = 'purgeCriteria';
+
+const DEFAULT_PURGE_CRITERIA = {
+  watched: true,
+  minProgress: 100,
+  old: false,
+  olderThanDays: 180,
+  unsubscribed: false,
+  unavailable: false,
+  duplicates: false,
+  query: false,
+  queryText: '',
+};
+
+/** Safety cap on subscription pages fetched for the unsubscribed criterion */
+const MAX_CHANNEL_PAGES = 50;
+
 /**
- * Open the bulk purge confirmation dialog showing all watched videos
+ * Purge criteria, in the order shown. A video is purged when any enabled
+ * criterion matches it; `test` returns false when its context isn't loaded.
  */
-function openPurgeDialog() {
-  const purgeModal = document.getElementById('purge-modal');
-  if (purgeModal.style.display === 'flex') return;
+const PURGE_CRITERIA = [
+  {
+    id: 'watched',
+    reason: criteria => `watched ≥${criteria.minProgress}%`,
+    test: (video, criteria) => getWatchedProgress(video) >= criteria.minProgress,
+  },
+  {
+    id: 'old',
+    reason: criteria => `added >${criteria.olderThanDays}d ago`,
+    test: (video, criteria) => {
+      const timestamp = getWatchLaterAddedAt(video);
+      return timestamp !== undefined && Date.now() - timestamp > criteria.olderThanDays * 24 * 60 * 60 * 1000;
+    },
+  },
+  {
+    id: 'unsubscribed',
+    reason: () => 'not subscribed',
+    test: (video, _criteria, context) =>
+      !!context.subscribedChannelIds && !!video.channelId && !context.subscribedChannelIds.has(video.channelId),
+  },
+  {
+    id: 'unavailable',
+    reason: () => 'private/deleted',
+    test: video => !!getUnavailableReason(video),
+  },
+  {
+    id: 'duplicates',
+    reason: () => 'also in a playlist',
+    test: (video, _criteria, context) => !!context.playlistVideoIds?.has(video.id),
+  },
+  {
+    id: 'query',
+    reason: criteria => `matches "${criteria.queryText}"`,
+    test: (video, criteria) => {
+      if (!criteria.queryText.trim()) return false;
+      return matchVideoQuery(parseSearchQuery(criteria.queryText), video) > 0;
+    },
+  },
+];
 
-  const watchedVideos = videos.filter(v => !hiddenVideoIds.has(v.id) && isFullyWatched(v));
-  if (watchedVideos.length === 0) {
-    showToast('No watched videos to remove', 'info');
-    return;
+async function loadPurgeCriteria() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([PURGE_CRITERIA_STORAGE_KEY], (result) => {
+      resolve({ ...DEFAULT_PURGE_CRITERIA, ...(result[PURGE_CRITERIA_STORAGE_KEY] || {}) });
+    });
+  });
+}
+
+async function savePurgeCriteria(criteria) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [PURGE_CRITERIA_STORAGE_KEY]: criteria }, resolve);
+  });
+}
+
+/**
+ * Every subscribed channel, paging through the whole subscription list so a
+ * channel beyond the first page isn't mistaken for an unsubscribed one. The
+ * complete list replaces the loaded Channels tab. Null when it can't be loaded.
+ */
+async function fetchAllSubscribedChannels() {
+  const first = await sendMessage({ type: 'GET_CHANNELS' });
+  if (!first.success) return null;
+  const all = new Map((first.data || []).map(channel => [channel.id, channel]));
+  for (let page = 0; page < MAX_CHANNEL_PAGES; page++) {
+    const more = await sendMessage({ type: 'GET_MORE_CHANNELS' });
+    if (!more.success) return null;
+    if (!more.data?.length) break;
+    for (const channel of more.data) all.set(channel.id, channel);
+  }
+
+  channels = [...all.values()];
+  rebuildChannelMap();
+  channelsCountEl.textContent = channels.length;
+  if (currentTab === 'channels') renderChannels();
+  cacheLibraryList('channels', channels);
+  return channels;
+}
+
+/** Load what the enabled criteria need and haven't loaded yet */
+async function loadPurgeContext() {
+  const { criteria, context } = purgeState;
+  if (criteria.unsubscribed && !context.subscribedChannelIds) {
+    const subscribed = await fetchAllSubscribedChannels();
+    if (subscribed) {
+      context.subscribedChannelIds = new Set(subscribed.map(channel => channel.id));
+    } else {
+      context.errors.unsubscribed = 'could not load subscriptions';
+    }
+  }
+  if (criteria.duplicates && !context.playlistVideoIds) {
+    const lists = await collectSavedLists();
+    context.playlistVideoIds = new Set(lists.filter(list => list.id !== 'WL').flatMap(list => list.videos.map(v => v.id)));
+  }
+}
+
+/** Match Watch Later against the enabled criteria and count matches per criterion */
+function evaluatePurgeCriteria() {
+  const { criteria, context } = purgeState;
+  const enabled = PURGE_CRITERIA.filter(criterion => criteria[criterion.id]);
+  const counts = Object.fromEntries(PURGE_CRITERIA.map(criterion => [criterion.id, 0]));
+  const matches = [];
+  for (const video of videos) {
+    if (hiddenVideoIds.has(video.id)) continue;
+    const reasons = [];
+    for (const criterion of enabled) {
+      if (!criterion.test(video, criteria, context)) continue;
+      counts[criterion.id] += 1;
+      reasons.push(criterion.reason(criteria));
+    }
+    if (reasons.length > 0) matches.push({ video, reasons });
+  }
+  purgeState.matches = matches;
+  purgeState.counts = counts;
+}
+
+/** Read the criteria controls into purgeState.criteria */
+function readPurgeCriteriaForm() {
+  const { criteria } = purgeState;
+  for (const input of document.querySelectorAll('#purge-criteria input[data-criterion]')) {
+    criteria[input.dataset.criterion] = input.checked;
+  }
+  criteria.minProgress = Math.min(100, Math.max(1, parseInt(document.getElementById('purge-min-progress').value, 10) || 100));
+  criteria.olderThanDays = Math.max(1, parseInt(document.getElementById('purge-older-than').value, 10) || DEFAULT_PURGE_CRITERIA.olderThanDays);
+  criteria.queryText = document.getElementById('purge-query').value;
+}
+
+function applyPurgeCriteriaForm(criteria) {
+  for (const input of document.querySelectorAll('#purge-criteria input[data-criterion]')) {
+    input.checked = !!criteria[input.dataset.criterion];
   }
+  document.getElementById('purge-min-progress').value = String(criteria.minProgress);
+  document.getElementById('purge-older-than').value = String(criteria.olderThanDays);
+  document.getElementById('purge-query').value = criteria.queryText;
+}
+
+function renderPurgePreview() {
+  if (!purgeState) return;
+  const { criteria, context, matches, counts, loading } = purgeState;
+  for (const criterion of PURGE_CRITERIA) {
+    const countEl = document.querySelector(`#purge-criteria [data-count="${criterion.id}"]`);
+    if (!countEl) continue;
+    if (!criteria[criterion.id]) countEl.textContent = '';
+    else if (context.errors[criterion.id]) countEl.textContent = context.errors[criterion.id];
+    else countEl.textContent = loading ? '…' : String(counts[criterion.id]);
+  }
+
   const purgeList = document.getElementById('purge-list');
   const purgeCount = document.getElementById('purge-count');
+  const confirmBtn = document.getElementById('purge-confirm');
+  confirmBtn.disabled = loading || matches.length === 0;
+  confirmBtn.textContent = matches.length > 0 ? `Remove ${matches.length}` : 'Remove';
+  if (loading) {
+    purgeCount.textContent = 'Loading...';
+    purgeList.innerHTML = '<div class="loading"><div class="spinner"></div><span>Loading subscriptions and playlists...</span></div>';
+    return;
+  }
 
-  purgeCount.textContent = `${watchedVideos.length} video(s)`;
-  purgeList.innerHTML = watchedVideos.map(video => {
-    const progress = getWatchedProgress(video);
-    return `
-      <div class="purge-item">
-        <div>
-          <div class="purge-item-title">${escapeHtml(video.title)}</div>
-          <div class="purge-item-channel">${escapeHtml(video.channel)}</div>
-        </div>
-        <div class="purge-item-progress">${progress}%</div>
+  purgeCount.textContent = `${matches.length} of ${videos.length} video(s)`;
+  if (matches.length === 0) {
+    purgeList.innerHTML = '<div class="operations-empty">No videos match the selected criteria</div>';
+    return;
+  }
+  purgeList.innerHTML = matches.map(({ video, reasons }) => `
+    <div class="purge-item">
+      <div>
+        <div class="purge-item-title">${escapeHtml(video.title)}</div>
+        <div class="purge-item-channel">${escapeHtml(video.channel)}</div>
       </div>
-    `;
-  }).join('');
+      <div class="purge-item-progress">${escapeHtml(reasons.join(' · '))}</div>
+    </div>
+  `).join('');
+}
+
+async function refreshPurgePreview() {
+  readPurgeCriteriaForm();
+  purgeState.loading = true;
+  renderPurgePreview();
+  const state = purgeState;
+  try {
+    await loadPurgeContext();
+  } catch (error) {
+    errorLog('Failed to load purge criteria data:', error);
+  }
+  // The dialog was closed (or reopened) meanwhile
+  if (purgeState !== state) return;
+  state.loading = false;
+  evaluatePurgeCriteria();
+  renderPurgePreview();
+}
+
+/**
+ * Open the bulk purge dialog: pick criteria (watched, old, unsubscribed
+ * channel, private/deleted, saved in a playlist, search query), preview the
+ * matching Watch Later videos with per-criterion counts, then confirm.
+ */
+async function openPurgeDialog() {
+  if (!ensureWritable()) return;
+  const purgeModal = document.getElementById('purge-modal');
+  if (purgeModal.style.display === 'flex') return;
 
+  const criteria = await loadPurgeCriteria();
+  purgeState = { criteria, context: { errors: {} }, matches: [], counts: {}, loading: false };
+  applyPurgeCriteriaForm(criteria);
   purgeModal.style.display = 'flex';
+  refreshPurgePreview();
 
+  const criteriaEl = document.getElementById('purge-criteria');
   const confirmBtn = document.getElementById('purge-confirm');
   const cancelBtn = document.getElementById('purge-cancel');
 
   const cleanup = () => {
     purgeModal.style.display = 'none';
+    purgeState = null;
+    criteriaEl.removeEventListener('change', onChange);
     confirmBtn.removeEventListener('click', onConfirm);
     cancelBtn.removeEventListener('click', onCancel);
     document.removeEventListener('keydown', onKey, true);
   };
 
+  const onChange = () => {
+    refreshPurgePreview();
+  };
+
   const onConfirm = () => {
+    if (!purgeState || purgeState.loading || purgeState.matches.length === 0) return;
+    const targets = purgeState.matches.map(match => match.video);
+    savePurgeCriteria(purgeState.criteria);
     cleanup();
-    executePurge(watchedVideos);
+    executePurge(targets);
   };
 
   const onCancel = () => {
     cleanup();
   };
 
+  // Keys stay in the dialog so typing in its fields doesn't reach the list shortcuts
   const onKey = (e) => {
+    e.stopPropagation();
     if (e.key === 'Escape') {
       e.preventDefault();
       onCancel();
     } else if (e.key === 'Enter') {
       e.preventDefault();
-      onConfirm();
+      if (e.target instanceof HTMLInputElement && e.target.type !== 'checkbox') {
+        e.target.blur();
+        refreshPurgePreview();
+      } else {
+        onConfirm();
+      }
     }
   };
 
+  criteriaEl.addEventListener('change', onChange);
   confirmBtn.addEventListener('click', onConfirm);
   cancelBtn.addEventListener('click', onCancel);
   document.addEventListener('keydown', onKey, true);
 }
 
 /**
- * Execute the bulk purge — remove all watched videos from Watch Later
+ * Execute the bulk purge — remove the selected videos from Watch Later
  */
-async function executePurge(watchedVideos) {
-  setStatus(`Removing ${watchedVideos.length} watched videos...`, 'loading');
+async function executePurge(targets) {
+  setStatus(`Removing ${targets.length} video(s)...`, 'loading');
 
-  const results = await runWithConcurrency(watchedVideos, async video => removeVideoFromWatchLater(video));
-  const removedVideos = watchedVideos.filter((_, index) => results[index]?.success);
+  // Save before the await so the entry belongs to Watch Later and knows where each video sat
+  const historyEntry = saveUndoState('delete', { videos: [...targets] });
+  const buildMessage = video => ({ type: 'REMOVE_FROM_WATCH_LATER', videoId: video.id, setVideoId: video.setVideoId });
+  const results = await runBulkOperation(`Purging ${targets.length} video(s)`, targets, buildMessage);
+  const removedVideos = targets.filter((_, index) => results[index]?.success);
   const removed = removedVideos.length;
-
-  // Remove from local state
   const removedIds = new Set(removedVideos.map(v => v.id));
-  videos = videos.filter(v => !removedIds.has(v.id));
-  watchLaterVideos = watchLaterVideos.filter(v => !removedIds.has(v.id));
 
-  // Push undo entry using saveUndoState pattern
-  if (removedVideos.length > 0) {
-    saveUndoState('delete', { videos: [...removedVideos] });
+  // Undo and redo only cover the videos YouTube actually removed
+  if (removed > 0) {
+    historyEntry.data.videos = historyEntry.data.videos.filter(video => removedIds.has(video.id));
+    recordHistoryReplay(historyEntry, buildOperationJob(`Purging ${removed} video(s)`, removedVideos, buildMessage), removedVideos);
+  } else {
+    undoHistory = undoHistory.filter(entry => entry !== historyEntry);
+    undoSnapshots.delete(historyEntry.id);
+    saveUndoHistory();
+    renderUndoTimeline();
   }
 
+  // Remove from local state
+  watchLaterVideos = watchLaterVideos.filter(v => !removedIds.has(v.id));
+  if (currentTab === 'watchlater') videos = watchLaterVideos;
+
   selectedIndices.clear();
   renderVideos();
   // Clamp after renderVideos recomputes filteredVideos
   focusedIndex = Math.min(focusedIndex, Math.max(0, filteredVideos.length - 1));
   renderVideos();
-  setStatus(`Removed ${removed} watched video(s)`, 'success');
-  showToast(`Purged ${removed} watched video(s)`, 'success');
+  setStatus(`Removed ${removed} video(s)`, 'success');
+  showToast(`Purged ${removed} video(s)`, 'success');
 }
 
 async function moveToTop() {
+  if (!ensureWritable()) return;
   const targets = getTargetVideos();
   if (targets.length === 0) return;
 
   // Save for undo
-  saveUndoState('move_to_top', { targets: [...targets] });
+  const historyEntry = saveUndoState('move_to_top', { targets: [...targets] });
 
   // Save selection info before clearing - we want to focus on what was the next item after the selection
   const maxSelectedIndex = selectedIndices.size > 0
@@ -3470,15 +8199,17 @@ async function moveToTop() {
   const firstNonTargetVideo = videos.find(v => !targetIds.has(v.id));
 
   (async () => {
-    const results = await runWithConcurrency(
+    const results = await runBulkOperation(
+      `Moving ${targets.length} video(s) to top`,
       [...targets].reverse(),
-      async video => sendMessage({
+      video => ({
         type: 'MOVE_TO_TOP',
         setVideoId: video.setVideoId,
         firstSetVideoId: firstNonTargetVideo?.setVideoId,
       }),
-      { concurrency: 1 }
+      { concurrency: 1, resyncOnCancel: true, historyEntry }
     );
+    if (isOperationCancelled(results)) return;
     const errors = results.filter(r => r && !r.success && r.error);
     if (errors.length > 0) {
       showToast(`Move to top had ${errors.length} error(s)`, 'warning');
@@ -3490,6 +8221,7 @@ async function moveToTop() {
 }
 
 async function moveWatchLaterVideoUp() {
+  if (!ensureWritable()) return;
   if (currentTab !== 'watchlater') return;
 
   const targets = getTargetVideos();
@@ -3507,7 +8239,7 @@ async function moveWatchLaterVideoUp() {
   if (!targetSuccessor) return;
 
   // Save for undo
-  saveUndoState('move_up', { videos: targets });
+  const historyEntry = saveUndoState('move_up', { videos: targets });
 
   // Optimistic UI update
   const targetIds = new Set(targets.map(v => v.id));
@@ -3531,15 +8263,17 @@ async function moveWatchLaterVideoUp() {
   showToast(`Moving ${targets.length} video(s) up...`);
 
   (async () => {
-    const results = await runWithConcurrency(
+    const results = await runBulkOperation(
+      `Moving ${targets.length} video(s) up`,
       [...targets].reverse(),
-      async video => sendMessage({
+      video => ({
         type: 'MOVE_TO_TOP',
         setVideoId: video.setVideoId,
         firstSetVideoId: targetSuccessor.setVideoId,
       }),
-      { concurrency: 1 }
+      { concurrency: 1, resyncOnCancel: true, historyEntry }
     );
+    if (isOperationCancelled(results)) return;
     const errors = results.filter(r => r && !r.success && r.error);
     if (errors.length > 0) {
       showToast(`Some moves failed`, 'error');
@@ -3548,6 +8282,7 @@ async function moveWatchLaterVideoUp() {
 }
 
 async function moveWatchLaterVideoDown() {
+  if (!ensureWritable()) return;
   if (currentTab !== 'watchlater') return;
 
   const targets = getTargetVideos();
@@ -3568,7 +8303,7 @@ async function moveWatchLaterVideoDown() {
   }
 
   // Save for undo
-  saveUndoState('move_down', { videos: targets });
+  const historyEntry = saveUndoState('move_down', { videos: targets });
 
   // Optimistic UI update
   const targetIds = new Set(targets.map(v => v.id));
@@ -3591,15 +8326,17 @@ async function moveWatchLaterVideoDown() {
   showToast(`Moving ${targets.length} video(s) down...`);
 
   (async () => {
-    const results = await runWithConcurrency(
+    const results = await runBulkOperation(
+      `Moving ${targets.length} video(s) down`,
       [...targets].reverse(),
-      async video => sendMessage({
+      video => ({
         type: 'MOVE_TO_TOP',
         setVideoId: video.setVideoId,
         firstSetVideoId: targetSuccessor.setVideoId,
       }),
-      { concurrency: 1 }
+      { concurrency: 1, resyncOnCancel: true, historyEntry }
     );
+    if (isOperationCancelled(results)) return;
     const errors = results.filter(r => r && !r.success && r.error);
     if (errors.length > 0) {
       showToast(`Some moves failed`, 'error');
@@ -3608,11 +8345,17 @@ async function moveWatchLaterVideoDown() {
 }
 
 async function moveToBottom() {
+  if (!ensureWritable()) return;
+  if (currentTab === 'watchlater' && isWatchLaterStreaming) {
+    // The real last item may not have arrived yet
+    showToast('Still loading Watch Later, try again in a moment', 'warning');
+    return;
+  }
   const targets = getTargetVideos();
   if (targets.length === 0) return;
 
   // Save for undo
-  saveUndoState('move_to_bottom', { targets: [...targets] });
+  const historyEntry = saveUndoState('move_to_bottom', { targets: [...targets] });
 
   // Save selection info before clearing - we want to focus on what was the next item after the selection
   const maxSelectedIndex = selectedIndices.size > 0
@@ -3644,15 +8387,17 @@ async function moveToBottom() {
   const lastNonTargetVideo = videos.filter(v => !targetIds.has(v.id)).pop();
 
   (async () => {
-    const results = await runWithConcurrency(
+    const results = await runBulkOperation(
+      `Moving ${targets.length} video(s) to bottom`,
       targets,
-      async video => sendMessage({
+      video => ({
         type: 'MOVE_TO_BOTTOM',
         setVideoId: video.setVideoId,
         lastSetVideoId: lastNonTargetVideo?.setVideoId,
       }),
-      { concurrency: 1 }
+      { concurrency: 1, resyncOnCancel: true, historyEntry }
     );
+    if (isOperationCancelled(results)) return;
     const errors = results.filter(r => r && !r.success && r.error);
     if (errors.length > 0) {
       showToast(`Move to bottom had ${errors.length} error(s)`, 'warning');
@@ -3664,12 +8409,14 @@ async function moveToBottom() {
 }
 
 async function moveToPlaylist(playlistId) {
+  if (currentTab === 'playlists' && isSmartPlaylistId(activePlaylistId)) return moveFromSmartPlaylist(playlistId);
+  if (!ensureWritable()) return;
   const targets = getTargetVideos();
   if (targets.length === 0) return;
 
   // Save for undo
   const playlist = getPlaylistById(playlistId);
-  saveUndoState('move_to_playlist', { videos: [...targets], playlistId, playlistTitle: playlist?.title });
+  const historyEntry = saveUndoState('move_to_playlist', { videos: [...targets], playlistId, playlistTitle: playlist?.title });
 
   // Optimistically update UI immediately
   const targetIds = new Set(targets.map(v => v.id));
@@ -3690,14 +8437,18 @@ async function moveToPlaylist(playlistId) {
 
   // Process API calls in background
   (async () => {
-    const results = await runWithConcurrency(targets, async (video) => (
-      sendMessage({
+    const results = await runBulkOperation(
+      `Moving ${targets.length} video(s) to ${playlist?.title || 'playlist'}`,
+      targets,
+      video => ({
         type: 'MOVE_TO_PLAYLIST',
         videoId: video.id,
         setVideoId: video.setVideoId,
         playlistId,
-      })
-    ));
+      }),
+      { resyncOnCancel: true, historyEntry }
+    );
+    if (isOperationCancelled(results)) return;
     const errors = results.filter(r => r && !r.success && r.error);
     if (errors.length > 0) {
       showToast(`Move had ${errors.length} error(s)`, 'warning');
@@ -3710,13 +8461,18 @@ async function moveToPlaylist(playlistId) {
 
 // Add to playlist (for subscriptions - doesn't remove from current view)
 async function addToPlaylist(playlistId) {
+  if (!ensureWritable()) return;
   const targets = getTargetVideos();
   if (targets.length === 0) return;
 
   const playlist = getPlaylistById(playlistId);
   setStatus(`Adding ${targets.length} video(s) to ${playlist?.title}...`);
 
-  const results = await runWithConcurrency(targets, async (video) => addVideoToPlaylist(video, playlistId));
+  const results = await runBulkOperation(
+    `Adding ${targets.length} video(s) to ${playlist?.title || 'playlist'}`,
+    targets,
+    video => ({ type: 'ADD_TO_PLAYLIST', videoId: video.id, playlistId })
+  );
   const added = results.filter(r => r?.success).length;
 
   // Exit visual mode after adding
@@ -3763,6 +8519,18 @@ function renderHelpModal() {
     { keys: ['y'], desc: 'Copy URL' },
     { keys: ['Tab'], desc: 'Next/prev tab' },
     { keys: ['r'], desc: 'Refresh' },
+    { keys: ['E'], desc: 'Export list' },
+    { keys: ['i'], desc: 'Import videos from file' },
+    { keys: ['D'], desc: 'Find duplicates' },
+    { keys: ['F'], desc: 'Search all lists' },
+    { keys: ['P'], desc: 'Save search as smart playlist' },
+    { keys: ['A'], desc: 'Auto-sort Watch Later by rules' },
+    { keys: ['X'], desc: 'Remove deleted/private videos' },
+    { keys: ['Y'], desc: 'Explain smart sort score' },
+    { keys: ['Q'], desc: 'Build a watch queue for a time budget' },
+    { keys: ['O'], desc: 'Bulk operations' },
+    { keys: ['U'], desc: 'Undo history' },
+    { keys: ['⌃r'], desc: 'Redo' },
     { keys: ['?'], desc: 'Toggle help' },
   ];
 
@@ -3935,9 +8703,20 @@ document.addEventListener('keydown', (e) => {
     return;
   }
 
+  // Any key closes the score explanation; other keys still do their usual thing
+  if (scoreExplainEl?.classList.contains('visible')) {
+    hideScoreExplain();
+    if (e.key === 'Escape' || e.key === 'Y') {
+      e.preventDefault();
+      return;
+    }
+  }
+
   // Search input handling
   if (document.activeElement === searchInput) {
-    if (e.key === 'Escape') {
+    if (handleQueryAutocompleteKey(e)) {
+      e.preventDefault();
+    } else if (e.key === 'Escape') {
       searchInput.blur();
       searchInput.value = '';
       searchQuery = '';
@@ -3988,16 +8767,7 @@ document.addEventListener('keydown', (e) => {
     return;
   }
 
-  // Help modal handling
-  if (isHelpOpen) {
-    if (e.key === 'Escape' || e.key === '?') {
-      e.preventDefault();
-      closeHelp();
-    }
-    return;
-  }
-
-  // Confirm modal handling
+  // Confirm modal handling (can sit on top of the panels below)
   if (isConfirmOpen) {
     e.preventDefault();
     if (e.key === 'Escape' || e.key === 'n') {
@@ -4009,6 +8779,69 @@ document.addEventListener('keydown', (e) => {
     return;
   }
 
+  // Operations panel handling
+  if (isOperationsOpen) {
+    handleOperationsPanelKey(e);
+    return;
+  }
+
+  // Undo timeline handling
+  if (isUndoTimelineOpen) {
+    handleUndoTimelineKey(e);
+    return;
+  }
+
+  // Export dialog handling
+  if (isExportOpen) {
+    handleExportDialogKey(e);
+    return;
+  }
+
+  // Import dialog handling
+  if (isImportOpen) {
+    handleImportDialogKey(e);
+    return;
+  }
+
+  // Takeout importer handling
+  if (isTakeoutOpen) {
+    handleTakeoutDialogKey(e);
+    return;
+  }
+
+  // Duplicates view handling
+  if (isDuplicatesOpen) {
+    handleDuplicatesKey(e);
+    return;
+  }
+
+  // Global search handling (its input keeps focus while typing)
+  if (isGlobalSearchOpen) {
+    handleGlobalSearchKey(e);
+    return;
+  }
+
+  // Auto-sort preview handling
+  if (isAutoSortOpen) {
+    handleAutoSortKey(e);
+    return;
+  }
+
+  // Watch queue preview handling
+  if (isQueueOpen) {
+    handleWatchQueueKey(e);
+    return;
+  }
+
+  // Help modal handling
+  if (isHelpOpen) {
+    if (e.key === 'Escape' || e.key === '?') {
+      e.preventDefault();
+      closeHelp();
+    }
+    return;
+  }
+
   // Suggestions modal handling
   if (isSuggestionsOpen) {
     e.preventDefault();
@@ -4113,6 +8946,12 @@ document.addEventListener('keydown', (e) => {
   if (e.key === '?') {
     e.preventDefault();
     toggleHelp();
+  } else if (e.key === 'O') {
+    e.preventDefault();
+    openOperationsPanel();
+  } else if (e.key === 'U') {
+    e.preventDefault();
+    openUndoTimeline();
   } else if (e.key === '/') {
     e.preventDefault();
     searchInput.focus();
@@ -4288,7 +9127,7 @@ document.addEventListener('keydown', (e) => {
     // Toggle hide watched (global)
     toggleHideWatched();
   } else if (e.key === 'W') {
-    // Bulk purge watched videos
+    // Bulk purge by criteria (watched, old, unsubscribed, ...)
     if (currentTab === 'watchlater') {
       openPurgeDialog();
     } else {
@@ -4402,16 +9241,40 @@ document.addEventListener('keydown', (e) => {
         window.open(url, '_blank');
       }
     }
+  } else if (e.key === 'r' && (e.ctrlKey || e.metaKey)) {
+    // Ctrl+R: redo instead of reloading the page
+    e.preventDefault();
+    redo();
   } else if (e.key === refreshActionKey || e.key === 'r') {
     loadData();
   } else if (e.key === 'I') {
     toggleSmartSort();
+  } else if (e.key === 'Y') {
+    if (currentTab !== 'channels' && !(currentTab === 'playlists' && playlistBrowserLevel === 'list')) {
+      explainFocusedVideoScore();
+    }
   } else if (e.key === 'e') {
     if (currentTab !== 'channels' && !(currentTab === 'playlists' && playlistBrowserLevel === 'list')) {
       editFocusedVideoAnnotation();
     }
   } else if (e.key === 'B') {
     exportBackup();
+  } else if (e.key === 'E') {
+    openExportDialog();
+  } else if (e.key === 'i') {
+    importVideosFromFile();
+  } else if (e.key === 'D') {
+    openDuplicatesView();
+  } else if (e.key === 'F') {
+    openGlobalSearch();
+  } else if (e.key === 'P') {
+    saveSearchAsSmartPlaylist();
+  } else if (e.key === 'A') {
+    openAutoSort();
+  } else if (e.key === 'X') {
+    removeUnavailableVideos();
+  } else if (e.key === 'Q') {
+    openWatchQueue();
   } else if (e.key === 'L') {
     importBackup();
   } else if (e.key === 'p') {
@@ -4426,22 +9289,10 @@ document.addEventListener('keydown', (e) => {
     }
   } else if (e.key === 'z' && !e.ctrlKey && !e.metaKey) {
     e.preventDefault();
-    if (currentTab === 'watchlater') {
-      undo();
-    } else if (currentTab === 'playlists' && playlistBrowserLevel === 'videos') {
-      undo();
-    } else if (currentTab === 'channels') {
-      undoChannelUnsubscribe();
-    }
+    undo();
   } else if (e.key === 'z' && (e.ctrlKey || e.metaKey)) {
     e.preventDefault();
-    if (currentTab === 'watchlater') {
-      undo();
-    } else if (currentTab === 'playlists' && playlistBrowserLevel === 'videos') {
-      undo();
-    } else if (currentTab === 'channels') {
-      undoChannelUnsubscribe();
-    }
+    undo();
   } else if (e.key === 'a' && (e.ctrlKey || e.metaKey)) {
     e.preventDefault();
     // Select all
@@ -4452,11 +9303,7 @@ document.addEventListener('keydown', (e) => {
   } else if (e.key === 'u' && !e.ctrlKey && !e.metaKey) {
     // u: undo (vim-style, alternative to z)
     e.preventDefault();
-    if (currentTab === 'watchlater') {
-      undo();
-    } else if (currentTab === 'channels') {
-      undoChannelUnsubscribe();
-    }
+    undo();
   } else if (e.key === 'o') {
     // o: open in YouTube (vim-style)
     e.preventDefault();
@@ -4515,12 +9362,31 @@ searchInput.addEventListener('input', (e) => {
   }
 
   renderCurrentView();
+  updateQueryAutocomplete(searchInput);
 });
 
+// Autocomplete for channel:/tag: in both search boxes
+for (const input of [searchInput, globalSearchInput]) {
+  input.addEventListener('blur', () => updateQueryAutocomplete(input));
+  document.getElementById(input.dataset.suggestions)?.addEventListener('mousedown', (e) => {
+    const target = e.target;
+    if (!(target instanceof Element)) return;
+    const index = Number(target.closest('.query-suggestion')?.getAttribute('data-index'));
+    if (Number.isNaN(index)) return;
+    // Keep focus in the input
+    e.preventDefault();
+    acceptQueryCompletion(index);
+  });
+}
+
 // Load data for current tab
 async function loadData() {
-  loadingEl.style.display = 'flex';
-  videoList.innerHTML = '';
+  // With a cached copy on screen, sync in the background instead of blanking the list
+  const hasLocalData = hasLocalDataForTab(currentTab);
+  if (!hasLocalData) {
+    loadingEl.style.display = 'flex';
+    videoList.innerHTML = '';
+  }
 
   const loadingLabels = {
     'watchlater': 'Watch Later',
@@ -4530,35 +9396,36 @@ async function loadData() {
   };
   const loadingLabel = loadingLabels[currentTab] || 'Data';
   loadingText.textContent = `Loading ${loadingLabel}...`;
-  setStatus(`Loading ${loadingLabel}...`);
+  setStatus(hasLocalData ? `Syncing ${loadingLabel}...` : `Loading ${loadingLabel}...`);
 
   try {
     // Load quick move assignments
     await loadQuickMoveAssignments();
 
     if (currentTab === 'watchlater') {
-      // Load Watch Later and playlists
-      const [videosResult, playlistsResult] = await Promise.all([
-        sendMessage({ type: 'GET_WATCH_LATER' }),
-        sendMessage({ type: 'GET_PLAYLISTS' }),
-      ]);
-
-      if (videosResult.success) {
-        watchLaterVideos = videosResult.data;
+      // Stream Watch Later page by page; playlists load alongside
+      const playlistsPromise = sendMessage({ type: 'GET_PLAYLISTS' });
+      await streamWatchLater(hasLocalData);
+      trackWatchLaterArrivals(watchLaterVideos);
+      if (currentTab === 'watchlater') {
         videos = watchLaterVideos;
-        watchLaterCountEl.textContent = watchLaterVideos.length;
+        clampFocusedIndex();
         renderVideos();
-      } else {
-        throw new Error(videosResult.error || 'Failed to load videos');
       }
+      recordFirstSeen(watchLaterVideos);
+      refreshVideoDetails(watchLaterVideos);
 
+      const playlistsResult = await playlistsPromise;
       if (playlistsResult.success) {
         playlists = playlistsResult.data;
         rebuildPlaylistMap();
         renderPlaylists();
+        cacheLibraryList('playlists', playlists);
       }
+      setOfflineMode(false);
       setStatus('Ready');
-      showToast(`Loaded ${watchLaterVideos.length} videos`, 'success');
+      showSyncToast('Watch Later', watchLaterVideos.length, 'videos',
+        await reconcileLibraryList('watchlater', watchLaterVideos));
     } else if (currentTab === 'playlists') {
       // Load Playlists
       const playlistsResult = await sendMessage({ type: 'GET_PLAYLISTS' });
@@ -4567,10 +9434,12 @@ async function loadData() {
         playlists = playlistsResult.data;
         rebuildPlaylistMap();
         playlistsCountEl.textContent = playlists.length;
+        setOfflineMode(false);
+        const changes = await reconcileLibraryList('playlists', playlists);
 
         // If in video view, reload that playlist
         if (playlistBrowserLevel === 'videos' && activePlaylistId) {
-          const activePlaylist = playlists.find(p => p.id === activePlaylistId);
+          const activePlaylist = getSmartPlaylist(activePlaylistId) || playlists.find(p => p.id === activePlaylistId);
           if (activePlaylist) {
             await drillIntoPlaylist(activePlaylist);
           } else {
@@ -4578,10 +9447,11 @@ async function loadData() {
             renderPlaylistBrowser();
           }
         } else {
+          clampFocusedIndex();
           renderPlaylistBrowser();
         }
         setStatus('Ready');
-        showToast(`Loaded ${playlists.length} playlists`, 'success');
+        showSyncToast('Playlists', playlists.length, 'playlists', changes);
       } else {
         throw new Error(playlistsResult.error || 'Failed to load playlists');
       }
@@ -4593,9 +9463,12 @@ async function loadData() {
         channels = channelsResult.data;
         rebuildChannelMap();
         channelsCountEl.textContent = channels.length;
+        clampFocusedIndex();
         renderChannels();
+        setOfflineMode(false);
         setStatus('Ready');
-        showToast(`Loaded ${channels.length} channels`, 'success');
+        showSyncToast('Channels', channels.length, 'channels',
+          await reconcileLibraryList('channels', channels));
       } else {
         throw new Error(channelsResult.error || 'Failed to load channels');
       }
@@ -4609,22 +9482,100 @@ async function loadData() {
         setLoadMoreState('hidden');
         videos = subscriptionVideos;
         subscriptionsCountEl.textContent = subscriptionVideos.length;
+        clampFocusedIndex();
         renderVideos();
+        setOfflineMode(false);
+        recordFirstSeen(subscriptionVideos);
+        refreshVideoDetails(subscriptionVideos);
         setStatus('Ready');
-        showToast(`Loaded ${subscriptionVideos.length} videos`, 'success');
+        showSyncToast('Subscriptions', subscriptionVideos.length, 'videos',
+          await reconcileLibraryList('subscriptions', subscriptionVideos));
       } else {
         throw new Error(subsResult.error || 'Failed to load subscriptions');
       }
     }
   } catch (error) {
     errorLog('Load error:', error);
-    setStatus(error.message, 'error');
-    showLoadError(error.message);
+    if (hasLocalDataForTab(currentTab)) {
+      setOfflineMode(true, error.message);
+      // Cached details only while offline
+      if (currentTab === 'watchlater' || currentTab === 'subscriptions') refreshVideoDetails(videos);
+    } else {
+      setStatus(error.message, 'error');
+      showLoadError(error.message);
+    }
   } finally {
     loadingEl.style.display = 'none';
   }
 }
 
+/**
+ * Report a completed sync: the diff against the cache when there was one,
+ * otherwise the plain item count.
+ * @param {string} label - List name, e.g. 'Watch Later'
+ * @param {number} count
+ * @param {string} noun - 'videos', 'playlists', ...
+ * @param {string} changes - Summary from reconcileLibraryList()
+ */
+function showSyncToast(label, count, noun, changes) {
+  if (changes) {
+    showToast(`${label} synced: ${changes}`, 'success');
+  } else {
+    showToast(`Loaded ${count} ${noun}`, 'success');
+  }
+}
+
+/**
+ * Keep the focus inside the current list after a sync shrank it
+ */
+function clampFocusedIndex() {
+  const length = currentTab === 'channels'
+    ? channels.length
+    : currentTab === 'playlists' && playlistBrowserLevel === 'list'
+      ? playlists.length
+      : videos.length;
+  focusedIndex = Math.min(focusedIndex, Math.max(0, length - 1));
+}
+
+/**
+ * Load Watch Later over a stream port into watchLaterVideos.
+ * Without a cached copy on screen, the first page renders immediately and later
+ * pages are appended; with one, the cached list stays until every page is in.
+ * @param {boolean} keepCachedView
+ */
+async function streamWatchLater(keepCachedView) {
+  isWatchLaterStreaming = true;
+  if (!keepCachedView) {
+    watchLaterVideos = [];
+    if (currentTab === 'watchlater') videos = watchLaterVideos;
+  }
+
+  try {
+    const allVideos = await streamPlaylist({ type: 'GET_WATCH_LATER' }, (page, progress) => {
+      showSyncProgress('Watch Later', progress);
+      if (keepCachedView) return;
+
+      // Append to the live list so deletes made while pages are loading stick
+      const liveList = currentTab === 'watchlater' ? videos : watchLaterVideos;
+      watchLaterVideos = [...liveList, ...page];
+      watchLaterCountEl.textContent = watchLaterVideos.length;
+      if (currentTab === 'watchlater') {
+        videos = watchLaterVideos;
+        loadingEl.style.display = 'none';
+        renderVideos();
+      }
+    });
+
+    if (keepCachedView) {
+      watchLaterVideos = allVideos;
+    }
+    watchLaterCountEl.textContent = watchLaterVideos.length;
+  } finally {
+    isWatchLaterStreaming = false;
+    hideSyncProgress();
+  }
+}
+
 // Show load error in video list
 function showLoadError(message) {
   const errorDiv = document.createElement('div');
@@ -4659,6 +9610,8 @@ async function loadAllData() {
         if (result.success) {
           watchLaterVideos = result.data || [];
           watchLaterCountEl.textContent = watchLaterVideos.length;
+          trackWatchLaterArrivals(watchLaterVideos);
+          cacheLibraryList('watchlater', watchLaterVideos);
         }
       })());
     }
@@ -4669,6 +9622,7 @@ async function loadAllData() {
         if (result.success) {
           subscriptionVideos = result.data || [];
           subscriptionsCountEl.textContent = subscriptionVideos.length;
+          cacheLibraryList('subscriptions', subscriptionVideos);
         }
       })());
     }
@@ -4680,6 +9634,7 @@ async function loadAllData() {
           channels = result.data || [];
           rebuildChannelMap();
           channelsCountEl.textContent = channels.length;
+          cacheLibraryList('channels', channels);
         }
       })());
     }
@@ -4692,6 +9647,7 @@ async function loadAllData() {
           rebuildPlaylistMap();
           playlistsCountEl.textContent = playlists.length;
           renderPlaylists();
+          cacheLibraryList('playlists', playlists);
         }
       })());
     }
@@ -4706,6 +9662,7 @@ async function loadAllData() {
     if (watchLaterVideos.length > 0 || subscriptionVideos.length > 0) {
       const allLoadedIds = new Set([...watchLaterVideos, ...subscriptionVideos].map(v => v.id));
       await pruneStaleOverrides(allLoadedIds);
+      await pruneFirstSeen(allLoadedIds);
     }
   };
 
@@ -4722,6 +9679,11 @@ async function loadAllData() {
       loadThemePref(),
       loadSmartSortPref(),
       loadVideoAnnotations(),
+      loadChannelStats(),
+      loadVideoFirstSeen(),
+      loadSmartPlaylists(),
+      loadOperations(),
+      loadUndoHistory(),
     ]);
 
     updateTabStateUI(currentTab, 'auto');
@@ -4729,6 +9691,19 @@ async function loadAllData() {
     applyTheme();
     updateHideWatchedIndicator();
 
+    // Render the cached library immediately; loadData() reconciles it with YouTube
+    const restored = await hydrateFromLibrary().catch(error => {
+      warnLog('Failed to read library cache:', error);
+      return false;
+    });
+    if (restored && hasLocalDataForTab(currentTab)) {
+      if (currentTab === 'watchlater') videos = watchLaterVideos;
+      else if (currentTab === 'subscriptions') videos = subscriptionVideos;
+      loadingEl.style.display = 'none';
+      renderPlaylists();
+      renderCurrentView();
+    }
+
     await loadData();
     prefetch().catch(e => warnLog('Background prefetch failed:', e));
   } catch (error) {
@@ -4782,6 +9757,120 @@ confirmOk.addEventListener('click', () => {
   if (confirmCallback) confirmCallback();
 });
 
+// Operations panel
+operationsIndicatorEl.addEventListener('click', openOperationsPanel);
+operationsModal.addEventListener('click', (e) => {
+  if (e.target === operationsModal) closeOperationsPanel();
+});
+operationsListEl.addEventListener('click', (e) => {
+  const target = e.target;
+  if (!(target instanceof Element)) return;
+  const item = target.closest('.operation-item');
+  if (!item) return;
+  const operation = findOperation(item.getAttribute('data-operation-id'));
+  operationsFocusedIndex = Math.max(0, operations.indexOf(operation));
+
+  const action = target.closest('[data-action]')?.getAttribute('data-action');
+  if (action === 'pause') togglePauseOperation(operation);
+  else if (action === 'cancel') cancelOperation(operation);
+  else if (action === 'retry') retryFailedOperation(operation);
+  renderOperations();
+});
+
+// Undo timeline
+historyModal.addEventListener('click', (e) => {
+  if (e.target === historyModal) closeUndoTimeline();
+});
+globalSearchInput.addEventListener('input', () => {
+  globalSearchFocusedIndex = 0;
+  renderGlobalSearch();
+  updateQueryAutocomplete(globalSearchInput);
+});
+
+globalSearchListEl.addEventListener('click', (e) => {
+  const target = e.target;
+  if (!(target instanceof Element)) return;
+  const index = Number(target.closest('.operation-item')?.getAttribute('data-index'));
+  if (Number.isNaN(index) || !globalSearchResults[index]) return;
+  if (index === globalSearchFocusedIndex) {
+    jumpToGlobalSearchHit(globalSearchResults[index]);
+    return;
+  }
+  globalSearchFocusedIndex = index;
+  renderGlobalSearch();
+});
+
+duplicatesListEl.addEventListener('click', (e) => {
+  const target = e.target;
+  if (!(target instanceof Element)) return;
+  const index = Number(target.closest('.operation-item')?.getAttribute('data-index'));
+  if (Number.isNaN(index) || !duplicateGroups[index]) return;
+  duplicatesFocusedIndex = index;
+  const copyIndex = target.closest('[data-copy]')?.getAttribute('data-copy');
+  if (copyIndex !== null && copyIndex !== undefined) duplicateGroups[index].keepIndex = Number(copyIndex);
+  renderDuplicatesView();
+});
+
+queueListEl.addEventListener('click', (e) => {
+  const target = e.target;
+  if (!(target instanceof Element) || !queuePlan) return;
+  const index = Number(target.closest('.import-item')?.getAttribute('data-index'));
+  if (Number.isNaN(index)) return;
+  queuePlan.focusedIndex = index;
+  renderQueuePreview();
+});
+
+autoSortListEl.addEventListener('click', (e) => {
+  const target = e.target;
+  if (!(target instanceof Element) || !autoSortPlan) return;
+  const index = Number(target.closest('.import-item')?.getAttribute('data-index'));
+  if (Number.isNaN(index)) return;
+  autoSortPlan.focusedIndex = index;
+  renderAutoSortPreview();
+});
+
+takeoutListEl.addEventListener('click', (e) => {
+  const target = e.target;
+  if (!(target instanceof Element) || !takeoutPlan) return;
+  const index = Number(target.closest('.import-item')?.getAttribute('data-index'));
+  if (Number.isNaN(index)) return;
+  takeoutPlan.focusedIndex = index;
+  renderTakeoutDialog();
+});
+
+importListEl.addEventListener('click', (e) => {
+  const target = e.target;
+  if (!(target instanceof Element) || !importState) return;
+  const index = Number(target.closest('.import-item')?.getAttribute('data-index'));
+  if (Number.isNaN(index)) return;
+  importState.focusedIndex = index;
+  renderImportDialog();
+});
+
+exportFormatsEl.addEventListener('click', (e) => {
+  const target = e.target;
+  if (!(target instanceof Element)) return;
+  const format = target.closest('[data-export-format]')?.getAttribute('data-export-format');
+  if (format) chooseExportFormat(format);
+});
+
+historyListEl.addEventListener('click', (e) => {
+  const target = e.target;
+  if (!(target instanceof Element)) return;
+  const item = target.closest('.operation-item');
+  if (!item) return;
+  const entries = getUndoTimelineEntries();
+  const index = entries.findIndex(entry => entry.id === item.getAttribute('data-history-id'));
+  if (index < 0) return;
+  undoTimelineFocusedIndex = index;
+  if (target.closest('[data-action="undo"]')) {
+    undoHistoryEntry(entries[index]);
+  } else if (target.closest('[data-action="redo"]')) {
+    redoHistoryEntry(entries[index]);
+  }
+  renderUndoTimeline();
+});
+
 // Delegated list interactions (avoids re-binding per render for large lists)
 videoList.addEventListener('click', (e) => {
   const target = e.target;
@@ -4806,6 +9895,15 @@ videoList.addEventListener('click', (e) => {
   const videoItem = target.closest('.video-item');
   if (videoItem) {
     const index = parseInt(videoItem.getAttribute('data-index') || '0', 10);
+    const scoreChip = target.closest('.video-score');
+    if (scoreChip) {
+      // The click that opens it must not reach the outside-click handler below
+      e.stopPropagation();
+      setSingleFocusedSelection(index);
+      renderVideos();
+      showScoreExplain(filteredVideos[index], videoList.querySelector(`.video-item[data-index="${index}"] .video-score`).getBoundingClientRect());
+      return;
+    }
     if (e.shiftKey && focusedIndex !== index) {
       const start = Math.min(focusedIndex, index);
       const end = Math.max(focusedIndex, index);
@@ -4953,6 +10051,11 @@ contextMenuItemsEl?.addEventListener('click', (e) => {
 });
 
 document.addEventListener('click', (e) => {
+  // Menu items (Explain Smart Score) open it with a click of their own
+  const insidePopups = e.target instanceof Node && (scoreExplainEl?.contains(e.target) || contextMenuEl?.contains(e.target));
+  if (scoreExplainEl?.classList.contains('visible') && !insidePopups) {
+    hideScoreExplain();
+  }
   if (!contextMenuEl?.classList.contains('visible')) return;
   if (e.target instanceof Node && contextMenuEl.contains(e.target)) return;
   hideContextMenu();
@@ -4966,12 +10069,14 @@ document.addEventListener('contextmenu', (e) => {
 });
 
 window.addEventListener('resize', hideContextMenu);
+window.addEventListener('resize', hideScoreExplain);
 
 // Infinite scroll for subscriptions and channels
 const videoListContainerEl = document.getElementById('video-list-container');
 let scrollDebounceTimer = null;
 
 videoListContainerEl.addEventListener('scroll', hideContextMenu, { passive: true });
+videoListContainerEl.addEventListener('scroll', hideScoreExplain, { passive: true });
 
 videoListContainerEl.addEventListener('scroll', () => {
   const { scrollTop, scrollHeight, clientHeight } = videoListContainerEl;
@@ -5013,7 +10118,9 @@ function restoreFocus() {
 
 window.addEventListener('focus', restoreFocus);
 document.addEventListener('visibilitychange', () => {
-  if (!document.hidden) {
+  if (document.hidden) {
+    persistLibrarySnapshot();
+  } else {
     // Small delay to let the browser settle
     setTimeout(() => {
       restoreFocus();
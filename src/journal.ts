@@ -0,0 +1,374 @@
+/**
+ * NuTube Operation Journal
+ *
+ * Bulk operations (deletes, moves, adds) are persisted in chrome.storage.local
+ * and executed by the background service worker instead of the dashboard, so
+ * closing the dashboard halfway through doesn't lose the remaining items:
+ *
+ *   Dashboard ──JOURNAL_ENQUEUE──► Background ──save after every item──► chrome.storage
+ *       ▲                                                                     │
+ *       └───────────────────── storage.onChanged (progress) ◄─────────────────┘
+ *
+ * Every item records its own state, so when the service worker restarts the
+ * executor resumes each job at its first unfinished item. An item that was in
+ * flight when the worker died is sent again.
+ *
+ * Jobs run one at a time in the order they were queued. A paused job holds the
+ * queue until it is resumed or cancelled; cancelling lets in-flight items
+ * finish and marks the rest as cancelled.
+ */
+
+import type { MessageType } from './types';
+import type { RpcResponse } from './messaging';
+
+/** chrome.storage.local key holding the journal (must match dashboard.js) */
+export const JOURNAL_STORAGE_KEY = 'operationJournal';
+
+/** Finished jobs kept for the operations panel */
+export const MAX_FINISHED_JOBS = 20;
+
+/** Jobs at least this large report completion with a notification */
+export const NOTIFY_MIN_ITEMS = 10;
+
+const MAX_CONCURRENCY = 8;
+const MAX_RETRIES = 5;
+
+export type JournalJobStatus = 'queued' | 'running' | 'paused' | 'done' | 'cancelled';
+export type JournalItemState = 'pending' | 'done' | 'failed' | 'cancelled';
+export type JournalAction = 'pause' | 'resume' | 'cancel' | 'retry';
+
+export interface JournalItem {
+  /** Content script operation to run for this item */
+  message: MessageType;
+  /** Shown in progress and failure reports (usually the video title) */
+  title: string;
+  state: JournalItemState;
+  error?: string;
+}
+
+export interface JournalJob {
+  id: string;
+  label: string;
+  status: JournalJobStatus;
+  items: JournalItem[];
+  concurrency: number;
+  retries: number;
+  createdAt: number;
+  updatedAt: number;
+  /** Cancel requested while items were in flight */
+  cancelRequested?: boolean;
+  /** Failed items were already re-queued as a new job */
+  retried?: boolean;
+}
+
+/** What the dashboard sends to queue a job */
+export interface JournalJobRequest {
+  label: string;
+  items: Array<{ message: MessageType; title: string }>;
+  concurrency?: number;
+  retries?: number;
+}
+
+export interface JournalStorage {
+  load(): Promise<JournalJob[]>;
+  save(jobs: JournalJob[]): Promise<void>;
+}
+
+export interface JournalExecutorOptions {
+  storage: JournalStorage;
+  /** Runs one item; should resolve (not reject) with the content script response */
+  send: (message: MessageType) => Promise<RpcResponse>;
+  /** Called once per job when it ends as done or cancelled */
+  onJobFinished?: (job: JournalJob) => void;
+  /** Called when the executor starts or stops having runnable jobs */
+  onActiveChange?: (active: boolean) => void;
+  /** Backoff before retry `attempt` (0-based) */
+  retryDelayMs?: (attempt: number) => number;
+}
+
+export interface JournalExecutor {
+  enqueue(request: JournalJobRequest): Promise<JournalJob>;
+  /** Returns the affected job (the new job for 'retry'), or null if not applicable */
+  control(jobId: string, action: JournalAction): Promise<JournalJob | null>;
+  clearFinished(): Promise<void>;
+  /** Load the journal and continue any unfinished jobs */
+  resume(): Promise<void>;
+}
+
+export interface JournalJobSummary {
+  done: number;
+  failed: number;
+  cancelled: number;
+  pending: number;
+}
+
+export function isJobActive(job: JournalJob): boolean {
+  return job.status === 'queued' || job.status === 'running' || job.status === 'paused';
+}
+
+function isJobRunnable(job: JournalJob): boolean {
+  return job.status === 'queued' || job.status === 'running';
+}
+
+export function summarizeJournalJob(job: JournalJob): JournalJobSummary {
+  const summary: JournalJobSummary = { done: 0, failed: 0, cancelled: 0, pending: 0 };
+  for (const item of job.items) {
+    summary[item.state] += 1;
+  }
+  return summary;
+}
+
+/** One-line outcome used in notifications */
+export function describeJobOutcome(job: JournalJob): string {
+  const { done, failed, cancelled } = summarizeJournalJob(job);
+  const parts = [`${done}/${job.items.length} done`];
+  if (failed > 0) parts.push(`${failed} failed`);
+  if (cancelled > 0) parts.push(`${cancelled} cancelled`);
+  return `${job.label}: ${parts.join(', ')}`;
+}
+
+function clamp(value: number | undefined, min: number, max: number, fallback: number): number {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return fallback;
+  return Math.max(min, Math.min(max, Math.floor(value)));
+}
+
+export function createJournalJob(request: JournalJobRequest, now = Date.now()): JournalJob {
+  return {
+    id: `job-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    label: request.label,
+    status: 'queued',
+    items: request.items.map(item => ({ message: item.message, title: item.title, state: 'pending' })),
+    concurrency: clamp(request.concurrency, 1, MAX_CONCURRENCY, 4),
+    retries: clamp(request.retries, 0, MAX_RETRIES, 2),
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/** Drop the oldest finished jobs beyond MAX_FINISHED_JOBS (active jobs are kept) */
+export function pruneFinishedJobs(jobs: JournalJob[]): JournalJob[] {
+  let excess = jobs.filter(job => !isJobActive(job)).length - MAX_FINISHED_JOBS;
+  if (excess <= 0) return jobs;
+  return jobs.filter(job => {
+    if (excess > 0 && !isJobActive(job)) {
+      excess -= 1;
+      return false;
+    }
+    return true;
+  });
+}
+
+export function createChromeJournalStorage(area: chrome.storage.StorageArea = chrome.storage.local): JournalStorage {
+  return {
+    async load() {
+      const result = await area.get([JOURNAL_STORAGE_KEY]);
+      const jobs = result[JOURNAL_STORAGE_KEY];
+      return Array.isArray(jobs) ? jobs : [];
+    },
+    async save(jobs) {
+      await area.set({ [JOURNAL_STORAGE_KEY]: jobs });
+    },
+  };
+}
+
+const defaultRetryDelayMs = (attempt: number) => 300 * (2 ** attempt) + Math.floor(Math.random() * 120);
+
+export function createJournalExecutor(options: JournalExecutorOptions): JournalExecutor {
+  const retryDelayMs = options.retryDelayMs ?? defaultRetryDelayMs;
+  let jobs: JournalJob[] = [];
+  let loadPromise: Promise<void> | null = null;
+  let draining = false;
+  let activeJobId: string | null = null;
+  let saveChain: Promise<void> = Promise.resolve();
+  let saveQueued = false;
+
+  function load(): Promise<void> {
+    loadPromise ??= options.storage.load().then(loaded => {
+      jobs = loaded;
+    });
+    return loadPromise;
+  }
+
+  // Saves are chained and coalesced: each one writes the journal as it is when it runs
+  function persist(): Promise<void> {
+    if (saveQueued) return saveChain;
+    saveQueued = true;
+    saveChain = saveChain
+      .then(async () => {
+        saveQueued = false;
+        await options.storage.save(jobs);
+      })
+      .catch(error => console.warn('[NuTube] Failed to save operation journal:', error));
+    return saveChain;
+  }
+
+  function findJob(jobId: string): JournalJob | null {
+    return jobs.find(job => job.id === jobId) || null;
+  }
+
+  // Read through a function so the status checks below aren't narrowed away across awaits
+  const shouldStop = (job: JournalJob) => job.status !== 'running' || !!job.cancelRequested;
+
+  async function runItem(job: JournalJob, item: JournalItem): Promise<void> {
+    for (let attempt = 0; ; attempt += 1) {
+      let response: RpcResponse;
+      try {
+        response = await options.send(item.message);
+      } catch (error: any) {
+        response = { success: false, error: error?.message || String(error) };
+      }
+
+      if (response.success) {
+        item.state = 'done';
+        delete item.error;
+        return;
+      }
+      if (attempt >= job.retries || response.cancelled) {
+        item.state = 'failed';
+        item.error = response.error || 'Unknown error';
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs(attempt)));
+    }
+  }
+
+  function finishJob(job: JournalJob, status: 'done' | 'cancelled') {
+    for (const item of job.items) {
+      if (item.state === 'pending') item.state = 'cancelled';
+    }
+    job.status = status;
+    delete job.cancelRequested;
+    job.updatedAt = Date.now();
+    jobs = pruneFinishedJobs(jobs);
+  }
+
+  async function runJob(job: JournalJob): Promise<void> {
+    activeJobId = job.id;
+    job.status = 'running';
+    job.updatedAt = Date.now();
+    await persist();
+
+    // Loop so a pause + resume while items are still in flight picks up the rest
+    while (!shouldStop(job)) {
+      const pending = job.items.filter(item => item.state === 'pending');
+      if (pending.length === 0) break;
+
+      let cursor = 0;
+      const workers = Array.from({ length: Math.min(job.concurrency, pending.length) }, async () => {
+        while (cursor < pending.length && !shouldStop(job)) {
+          const item = pending[cursor++];
+          await runItem(job, item);
+          job.updatedAt = Date.now();
+          persist();
+        }
+      });
+      await Promise.all(workers);
+    }
+
+    activeJobId = null;
+    if (job.cancelRequested) {
+      finishJob(job, 'cancelled');
+    } else if (job.items.some(item => item.state === 'pending')) {
+      // Paused: stays in the journal until resumed or cancelled
+      await persist();
+      return;
+    } else {
+      finishJob(job, 'done');
+    }
+    await persist();
+    options.onJobFinished?.(job);
+  }
+
+  async function drain(): Promise<void> {
+    await load();
+    if (draining) return;
+    draining = true;
+    try {
+      for (;;) {
+        // A job left 'running' by a previous service worker goes first
+        const job = jobs.find(candidate => candidate.status === 'running' || candidate.status === 'paused')
+          ?? jobs.find(candidate => candidate.status === 'queued');
+        if (!job || job.status === 'paused') break;
+        options.onActiveChange?.(true);
+        await runJob(job);
+      }
+    } finally {
+      draining = false;
+      options.onActiveChange?.(jobs.some(isJobRunnable));
+    }
+  }
+
+  async function enqueue(request: JournalJobRequest): Promise<JournalJob> {
+    await load();
+    const job = createJournalJob(request);
+    jobs.push(job);
+    await persist();
+    drain();
+    return job;
+  }
+
+  async function control(jobId: string, action: JournalAction): Promise<JournalJob | null> {
+    await load();
+    const job = findJob(jobId);
+    if (!job) return null;
+
+    switch (action) {
+      case 'pause':
+        if (job.status !== 'running') return null;
+        job.status = 'paused';
+        break;
+      case 'resume':
+        if (job.status !== 'paused') return null;
+        job.status = 'running';
+        if (activeJobId !== job.id) drain();
+        break;
+      case 'cancel':
+        if (!isJobActive(job) || job.cancelRequested) return null;
+        if (activeJobId === job.id) {
+          // runJob() finishes it once in-flight items settle
+          job.cancelRequested = true;
+        } else {
+          finishJob(job, 'cancelled');
+          await persist();
+          options.onJobFinished?.(job);
+          drain();
+          return job;
+        }
+        break;
+      case 'retry': {
+        const failed = job.items.filter(item => item.state === 'failed');
+        if (isJobActive(job) || job.retried || failed.length === 0) return null;
+        job.retried = true;
+        const retryJob = createJournalJob({
+          label: `Retry: ${job.label} (${failed.length} failed)`,
+          items: failed.map(item => ({ message: item.message, title: item.title })),
+          concurrency: job.concurrency,
+          retries: job.retries,
+        });
+        jobs.push(retryJob);
+        await persist();
+        drain();
+        return retryJob;
+      }
+      default:
+        return null;
+    }
+
+    job.updatedAt = Date.now();
+    await persist();
+    return job;
+  }
+
+  async function clearFinished(): Promise<void> {
+    await load();
+    jobs = jobs.filter(isJobActive);
+    await persist();
+  }
+
+  return {
+    enqueue,
+    control,
+    clearFinished,
+    resume: drain,
+  };
+}
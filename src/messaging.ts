@@ -0,0 +1,300 @@
+/**
+ * NuTube Port Messaging
+ *
+ * Long-lived chrome.runtime.Port channel used between the dashboard, the
+ * background worker and the content script. Every request travels in an
+ * envelope carrying a request ID so several requests can share one port:
+ *
+ *   client → server: request | cancel | heartbeat
+ *   server → client: progress | response | heartbeat
+ *
+ * The request payload is always a MessageType from types.ts; this module only
+ * adds the transport around it.
+ *
+ * - createRpcChannel(): client side (background → content script). The
+ *   dashboard is plain JS and mirrors it in rpcRequest() in dashboard.js.
+ * - serveRpcPort(): server side (content script, and the background worker
+ *   for dashboard ports).
+ *
+ * HEARTBEATS:
+ * While requests are pending the client posts a heartbeat every
+ * HEARTBEAT_INTERVAL_MS and the server echoes it. If nothing arrives from the
+ * server for HEARTBEAT_TIMEOUT_MS the client gives up on the port and fails
+ * its pending requests. The traffic also keeps the MV3 service worker alive
+ * during long operations; idle ports stay quiet so the worker can sleep.
+ */
+
+import type { MessageType } from './types';
+import type { Video } from './parsers';
+
+/** Port name shared by dashboard ↔ background and background ↔ content ports */
+export const RPC_PORT_NAME = 'nutube-rpc';
+
+/** How often clients send heartbeats (ms) */
+export const HEARTBEAT_INTERVAL_MS = 15000;
+
+/** Silence after which a port is considered dead (ms) */
+export const HEARTBEAT_TIMEOUT_MS = 45000;
+
+/** One page of a playlist load (GET_WATCH_LATER / GET_PLAYLIST_VIDEOS) */
+export interface PlaylistPageProgress {
+  kind: 'page';
+  videos: Video[];
+  pagesLoaded: number;
+  loadedCount: number;
+  /** Playlist size reported by YouTube's header, null when unavailable */
+  estimatedTotal: number | null;
+}
+
+export type RpcProgress = PlaylistPageProgress;
+
+/** Response shape shared by every content script operation */
+export interface RpcResponse {
+  success: boolean;
+  data?: unknown;
+  error?: string;
+  /** Set when the request ended because it was cancelled */
+  cancelled?: boolean;
+  [key: string]: unknown;
+}
+
+export type RpcClientMessage =
+  | { kind: 'request'; requestId: string; message: MessageType }
+  | { kind: 'cancel'; requestId: string }
+  | { kind: 'heartbeat'; sentAt: number };
+
+export type RpcServerMessage =
+  | { kind: 'progress'; requestId: string; progress: RpcProgress }
+  | { kind: 'response'; requestId: string; response: RpcResponse }
+  | { kind: 'heartbeat'; sentAt: number };
+
+/** The subset of chrome.runtime.Port used here (kept small for tests) */
+export interface RpcPort {
+  postMessage(message: unknown): void;
+  disconnect(): void;
+  onMessage: { addListener(callback: (message: any) => void): void };
+  onDisconnect: { addListener(callback: () => void): void };
+}
+
+export interface RpcRequestOptions {
+  onProgress?: (progress: RpcProgress) => void;
+  signal?: AbortSignal;
+}
+
+export interface RpcHandlerContext {
+  /** Aborted when the client cancels the request or disconnects */
+  signal: AbortSignal;
+  reportProgress: (progress: RpcProgress) => void;
+}
+
+export type RpcHandler = (message: MessageType, context: RpcHandlerContext) => Promise<RpcResponse>;
+
+export interface RpcChannel {
+  request(message: MessageType, options?: RpcRequestOptions): Promise<RpcResponse>;
+  /** Fail every pending request and disconnect the port */
+  close(reason?: string): void;
+  readonly closed: boolean;
+}
+
+interface RpcChannelOptions {
+  heartbeatIntervalMs?: number;
+  heartbeatTimeoutMs?: number;
+  /** Called once when the channel closes for any reason */
+  onClose?: (reason: string) => void;
+}
+
+interface PendingRequest {
+  resolve: (response: RpcResponse) => void;
+  onProgress?: (progress: RpcProgress) => void;
+  cleanup: () => void;
+}
+
+let requestCounter = 0;
+const requestIdPrefix = Math.random().toString(36).slice(2, 8);
+
+/** Create a request ID unique within this extension context */
+export function createRequestId(): string {
+  requestCounter += 1;
+  return `${requestIdPrefix}-${requestCounter}`;
+}
+
+export function isRpcClientMessage(value: unknown): value is RpcClientMessage {
+  if (!value || typeof value !== 'object') return false;
+  const envelope = value as { kind?: unknown; requestId?: unknown; message?: unknown };
+  switch (envelope.kind) {
+    case 'request':
+      return typeof envelope.requestId === 'string' && !!envelope.message && typeof envelope.message === 'object';
+    case 'cancel':
+      return typeof envelope.requestId === 'string';
+    case 'heartbeat':
+      return true;
+    default:
+      return false;
+  }
+}
+
+export function isRpcServerMessage(value: unknown): value is RpcServerMessage {
+  if (!value || typeof value !== 'object') return false;
+  const envelope = value as { kind?: unknown; requestId?: unknown };
+  if (envelope.kind === 'heartbeat') return true;
+  return (envelope.kind === 'progress' || envelope.kind === 'response') && typeof envelope.requestId === 'string';
+}
+
+/**
+ * Client side of a port: multiplexes requests, routes progress and responses
+ * by request ID, and watches heartbeats.
+ *
+ * Requests never reject; transport failures resolve to { success: false }.
+ */
+export function createRpcChannel(port: RpcPort, options: RpcChannelOptions = {}): RpcChannel {
+  const heartbeatIntervalMs = options.heartbeatIntervalMs ?? HEARTBEAT_INTERVAL_MS;
+  const heartbeatTimeoutMs = options.heartbeatTimeoutMs ?? HEARTBEAT_TIMEOUT_MS;
+  const pending = new Map<string, PendingRequest>();
+  let closed = false;
+  let lastSeenAt = Date.now();
+
+  const post = (message: RpcClientMessage) => {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      close(`Port closed: ${String(error)}`);
+    }
+  };
+
+  const heartbeatTimer = setInterval(() => {
+    if (pending.size === 0) return;
+    if (Date.now() - lastSeenAt > heartbeatTimeoutMs) {
+      close('Connection timed out (no heartbeat)');
+      return;
+    }
+    post({ kind: 'heartbeat', sentAt: Date.now() });
+  }, heartbeatIntervalMs);
+
+  function settle(requestId: string, response: RpcResponse) {
+    const entry = pending.get(requestId);
+    if (!entry) return;
+    pending.delete(requestId);
+    entry.cleanup();
+    entry.resolve(response);
+  }
+
+  function close(reason = 'Connection closed') {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeatTimer);
+    for (const requestId of [...pending.keys()]) {
+      settle(requestId, { success: false, error: reason });
+    }
+    try {
+      port.disconnect();
+    } catch {
+      // Already disconnected
+    }
+    options.onClose?.(reason);
+  }
+
+  port.onMessage.addListener((message: unknown) => {
+    if (!isRpcServerMessage(message)) return;
+    lastSeenAt = Date.now();
+    if (message.kind === 'progress') {
+      pending.get(message.requestId)?.onProgress?.(message.progress);
+    } else if (message.kind === 'response') {
+      settle(message.requestId, message.response);
+    }
+  });
+  port.onDisconnect.addListener(() => close('Connection closed'));
+
+  function request(message: MessageType, requestOptions: RpcRequestOptions = {}): Promise<RpcResponse> {
+    const { onProgress, signal } = requestOptions;
+    if (closed) return Promise.resolve({ success: false, error: 'Connection closed' });
+    if (signal?.aborted) return Promise.resolve({ success: false, error: 'Cancelled', cancelled: true });
+
+    const requestId = createRequestId();
+    // Idle ports send no heartbeats, so silence before this request doesn't count
+    if (pending.size === 0) lastSeenAt = Date.now();
+    return new Promise<RpcResponse>((resolve) => {
+      const onAbort = () => {
+        post({ kind: 'cancel', requestId });
+        settle(requestId, { success: false, error: 'Cancelled', cancelled: true });
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      pending.set(requestId, {
+        resolve,
+        onProgress,
+        cleanup: () => signal?.removeEventListener('abort', onAbort),
+      });
+      post({ kind: 'request', requestId, message });
+    });
+  }
+
+  return {
+    request,
+    close,
+    get closed() {
+      return closed;
+    },
+  };
+}
+
+/**
+ * Server side of a port: runs each request through the handler, forwards its
+ * progress, answers heartbeats and aborts in-flight work on cancel/disconnect.
+ */
+export function serveRpcPort(port: RpcPort, handler: RpcHandler): void {
+  const inFlight = new Map<string, AbortController>();
+  let disconnected = false;
+
+  const post = (message: RpcServerMessage) => {
+    if (disconnected) return;
+    try {
+      port.postMessage(message);
+    } catch {
+      disconnected = true;
+    }
+  };
+
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    for (const controller of inFlight.values()) controller.abort();
+    inFlight.clear();
+  });
+
+  port.onMessage.addListener(async (envelope: unknown) => {
+    if (!isRpcClientMessage(envelope)) return;
+
+    if (envelope.kind === 'heartbeat') {
+      post({ kind: 'heartbeat', sentAt: envelope.sentAt });
+      return;
+    }
+
+    if (envelope.kind === 'cancel') {
+      const controller = inFlight.get(envelope.requestId);
+      if (!controller) return;
+      inFlight.delete(envelope.requestId);
+      controller.abort();
+      post({ kind: 'response', requestId: envelope.requestId, response: { success: false, error: 'Cancelled', cancelled: true } });
+      return;
+    }
+
+    const { requestId, message } = envelope;
+    const controller = new AbortController();
+    inFlight.set(requestId, controller);
+
+    let response: RpcResponse;
+    try {
+      response = await handler(message, {
+        signal: controller.signal,
+        reportProgress: (progress) => {
+          if (!controller.signal.aborted) post({ kind: 'progress', requestId, progress });
+        },
+      });
+    } catch (error: any) {
+      response = { success: false, error: error?.message || String(error) };
+    }
+
+    // A cancelled request has already been answered
+    if (inFlight.get(requestId) !== controller) return;
+    inFlight.delete(requestId);
+    post({ kind: 'response', requestId, response });
+  });
+}
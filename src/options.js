@@ -1,3 +1,6 @@
+/** Smart sort terms with a weight on this page (see RANKING_TERMS in dashboard.js) */
+const RANKING_TERM_IDS = ['recency', 'duration', 'progress', 'affinity', 'tags'];
+
 const DEFAULT_SETTINGS = {
   defaultTab: 'watchlater',
   operationConcurrency: 4,
@@ -8,6 +11,24 @@ const DEFAULT_SETTINGS = {
     move: 'm',
     refresh: 'r',
   },
+  // One "<condition> -> <playlist>" per line, see parseAutoSortRules() in dashboard.js
+  autoSortRules: '',
+  // Scheduled Watch Later cleanup run by the background worker (see autoclean.ts)
+  autoCleanEnabled: false,
+  autoCleanIntervalHours: 24,
+  autoCleanWatched: true,
+  autoCleanOlderThanDays: 0,
+  // Smart sort (I): weight of each term in explainVideoScore() (dashboard.js) and the preferred length
+  rankingWeights: {
+    recency: 0.55,
+    duration: 0.35,
+    progress: 0.7,
+    affinity: 0,
+    tags: 0,
+  },
+  rankingPreferredMinutes: 12,
+  // Comma-separated; empty means any tagged video gets the tags term
+  rankingBoostTags: '',
 };
 
 function clamp(value, min, max) {
@@ -39,12 +60,34 @@ function readForm() {
     }
   }
 
+  const autoSortRules = document.getElementById('auto-sort-rules').value.trim();
+  const autoCleanEnabled = document.getElementById('auto-clean-enabled').checked;
+  const autoCleanIntervalHours = clamp(parseInt(document.getElementById('auto-clean-interval').value || '24', 10), 1, 168);
+  const autoCleanWatched = document.getElementById('auto-clean-watched').checked;
+  const autoCleanOlderThanDays = clamp(parseInt(document.getElementById('auto-clean-older-than').value || '0', 10), 0, 3650);
+
+  const rankingWeights = {};
+  for (const id of RANKING_TERM_IDS) {
+    const value = parseFloat(document.getElementById(`ranking-weight-${id}`).value);
+    rankingWeights[id] = Number.isNaN(value) ? DEFAULT_SETTINGS.rankingWeights[id] : clamp(value, 0, 5);
+  }
+  const rankingPreferredMinutes = clamp(parseInt(document.getElementById('ranking-preferred-minutes').value || '12', 10), 1, 240);
+  const rankingBoostTags = document.getElementById('ranking-boost-tags').value.trim();
+
   return {
     defaultTab,
     operationConcurrency,
     operationRetries,
     fuzzyThreshold,
     keymap,
+    autoSortRules,
+    autoCleanEnabled,
+    autoCleanIntervalHours,
+    autoCleanWatched,
+    autoCleanOlderThanDays,
+    rankingWeights,
+    rankingPreferredMinutes,
+    rankingBoostTags,
   };
 }
 
@@ -54,10 +97,37 @@ function applyForm(settings) {
   document.getElementById('operation-retries').value = String(settings.operationRetries);
   document.getElementById('fuzzy-threshold').value = String(settings.fuzzyThreshold);
   document.getElementById('keymap-json').value = JSON.stringify(settings.keymap);
+  document.getElementById('auto-sort-rules').value = settings.autoSortRules;
+  document.getElementById('auto-clean-enabled').checked = settings.autoCleanEnabled;
+  document.getElementById('auto-clean-interval').value = String(settings.autoCleanIntervalHours);
+  document.getElementById('auto-clean-watched').checked = settings.autoCleanWatched;
+  document.getElementById('auto-clean-older-than').value = String(settings.autoCleanOlderThanDays);
+  for (const id of RANKING_TERM_IDS) {
+    document.getElementById(`ranking-weight-${id}`).value = String(settings.rankingWeights[id]);
+  }
+  document.getElementById('ranking-preferred-minutes').value = String(settings.rankingPreferredMinutes);
+  document.getElementById('ranking-boost-tags').value = settings.rankingBoostTags;
+}
+
+function renderAutoCleanStatus(status) {
+  const el = document.getElementById('auto-clean-status');
+  if (!el) return;
+  if (!status) {
+    el.textContent = 'Has not run yet.';
+    return;
+  }
+  const when = new Date(status.at).toLocaleString();
+  if (status.error) {
+    el.textContent = `Last run ${when}: ${status.error}`;
+  } else {
+    const failed = status.failed > 0 ? `, ${status.failed} failed` : '';
+    el.textContent = `Last run ${when}: removed ${status.removed} video(s)${failed}. Review or undo them from the dashboard history (U).`;
+  }
 }
 
 async function loadSettings() {
-  const result = await chrome.storage.local.get(['nutubeSettings']);
+  const result = await chrome.storage.local.get(['nutubeSettings', 'autoCleanStatus']);
+  renderAutoCleanStatus(result.autoCleanStatus);
   const settings = {
     ...DEFAULT_SETTINGS,
     ...(result.nutubeSettings || {}),
@@ -65,6 +135,10 @@ async function loadSettings() {
       ...DEFAULT_SETTINGS.keymap,
       ...(result.nutubeSettings?.keymap || {}),
     },
+    rankingWeights: {
+      ...DEFAULT_SETTINGS.rankingWeights,
+      ...(result.nutubeSettings?.rankingWeights || {}),
+    },
   };
   applyForm(settings);
 }
@@ -85,6 +159,10 @@ async function resetDefaults() {
   setStatus('Defaults restored.');
 }
 
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.autoCleanStatus) renderAutoCleanStatus(changes.autoCleanStatus.newValue);
+});
+
 document.getElementById('save')?.addEventListener('click', saveSettings);
 document.getElementById('reset')?.addEventListener('click', resetDefaults);
 
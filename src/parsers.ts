@@ -1,3 +1,9 @@
+/**
+ * Why a playlist entry can't be played: removed, made private by its
+ * uploader, or otherwise unplayable (e.g. blocked in this region).
+ */
+export type UnavailableReason = 'deleted' | 'private' | 'unplayable';
+
 export interface Video {
   id: string;
   title: string;
@@ -5,10 +11,43 @@ export interface Video {
   channelId: string;
   thumbnail: string;
   duration: string;
+  /** YouTube's relative text as shown, e.g. "3 weeks ago" */
   publishedAt: string;
+  /**
+   * Publish time (ms since epoch): exact where the renderer carries one
+   * (scheduled streams and premieres), otherwise estimated from publishedAt
+   * at parse time. See parsePublishedTimestamp().
+   */
+  publishedTimestamp?: number;
   setVideoId?: string;
   watched?: boolean;
   progressPercent?: number;
+  /** Set for entries that can no longer be watched */
+  unavailable?: UnavailableReason;
+}
+
+// Placeholder titles YouTube shows for removed entries (English UI)
+const UNAVAILABLE_TITLES: Record<string, UnavailableReason> = {
+  '[deleted video]': 'deleted',
+  '[private video]': 'private',
+};
+
+/** Recognize deleted/private entries by their placeholder title, or any entry YouTube marks unplayable */
+export function detectUnavailableReason(renderer: any, title: string): UnavailableReason | undefined {
+  const byTitle = UNAVAILABLE_TITLES[title.trim().toLowerCase()];
+  if (byTitle) return byTitle;
+  if (renderer?.isPlayable === false) return 'unplayable';
+  return undefined;
+}
+
+/**
+ * A renderer's publish time: the exact start of an upcoming stream or
+ * premiere when given, else the relative text resolved against `now`.
+ */
+export function parsePublishedTimestamp(renderer: any, publishedAt: string, now = Date.now()): number | undefined {
+  const startTime = Number(renderer?.upcomingEventData?.startTime);
+  if (Number.isFinite(startTime) && startTime > 0) return startTime * 1000;
+  return parseRelativeTime(publishedAt, now);
 }
 
 export function parseVideoItem(item: any): Video | null {
@@ -19,15 +58,23 @@ export function parseVideoItem(item: any): Video | null {
   const videoId = renderer.videoId;
   if (!videoId) return null;
 
+  const title = renderer.title?.runs?.[0]?.text || renderer.title?.simpleText || '';
+  const unavailable = detectUnavailableReason(renderer, title);
+  const publishedAt = renderer.publishedTimeText?.simpleText || '';
+  const publishedTimestamp = parsePublishedTimestamp(renderer, publishedAt);
+
   return {
     id: videoId,
-    title: renderer.title?.runs?.[0]?.text || renderer.title?.simpleText || 'Unknown',
-    channel: renderer.shortBylineText?.runs?.[0]?.text || 'Unknown',
+    title: title || 'Unknown',
+    // Unavailable entries have no byline; the dashboard shows the reason instead
+    channel: renderer.shortBylineText?.runs?.[0]?.text || (unavailable ? '' : 'Unknown'),
     channelId: renderer.shortBylineText?.runs?.[0]?.navigationEndpoint?.browseEndpoint?.browseId || '',
     thumbnail: renderer.thumbnail?.thumbnails?.[0]?.url || `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg`,
-    duration: renderer.lengthText?.simpleText || renderer.lengthText?.runs?.[0]?.text || '',
-    publishedAt: renderer.publishedTimeText?.simpleText || '',
+    duration: normalizeDurationText(renderer.lengthText?.simpleText || renderer.lengthText?.runs?.[0]?.text),
+    publishedAt,
+    ...(publishedTimestamp !== undefined ? { publishedTimestamp } : {}),
     setVideoId: renderer.setVideoId,
+    ...(unavailable ? { unavailable } : {}),
   };
 }
 
@@ -44,6 +91,9 @@ export function parseSubscriptionVideoItem(item: any): Video | null {
   const videoId = videoRenderer.videoId;
   if (!videoId) return null;
 
+  const publishedAt = videoRenderer.publishedTimeText?.simpleText || videoRenderer.publishedTimeText?.runs?.[0]?.text || '';
+  const publishedTimestamp = parsePublishedTimestamp(videoRenderer, publishedAt);
+
   return {
     id: videoId,
     title: videoRenderer.title?.runs?.[0]?.text || videoRenderer.title?.simpleText || 'Unknown',
@@ -54,8 +104,9 @@ export function parseSubscriptionVideoItem(item: any): Video | null {
                videoRenderer.shortBylineText?.runs?.[0]?.navigationEndpoint?.browseEndpoint?.browseId ||
                videoRenderer.longBylineText?.runs?.[0]?.navigationEndpoint?.browseEndpoint?.browseId || '',
     thumbnail: videoRenderer.thumbnail?.thumbnails?.[0]?.url || `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg`,
-    duration: videoRenderer.lengthText?.simpleText || videoRenderer.lengthText?.runs?.[0]?.text || '',
-    publishedAt: videoRenderer.publishedTimeText?.simpleText || videoRenderer.publishedTimeText?.runs?.[0]?.text || '',
+    duration: normalizeDurationText(videoRenderer.lengthText?.simpleText || videoRenderer.lengthText?.runs?.[0]?.text),
+    publishedAt,
+    ...(publishedTimestamp !== undefined ? { publishedTimestamp } : {}),
   };
 }
 
@@ -67,8 +118,8 @@ export function extractDurationAndProgress(lockup: any): { duration: string; pro
   for (const overlay of overlays) {
     const badges1 = overlay.thumbnailOverlayBadgeViewModel?.thumbnailBadges || [];
     for (const badge of badges1) {
-      const text = badge.thumbnailBadgeViewModel?.text;
-      if (text && /^\d+:\d+/.test(text)) {
+      const text = normalizeDurationText(badge.thumbnailBadgeViewModel?.text);
+      if (/^\d+:\d+/.test(text)) {
         result.duration = text;
       }
     }
@@ -76,18 +127,16 @@ export function extractDurationAndProgress(lockup: any): { duration: string; pro
     const bottomOverlay = overlay.thumbnailBottomOverlayViewModel;
     if (bottomOverlay) {
       const progressBar = bottomOverlay.progressBar?.thumbnailOverlayProgressBarViewModel;
-      if (progressBar?.valueRangeText) {
-        const match = progressBar.valueRangeText.match(/(\d+)%/);
-        if (match) {
-          result.progressPercent = parseInt(match[1], 10);
-          result.watched = result.progressPercent >= 90;
-        }
+      const percent = parsePercentText(progressBar?.valueRangeText);
+      if (percent !== undefined) {
+        result.progressPercent = percent;
+        result.watched = percent >= 90;
       }
 
       const badges2 = bottomOverlay.badges || [];
       for (const badge of badges2) {
-        const text = badge.thumbnailBadgeViewModel?.text;
-        if (text && /^\d+:\d+/.test(text)) {
+        const text = normalizeDurationText(badge.thumbnailBadgeViewModel?.text);
+        if (/^\d+:\d+/.test(text)) {
           result.duration = text;
         }
       }
@@ -127,13 +176,14 @@ export function parseLockupViewModel(lockup: any): Video | null {
       } else if (channel === 'Unknown' && text) {
         channel = text;
       }
-      if (text.toLowerCase().includes('ago')) {
+      if (isRelativeTimeText(text)) {
         publishedAt = text;
       }
     }
   }
 
   const { duration, progressPercent, watched } = extractDurationAndProgress(lockup);
+  const publishedTimestamp = parseRelativeTime(publishedAt);
 
   return {
     id: videoId,
@@ -143,38 +193,302 @@ export function parseLockupViewModel(lockup: any): Video | null {
     thumbnail: `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg`,
     duration,
     publishedAt,
+    ...(publishedTimestamp !== undefined ? { publishedTimestamp } : {}),
     watched,
     progressPercent,
   };
 }
 
-export function parseRelativeTime(text: string): number | undefined {
-  if (!text) return undefined;
+// ============================================================================
+// Localized text
+//
+// InnerTube answers in the account's language (the hl sent by content.ts), so
+// relative times, percentages and counts are matched against the formats of
+// the major YouTube locales rather than English only.
+// ============================================================================
+
+type TimeUnit = 'second' | 'minute' | 'hour' | 'day' | 'week' | 'month' | 'year';
+
+/**
+ * Beginnings of the unit words that follow the number, by unit. Covers en, de,
+ * fr, es, pt, it, nl, pl, ru, tr, ja, ko, zh, id, vi and hi.
+ */
+const RELATIVE_TIME_UNITS: Record<TimeUnit, string[]> = {
+  second: ['second', 'segundo', 'sekund', 'секунд', 'saniye', '秒', '초', 'detik', 'giây', 'सेकंड'],
+  minute: ['minut', 'minuu', 'минут', 'dakika', '分', '분', 'menit', 'phút', 'मिनट'],
+  hour: ['hour', 'stunde', 'heure', 'hora', 'ora', 'ore', 'uur', 'godzin', 'час', 'saat', '時間', '시간', '小时', '小時', 'jam', 'giờ', 'घंट'],
+  day: ['day', 'tag', 'jour', 'día', 'dia', 'giorn', 'dag', 'dzień', 'dni', 'дн', 'день', 'gün', '日', '일', '天', 'hari', 'ngày', 'दिन'],
+  week: ['week', 'weken', 'woche', 'semaine', 'semana', 'settiman', 'tydzień', 'tygodni', 'недел', 'hafta', '週', '周', '주', 'minggu', 'tuần', 'सप्ताह', 'हफ़्त'],
+  month: ['month', 'monat', 'mois', 'mes', 'mês', 'maand', 'miesi', 'месяц', 'ay', 'か月', 'ヶ月', 'カ月', '个月', '個月', '개월', 'bulan', 'tháng', 'महीन'],
+  year: ['year', 'jahr', 'an', 'añ', 'jaar', 'rok', 'lat', 'год', 'лет', 'yıl', '年', '년', 'tahun', 'năm', 'साल', 'वर्ष'],
+};
 
-  const now = Date.now();
-  const lowerText = text.toLowerCase();
+const RELATIVE_TIME_UNIT_PREFIXES: Array<[string, TimeUnit]> = Object.entries(RELATIVE_TIME_UNITS)
+  .flatMap(([unit, prefixes]) => prefixes.map(prefix => [prefix.normalize('NFKC'), unit as TimeUnit] as [string, TimeUnit]));
+
+/** "ago" in the same locales; the CJK ones attach to the unit ("3日前", "3일 전") */
+const RELATIVE_TIME_MARKER = /(?<!\p{L})(?:ago|vor|il y a|hace|há|fa|geleden|temu|назад|önce|lalu|trước|पहले)(?![\p{L}\p{M}])|前|전/u;
+
+/** Native digit ranges (Arabic-Indic, Persian, Devanagari) mapped to ASCII by normalizeLocaleText() */
+const NATIVE_DIGIT_ZEROS = [0x0660, 0x06f0, 0x0966];
+
+/**
+ * Lowercase, fold full-width and native digits to ASCII, and drop the bidi
+ * marks some locales put around numbers. NFKC also turns the (narrow)
+ * no-break spaces used as separators, e.g. "50\u00a0%", into plain spaces.
+ */
+export function normalizeLocaleText(text: string): string {
+  return text
+    .normalize('NFKC')
+    .replace(/[\u0660-\u0669\u06f0-\u06f9\u0966-\u096f]/g, digit => {
+      const code = digit.charCodeAt(0);
+      const zero = NATIVE_DIGIT_ZEROS.find(start => code >= start && code <= start + 9)!;
+      return String(code - zero);
+    })
+    .replace(/[\u200e\u200f\u061c]/g, '')
+    .toLowerCase();
+}
 
-  const match = lowerText.match(/(\d+)\s*(second|minute|hour|day|week|month|year)s?\s*ago/);
-  if (!match) {
-    const altMatch = lowerText.match(/(?:streamed|uploaded)\s*(\d+)\s*(second|minute|hour|day|week|month|year)s?\s*ago/);
-    if (!altMatch) return undefined;
-    const [, num, unit] = altMatch;
-    return computeTimestamp(now, parseInt(num, 10), unit);
+function matchRelativeTime(text: string): { amount: number; unit: TimeUnit } | null {
+  if (!text) return null;
+  const normalized = normalizeLocaleText(text);
+  if (!RELATIVE_TIME_MARKER.test(normalized)) return null;
+
+  for (const match of normalized.matchAll(/(\d+)\s*([\p{L}\p{M}]+)/gu)) {
+    const word = match[2];
+    const prefix = RELATIVE_TIME_UNIT_PREFIXES.find(([start]) => word.startsWith(start));
+    if (prefix) return { amount: parseInt(match[1], 10), unit: prefix[1] };
   }
+  return null;
+}
 
-  const [, num, unit] = match;
-  return computeTimestamp(now, parseInt(num, 10), unit);
+/** Whether the text is a relative time such as "3 weeks ago", "vor 3 Wochen" or "3 週間前" */
+export function isRelativeTimeText(text: string): boolean {
+  return matchRelativeTime(text) !== null;
+}
+
+/**
+ * Resolve relative text like "3 weeks ago" (or its translation, including
+ * "Streamed ..." variants) against `now`. YouTube rounds these down to one
+ * unit, so the result is only as precise as the unit.
+ */
+export function parseRelativeTime(text: string, now = Date.now()): number | undefined {
+  const match = matchRelativeTime(text);
+  return match ? computeTimestamp(now, match.amount, match.unit) : undefined;
+}
+
+/**
+ * Compact-number suffixes by locale, lowercased without their trailing dot
+ * ("1,2 Mio." is 1.2 million). A locale's own suffixes win over English ones
+ * (Turkish "B" is thousands, not billions).
+ */
+const COUNT_MULTIPLIERS: Record<string, Record<string, number>> = {
+  en: { k: 1e3, m: 1e6, b: 1e9 },
+  de: { tsd: 1e3, mio: 1e6, mrd: 1e9 },
+  fr: { k: 1e3, m: 1e6, md: 1e9 },
+  es: { k: 1e3, mil: 1e3, m: 1e6 },
+  pt: { mil: 1e3, mi: 1e6, bi: 1e9 },
+  it: { k: 1e3, mln: 1e6, mld: 1e9 },
+  nl: { k: 1e3, mln: 1e6, mld: 1e9 },
+  pl: { tys: 1e3, mln: 1e6, mld: 1e9 },
+  ru: { тыс: 1e3, млн: 1e6, млрд: 1e9 },
+  tr: { b: 1e3, mn: 1e6, mr: 1e9 },
+  ja: { 千: 1e3, 万: 1e4, 億: 1e8 },
+  ko: { 천: 1e3, 만: 1e4, 억: 1e8 },
+  zh: { 千: 1e3, 万: 1e4, 萬: 1e4, 亿: 1e8, 億: 1e8 },
+  id: { rb: 1e3, jt: 1e6, m: 1e9 },
+  vi: { n: 1e3, tr: 1e6, t: 1e9 },
+  hi: { हज़ार: 1e3, लाख: 1e5, करोड़: 1e7 },
+};
+
+/** CJK suffixes run straight into the next word ("1.2万回視聴") */
+const ATTACHED_SUFFIX = /^[\p{Script=Han}\p{Script=Hangul}]/u;
+
+function getCountMultiplier(word: string, hl: string): number | undefined {
+  if (!word) return undefined;
+  const suffixes = { ...COUNT_MULTIPLIERS.en, ...COUNT_MULTIPLIERS[hl.toLowerCase().split('-')[0]] };
+  for (const [suffix, multiplier] of Object.entries(suffixes)) {
+    const normalized = suffix.normalize('NFKC');
+    if (word === normalized || (ATTACHED_SUFFIX.test(normalized) && word.startsWith(normalized))) return multiplier;
+  }
+  return undefined;
+}
+
+/**
+ * Read the first count in localized text: grouped ("1,234", "1.234",
+ * "1 234") or compact ("1.2M", "1,2 Mio.", "1.2万") numbers.
+ * @param hl - Interface language the text is in (see getLocaleParts() in content.ts)
+ */
+export function parseCountText(text: string, hl = 'en'): number | undefined {
+  if (!text) return undefined;
+  const match = normalizeLocaleText(text).match(/(\d[\d.,'’ ]*)\s*([\p{L}\p{M}]*)/u);
+  if (!match) return undefined;
+
+  const digits = match[1].trim().replace(/[ '’]/g, '');
+  const multiplier = getCountMultiplier(match[2], hl);
+  if (multiplier === undefined) {
+    // Without a suffix every separator groups thousands
+    const value = Number(digits.replace(/[.,]/g, ''));
+    return Number.isFinite(value) ? value : undefined;
+  }
+  const value = parseFloat(digits.replace(',', '.'));
+  return Number.isFinite(value) ? Math.round(value * multiplier) : undefined;
+}
+
+/** A percentage such as "50%", "50 %" (fr, de) or "%50" (tr), rounded */
+export function parsePercentText(text: string): number | undefined {
+  if (!text) return undefined;
+  const match = normalizeLocaleText(text).match(/(\d+(?:[.,]\d+)?)\s*%|%\s*(\d+(?:[.,]\d+)?)/);
+  if (!match) return undefined;
+  return Math.round(parseFloat((match[1] ?? match[2]).replace(',', '.')));
 }
 
+/** "3:33" / "1:02:03" with native or full-width digits folded to ASCII; other text is returned as is */
+export function normalizeDurationText(text: string): string {
+  const normalized = normalizeLocaleText(text || '').trim();
+  return /^\d+(?::\d{2})+$/.test(normalized) ? normalized : text || '';
+}
+
+const VIDEO_COUNT_WORD = '(?:vid[eé]o|vídeo|видео|動画|동영상|视频|視頻|影片|film|वीडियो)';
+
+// The count starts the text or follows a separator ("Playlist • 42 videos"), so
+// numbers in titles such as "My 2023 videos" don't count
+const COUNT_BEFORE_WORD = new RegExp(`(?:^|[•·,:;(|]\\s*)(\\d[\\d.,'’ ]*?)\\s*(?:[本个個部]\\s*の?\\s*)?${VIDEO_COUNT_WORD}`, 'u');
+// Japanese and Korean can put the word first: "동영상 42개"
+const COUNT_AFTER_WORD = new RegExp(`${VIDEO_COUNT_WORD}\\s*:?\\s*(\\d(?:[\\d.,'’ ]*\\d)?)\\s*[개本]?\\s*(?:$|[•·,;)|])`, 'u');
+
+/** The count in text like "42 videos", "42 Videos", "42 本の動画" or "동영상 42개" */
+export function parseVideoCountText(text: string, hl = 'en'): number | undefined {
+  if (!text) return undefined;
+  const normalized = normalizeLocaleText(text).trim();
+  const match = normalized.match(COUNT_BEFORE_WORD)
+    ?? (hl === 'ja' || hl === 'ko' ? normalized.match(COUNT_AFTER_WORD) : null);
+  return match ? parseCountText(match[1], hl) : undefined;
+}
+
+const SUBSCRIBER_COUNT_WORD = /subscriber|abonnent|abonné|suscriptor|inscrit|iscritt|abonnee|subskryb|подписчик|abone|登録者|구독자|订阅者|訂閱者|pelanggan|người đăng ký|सब्सक्राइबर/u;
+
+/** Whether the text is a subscriber count such as "1.2M subscribers" or "1,2 Mio. Abonnenten" */
+export function isSubscriberCountText(text: string): boolean {
+  return !!text && SUBSCRIBER_COUNT_WORD.test(normalizeLocaleText(text));
+}
+
+/** Step back `num` units from `now`; months and years follow the calendar */
 export function computeTimestamp(now: number, num: number, unit: string): number {
+  if (unit === 'month' || unit === 'year') {
+    const date = new Date(now);
+    const months = unit === 'year' ? num * 12 : num;
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() - months);
+    // Clamp to the target month's length (Mar 31 minus a month is Feb 28/29)
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, daysInMonth));
+    return date.getTime();
+  }
   const msPerUnit: Record<string, number> = {
     second: 1000,
     minute: 60 * 1000,
     hour: 60 * 60 * 1000,
     day: 24 * 60 * 60 * 1000,
     week: 7 * 24 * 60 * 60 * 1000,
-    month: 30 * 24 * 60 * 60 * 1000,
-    year: 365 * 24 * 60 * 60 * 1000,
   };
   return now - num * (msPerUnit[unit] || 0);
 }
+
+/** Broadcast state from the player response; absent for ordinary uploads */
+export type LiveStatus = 'live' | 'upcoming' | 'premiere' | 'replay';
+
+/** Per-video metadata the playlist renderers don't carry (player + next endpoints) */
+export interface VideoDetails {
+  id: string;
+  /** Exact publish time (ms since epoch) */
+  publishedTimestamp?: number;
+  viewCount?: number;
+  likeCount?: number;
+  /** Start of the description, whitespace collapsed */
+  description: string;
+  category?: string;
+  live?: LiveStatus;
+  /** When an upcoming stream or premiere starts (ms since epoch) */
+  scheduledTimestamp?: number;
+  membersOnly: boolean;
+}
+
+const DESCRIPTION_SNIPPET_LENGTH = 300;
+
+function parseCount(value: unknown): number | undefined {
+  if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+  const digits = String(value).replace(/[^\d]/g, '');
+  return digits ? Number(digits) : undefined;
+}
+
+function parseTimestamp(value: unknown): number | undefined {
+  if (typeof value !== 'string' || !value) return undefined;
+  const timestamp = Date.parse(value);
+  return Number.isNaN(timestamp) ? undefined : timestamp;
+}
+
+function detectLiveStatus(videoDetails: any, microformat: any): LiveStatus | undefined {
+  const broadcast = microformat?.liveBroadcastDetails;
+  if (videoDetails?.isLive || broadcast?.isLiveNow) return 'live';
+  // Premieres are scheduled like streams but aren't live content
+  if (videoDetails?.isUpcoming) return videoDetails.isLiveContent ? 'upcoming' : 'premiere';
+  if (videoDetails?.isLiveContent) return 'replay';
+  return undefined;
+}
+
+// The watch page's primary info block, which carries the members-only badge
+function findPrimaryInfo(next: any): any {
+  const contents = next?.contents?.twoColumnWatchNextResults?.results?.results?.contents;
+  if (!Array.isArray(contents)) return null;
+  return contents.find((item: any) => item?.videoPrimaryInfoRenderer)?.videoPrimaryInfoRenderer ?? null;
+}
+
+// Like count from the entity store the like button reads (frameworkUpdates)
+function findLikeCount(next: any): number | undefined {
+  const mutations = next?.frameworkUpdates?.entityBatchUpdate?.mutations;
+  if (!Array.isArray(mutations)) return undefined;
+  for (const mutation of mutations) {
+    const entity = mutation?.payload?.likeCountEntity;
+    if (entity) return parseCount(entity.likeCountIfIndifferentNumber);
+  }
+  return undefined;
+}
+
+/**
+ * Combine a video's player response (publish date, views, description,
+ * category, broadcast state) with its next response (likes, members-only
+ * badge). Returns null when the player has no details, e.g. for a deleted video.
+ */
+export function parseVideoDetails(videoId: string, player: any, next?: any): VideoDetails | null {
+  const videoDetails = player?.videoDetails;
+  const microformat = player?.microformat?.playerMicroformatRenderer;
+  if (!videoDetails && !microformat) return null;
+
+  const description = String(videoDetails?.shortDescription ?? microformat?.description?.simpleText ?? '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, DESCRIPTION_SNIPPET_LENGTH);
+  const badges = findPrimaryInfo(next)?.badges || [];
+  const membersOnly = badges.some((badge: any) => badge?.metadataBadgeRenderer?.style === 'BADGE_STYLE_TYPE_MEMBERS_ONLY');
+  const live = detectLiveStatus(videoDetails, microformat);
+  const publishedTimestamp = parseTimestamp(microformat?.publishDate) ?? parseTimestamp(microformat?.uploadDate);
+  const scheduledTimestamp = live === 'upcoming' || live === 'premiere'
+    ? parseTimestamp(microformat?.liveBroadcastDetails?.startTimestamp)
+    : undefined;
+  const viewCount = parseCount(videoDetails?.viewCount ?? microformat?.viewCount);
+  const likeCount = findLikeCount(next);
+
+  return {
+    id: videoId,
+    description,
+    membersOnly,
+    ...(publishedTimestamp !== undefined ? { publishedTimestamp } : {}),
+    ...(viewCount !== undefined ? { viewCount } : {}),
+    ...(likeCount !== undefined ? { likeCount } : {}),
+    ...(microformat?.category ? { category: String(microformat.category) } : {}),
+    ...(live ? { live } : {}),
+    ...(scheduledTimestamp !== undefined ? { scheduledTimestamp } : {}),
+  };
+}
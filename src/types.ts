@@ -6,6 +6,9 @@
  * - Background service worker (relay)
  * - Content script (executor)
  *
+ * Messages travel inside request envelopes over long-lived ports; see
+ * messaging.ts for request IDs, progress, cancellation and heartbeats.
+ *
  * MESSAGE CATEGORIES:
  *
  * DATA FETCHING:
@@ -17,6 +20,8 @@
  * - GET_MORE_CHANNELS: Load next page of channels
  * - GET_CHANNEL_VIDEOS: Fetch videos from a specific channel
  * - GET_CHANNEL_SUGGESTIONS: Fetch similar channels
+ * - GET_VIDEO_DETAILS: Fetch publish date, views, likes, description and
+ *   broadcast state for a batch of videos (keyed by video ID)
  *
  * WATCH LATER OPERATIONS:
  * - REMOVE_FROM_WATCH_LATER: Remove video from Watch Later
@@ -32,7 +37,7 @@
  * - CREATE_PLAYLIST: Create a new playlist
  * - DELETE_PLAYLIST: Delete a playlist
  * - RENAME_PLAYLIST: Rename a playlist
- * - MOVE_PLAYLIST_VIDEO: Move video within a playlist
+ * - MOVE_PLAYLIST_VIDEO: Move video within a playlist (before targetSetVideoId, or to the end without one)
  *
  * SUBSCRIPTION OPERATIONS:
  * - SUBSCRIBE: Subscribe to a channel
@@ -40,8 +45,24 @@
  *
  * UTILITY:
  * - PING: Health check for content script connectivity
+ *
+ * OPERATION JOURNAL (handled by the background worker, never relayed):
+ * - JOURNAL_ENQUEUE: Persist a bulk job and run it in the background
+ * - JOURNAL_CONTROL: Pause, resume, cancel or retry the failures of a job
+ * - JOURNAL_CLEAR: Remove finished jobs from the journal
+ *
+ * UNDO HISTORY (handled by the background worker, never relayed):
+ * - HISTORY_SAVE: Store the dashboard's undo history, keeping auto-clean
+ *   entries it hasn't adopted yet (see autoclean.ts)
+ *
+ * PROGRESS:
+ * GET_WATCH_LATER and GET_PLAYLIST_VIDEOS report each page of videos as a
+ * progress event before the final response.
  */
 
+import type { JournalAction, JournalJobRequest } from './journal';
+import type { HistoryEntry } from './autoclean';
+
 export type MessageType =
   | { type: 'GET_WATCH_LATER' }
   | { type: 'GET_SUBSCRIPTIONS' }
@@ -59,10 +80,15 @@ export type MessageType =
   | { type: 'SUBSCRIBE'; channelId: string }
   | { type: 'GET_CHANNEL_SUGGESTIONS'; channelId: string }
   | { type: 'GET_CHANNEL_VIDEOS'; channelId: string }
+  | { type: 'GET_VIDEO_DETAILS'; videoIds: string[] }
   | { type: 'GET_PLAYLIST_VIDEOS'; playlistId: string }
   | { type: 'REMOVE_FROM_PLAYLIST'; videoId: string; setVideoId: string; playlistId: string }
   | { type: 'CREATE_PLAYLIST'; title: string }
   | { type: 'DELETE_PLAYLIST'; playlistId: string }
   | { type: 'RENAME_PLAYLIST'; playlistId: string; newTitle: string }
-  | { type: 'MOVE_PLAYLIST_VIDEO'; playlistId: string; setVideoId: string; targetSetVideoId: string }
+  | { type: 'MOVE_PLAYLIST_VIDEO'; playlistId: string; setVideoId: string; targetSetVideoId?: string | null }
+  | { type: 'JOURNAL_ENQUEUE'; job: JournalJobRequest }
+  | { type: 'JOURNAL_CONTROL'; jobId: string; action: JournalAction }
+  | { type: 'JOURNAL_CLEAR' }
+  | { type: 'HISTORY_SAVE'; entries: HistoryEntry[] }
   | { type: 'PING' };
@@ -0,0 +1,261 @@
+// Unit tests for the scheduled Watch Later auto-clean run by the background worker
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  AUTO_CLEAN_PENDING_KEY,
+  AUTO_CLEAN_STATUS_KEY,
+  DEFAULT_AUTO_CLEAN_SETTINGS,
+  MAX_HISTORY_ENTRIES,
+  SETTINGS_STORAGE_KEY,
+  UNDO_HISTORY_KEY,
+  WATCHED_OVERRIDES_KEY,
+  createAutoCleaner,
+  getWatchLaterArrivals,
+  mergeUndoHistory,
+  normalizeAutoCleanSettings,
+  selectAutoCleanVideos,
+  toPositionedHistoryVideos,
+} from '../src/autoclean';
+import { CHANNEL_STATS_KEY, WATCH_LATER_ADDED_AT_KEY } from '../src/channelstats';
+import { createJournalJob, JournalJobRequest } from '../src/journal';
+import type { Video } from '../src/parsers';
+
+function video(id: string, extra: Partial<Video> = {}): Video {
+  return {
+    id,
+    title: `Video ${id}`,
+    channel: 'Channel',
+    channelId: 'UC1',
+    thumbnail: '',
+    duration: '10:00',
+    publishedAt: '',
+    setVideoId: `set-${id}`,
+    ...extra,
+  };
+}
+
+// In-memory chrome.storage.local stand-in that keeps JSON copies
+function createMemoryArea(initial: Record<string, unknown> = {}) {
+  let data = JSON.parse(JSON.stringify(initial)) as Record<string, unknown>;
+  const area = {
+    get: vi.fn(async (keys: string[]) => Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]]))),
+    set: vi.fn(async (items: Record<string, unknown>) => {
+      data = { ...data, ...JSON.parse(JSON.stringify(items)) };
+    }),
+    remove: vi.fn(async (key: string) => {
+      delete data[key];
+    }),
+    snapshot: () => data,
+  };
+  return area;
+}
+
+const enabled = { ...DEFAULT_AUTO_CLEAN_SETTINGS, autoCleanEnabled: true };
+
+describe('auto-clean selection', () => {
+  it('should pick fully watched videos, letting local overrides win', () => {
+    const list = [
+      video('a', { progressPercent: 100 }),
+      video('b', { progressPercent: 100 }),
+      video('c', { progressPercent: 40 }),
+    ];
+    const overrides = { b: { watched: false, timestamp: 1 }, c: { watched: true, timestamp: 1 } };
+
+    const picked = selectAutoCleanVideos(list, overrides, enabled);
+
+    expect(picked.map(candidate => [candidate.video.id, candidate.reason])).toEqual([['a', 'watched'], ['c', 'watched']]);
+  });
+
+  it('should pick videos added more than N days ago when enabled', () => {
+    const now = Date.parse('2024-06-01T00:00:00Z');
+    const list = [
+      video('a', { publishedTimestamp: Date.parse('2024-05-30T00:00:00Z') }),
+      video('b', { publishedTimestamp: Date.parse('2020-01-01T00:00:00Z') }),
+      video('c'),
+      video('d'),
+    ];
+    const arrivals = getWatchLaterArrivals(
+      { a: Date.parse('2024-05-11T00:00:00Z'), b: Date.parse('2024-05-30T00:00:00Z') },
+      { b: { seenAt: Date.parse('2024-01-01T00:00:00Z') }, c: { seenAt: Date.parse('2024-05-01T00:00:00Z') } },
+    );
+
+    expect(selectAutoCleanVideos(list, {}, enabled, now, arrivals)).toEqual([]);
+    const picked = selectAutoCleanVideos(list, {}, { ...enabled, autoCleanOlderThanDays: 7 }, now, arrivals);
+    expect(picked.map(candidate => [candidate.video.id, candidate.reason])).toEqual([['a', 'old'], ['c', 'old']]);
+  });
+
+  it('should skip videos without a setVideoId', () => {
+    const list = [video('a', { progressPercent: 100, setVideoId: undefined })];
+
+    expect(selectAutoCleanVideos(list, {}, enabled)).toEqual([]);
+  });
+
+  it('should clamp stored settings', () => {
+    expect(normalizeAutoCleanSettings({ autoCleanIntervalHours: 0, autoCleanOlderThanDays: -3 })).toMatchObject({
+      autoCleanEnabled: false,
+      autoCleanIntervalHours: 24,
+      autoCleanOlderThanDays: 0,
+    });
+  });
+
+  it('should remember the video after each removed one', () => {
+    const list = [video('a'), video('b'), video('c'), video('d')];
+    const candidates = [{ video: list[1], reason: 'watched' as const }, { video: list[3], reason: 'old' as const }];
+
+    expect(toPositionedHistoryVideos(list, candidates).map(v => [v.id, v.nextId, v.reason])).toEqual([
+      ['b', 'c', 'watched'],
+      ['d', null, 'old'],
+    ]);
+  });
+});
+
+describe('mergeUndoHistory', () => {
+  const entry = (id: string, timestamp: number, action = 'delete') => ({ id, action, timestamp });
+
+  it('should keep auto-clean entries the dashboard has not adopted', () => {
+    const stored = [entry('a', 1), entry('clean', 3, 'auto_clean')];
+
+    expect(mergeUndoHistory(stored, [entry('a', 1), entry('b', 4)]).map(e => e.id)).toEqual(['a', 'clean', 'b']);
+    expect(mergeUndoHistory(stored, [entry('a', 1)]).map(e => e.id)).toEqual(['a', 'clean']);
+  });
+
+  it('should not bring back entries the dashboard trimmed or its own removed ones', () => {
+    const full = Array.from({ length: MAX_HISTORY_ENTRIES }, (_, i) => entry(`e${i}`, 10 + i));
+    const stored = [entry('clean', 5, 'auto_clean'), entry('gone', 6), ...full];
+
+    expect(mergeUndoHistory(stored, full)).toBe(full);
+  });
+});
+
+describe('createAutoCleaner', () => {
+  function setup(initial: Record<string, unknown>, watchLater: Video[]) {
+    const storage = createMemoryArea(initial);
+    const requests: JournalJobRequest[] = [];
+    const enqueue = vi.fn(async (request: JournalJobRequest) => {
+      requests.push(request);
+      return createJournalJob(request);
+    });
+    const send = vi.fn(async () => ({ success: true, data: watchLater }));
+    const cleaner = createAutoCleaner({
+      storage: storage as unknown as chrome.storage.StorageArea,
+      send,
+      enqueue,
+      now: () => 5000,
+    });
+    return { storage, requests, enqueue, send, cleaner };
+  }
+
+  it('should do nothing while disabled', async () => {
+    const { cleaner, send } = setup({}, [video('a', { progressPercent: 100 })]);
+
+    expect(await cleaner.run()).toBe(0);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('should queue removals and remember the run', async () => {
+    const list = [video('a', { progressPercent: 100 }), video('b')];
+    const { cleaner, requests, storage } = setup({ [SETTINGS_STORAGE_KEY]: enabled }, list);
+
+    expect(await cleaner.run()).toBe(1);
+
+    expect(requests[0].items).toEqual([
+      { message: { type: 'REMOVE_FROM_WATCH_LATER', videoId: 'a', setVideoId: 'set-a' }, title: 'Video a' },
+    ]);
+    expect(storage.snapshot()[AUTO_CLEAN_PENDING_KEY]).toMatchObject({ startedAt: 5000, videos: [{ id: 'a', nextId: 'b' }] });
+  });
+
+  it('should use the watched overrides from storage', async () => {
+    const { cleaner, enqueue } = setup({
+      [SETTINGS_STORAGE_KEY]: enabled,
+      [WATCHED_OVERRIDES_KEY]: { a: { watched: true, timestamp: 1 } },
+    }, [video('a')]);
+
+    expect(await cleaner.run()).toBe(1);
+    expect(enqueue).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not start while the previous run is unfinished', async () => {
+    const { cleaner, send } = setup({
+      [SETTINGS_STORAGE_KEY]: enabled,
+      [AUTO_CLEAN_PENDING_KEY]: { jobId: 'job-1', startedAt: 4000, videos: [] },
+    }, [video('a', { progressPercent: 100 })]);
+
+    expect(await cleaner.run()).toBe(0);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('should record only the removed videos in the undo history', async () => {
+    const list = [video('a', { progressPercent: 100 }), video('b', { progressPercent: 100 })];
+    const existing = Array.from({ length: MAX_HISTORY_ENTRIES }, (_, i) => ({ id: `old-${i}` }));
+    const { cleaner, requests, storage } = setup({ [SETTINGS_STORAGE_KEY]: enabled, [UNDO_HISTORY_KEY]: existing }, list);
+    await cleaner.run();
+    const job = createJournalJob(requests[0]);
+    job.id = (storage.snapshot()[AUTO_CLEAN_PENDING_KEY] as { jobId: string }).jobId;
+    job.status = 'done';
+    job.items[0].state = 'failed';
+    job.items[1].state = 'done';
+
+    await cleaner.handleJobFinished(job);
+
+    const history = storage.snapshot()[UNDO_HISTORY_KEY] as any[];
+    expect(history).toHaveLength(MAX_HISTORY_ENTRIES);
+    expect(history[0].id).toBe('old-1');
+    expect(history.at(-1)).toMatchObject({
+      action: 'auto_clean',
+      list: 'watchlater',
+      label: 'Auto-clean removed 1 video(s) from Watch Later',
+      data: { videos: [{ id: 'b', nextId: null, reason: 'watched' }] },
+      replay: { items: [{ message: { videoId: 'b' } }], videoIds: { 'set-b': 'b' } },
+    });
+    expect(storage.snapshot()[AUTO_CLEAN_STATUS_KEY]).toEqual({ at: 5000, removed: 1, failed: 1 });
+    expect(storage.snapshot()[AUTO_CLEAN_PENDING_KEY]).toBeUndefined();
+  });
+
+  it('should count the removed videos toward their channel statistics', async () => {
+    const list = [video('a', { progressPercent: 100 }), video('b', { progressPercent: 100 })];
+    const { cleaner, requests, storage } = setup({
+      [SETTINGS_STORAGE_KEY]: enabled,
+      [WATCH_LATER_ADDED_AT_KEY]: { a: 1000, b: 2000 },
+    }, list);
+    await cleaner.run();
+    const job = createJournalJob(requests[0]);
+    job.id = (storage.snapshot()[AUTO_CLEAN_PENDING_KEY] as { jobId: string }).jobId;
+    job.status = 'done';
+    job.items[0].state = 'done';
+    job.items[1].state = 'failed';
+
+    await cleaner.handleJobFinished(job);
+
+    expect(storage.snapshot()[CHANNEL_STATS_KEY]).toEqual({
+      UC1: { name: 'Channel', completed: 1, deletedUnwatched: 0, removed: 1, dwellMs: 4000, dwellCount: 1, updatedAt: 5000 },
+    });
+    expect(storage.snapshot()[WATCH_LATER_ADDED_AT_KEY]).toEqual({ b: 2000 });
+  });
+
+  it('should keep both entries when the dashboard saves while a run is recorded', async () => {
+    const list = [video('a', { progressPercent: 100 })];
+    const { cleaner, requests, storage } = setup({ [SETTINGS_STORAGE_KEY]: enabled }, list);
+    await cleaner.run();
+    const job = createJournalJob(requests[0]);
+    job.id = (storage.snapshot()[AUTO_CLEAN_PENDING_KEY] as { jobId: string }).jobId;
+    job.status = 'done';
+    job.items[0].state = 'done';
+
+    // The dashboard hasn't seen the auto-clean entry when it saves its own
+    await Promise.all([
+      cleaner.handleJobFinished(job),
+      cleaner.saveHistory([{ id: 'manual', action: 'delete', timestamp: 6000 }]),
+    ]);
+
+    const history = storage.snapshot()[UNDO_HISTORY_KEY] as any[];
+    expect(history.map(entry => entry.action)).toEqual(['auto_clean', 'delete']);
+  });
+
+  it('should ignore jobs it did not start', async () => {
+    const { cleaner, storage } = setup({ [SETTINGS_STORAGE_KEY]: enabled }, []);
+
+    await cleaner.handleJobFinished(createJournalJob({ label: 'Deleting', items: [] }));
+
+    expect(storage.set).not.toHaveBeenCalled();
+  });
+});
@@ -38,17 +38,10 @@ async function getYouTubeTab(): Promise<chrome.tabs.Tab> {
   return newTab;
 }
 
-// Re-implementation of sendToContentScript for testing
-async function sendToContentScript(message: MessageType, retryCount = 0): Promise<any> {
-  const tab = await getYouTubeTab();
-
-  if (!tab.id) {
-    throw new Error('Could not get YouTube tab ID');
-  }
-
+// Re-implementation of ensureContentScript for testing
+async function ensureContentScript(tabId: number, retryCount = 0): Promise<void> {
   try {
-    const response = await chrome.tabs.sendMessage(tab.id, message);
-    return response;
+    await chrome.tabs.sendMessage(tabId, { type: 'PING' });
   } catch (error: any) {
     if (retryCount >= 2) {
       throw new Error(`Failed to communicate with YouTube tab after 3 attempts: ${error.message}`);
@@ -57,7 +50,7 @@ async function sendToContentScript(message: MessageType, retryCount = 0): Promis
     // Try injecting the content script
     try {
       await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
+        target: { tabId },
         files: ['content.js'],
       });
     } catch {
@@ -65,10 +58,22 @@ async function sendToContentScript(message: MessageType, retryCount = 0): Promis
     }
 
     // Retry with incremented count
-    return sendToContentScript(message, retryCount + 1);
+    return ensureContentScript(tabId, retryCount + 1);
   }
 }
 
+// Re-implementation of the tab port setup in getTabChannel for testing
+async function connectToContentScript(): Promise<chrome.runtime.Port> {
+  const tab = await getYouTubeTab();
+
+  if (!tab.id) {
+    throw new Error('Could not get YouTube tab ID');
+  }
+
+  await ensureContentScript(tab.id);
+  return chrome.tabs.connect(tab.id, { name: 'nutube-rpc' });
+}
+
 // Helper to check if sender is from extension
 function isFromExtension(sender: { url?: string }): boolean {
   return sender.url?.startsWith('chrome-extension://') ?? false;
@@ -136,82 +141,71 @@ describe('getYouTubeTab', () => {
   });
 });
 
-describe('sendToContentScript', () => {
+describe('connectToContentScript', () => {
+  const mockTab: chrome.tabs.Tab = {
+    id: 123,
+    index: 0,
+    windowId: 1,
+    active: true,
+    pinned: false,
+    highlighted: false,
+    incognito: false,
+    selected: false,
+    discarded: false,
+    autoDiscardable: true,
+    groupId: -1,
+  };
+
   beforeEach(() => {
     vi.clearAllMocks();
   });
 
-  it('should send message to content script successfully', async () => {
-    const mockTab: chrome.tabs.Tab = {
-      id: 123,
-      index: 0,
-      windowId: 1,
-      active: true,
-      pinned: false,
-      highlighted: false,
-      incognito: false,
-      selected: false,
-      discarded: false,
-      autoDiscardable: true,
-      groupId: -1,
-    };
-
+  it('should ping the content script and open an RPC port', async () => {
+    const mockPort = { name: 'nutube-rpc' };
     mockTabs.query.mockResolvedValue([mockTab]);
-    mockTabs.sendMessage.mockResolvedValue({ success: true, data: [] });
+    mockTabs.sendMessage.mockResolvedValue({ success: true, data: 'pong' });
+    mockTabs.connect.mockReturnValue(mockPort);
 
-    const message: MessageType = { type: 'GET_WATCH_LATER' };
-    const response = await sendToContentScript(message);
+    const port = await connectToContentScript();
 
-    expect(mockTabs.sendMessage).toHaveBeenCalledWith(123, message);
-    expect(response).toEqual({ success: true, data: [] });
+    expect(mockTabs.sendMessage).toHaveBeenCalledWith(123, { type: 'PING' });
+    expect(mockTabs.connect).toHaveBeenCalledWith(123, { name: 'nutube-rpc' });
+    expect(port).toBe(mockPort);
   });
 
   it('should throw error when tab has no ID', async () => {
-    const mockTab: chrome.tabs.Tab = {
-      // No id property
-      index: 0,
-      windowId: 1,
-      active: true,
-      pinned: false,
-      highlighted: false,
-      incognito: false,
-      selected: false,
-      discarded: false,
-      autoDiscardable: true,
-      groupId: -1,
-    };
-
-    mockTabs.query.mockResolvedValue([mockTab]);
+    const { id: _id, ...tabWithoutId } = mockTab;
+    mockTabs.query.mockResolvedValue([tabWithoutId]);
 
-    await expect(sendToContentScript({ type: 'GET_WATCH_LATER' })).rejects.toThrow(
-      'Could not get YouTube tab ID'
-    );
+    await expect(connectToContentScript()).rejects.toThrow('Could not get YouTube tab ID');
+    expect(mockTabs.connect).not.toHaveBeenCalled();
   });
 
-  it('should retry on failure up to 3 times', async () => {
-    const mockTab: chrome.tabs.Tab = {
-      id: 123,
-      index: 0,
-      windowId: 1,
-      active: true,
-      pinned: false,
-      highlighted: false,
-      incognito: false,
-      selected: false,
-      discarded: false,
-      autoDiscardable: true,
-      groupId: -1,
-    };
-
+  it('should inject the content script and retry up to 3 times', async () => {
     mockTabs.query.mockResolvedValue([mockTab]);
     mockTabs.sendMessage.mockRejectedValue(new Error('Connection failed'));
 
-    await expect(sendToContentScript({ type: 'GET_WATCH_LATER' })).rejects.toThrow(
+    await expect(connectToContentScript()).rejects.toThrow(
       'Failed to communicate with YouTube tab after 3 attempts'
     );
 
     // Should have attempted 3 times (initial + 2 retries)
     expect(mockTabs.sendMessage).toHaveBeenCalledTimes(3);
+    expect(mockChrome.scripting.executeScript).toHaveBeenCalledTimes(2);
+    expect(mockTabs.connect).not.toHaveBeenCalled();
+  });
+
+  it('should connect once the injected script answers', async () => {
+    mockTabs.query.mockResolvedValue([mockTab]);
+    mockTabs.sendMessage
+      .mockRejectedValueOnce(new Error('Receiving end does not exist'))
+      .mockResolvedValueOnce({ success: true, data: 'pong' });
+    mockTabs.connect.mockReturnValue({ name: 'nutube-rpc' });
+
+    await connectToContentScript();
+
+    expect(mockChrome.scripting.executeScript).toHaveBeenCalledTimes(1);
+    expect(mockTabs.connect).toHaveBeenCalledTimes(1);
   });
 });
 
@@ -0,0 +1,62 @@
+// Unit tests for the per-channel Watch Later statistics
+
+import { describe, it, expect } from 'vitest';
+import { getChannelAffinity, recordWatchLaterRemovals, WatchLaterRemoval } from '../src/channelstats';
+
+function removal(videoId: string, extra: Partial<WatchLaterRemoval> = {}): WatchLaterRemoval {
+  return { videoId, channelId: 'UC1', channel: 'Channel', progress: 0, moved: false, ...extra };
+}
+
+describe('recordWatchLaterRemovals', () => {
+  it('should count finished and unwatched deletions per channel', () => {
+    const { stats } = recordWatchLaterRemovals({}, {}, [
+      removal('a', { progress: 100 }),
+      removal('b'),
+      removal('c', { progress: 40 }),
+      removal('d', { channelId: 'UC2', channel: 'Other' }),
+    ], 1000);
+
+    expect(stats.UC1).toMatchObject({ name: 'Channel', completed: 1, deletedUnwatched: 1, removed: 3, updatedAt: 1000 });
+    expect(stats.UC2).toMatchObject({ name: 'Other', completed: 0, deletedUnwatched: 1, removed: 1 });
+  });
+
+  it('should not count moves to a playlist as unwatched deletions', () => {
+    const { stats } = recordWatchLaterRemovals({}, {}, [removal('a', { moved: true })], 1000);
+
+    expect(stats.UC1).toMatchObject({ deletedUnwatched: 0, removed: 1 });
+  });
+
+  it('should add time in Watch Later for videos with a known arrival and forget it', () => {
+    const addedAt = { a: 400, c: 900 };
+    const result = recordWatchLaterRemovals({}, addedAt, [removal('a'), removal('b')], 1000);
+
+    expect(result.stats.UC1).toMatchObject({ dwellMs: 600, dwellCount: 1 });
+    expect(result.addedAt).toEqual({ c: 900 });
+    expect(addedAt).toEqual({ a: 400, c: 900 });
+  });
+
+  it('should add to existing statistics without changing them in place', () => {
+    const existing = {
+      UC1: { name: 'Old name', completed: 2, deletedUnwatched: 1, removed: 3, dwellMs: 50, dwellCount: 1, updatedAt: 1 },
+    };
+    const { stats } = recordWatchLaterRemovals(existing, {}, [removal('a', { progress: 100 })], 1000);
+
+    expect(stats.UC1).toEqual({ name: 'Channel', completed: 3, deletedUnwatched: 1, removed: 4, dwellMs: 50, dwellCount: 1, updatedAt: 1000 });
+    expect(existing.UC1.completed).toBe(2);
+  });
+
+  it('should skip videos without a channel ID', () => {
+    const { stats } = recordWatchLaterRemovals({}, {}, [removal('a', { channelId: '' })], 1000);
+
+    expect(stats).toEqual({});
+  });
+});
+
+describe('getChannelAffinity', () => {
+  it('should start neutral and follow the completion rate', () => {
+    expect(getChannelAffinity(undefined)).toBe(0.5);
+    const base = { name: '', removed: 0, dwellMs: 0, dwellCount: 0, updatedAt: 0 };
+    expect(getChannelAffinity({ ...base, completed: 8, deletedUnwatched: 0 })).toBeCloseTo(0.9);
+    expect(getChannelAffinity({ ...base, completed: 0, deletedUnwatched: 8 })).toBeCloseTo(0.1);
+  });
+});
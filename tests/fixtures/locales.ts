@@ -0,0 +1,172 @@
+// Per-locale fixtures: the same data as YouTube words it for each interface
+// language (hl) NuTube may send to InnerTube
+
+export type RelativeTimeUnit = 'second' | 'minute' | 'hour' | 'day' | 'week' | 'month' | 'year';
+
+export interface LocaleFixture {
+  hl: string;
+  /** Relative times with the amount and unit they stand for */
+  relativeTimes: Array<[text: string, amount: number, unit: RelativeTimeUnit]>;
+  /** Progress bar text for 50% watched */
+  progressText: string;
+  subscribers: [text: string, count: number];
+  videoCount: [text: string, count: number];
+}
+
+export const LOCALE_FIXTURES: LocaleFixture[] = [
+  {
+    hl: 'en',
+    relativeTimes: [['3 days ago', 3, 'day'], ['5 hours ago', 5, 'hour'], ['Streamed 2 weeks ago', 2, 'week'], ['1 month ago', 1, 'month'], ['2 years ago', 2, 'year']],
+    progressText: '50% watched',
+    subscribers: ['1.2M subscribers', 1_200_000],
+    videoCount: ['1,234 videos', 1234],
+  },
+  {
+    hl: 'de',
+    relativeTimes: [['vor 3 Tagen', 3, 'day'], ['vor 5 Stunden', 5, 'hour'], ['Live übertragen vor 2 Wochen', 2, 'week'], ['vor 1 Monat', 1, 'month'], ['vor 2 Jahren', 2, 'year']],
+    progressText: '50 % angesehen',
+    subscribers: ['1,2 Mio. Abonnenten', 1_200_000],
+    videoCount: ['1.234 Videos', 1234],
+  },
+  {
+    hl: 'fr',
+    relativeTimes: [['il y a 3 jours', 3, 'day'], ['il y a 5 heures', 5, 'hour'], ['Diffusé il y a 2 semaines', 2, 'week'], ['il y a 1 mois', 1, 'month'], ['il y a 2 ans', 2, 'year']],
+    progressText: '50 % regardé',
+    subscribers: ['1,2 M d’abonnés', 1_200_000],
+    videoCount: ['1 234 vidéos', 1234],
+  },
+  {
+    hl: 'es',
+    relativeTimes: [['hace 3 días', 3, 'day'], ['hace 5 horas', 5, 'hour'], ['Transmitido hace 2 semanas', 2, 'week'], ['hace 1 mes', 1, 'month'], ['hace 2 años', 2, 'year']],
+    progressText: '50 % visto',
+    subscribers: ['1,2 M de suscriptores', 1_200_000],
+    videoCount: ['1.234 vídeos', 1234],
+  },
+  {
+    hl: 'pt',
+    relativeTimes: [['há 3 dias', 3, 'day'], ['há 5 horas', 5, 'hour'], ['Transmitido há 2 semanas', 2, 'week'], ['há 1 mês', 1, 'month'], ['há 2 anos', 2, 'year']],
+    progressText: '50% assistido',
+    subscribers: ['1,2 mi de inscritos', 1_200_000],
+    videoCount: ['1.234 vídeos', 1234],
+  },
+  {
+    hl: 'it',
+    relativeTimes: [['3 giorni fa', 3, 'day'], ['5 ore fa', 5, 'hour'], ['Trasmesso in streaming 2 settimane fa', 2, 'week'], ['1 mese fa', 1, 'month'], ['2 anni fa', 2, 'year']],
+    progressText: '50% visualizzato',
+    subscribers: ['1,2 Mln di iscritti', 1_200_000],
+    videoCount: ['1234 video', 1234],
+  },
+  {
+    hl: 'nl',
+    relativeTimes: [['3 dagen geleden', 3, 'day'], ['5 uur geleden', 5, 'hour'], ['Gestreamd 2 weken geleden', 2, 'week'], ['1 maand geleden', 1, 'month'], ['2 jaar geleden', 2, 'year']],
+    progressText: '50% bekeken',
+    subscribers: ['1,2 mln. abonnees', 1_200_000],
+    videoCount: ['1234 video\'s', 1234],
+  },
+  {
+    hl: 'pl',
+    relativeTimes: [['3 dni temu', 3, 'day'], ['5 godzin temu', 5, 'hour'], ['Transmisja zakończona 2 tygodnie temu', 2, 'week'], ['1 miesiąc temu', 1, 'month'], ['2 lata temu', 2, 'year']],
+    progressText: 'Obejrzano 50%',
+    subscribers: ['1,2 mln subskrybentów', 1_200_000],
+    videoCount: ['1234 filmy', 1234],
+  },
+  {
+    hl: 'ru',
+    relativeTimes: [['3 дня назад', 3, 'day'], ['5 часов назад', 5, 'hour'], ['Трансляция закончилась 2 недели назад', 2, 'week'], ['1 месяц назад', 1, 'month'], ['2 года назад', 2, 'year']],
+    progressText: 'Просмотрено: 50 %',
+    subscribers: ['1,2 млн подписчиков', 1_200_000],
+    videoCount: ['1 234 видео', 1234],
+  },
+  {
+    hl: 'tr',
+    relativeTimes: [['3 gün önce', 3, 'day'], ['5 saat önce', 5, 'hour'], ['2 hafta önce yayınlandı', 2, 'week'], ['1 ay önce', 1, 'month'], ['2 yıl önce', 2, 'year']],
+    progressText: '%50 izlendi',
+    // Turkish "B" (bin) is thousands
+    subscribers: ['12,5 B abone', 12_500],
+    videoCount: ['1.234 video', 1234],
+  },
+  {
+    hl: 'ja',
+    relativeTimes: [['3 日前', 3, 'day'], ['5 時間前', 5, 'hour'], ['2 週間前 に配信済み', 2, 'week'], ['1 か月前', 1, 'month'], ['2 年前', 2, 'year']],
+    progressText: '50% 視聴済み',
+    subscribers: ['チャンネル登録者数 120万人', 1_200_000],
+    videoCount: ['1,234 本の動画', 1234],
+  },
+  {
+    hl: 'ko',
+    relativeTimes: [['3일 전', 3, 'day'], ['5시간 전', 5, 'hour'], ['스트리밍 시간: 2주 전', 2, 'week'], ['1개월 전', 1, 'month'], ['2년 전', 2, 'year']],
+    progressText: '50% 시청함',
+    subscribers: ['구독자 12.3만명', 123_000],
+    videoCount: ['동영상 1,234개', 1234],
+  },
+  {
+    hl: 'zh',
+    relativeTimes: [['3天前', 3, 'day'], ['5小时前', 5, 'hour'], ['直播时间：2周前', 2, 'week'], ['1个月前', 1, 'month'], ['2年前', 2, 'year']],
+    progressText: '已观看 50%',
+    subscribers: ['12.3万位订阅者', 123_000],
+    videoCount: ['1,234 个视频', 1234],
+  },
+  {
+    hl: 'id',
+    relativeTimes: [['3 hari yang lalu', 3, 'day'], ['5 jam yang lalu', 5, 'hour'], ['Streaming 2 minggu yang lalu', 2, 'week'], ['1 bulan yang lalu', 1, 'month'], ['2 tahun yang lalu', 2, 'year']],
+    progressText: '50% ditonton',
+    subscribers: ['1,2 jt pelanggan', 1_200_000],
+    videoCount: ['1.234 video', 1234],
+  },
+  {
+    hl: 'vi',
+    relativeTimes: [['3 ngày trước', 3, 'day'], ['5 giờ trước', 5, 'hour'], ['Đã phát trực tiếp 2 tuần trước', 2, 'week'], ['1 tháng trước', 1, 'month'], ['2 năm trước', 2, 'year']],
+    progressText: 'Đã xem 50%',
+    subscribers: ['1,2 Tr người đăng ký', 1_200_000],
+    videoCount: ['1.234 video', 1234],
+  },
+  {
+    hl: 'hi',
+    relativeTimes: [['3 दिन पहले', 3, 'day'], ['5 घंटे पहले', 5, 'hour'], ['2 हफ़्ते पहले स्ट्रीम किया गया', 2, 'week'], ['1 महीने पहले', 1, 'month'], ['2 साल पहले', 2, 'year']],
+    progressText: '50% देखा गया',
+    subscribers: ['12 लाख सब्सक्राइबर', 1_200_000],
+    videoCount: ['1,234 वीडियो', 1234],
+  },
+];
+
+/** A subscription-feed lockup as the locale renders it: 12:34 long, half watched, published relativeTimes[0] */
+export function localizedLockup(fixture: LocaleFixture) {
+  return {
+    contentId: `video-${fixture.hl}`,
+    contentType: 'LOCKUP_CONTENT_TYPE_VIDEO',
+    metadata: {
+      lockupMetadataViewModel: {
+        title: { content: 'Video' },
+        metadata: {
+          contentMetadataViewModel: {
+            metadataRows: [
+              {
+                metadataParts: [{
+                  text: {
+                    content: 'Channel',
+                    commandRuns: [{ onTap: { innertubeCommand: { browseEndpoint: { browseId: 'UClocale' } } } }],
+                  },
+                }],
+              },
+              {
+                metadataParts: [{ text: { content: fixture.relativeTimes[0][0] } }],
+              },
+            ],
+          },
+        },
+      },
+    },
+    contentImage: {
+      thumbnailViewModel: {
+        overlays: [
+          {
+            thumbnailBottomOverlayViewModel: {
+              progressBar: { thumbnailOverlayProgressBarViewModel: { valueRangeText: fixture.progressText } },
+              badges: [{ thumbnailBadgeViewModel: { text: '12:34' } }],
+            },
+          },
+        ],
+      },
+    },
+  };
+}
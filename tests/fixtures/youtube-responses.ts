@@ -39,6 +39,40 @@ export const mockPlaylistVideoRendererMinimal = {
   },
 };
 
+// Watch Later keeps removed videos as unplayable placeholder entries
+export const mockDeletedPlaylistVideoRenderer = {
+  playlistVideoRenderer: {
+    videoId: 'deleted0001',
+    title: {
+      runs: [{ text: '[Deleted video]' }],
+    },
+    thumbnail: {
+      thumbnails: [{ url: 'https://i.ytimg.com/img/no_thumbnail.jpg' }],
+    },
+    isPlayable: false,
+    setVideoId: 'SETDELETED0001',
+  },
+};
+
+export const mockPrivatePlaylistVideoRenderer = {
+  playlistVideoRenderer: {
+    videoId: 'private0001',
+    title: {
+      simpleText: '[Private video]',
+    },
+    isPlayable: false,
+    setVideoId: 'SETPRIVATE0001',
+  },
+};
+
+export const mockUnplayablePlaylistVideoRenderer = {
+  playlistVideoRenderer: {
+    ...mockPlaylistVideoRenderer.playlistVideoRenderer,
+    videoId: 'blocked0001',
+    isPlayable: false,
+  },
+};
+
 export const mockVideoRenderer = {
   videoRenderer: {
     videoId: 'jNQXAC9IVRw',
@@ -69,6 +103,21 @@ export const mockVideoRenderer = {
   },
 };
 
+// Scheduled stream in the subscription feed: no relative time yet, only the start
+export const mockUpcomingVideoRenderer = {
+  videoRenderer: {
+    videoId: 'upcoming01',
+    title: { runs: [{ text: 'Launch Stream' }] },
+    ownerText: {
+      runs: [{ text: 'Space Channel', navigationEndpoint: { browseEndpoint: { browseId: 'UCspace' } } }],
+    },
+    upcomingEventData: {
+      startTime: '1719244800',
+      isReminderSet: false,
+    },
+  },
+};
+
 export const mockRichItemRenderer = {
   richItemRenderer: {
     content: {
@@ -336,3 +385,89 @@ export const mockContinuationResponse = {
     },
   ],
 };
+
+// Player response (trimmed to the fields NuTube reads)
+export const mockPlayerResponse = {
+  playabilityStatus: { status: 'OK' },
+  videoDetails: {
+    videoId: 'abc123',
+    title: 'Test Video Title',
+    lengthSeconds: '930',
+    shortDescription: 'In this video we look at\n\nthree   things.\nLinks below.',
+    viewCount: '1234567',
+    isLiveContent: false,
+  },
+  microformat: {
+    playerMicroformatRenderer: {
+      category: 'Science & Technology',
+      publishDate: '2024-03-05T08:00:00-08:00',
+      uploadDate: '2024-03-05T08:00:00-08:00',
+      viewCount: '1234567',
+    },
+  },
+};
+
+// Next (watch page) response with a members-only badge and the like count entity
+export const mockNextResponse = {
+  contents: {
+    twoColumnWatchNextResults: {
+      results: {
+        results: {
+          contents: [
+            {
+              videoPrimaryInfoRenderer: {
+                title: { runs: [{ text: 'Test Video Title' }] },
+                badges: [
+                  {
+                    metadataBadgeRenderer: {
+                      style: 'BADGE_STYLE_TYPE_MEMBERS_ONLY',
+                      label: 'Members only',
+                    },
+                  },
+                ],
+              },
+            },
+          ],
+        },
+      },
+    },
+  },
+  frameworkUpdates: {
+    entityBatchUpdate: {
+      mutations: [
+        {
+          entityKey: 'like-abc123',
+          payload: {
+            likeCountEntity: {
+              likeCountIfIndifferentNumber: '45678',
+              likeCountIfLiked: { content: '45K' },
+            },
+          },
+        },
+      ],
+    },
+  },
+};
+
+// Player response for a scheduled premiere
+export const mockUpcomingPremierePlayerResponse = {
+  playabilityStatus: { status: 'LIVE_STREAM_OFFLINE' },
+  videoDetails: {
+    videoId: 'prem456',
+    title: 'Premiere',
+    shortDescription: '',
+    viewCount: '0',
+    isLiveContent: false,
+    isUpcoming: true,
+  },
+  microformat: {
+    playerMicroformatRenderer: {
+      category: 'Music',
+      publishDate: '2024-06-01',
+      liveBroadcastDetails: {
+        isLiveNow: false,
+        startTimestamp: '2024-06-02T18:00:00+00:00',
+      },
+    },
+  },
+};
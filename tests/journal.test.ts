@@ -0,0 +1,282 @@
+// Unit tests for the durable operation journal executed by the background worker
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  JOURNAL_STORAGE_KEY,
+  MAX_FINISHED_JOBS,
+  JournalJob,
+  JournalStorage,
+  createChromeJournalStorage,
+  createJournalExecutor,
+  createJournalJob,
+  describeJobOutcome,
+  pruneFinishedJobs,
+  summarizeJournalJob,
+} from '../src/journal';
+import type { MessageType } from '../src/types';
+import type { RpcResponse } from '../src/messaging';
+import { mockStorage } from './setup';
+
+// In-memory storage that keeps a JSON copy, like chrome.storage does
+function createMemoryStorage(initial: JournalJob[] = []) {
+  let saved = JSON.parse(JSON.stringify(initial)) as JournalJob[];
+  const storage: JournalStorage & { snapshot: () => JournalJob[] } = {
+    load: vi.fn(async () => JSON.parse(JSON.stringify(saved))),
+    save: vi.fn(async (jobs: JournalJob[]) => {
+      saved = JSON.parse(JSON.stringify(jobs));
+    }),
+    snapshot: () => saved,
+  };
+  return storage;
+}
+
+const removal = (videoId: string): MessageType => ({ type: 'REMOVE_FROM_WATCH_LATER', videoId, setVideoId: `set-${videoId}` });
+
+function request(count: number, label = 'Deleting videos') {
+  return {
+    label,
+    items: Array.from({ length: count }, (_, i) => ({ message: removal(`v${i}`), title: `Video ${i}` })),
+    concurrency: 1,
+    retries: 0,
+  };
+}
+
+function videoIdOf(message: MessageType): string {
+  return (message as { videoId: string }).videoId;
+}
+
+// Resolves once the executor reports the job finished
+function finished(onJobFinished: ReturnType<typeof vi.fn>) {
+  return new Promise<JournalJob>((resolve) => {
+    onJobFinished.mockImplementation((job: JournalJob) => resolve(job));
+  });
+}
+
+describe('journal helpers', () => {
+  it('should create a queued job with clamped limits', () => {
+    const job = createJournalJob({ ...request(2), concurrency: 50, retries: -1 }, 1000);
+
+    expect(job.status).toBe('queued');
+    expect(job.concurrency).toBe(8);
+    expect(job.retries).toBe(0);
+    expect(job.items.map(item => item.state)).toEqual(['pending', 'pending']);
+    expect(job.createdAt).toBe(1000);
+  });
+
+  it('should summarize item states and describe the outcome', () => {
+    const job = createJournalJob(request(4));
+    job.items[0].state = 'done';
+    job.items[1].state = 'done';
+    job.items[2].state = 'failed';
+    job.items[3].state = 'cancelled';
+
+    expect(summarizeJournalJob(job)).toEqual({ done: 2, failed: 1, cancelled: 1, pending: 0 });
+    expect(describeJobOutcome(job)).toBe('Deleting videos: 2/4 done, 1 failed, 1 cancelled');
+  });
+
+  it('should prune the oldest finished jobs but keep active ones', () => {
+    const jobs = Array.from({ length: MAX_FINISHED_JOBS + 3 }, (_, i) => ({
+      ...createJournalJob(request(1, `job ${i}`)),
+      status: i === 0 ? 'queued' as const : 'done' as const,
+    }));
+
+    const pruned = pruneFinishedJobs(jobs);
+
+    expect(pruned).toHaveLength(MAX_FINISHED_JOBS + 1);
+    expect(pruned[0].label).toBe('job 0');
+    expect(pruned[1].label).toBe('job 3');
+  });
+
+  it('should read and write the journal under its storage key', async () => {
+    mockStorage.local.get.mockResolvedValueOnce({ [JOURNAL_STORAGE_KEY]: [createJournalJob(request(1))] });
+    const storage = createChromeJournalStorage();
+
+    expect(await storage.load()).toHaveLength(1);
+    await storage.save([]);
+    expect(mockStorage.local.set).toHaveBeenCalledWith({ [JOURNAL_STORAGE_KEY]: [] });
+  });
+});
+
+describe('createJournalExecutor', () => {
+  it('should run items in order and persist the finished job', async () => {
+    const storage = createMemoryStorage();
+    const sent: string[] = [];
+    const onJobFinished = vi.fn();
+    const executor = createJournalExecutor({
+      storage,
+      send: async (message) => {
+        sent.push(videoIdOf(message));
+        return { success: true };
+      },
+      onJobFinished,
+    });
+    const done = finished(onJobFinished);
+
+    await executor.enqueue(request(3));
+    const job = await done;
+
+    expect(sent).toEqual(['v0', 'v1', 'v2']);
+    expect(job.status).toBe('done');
+    expect(storage.snapshot()[0].items.every(item => item.state === 'done')).toBe(true);
+  });
+
+  it('should retry failed items and record the final error', async () => {
+    const storage = createMemoryStorage();
+    const onJobFinished = vi.fn();
+    const send = vi.fn(async (message: MessageType): Promise<RpcResponse> => (
+      videoIdOf(message) === 'v1' ? { success: false, error: 'HTTP 500' } : { success: true }
+    ));
+    const executor = createJournalExecutor({ storage, send, onJobFinished, retryDelayMs: () => 0 });
+    const done = finished(onJobFinished);
+
+    await executor.enqueue({ ...request(2), retries: 2 });
+    const job = await done;
+
+    expect(send).toHaveBeenCalledTimes(4); // v0 once, v1 three times
+    expect(job.items[1]).toMatchObject({ state: 'failed', error: 'HTTP 500' });
+  });
+
+  it('should resume a job left running by a previous worker', async () => {
+    const previous = createJournalJob(request(3));
+    previous.status = 'running';
+    previous.items[0].state = 'done';
+    const storage = createMemoryStorage([previous]);
+    const sent: string[] = [];
+    const onJobFinished = vi.fn();
+    const executor = createJournalExecutor({
+      storage,
+      send: async (message) => {
+        sent.push(videoIdOf(message));
+        return { success: true };
+      },
+      onJobFinished,
+    });
+    const done = finished(onJobFinished);
+
+    await executor.resume();
+    await done;
+
+    expect(sent).toEqual(['v1', 'v2']);
+    expect(storage.snapshot()[0].status).toBe('done');
+  });
+
+  it('should pause between items and continue on resume', async () => {
+    const storage = createMemoryStorage();
+    const onJobFinished = vi.fn();
+    let release: () => void = () => {};
+    const sent: string[] = [];
+    const executor = createJournalExecutor({
+      storage,
+      send: (message) => {
+        sent.push(videoIdOf(message));
+        return new Promise(resolve => {
+          release = () => resolve({ success: true });
+        });
+      },
+      onJobFinished,
+    });
+    const done = finished(onJobFinished);
+
+    const job = await executor.enqueue(request(3));
+    await vi.waitFor(() => expect(sent).toEqual(['v0']));
+    await executor.control(job.id, 'pause');
+    release();
+    await vi.waitFor(() => expect(storage.snapshot()[0].items[0].state).toBe('done'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(sent).toEqual(['v0']);
+    expect(storage.snapshot()[0].status).toBe('paused');
+
+    await executor.control(job.id, 'resume');
+    await vi.waitFor(() => expect(sent).toEqual(['v0', 'v1']));
+    release();
+    await vi.waitFor(() => expect(sent).toEqual(['v0', 'v1', 'v2']));
+    release();
+
+    expect((await done).status).toBe('done');
+  });
+
+  it('should let in-flight items finish and cancel the rest', async () => {
+    const storage = createMemoryStorage();
+    const onJobFinished = vi.fn();
+    let release: () => void = () => {};
+    const send = vi.fn(() => new Promise<RpcResponse>(resolve => {
+      release = () => resolve({ success: true });
+    }));
+    const executor = createJournalExecutor({ storage, send, onJobFinished });
+    const done = finished(onJobFinished);
+
+    const job = await executor.enqueue(request(3));
+    await vi.waitFor(() => expect(send).toHaveBeenCalledTimes(1));
+    await executor.control(job.id, 'cancel');
+    release();
+    const result = await done;
+
+    expect(result.status).toBe('cancelled');
+    expect(result.items.map(item => item.state)).toEqual(['done', 'cancelled', 'cancelled']);
+  });
+
+  it('should run queued jobs one at a time', async () => {
+    const storage = createMemoryStorage();
+    const sent: string[] = [];
+    const onJobFinished = vi.fn();
+    const executor = createJournalExecutor({
+      storage,
+      send: async (message) => {
+        sent.push(videoIdOf(message));
+        return { success: true };
+      },
+      onJobFinished,
+    });
+
+    await executor.enqueue(request(2, 'first'));
+    await executor.enqueue({ label: 'second', items: [{ message: removal('w0'), title: 'W' }], concurrency: 1, retries: 0 });
+    await vi.waitFor(() => expect(onJobFinished).toHaveBeenCalledTimes(2));
+
+    expect(sent).toEqual(['v0', 'v1', 'w0']);
+  });
+
+  it('should re-queue only the failed items on retry', async () => {
+    const storage = createMemoryStorage();
+    const onJobFinished = vi.fn();
+    let failing = true;
+    const sent: string[] = [];
+    const executor = createJournalExecutor({
+      storage,
+      send: async (message) => {
+        sent.push(videoIdOf(message));
+        return failing && videoIdOf(message) === 'v1' ? { success: false, error: 'HTTP 403' } : { success: true };
+      },
+      onJobFinished,
+    });
+
+    const job = await executor.enqueue(request(3));
+    await vi.waitFor(() => expect(onJobFinished).toHaveBeenCalledTimes(1));
+    failing = false;
+    sent.length = 0;
+
+    const retryJob = await executor.control(job.id, 'retry');
+    await vi.waitFor(() => expect(onJobFinished).toHaveBeenCalledTimes(2));
+
+    expect(sent).toEqual(['v1']);
+    expect(retryJob?.label).toBe('Retry: Deleting videos (1 failed)');
+    expect(storage.snapshot()[0].retried).toBe(true);
+    expect(await executor.control(job.id, 'retry')).toBeNull();
+  });
+
+  it('should report when it has runnable jobs', async () => {
+    const onActiveChange = vi.fn();
+    const onJobFinished = vi.fn();
+    const executor = createJournalExecutor({
+      storage: createMemoryStorage(),
+      send: async () => ({ success: true }),
+      onJobFinished,
+      onActiveChange,
+    });
+
+    await executor.enqueue(request(1));
+    await vi.waitFor(() => expect(onActiveChange).toHaveBeenLastCalledWith(false));
+
+    expect(onActiveChange).toHaveBeenCalledWith(true);
+  });
+});
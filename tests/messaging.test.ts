@@ -0,0 +1,273 @@
+// Unit tests for port-based messaging (request IDs, progress, cancel, heartbeats)
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  createRpcChannel,
+  serveRpcPort,
+  isRpcClientMessage,
+  isRpcServerMessage,
+  RpcHandler,
+  RpcPort,
+  RpcProgress,
+} from '../src/messaging';
+
+type Listener<T extends unknown[]> = (...args: T) => void;
+
+interface FakePort extends RpcPort {
+  peer: FakePort | null;
+  messageListeners: Listener<[unknown]>[];
+  disconnectListeners: Listener<[]>[];
+  connected: boolean;
+}
+
+// In-memory port pair mimicking chrome.runtime.Port: messages are delivered
+// asynchronously and disconnect() only notifies the other side.
+function createPortPair(): [FakePort, FakePort] {
+  const makePort = (): FakePort => {
+    const port: FakePort = {
+      peer: null,
+      messageListeners: [],
+      disconnectListeners: [],
+      connected: true,
+      postMessage(message: unknown) {
+        if (!port.connected) throw new Error('Attempting to use a disconnected port object');
+        const peer = port.peer!;
+        const copy = JSON.parse(JSON.stringify(message));
+        queueMicrotask(() => {
+          if (peer.connected) peer.messageListeners.forEach(listener => listener(copy));
+        });
+      },
+      disconnect() {
+        if (!port.connected) return;
+        port.connected = false;
+        const peer = port.peer!;
+        if (peer.connected) {
+          peer.connected = false;
+          peer.disconnectListeners.forEach(listener => listener());
+        }
+      },
+      onMessage: { addListener: (callback) => port.messageListeners.push(callback) },
+      onDisconnect: { addListener: (callback) => port.disconnectListeners.push(callback) },
+    };
+    return port;
+  };
+
+  const client = makePort();
+  const server = makePort();
+  client.peer = server;
+  server.peer = client;
+  return [client, server];
+}
+
+const page = (pagesLoaded: number): RpcProgress => ({
+  kind: 'page',
+  videos: [],
+  pagesLoaded,
+  loadedCount: pagesLoaded * 100,
+  estimatedTotal: 250,
+});
+
+describe('envelope guards', () => {
+  it('should accept well-formed client envelopes', () => {
+    expect(isRpcClientMessage({ kind: 'request', requestId: 'a-1', message: { type: 'PING' } })).toBe(true);
+    expect(isRpcClientMessage({ kind: 'cancel', requestId: 'a-1' })).toBe(true);
+    expect(isRpcClientMessage({ kind: 'heartbeat', sentAt: 1 })).toBe(true);
+  });
+
+  it('should reject malformed client envelopes', () => {
+    expect(isRpcClientMessage(null)).toBe(false);
+    expect(isRpcClientMessage({ type: 'PING' })).toBe(false);
+    expect(isRpcClientMessage({ kind: 'request', message: { type: 'PING' } })).toBe(false);
+    expect(isRpcClientMessage({ kind: 'request', requestId: 'a-1' })).toBe(false);
+  });
+
+  it('should recognize server envelopes', () => {
+    expect(isRpcServerMessage({ kind: 'response', requestId: 'a-1', response: { success: true } })).toBe(true);
+    expect(isRpcServerMessage({ kind: 'progress', requestId: 'a-1', progress: page(1) })).toBe(true);
+    expect(isRpcServerMessage({ kind: 'response' })).toBe(false);
+  });
+});
+
+describe('createRpcChannel + serveRpcPort', () => {
+  let client: FakePort;
+  let server: FakePort;
+
+  beforeEach(() => {
+    [client, server] = createPortPair();
+  });
+
+  it('should route responses to the matching request', async () => {
+    const handler: RpcHandler = async (message) => {
+      if (message.type === 'GET_CHANNEL_VIDEOS') {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return { success: true, data: message.channelId };
+      }
+      return { success: true, data: message.type };
+    };
+    serveRpcPort(server, handler);
+    const channel = createRpcChannel(client);
+
+    const [slow, fast] = await Promise.all([
+      channel.request({ type: 'GET_CHANNEL_VIDEOS', channelId: 'UC123' }),
+      channel.request({ type: 'PING' }),
+    ]);
+
+    expect(slow).toEqual({ success: true, data: 'UC123' });
+    expect(fast).toEqual({ success: true, data: 'PING' });
+    channel.close();
+  });
+
+  it('should deliver progress events before the response', async () => {
+    serveRpcPort(server, async (_message, { reportProgress }) => {
+      reportProgress(page(1));
+      reportProgress(page(2));
+      return { success: true, data: [] };
+    });
+    const channel = createRpcChannel(client);
+    const progress: number[] = [];
+
+    const response = await channel.request({ type: 'GET_WATCH_LATER' }, {
+      onProgress: (event) => progress.push(event.pagesLoaded),
+    });
+
+    expect(progress).toEqual([1, 2]);
+    expect(response.success).toBe(true);
+    channel.close();
+  });
+
+  it('should turn handler exceptions into error responses', async () => {
+    serveRpcPort(server, async () => {
+      throw new Error('InnerTube request failed: 500');
+    });
+    const channel = createRpcChannel(client);
+
+    const response = await channel.request({ type: 'GET_PLAYLISTS' });
+
+    expect(response).toEqual({ success: false, error: 'InnerTube request failed: 500' });
+    channel.close();
+  });
+
+  it('should abort the handler and answer immediately on cancel', async () => {
+    let handlerSignal: AbortSignal | null = null;
+    serveRpcPort(server, (_message, { signal }) => {
+      handlerSignal = signal;
+      return new Promise(resolve => {
+        signal.addEventListener('abort', () => resolve({ success: true, data: 'late' }));
+      });
+    });
+    const channel = createRpcChannel(client);
+    const controller = new AbortController();
+
+    const pending = channel.request({ type: 'GET_WATCH_LATER' }, { signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    controller.abort();
+
+    expect(await pending).toEqual({ success: false, error: 'Cancelled', cancelled: true });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(handlerSignal!.aborted).toBe(true);
+    channel.close();
+  });
+
+  it('should not send requests that are already cancelled', async () => {
+    const handler = vi.fn<RpcHandler>(async () => ({ success: true }));
+    serveRpcPort(server, handler);
+    const channel = createRpcChannel(client);
+    const controller = new AbortController();
+    controller.abort();
+
+    const response = await channel.request({ type: 'PING' }, { signal: controller.signal });
+
+    expect(response.cancelled).toBe(true);
+    expect(handler).not.toHaveBeenCalled();
+    channel.close();
+  });
+
+  it('should fail pending requests when the server disconnects', async () => {
+    serveRpcPort(server, () => new Promise(() => {}));
+    const onClose = vi.fn();
+    const channel = createRpcChannel(client, { onClose });
+
+    const pending = channel.request({ type: 'GET_WATCH_LATER' });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    server.disconnect();
+
+    expect(await pending).toEqual({ success: false, error: 'Connection closed' });
+    expect(channel.closed).toBe(true);
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(await channel.request({ type: 'PING' })).toEqual({ success: false, error: 'Connection closed' });
+  });
+
+  it('should abort in-flight handlers when the client disconnects', async () => {
+    let handlerSignal: AbortSignal | null = null;
+    serveRpcPort(server, (_message, { signal }) => {
+      handlerSignal = signal;
+      return new Promise(() => {});
+    });
+    const channel = createRpcChannel(client);
+
+    channel.request({ type: 'GET_WATCH_LATER' });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    channel.close();
+
+    expect(handlerSignal!.aborted).toBe(true);
+  });
+});
+
+describe('heartbeats', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should echo heartbeats from the server', async () => {
+    const [client, server] = createPortPair();
+    serveRpcPort(server, async () => ({ success: true }));
+    const received: unknown[] = [];
+    client.onMessage.addListener(message => received.push(message));
+
+    client.postMessage({ kind: 'heartbeat', sentAt: 42 });
+    await vi.runAllTicks();
+    await Promise.resolve();
+
+    expect(received).toEqual([{ kind: 'heartbeat', sentAt: 42 }]);
+  });
+
+  it('should keep a slow request alive while the server answers heartbeats', async () => {
+    const [client, server] = createPortPair();
+    serveRpcPort(server, () => new Promise(() => {}));
+    const channel = createRpcChannel(client, { heartbeatIntervalMs: 100, heartbeatTimeoutMs: 250 });
+
+    channel.request({ type: 'GET_WATCH_LATER' });
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(channel.closed).toBe(false);
+    channel.close();
+  });
+
+  it('should fail pending requests when heartbeats stop', async () => {
+    const [client] = createPortPair();
+    // No server attached: nothing ever answers
+    const channel = createRpcChannel(client, { heartbeatIntervalMs: 100, heartbeatTimeoutMs: 250 });
+
+    const pending = channel.request({ type: 'GET_WATCH_LATER' });
+    await vi.advanceTimersByTimeAsync(400);
+
+    expect(await pending).toEqual({ success: false, error: 'Connection timed out (no heartbeat)' });
+    expect(channel.closed).toBe(true);
+  });
+
+  it('should stay quiet while idle', async () => {
+    const [client] = createPortPair();
+    const postSpy = vi.spyOn(client, 'postMessage');
+    const channel = createRpcChannel(client, { heartbeatIntervalMs: 100, heartbeatTimeoutMs: 250 });
+
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(postSpy).not.toHaveBeenCalled();
+    expect(channel.closed).toBe(false);
+    channel.close();
+  });
+});
@@ -5,7 +5,11 @@ import { describe, it, expect } from 'vitest';
 import {
   mockPlaylistVideoRenderer,
   mockPlaylistVideoRendererMinimal,
+  mockDeletedPlaylistVideoRenderer,
+  mockPrivatePlaylistVideoRenderer,
+  mockUnplayablePlaylistVideoRenderer,
   mockVideoRenderer,
+  mockUpcomingVideoRenderer,
   mockRichItemRenderer,
   mockLockupViewModel,
   mockLockupViewModelWithProgress,
@@ -13,13 +17,27 @@ import {
   mockGridPlaylistRenderer,
   mockPlaylistLockupViewModel,
   mockContinuationItemRenderer,
+  mockPlayerResponse,
+  mockNextResponse,
+  mockUpcomingPremierePlayerResponse,
 } from './fixtures/youtube-responses';
+import { LOCALE_FIXTURES, localizedLockup } from './fixtures/locales';
 import {
   parseVideoItem,
   parseSubscriptionVideoItem,
   parseLockupViewModel,
   extractDurationAndProgress,
   parseRelativeTime,
+  parsePublishedTimestamp,
+  computeTimestamp,
+  isRelativeTimeText,
+  parseCountText,
+  parsePercentText,
+  parseVideoCountText,
+  isSubscriberCountText,
+  normalizeDurationText,
+  detectUnavailableReason,
+  parseVideoDetails,
 } from '../src/parsers';
 
 interface Playlist {
@@ -58,6 +76,25 @@ describe('parseVideoItem', () => {
     expect(video?.thumbnail).toBe('https://i.ytimg.com/vi/abc123xyz/mqdefault.jpg');
   });
 
+  it('should not flag playable videos as unavailable', () => {
+    expect(parseVideoItem(mockPlaylistVideoRenderer)?.unavailable).toBeUndefined();
+    expect(parseVideoItem(mockPlaylistVideoRendererMinimal)?.unavailable).toBeUndefined();
+  });
+
+  it('should recognize deleted and private entries', () => {
+    const deleted = parseVideoItem(mockDeletedPlaylistVideoRenderer);
+    const privateVideo = parseVideoItem(mockPrivatePlaylistVideoRenderer);
+
+    expect(deleted).toMatchObject({ title: '[Deleted video]', channel: '', unavailable: 'deleted', setVideoId: 'SETDELETED0001' });
+    expect(privateVideo).toMatchObject({ title: '[Private video]', channel: '', unavailable: 'private' });
+  });
+
+  it('should flag other unplayable entries but keep their details', () => {
+    const video = parseVideoItem(mockUnplayablePlaylistVideoRenderer);
+
+    expect(video).toMatchObject({ title: 'Never Gonna Give You Up', channel: 'Rick Astley', unavailable: 'unplayable' });
+  });
+
   it('should return null for items without a renderer', () => {
     const video = parseVideoItem({});
     expect(video).toBeNull();
@@ -69,6 +106,19 @@ describe('parseVideoItem', () => {
   });
 });
 
+describe('detectUnavailableReason', () => {
+  it('should match placeholder titles regardless of case and spacing', () => {
+    expect(detectUnavailableReason({}, ' [DELETED VIDEO] ')).toBe('deleted');
+    expect(detectUnavailableReason({}, '[Private video]')).toBe('private');
+  });
+
+  it('should fall back to the isPlayable flag', () => {
+    expect(detectUnavailableReason({ isPlayable: false }, 'Some title')).toBe('unplayable');
+    expect(detectUnavailableReason({ isPlayable: true }, 'Some title')).toBeUndefined();
+    expect(detectUnavailableReason(undefined, 'Some title')).toBeUndefined();
+  });
+});
+
 describe('parseSubscriptionVideoItem', () => {
   it('should parse a videoRenderer', () => {
     const video = parseSubscriptionVideoItem(mockVideoRenderer);
@@ -249,6 +299,153 @@ describe('parseRelativeTime', () => {
   });
 });
 
+describe('computeTimestamp', () => {
+  const now = Date.parse('2024-03-31T12:00:00Z');
+
+  it('should step back calendar months and years', () => {
+    expect(computeTimestamp(now, 2, 'month')).toBe(Date.parse('2024-01-31T12:00:00Z'));
+    expect(computeTimestamp(now, 1, 'year')).toBe(Date.parse('2023-03-31T12:00:00Z'));
+  });
+
+  it('should clamp to the end of shorter months', () => {
+    expect(computeTimestamp(now, 1, 'month')).toBe(Date.parse('2024-02-29T12:00:00Z'));
+  });
+});
+
+describe('parsePublishedTimestamp', () => {
+  it('should prefer the exact start of an upcoming stream', () => {
+    const renderer = mockUpcomingVideoRenderer.videoRenderer;
+
+    expect(parsePublishedTimestamp(renderer, '')).toBe(Date.parse('2024-06-24T16:00:00Z'));
+  });
+
+  it('should resolve relative text against the given time', () => {
+    const now = Date.parse('2024-06-01T00:00:00Z');
+
+    expect(parsePublishedTimestamp({}, '2 days ago', now)).toBe(Date.parse('2024-05-30T00:00:00Z'));
+    expect(parsePublishedTimestamp({}, '', now)).toBeUndefined();
+  });
+
+  it('should be set on parsed videos', () => {
+    const upcoming = parseSubscriptionVideoItem(mockUpcomingVideoRenderer);
+    const playlistVideo = parseVideoItem(mockPlaylistVideoRenderer);
+
+    expect(upcoming?.publishedTimestamp).toBe(Date.parse('2024-06-24T16:00:00Z'));
+    expect(Date.now() - playlistVideo!.publishedTimestamp!).toBeGreaterThanOrEqual(2 * 24 * 60 * 60 * 1000);
+    expect(parseVideoItem(mockPlaylistVideoRendererMinimal)?.publishedTimestamp).toBeUndefined();
+  });
+});
+
+describe.each(LOCALE_FIXTURES)('localized parsing ($hl)', (fixture) => {
+  const now = Date.parse('2024-06-15T12:00:00Z');
+
+  it('should parse relative times', () => {
+    for (const [text, amount, unit] of fixture.relativeTimes) {
+      expect(isRelativeTimeText(text), text).toBe(true);
+      expect(parseRelativeTime(text, now), text).toBe(computeTimestamp(now, amount, unit));
+    }
+  });
+
+  it('should parse progress, subscriber and video counts', () => {
+    expect(parsePercentText(fixture.progressText)).toBe(50);
+    expect(isSubscriberCountText(fixture.subscribers[0])).toBe(true);
+    expect(parseCountText(fixture.subscribers[0], fixture.hl)).toBe(fixture.subscribers[1]);
+    expect(parseVideoCountText(fixture.videoCount[0], fixture.hl)).toBe(fixture.videoCount[1]);
+    expect(isSubscriberCountText(fixture.videoCount[0])).toBe(false);
+  });
+
+  it('should fill in publish date, progress and duration of a lockup', () => {
+    const video = parseLockupViewModel(localizedLockup(fixture));
+
+    expect(video).toMatchObject({
+      channel: 'Channel',
+      publishedAt: fixture.relativeTimes[0][0],
+      duration: '12:34',
+      progressPercent: 50,
+    });
+    expect(video?.publishedTimestamp).toBeDefined();
+  });
+});
+
+describe('locale text helpers', () => {
+  it('should not take counts or plain text for relative times', () => {
+    expect(isRelativeTimeText('1.2M views')).toBe(false);
+    expect(isRelativeTimeText('42 videos')).toBe(false);
+    expect(isRelativeTimeText('Vorschau')).toBe(false);
+  });
+
+  it('should fold native and full-width digits', () => {
+    expect(normalizeDurationText('١٢:٣٤')).toBe('12:34');
+    expect(normalizeDurationText('１２:３４')).toBe('12:34');
+    expect(normalizeDurationText('LIVE')).toBe('LIVE');
+    expect(parseRelativeTime('٣ أيام', 0)).toBeUndefined();
+  });
+
+  it('should read compact counts by the locale\'s suffixes', () => {
+    expect(parseCountText('1.2B views')).toBe(1_200_000_000);
+    expect(parseCountText('1,2 B görüntüleme', 'tr')).toBe(1200);
+    expect(parseCountText('no digits')).toBeUndefined();
+  });
+
+  it('should only take the number next to the video word as a video count', () => {
+    expect(parseVideoCountText('42 videos')).toBe(42);
+    expect(parseVideoCountText('Playlist • 42 videos')).toBe(42);
+    expect(parseVideoCountText('Top 10 music videos of 2020')).toBeUndefined();
+    expect(parseVideoCountText('My 2023 videos')).toBeUndefined();
+    expect(parseVideoCountText('Meine 2023 Videos', 'de')).toBeUndefined();
+    expect(parseVideoCountText('動画 2023', 'ja')).toBe(2023);
+    expect(parseVideoCountText('2023年のおすすめ動画', 'ja')).toBeUndefined();
+    expect(parseVideoCountText('동영상 2023 모음', 'ko')).toBeUndefined();
+  });
+});
+
+describe('parseVideoDetails', () => {
+  it('should combine the player and next responses', () => {
+    const details = parseVideoDetails('abc123', mockPlayerResponse, mockNextResponse);
+
+    expect(details).toEqual({
+      id: 'abc123',
+      publishedTimestamp: Date.parse('2024-03-05T16:00:00Z'),
+      viewCount: 1234567,
+      likeCount: 45678,
+      description: 'In this video we look at three things. Links below.',
+      category: 'Science & Technology',
+      membersOnly: true,
+    });
+  });
+
+  it('should work without the next response', () => {
+    const details = parseVideoDetails('abc123', mockPlayerResponse);
+
+    expect(details?.likeCount).toBeUndefined();
+    expect(details?.membersOnly).toBe(false);
+    expect(details?.viewCount).toBe(1234567);
+  });
+
+  it('should recognize a scheduled premiere', () => {
+    const details = parseVideoDetails('prem456', mockUpcomingPremierePlayerResponse);
+
+    expect(details).toMatchObject({
+      live: 'premiere',
+      scheduledTimestamp: Date.parse('2024-06-02T18:00:00Z'),
+      publishedTimestamp: Date.parse('2024-06-01'),
+    });
+  });
+
+  it('should tell live streams from their replays', () => {
+    const live = { videoDetails: { isLiveContent: true, isLive: true } };
+    const replay = { videoDetails: { isLiveContent: true } };
+
+    expect(parseVideoDetails('a', live)?.live).toBe('live');
+    expect(parseVideoDetails('b', replay)?.live).toBe('replay');
+  });
+
+  it('should return null when the player has no details', () => {
+    expect(parseVideoDetails('gone', { playabilityStatus: { status: 'ERROR' } })).toBeNull();
+    expect(parseVideoDetails('gone', null)).toBeNull();
+  });
+});
+
 describe('continuation token extraction', () => {
   it('should find continuation token in renderer', () => {
     const item = mockContinuationItemRenderer;
@@ -18,6 +18,7 @@ const mockTabs = {
   query: vi.fn(),
   create: vi.fn(),
   sendMessage: vi.fn(),
+  connect: vi.fn(),
   onUpdated: {
     addListener: vi.fn(),
     removeListener: vi.fn(),
@@ -30,6 +31,10 @@ const mockRuntime = {
     addListener: vi.fn(),
     removeListener: vi.fn(),
   },
+  onConnect: {
+    addListener: vi.fn(),
+    removeListener: vi.fn(),
+  },
   getURL: vi.fn((path: string) => `chrome-extension://mock-id/${path}`),
 };
 